@@ -1,10 +1,20 @@
 import { useState, useEffect, useRef } from 'react'
 import './App.css'
-import { optimizeCuts, calculateCutPiecesBF, getStockThicknesses, getCutPieceThicknesses, calculateStockNeeded } from './cutOptimizer'
+import { calculateCutPiecesBF, findChangedPlanGroups, getStockThicknesses, getCutPieceThicknesses, remapPlanBoardIds, rebuildCutPlan, OPTIMIZATION_GOALS, DEFAULT_OPTIMIZATION_GOAL, DEFAULT_SAW_PROFILE, normalizeSawProfile, describeSawProfile, normalizeMillingAllowances, normalizeResawSettings, normalizeRemnantSettings, findRemnantOffcuts, DEFAULT_PANEL_SETTINGS, DEFAULT_LAMINATION_SETTINGS, planLaminationLayers, getSpeciesFamily, normalizeSubstitutionRules } from './cutOptimizer'
+import { generateCutSequence, describeCutStep } from './cutSequence'
+import { runOptimizerTask } from './optimizerClient'
+import { snapPlacement, findPlacementConflicts, canRotateCut, canMoveBetween, moveCut, unlockCuts, getLockedPlacements } from './planEditor'
+import { validateCutPlan } from './planValidator'
 import { exportProjectToPDF } from './pdfExport'
+import { formatInches } from './units'
+import { LINEAR_STOCK_LENGTHS, normalizeLinearSettings, summarizeLinearShoppingList, formatStockLength } from './linearOptimizer'
+import { PART_SHAPES, normalizePartShape, isShapedPart, getShapeOutline, getShapeSize, parsePolygonPoints, extractSvgPath } from './shapeNesting'
+import { SHEET_TRIM_SIDES, EDGE_BANDING_EDGES, EDGE_BANDING_THICKNESSES, EDGE_BANDING_OVERHANG, normalizeSheetSettings, normalizeSheetTrim, SHEET_STRATEGIES, DEFAULT_SHEET_STRATEGY, normalizeEdgeBanding, describeEdgeBanding, summarizeEdgeBanding } from './sheetGoods'
 import { supabase } from './supabaseClient'
 import Auth from './Auth'
-import { getAvailableSpecies, calculateTotalCost, getPricePerBF } from './lumberPrices'
+import { getAvailableSpecies, calculateTotalCost, getPricePerBF, getBundledPriceEntries } from './lumberPrices'
+import { comparePriceLists, recommendSplitOrder } from './supplierComparison'
+import { SURFACING_OPTIONS, DEFAULT_COST_MODEL, normalizeCostModel, compactCostOverrides, resolveCostModel, estimateProjectCost } from './costModel'
 
 // CSV Import Parser
 function parseCutListCSV(csvText, mode = 'lumber') {
@@ -37,7 +47,8 @@ function parseCutListCSV(csvText, mode = 'lumber') {
     if (mode === 'lumber') {
       const species = cols[4] || ''
       const quantity = parseInt(cols[5]) || 1
-      pieces.push({ id: Date.now() + i, name, length, width, thickness, species, quantity })
+      const matchGroup = cols[6] || null
+      pieces.push({ id: Date.now() + i, name, length, width, thickness, species, quantity, matchGroup })
     } else {
       const product = cols[4] || ''
       const quantity = parseInt(cols[5]) || 1
@@ -57,9 +68,48 @@ function parseCutListCSV(csvText, mode = 'lumber') {
   return { pieces, errors }
 }
 
+// Price list CSV parser: Species, Thickness, Grade, Price/BF, Effective Date (YYYY-MM-DD)
+function parsePriceListCSV(csvText) {
+  const lines = csvText.split(/\r?\n/).filter(line => line.trim())
+  if (lines.length < 2) return { entries: [], errors: ['File is empty or has no data rows'] }
+
+  const entries = []
+  const errors = []
+
+  // Skip header row (line 0)
+  for (let i = 1; i < lines.length; i++) {
+    const cols = lines[i].split(',').map(c => c.trim())
+    const rowNum = i + 1
+
+    if (cols.length < 4) {
+      errors.push(`Row ${rowNum}: Not enough columns (need at least Species, Thickness, Grade, Price/BF)`)
+      continue
+    }
+
+    const [species, thickness, grade] = cols
+    const pricePerBF = parseFloat(cols[3].replace('$', ''))
+    const effectiveDate = cols[4] || ''
+
+    if (!species) { errors.push(`Row ${rowNum}: Missing species`); continue }
+    if (!thickness) { errors.push(`Row ${rowNum}: Missing thickness`); continue }
+    if (isNaN(pricePerBF) || pricePerBF < 0) { errors.push(`Row ${rowNum}: Invalid price "${cols[3]}"`); continue }
+    if (effectiveDate && !/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate)) {
+      errors.push(`Row ${rowNum}: Invalid effective date "${effectiveDate}" (use YYYY-MM-DD)`)
+      continue
+    }
+
+    entries.push({ species, thickness, grade, pricePerBF, effectiveDate })
+  }
+
+  return { entries, errors }
+}
+
 function generateCSVTemplate(mode = 'lumber') {
+  if (mode === 'priceList') {
+    return 'Species, Thickness, Grade, Price/BF, Effective Date\nWalnut, 4/4, FAS, 10.95, 2026-01-01\nWalnut, 8/4, FAS, 15.95, 2026-01-01\nMaple - Hard, 4/4, Select & Better, 5.95, 2026-01-01'
+  }
   if (mode === 'lumber') {
-    return 'Name, Length, Width, Thickness, Species, Quantity\nTable Leg, 28.5, 3.5, 4/4, Walnut, 4\nApron, 24, 4, 4/4, Walnut, 2\nShelf, 36, 11.25, 4/4, Cherry, 3'
+    return 'Name, Length, Width, Thickness, Species, Quantity, Match Group\nTable Leg, 28.5, 3.5, 4/4, Walnut, 4,\nApron, 24, 4, 4/4, Walnut, 2, Aprons\nShelf, 36, 11.25, 4/4, Cherry, 3,'
   }
   return 'Name, Length, Width, Thickness, Product, Quantity, Grain Direction\nShelf, 30, 11.25, 3/4, Baltic Birch, 3, any\nBack Panel, 36, 30, 3/4, Baltic Birch, 1, length\nDoor, 24, 18, 1/2, MDF, 2, any'
 }
@@ -246,6 +296,20 @@ const SHEET_SIZE_OPTIONS = [
   { name: 'Custom', length: null, width: null }
 ]
 
+// Tabs for each material type, keyed by step
+const MATERIAL_TABS = {
+  lumber: { stock: 'stock', cutlist: 'cutlist', plan: 'plan' },
+  sheet: { stock: 'sheetStock', cutlist: 'sheetCutlist', plan: 'sheetPlan' },
+  linear: { stock: 'linearStock', cutlist: 'linearCutlist', plan: 'linearPlan' }
+}
+
+// Common linear stock profiles (any other profile can be typed in)
+const LINEAR_PROFILE_OPTIONS = [
+  '2x2', '2x4', '2x6', '2x8',
+  '1x2 S4S', '1x3 S4S', '1x4 S4S', '1x6 S4S', '1x8 S4S',
+  'Baseboard', 'Casing', 'Crown', 'Quarter Round', 'Dowel'
+]
+
 // Grain direction options
 const GRAIN_OPTIONS = [
   { value: 'any', label: 'Any Direction', description: 'Optimizer can rotate freely' },
@@ -253,6 +317,25 @@ const GRAIN_OPTIONS = [
   { value: 'width', label: 'Cross Grain', description: 'Piece length across grain' }
 ]
 
+// Common saw setups (kerf and edge trim in inches)
+const SAW_PRESETS = [
+  { name: 'Table saw - full kerf (1/8")', ripKerf: 0.125, crosscutKerf: 0.125, edgeTrim: 0.125 },
+  { name: 'Table saw - thin kerf (3/32")', ripKerf: 0.09375, crosscutKerf: 0.09375, edgeTrim: 0.125 },
+  { name: 'Bandsaw (1/16")', ripKerf: 0.0625, crosscutKerf: 0.0625, edgeTrim: 0.125 },
+  { name: 'Track saw (0.1")', ripKerf: 0.1, crosscutKerf: 0.1, edgeTrim: 0.125 }
+]
+
+// Cut piece with no species substitution settings
+const EMPTY_SUBSTITUTION = { secondary: false, anyGrade: false, species: [] }
+
+// Project fields that are saved directly on the projects row (camelCase -> column)
+const PROJECT_SETTINGS_COLUMNS = {
+  sawProfile: 'saw_profile',
+  planSettings: 'plan_settings',
+  priceListId: 'price_list_id',
+  costModel: 'cost_model'
+}
+
 // Species options - includes all priced species from Capital Hardwood
 const SPECIES_OPTIONS = [
   // Domestic - Common
@@ -324,6 +407,228 @@ function calculateBoardFeet(thickness, width, length) {
   return (thickness * width * length) / 144
 }
 
+// Short one-line description of the milling allowances (null when none apply)
+function describeMillingAllowances(milling) {
+  const { lengthOversize, widthOversize, endTrim } = normalizeMillingAllowances(milling)
+  const parts = []
+  if (lengthOversize > 0) parts.push(`+${formatInches(lengthOversize)} length`)
+  if (widthOversize > 0) parts.push(`+${formatInches(widthOversize)} width`)
+  if (endTrim > 0) parts.push(`${formatInches(endTrim)} end trim per board end`)
+  return parts.length > 0 ? parts.join(' • ') : null
+}
+
+// Map a remnants row from Supabase to a remnant
+function remnantFromRow(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    species: row.species,
+    thickness: row.thickness,
+    length: Number(row.length),
+    width: Number(row.width),
+    source: row.source,
+    createdAt: row.created_at
+  }
+}
+
+// Columns saved for a remnant (without id/user_id/project_id)
+function remnantToRow(remnant) {
+  return {
+    species: remnant.species,
+    thickness: remnant.thickness,
+    length: remnant.length,
+    width: remnant.width,
+    source: remnant.source
+  }
+}
+
+// Map a suppliers row from Supabase to a supplier
+function supplierFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    location: row.location || '',
+    notes: row.notes || '',
+    deliveryFee: Number(row.delivery_fee) || 0,
+    minimumOrder: Number(row.minimum_order) || 0
+  }
+}
+
+// Columns saved for a supplier (without id/user_id)
+function supplierToRow(supplier) {
+  return {
+    name: supplier.name,
+    location: supplier.location || null,
+    notes: supplier.notes || null,
+    delivery_fee: supplier.deliveryFee || 0,
+    minimum_order: supplier.minimumOrder || 0
+  }
+}
+
+// Map a price_lists row and the entry rows loaded with it to a price list
+function priceListFromRow(row, entryRows) {
+  return {
+    id: row.id,
+    supplierId: row.supplier_id,
+    name: row.name,
+    notes: row.notes || '',
+    updatedAt: row.updated_at,
+    entries: entryRows
+      .filter(entry => entry.price_list_id === row.id)
+      .map(entry => ({
+        species: entry.species,
+        thickness: entry.thickness,
+        grade: entry.grade || '',
+        pricePerBF: Number(entry.price_per_bf),
+        effectiveDate: entry.effective_date || ''
+      }))
+  }
+}
+
+// Columns saved for a price list entry (without id/price_list_id)
+function priceListEntryToRow(entry) {
+  return {
+    species: entry.species,
+    thickness: entry.thickness,
+    grade: entry.grade || null,
+    price_per_bf: entry.pricePerBF,
+    effective_date: entry.effectiveDate || new Date().toISOString().slice(0, 10)
+  }
+}
+
+// Kinds of defect that can be marked on a stock board
+const DEFECT_TYPES = [
+  { value: 'knot', label: 'Knot' },
+  { value: 'check', label: 'Check / split' },
+  { value: 'sapwood', label: 'Sapwood' },
+  { value: 'wane', label: 'Wane' },
+  { value: 'other', label: 'Other' }
+]
+
+function getDefectLabel(type) {
+  return DEFECT_TYPES.find(t => t.value === type)?.label || 'Defect'
+}
+
+// Map a boards row from Supabase to a stock board
+function boardFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    length: Number(row.length),
+    width: Number(row.width),
+    thickness: row.thickness,
+    thicknessInches: Number(row.thickness_inches),
+    species: row.species,
+    quantity: row.quantity,
+    boardFeetPerPiece: Number(row.board_feet_per_piece),
+    boardFeet: Number(row.board_feet),
+    defects: row.defects || []
+  }
+}
+
+// Columns saved for a stock board (without id/project_id)
+function boardToRow(board) {
+  return {
+    name: board.name,
+    length: board.length,
+    width: board.width,
+    thickness: board.thickness,
+    thickness_inches: board.thicknessInches || parseThickness(board.thickness) || 1,
+    species: board.species,
+    quantity: board.quantity || 1,
+    board_feet_per_piece: board.boardFeetPerPiece || board.boardFeet,
+    board_feet: board.boardFeet,
+    defects: board.defects && board.defects.length > 0 ? board.defects : null
+  }
+}
+
+// Map a cut_pieces row from Supabase to a cut piece
+function cutPieceFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    length: Number(row.length),
+    width: Number(row.width),
+    thickness: row.thickness,
+    species: row.species,
+    quantity: row.quantity,
+    finishedThickness: row.finished_thickness ? Number(row.finished_thickness) : null,
+    panel: row.panel || null,
+    lamination: row.lamination || null,
+    substitution: row.substitution || null,
+    matchGroup: row.match_group || null
+  }
+}
+
+// Columns saved for a cut piece (without id/project_id)
+function cutPieceToRow(piece) {
+  return {
+    name: piece.name,
+    length: piece.length,
+    width: piece.width,
+    thickness: piece.thickness,
+    species: piece.species,
+    quantity: piece.quantity,
+    finished_thickness: piece.finishedThickness || null,
+    panel: piece.panel || null,
+    lamination: piece.lamination || null,
+    substitution: piece.substitution || null,
+    match_group: piece.matchGroup || null
+  }
+}
+
+// Map a linear_stock row from Supabase to a stick
+function linearStockFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    profile: row.profile,
+    length: Number(row.length),
+    quantity: row.quantity,
+    pricePerFoot: row.price_per_foot ? Number(row.price_per_foot) : null
+  }
+}
+
+// Columns saved for a linear stick (without id/project_id)
+function linearStockToRow(stick) {
+  return {
+    name: stick.name,
+    profile: stick.profile,
+    length: stick.length,
+    quantity: stick.quantity,
+    price_per_foot: stick.pricePerFoot
+  }
+}
+
+// Map a linear_cut_pieces row from Supabase to a part
+function linearCutPieceFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    profile: row.profile,
+    length: Number(row.length),
+    quantity: row.quantity
+  }
+}
+
+// Columns saved for a linear part (without id/project_id)
+function linearCutPieceToRow(piece) {
+  return {
+    name: piece.name,
+    profile: piece.profile,
+    length: piece.length,
+    quantity: piece.quantity
+  }
+}
+
+// Which slice of a resawn board an assignment uses
+function describeResawSlice(resaw) {
+  if (resaw.sliceCount === 1) {
+    return `Planed down to ${formatInches(resaw.sliceThickness)}`
+  }
+  return `Resawn slice ${resaw.sliceIndex + 1} of ${resaw.sliceCount} (${formatInches(resaw.sliceThickness)} rough)`
+}
+
 // Board Form Component
 function BoardForm({ onSubmit, initialData, onCancel }) {
   const [name, setName] = useState(initialData?.name || '')
@@ -767,6 +1072,71 @@ function SheetGoodsItem({ sheet, onEdit, onDelete, onDragStart, onDragOver, onDr
   )
 }
 
+// Factory edge trim strips along a sheet's sides, as { x, y, length, width } zones
+function getTrimZones(assignment) {
+  const trim = normalizeSheetTrim(assignment.trim)
+  return [
+    { x: 0, y: 0, length: trim.left, width: assignment.width },
+    { x: assignment.length - trim.right, y: 0, length: trim.right, width: assignment.width },
+    { x: 0, y: 0, length: assignment.length, width: trim.bottom },
+    { x: 0, y: assignment.width - trim.top, length: assignment.length, width: trim.top }
+  ].filter(zone => zone.length > 0 && zone.width > 0)
+}
+
+// Banded edges of a placed part as lines on the board
+// L edges run along the part's length, which lies across the board when it's rotated
+function getBandedEdgeLines(cut) {
+  const banding = normalizeEdgeBanding(cut.edgeBanding)
+  if (!banding || cut.outline) return []
+  const x2 = cut.x + cut.length
+  const y2 = cut.y + cut.width
+  const alongBoard = [
+    { x1: cut.x, y1: cut.y, x2, y2: cut.y },
+    { x1: cut.x, y1: y2, x2, y2 }
+  ]
+  const acrossBoard = [
+    { x1: cut.x, y1: cut.y, x2: cut.x, y2 },
+    { x1: x2, y1: cut.y, x2, y2 }
+  ]
+  const [l1, l2] = cut.rotated ? acrossBoard : alongBoard
+  const [w1, w2] = cut.rotated ? alongBoard : acrossBoard
+  return [[banding.l1, l1], [banding.l2, l2], [banding.w1, w1], [banding.w2, w2]]
+    .filter(([banded]) => banded)
+    .map(([, line]) => line)
+}
+
+// Edge banding form state for a part with no banded edges
+const EMPTY_EDGE_BANDING = {
+  l1: false,
+  l2: false,
+  w1: false,
+  w2: false,
+  thickness: EDGE_BANDING_THICKNESSES[0].value,
+  material: ''
+}
+
+// Polygon points as editable text, one x,y pair per line
+function formatPolygonPoints(points) {
+  return (points || []).map(([x, y]) => `${x},${y}`).join('\n')
+}
+
+// Small drawing of a part shape's outline, scaled to fit
+function ShapePreview({ shape, size = 80 }) {
+  const outline = getShapeOutline(shape)
+  const { length, width } = getShapeSize(shape)
+  const scale = size / Math.max(length, width)
+  return (
+    <svg width={length * scale + 2} height={width * scale + 2} className="shape-preview-svg">
+      <polygon
+        points={outline.map(([x, y]) => `${1 + x * scale},${1 + y * scale}`).join(' ')}
+        fill="#F5F1E8"
+        stroke="#0A112A"
+        strokeWidth={1}
+      />
+    </svg>
+  )
+}
+
 // Sheet Cut Piece Form Component
 function SheetCutPieceForm({ onSubmit, initialData, onCancel, availableProducts, availableThicknesses }) {
   const [name, setName] = useState(initialData?.name || '')
@@ -776,10 +1146,17 @@ function SheetCutPieceForm({ onSubmit, initialData, onCancel, availableProducts,
   const [product, setProduct] = useState(initialData?.product || (availableProducts?.[0] || 'Baltic Birch'))
   const [quantity, setQuantity] = useState(initialData?.quantity || 1)
   const [grainDirection, setGrainDirection] = useState(initialData?.grainDirection || 'any')
+  const initialShape = normalizePartShape(initialData?.shape)
+  const [shapeType, setShapeType] = useState(initialShape.type)
+  const [diameter, setDiameter] = useState(initialShape.diameter || '')
+  const [pointsText, setPointsText] = useState(formatPolygonPoints(initialShape.points))
+  const [pathData, setPathData] = useState(initialShape.path || '')
+  const [edgeBanding, setEdgeBanding] = useState(normalizeEdgeBanding(initialData?.edgeBanding) || EMPTY_EDGE_BANDING)
   const [error, setError] = useState('')
 
   useEffect(() => {
     if (initialData) {
+      const shape = normalizePartShape(initialData.shape)
       setName(initialData.name || '')
       setLength(initialData.length || '')
       setWidth(initialData.width || '')
@@ -787,6 +1164,11 @@ function SheetCutPieceForm({ onSubmit, initialData, onCancel, availableProducts,
       setProduct(initialData.product || 'Baltic Birch')
       setQuantity(initialData.quantity || 1)
       setGrainDirection(initialData.grainDirection || 'any')
+      setShapeType(shape.type)
+      setDiameter(shape.diameter || '')
+      setPointsText(formatPolygonPoints(shape.points))
+      setPathData(shape.path || '')
+      setEdgeBanding(normalizeEdgeBanding(initialData.edgeBanding) || EMPTY_EDGE_BANDING)
     } else {
       setName('')
       setLength('')
@@ -795,18 +1177,54 @@ function SheetCutPieceForm({ onSubmit, initialData, onCancel, availableProducts,
       setProduct(availableProducts?.[0] || 'Baltic Birch')
       setQuantity(1)
       setGrainDirection('any')
+      setShapeType('rectangle')
+      setDiameter('')
+      setPointsText('')
+      setPathData('')
+      setEdgeBanding(EMPTY_EDGE_BANDING)
     }
     setError('')
   }, [initialData, availableProducts, availableThicknesses])
 
+  // The shape as typed so far, or null while it isn't a valid outline yet
+  const enteredShape = (() => {
+    const shape = shapeType === 'circle' ? { type: 'circle', diameter }
+      : shapeType === 'polygon' ? { type: 'polygon', points: parsePolygonPoints(pointsText) }
+        : shapeType === 'path' ? { type: 'path', path: pathData }
+          : { type: 'rectangle' }
+    const normalized = normalizePartShape(shape)
+    return normalized.type === shapeType ? normalized : null
+  })()
+  const shapeSize = enteredShape && getShapeSize(enteredShape)
+
+  const handleSvgImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const path = extractSvgPath(await file.text())
+    if (path) {
+      setPathData(path)
+      setError('')
+    } else {
+      setError('No <path> found in that SVG file')
+    }
+  }
+
   const handleSubmit = (e) => {
     e.preventDefault()
     setError('')
 
-    const lengthNum = parseFloat(length)
-    const widthNum = parseFloat(width)
+    const lengthNum = shapeSize ? shapeSize.length : parseFloat(length)
+    const widthNum = shapeSize ? shapeSize.width : parseFloat(width)
     const quantityNum = parseInt(quantity)
 
+    if (!enteredShape) {
+      setError(shapeType === 'circle' ? 'Please enter a valid diameter'
+        : shapeType === 'polygon' ? 'Please enter at least 3 points as x,y pairs'
+          : 'Please enter SVG path data that encloses an area')
+      return
+    }
+
     if (isNaN(lengthNum) || lengthNum <= 0) {
       setError('Please enter a valid length')
       return
@@ -831,6 +1249,9 @@ function SheetCutPieceForm({ onSubmit, initialData, onCancel, availableProducts,
       product,
       quantity: quantityNum,
       grainDirection,
+      shape: enteredShape.type === 'rectangle' ? null : enteredShape,
+      // Banding is only planned for rectangular parts
+      edgeBanding: enteredShape.type === 'rectangle' ? normalizeEdgeBanding(edgeBanding) : null,
       materialType: 'sheet'
     })
 
@@ -840,6 +1261,11 @@ function SheetCutPieceForm({ onSubmit, initialData, onCancel, availableProducts,
       setWidth('')
       setQuantity(1)
       setGrainDirection('any')
+      setShapeType('rectangle')
+      setDiameter('')
+      setPointsText('')
+      setPathData('')
+      setEdgeBanding(EMPTY_EDGE_BANDING)
     }
   }
 
@@ -864,32 +1290,104 @@ function SheetCutPieceForm({ onSubmit, initialData, onCancel, availableProducts,
         />
       </div>
 
-      <div className="form-row">
+      <div className="form-group">
+        <label htmlFor="sheetPieceShape">Shape</label>
+        <select
+          id="sheetPieceShape"
+          value={shapeType}
+          onChange={(e) => setShapeType(e.target.value)}
+        >
+          {Object.entries(PART_SHAPES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {shapeType === 'polygon' && (
         <div className="form-group">
-          <label htmlFor="sheetPieceLength">Length (in)</label>
-          <input
-            id="sheetPieceLength"
-            type="number"
-            step="0.125"
-            value={length}
-            onChange={(e) => setLength(e.target.value)}
-            placeholder="e.g., 24"
-            required
+          <label htmlFor="sheetPiecePoints">Corner Points (in)</label>
+          <textarea
+            id="sheetPiecePoints"
+            rows={3}
+            value={pointsText}
+            onChange={(e) => setPointsText(e.target.value)}
+            placeholder="x,y pairs in order around the part, e.g. 0,0 24,0 18,30 6,30"
           />
         </div>
+      )}
 
+      {shapeType === 'path' && (
         <div className="form-group">
-          <label htmlFor="sheetPieceWidth">Width (in)</label>
-          <input
-            id="sheetPieceWidth"
-            type="number"
-            step="0.125"
-            value={width}
-            onChange={(e) => setWidth(e.target.value)}
-            placeholder="e.g., 12"
-            required
+          <label htmlFor="sheetPiecePath">SVG Path (in)</label>
+          <textarea
+            id="sheetPiecePath"
+            rows={3}
+            value={pathData}
+            onChange={(e) => setPathData(e.target.value)}
+            placeholder="e.g. M0 0 H20 V20 A10 10 0 0 1 0 20 Z"
           />
+          <label className="btn-secondary shape-import">
+            Import SVG…
+            <input type="file" accept=".svg,image/svg+xml" onChange={handleSvgImport} hidden />
+          </label>
+          <span className="form-hint">Path units are read as inches; the outermost closed outline is used</span>
+        </div>
+      )}
+
+      {enteredShape && enteredShape.type !== 'rectangle' && (
+        <div className="shape-preview">
+          <ShapePreview shape={enteredShape} />
+          <span className="form-hint">
+            {shapeSize.length}" × {shapeSize.width}" blank
+          </span>
         </div>
+      )}
+
+      <div className="form-row">
+        {shapeType === 'rectangle' && (
+          <>
+            <div className="form-group">
+              <label htmlFor="sheetPieceLength">Length (in)</label>
+              <input
+                id="sheetPieceLength"
+                type="number"
+                step="0.125"
+                value={length}
+                onChange={(e) => setLength(e.target.value)}
+                placeholder="e.g., 24"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="sheetPieceWidth">Width (in)</label>
+              <input
+                id="sheetPieceWidth"
+                type="number"
+                step="0.125"
+                value={width}
+                onChange={(e) => setWidth(e.target.value)}
+                placeholder="e.g., 12"
+                required
+              />
+            </div>
+          </>
+        )}
+
+        {shapeType === 'circle' && (
+          <div className="form-group">
+            <label htmlFor="sheetPieceDiameter">Diameter (in)</label>
+            <input
+              id="sheetPieceDiameter"
+              type="number"
+              step="0.125"
+              value={diameter}
+              onChange={(e) => setDiameter(e.target.value)}
+              placeholder="e.g., 18"
+              required
+            />
+          </div>
+        )}
 
         <div className="form-group">
           <label htmlFor="sheetPieceThickness">Thickness</label>
@@ -949,6 +1447,51 @@ function SheetCutPieceForm({ onSubmit, initialData, onCancel, availableProducts,
         </div>
       </div>
 
+      {shapeType === 'rectangle' && (
+        <div className="form-group edge-banding-group">
+          <label>Edge Banding</label>
+          <div className="edge-banding-edges">
+            {EDGE_BANDING_EDGES.map(edge => (
+              <label key={edge.key} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={edgeBanding[edge.key]}
+                  onChange={(e) => setEdgeBanding({ ...edgeBanding, [edge.key]: e.target.checked })}
+                />
+                {edge.label}
+              </label>
+            ))}
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="sheetPieceBandThickness">Band Thickness</label>
+              <select
+                id="sheetPieceBandThickness"
+                value={edgeBanding.thickness}
+                onChange={(e) => setEdgeBanding({ ...edgeBanding, thickness: parseFloat(e.target.value) })}
+              >
+                {EDGE_BANDING_THICKNESSES.map(opt => (
+                  <option key={opt.value} value={opt.value}>{opt.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="sheetPieceBandMaterial">Banding Material</label>
+              <input
+                id="sheetPieceBandMaterial"
+                type="text"
+                value={edgeBanding.material}
+                onChange={(e) => setEdgeBanding({ ...edgeBanding, material: e.target.value })}
+                placeholder="e.g., Birch veneer"
+              />
+            </div>
+          </div>
+          <span className="form-hint">
+            L1/L2 run along the length, W1/W2 along the width. Enter the finished size; the band thickness is taken off the cut size.
+          </span>
+        </div>
+      )}
+
       <div className="form-actions">
         <button type="submit" className="btn-primary">
           {initialData ? 'Update Piece' : 'Add Piece'}
@@ -988,8 +1531,17 @@ function SheetCutPieceItem({ piece, onEdit, onDelete, onDragStart, onDragOver, o
           {piece.grainDirection !== 'any' && (
             <span className="grain-badge">{grainLabel}</span>
           )}
+          {isShapedPart(piece) && (
+            <span className="shape-badge">{PART_SHAPES[normalizePartShape(piece.shape).type]}</span>
+          )}
+          {normalizeEdgeBanding(piece.edgeBanding) && (
+            <span className="banding-badge" title={normalizeEdgeBanding(piece.edgeBanding).material}>
+              Banded {describeEdgeBanding(piece.edgeBanding)}
+            </span>
+          )}
         </p>
       </div>
+      {isShapedPart(piece) && <ShapePreview shape={piece.shape} size={40} />}
       <div className="cut-piece-actions">
         <button onClick={() => onEdit(piece)} className="btn-edit">Edit</button>
         <button onClick={() => onDelete(piece.id)} className="btn-delete">Delete</button>
@@ -998,181 +1550,296 @@ function SheetCutPieceItem({ piece, onEdit, onDelete, onDragStart, onDragOver, o
   )
 }
 
-// Board List Item Component
-function BoardItem({ board, onEdit, onDelete, onDragStart, onDragOver, onDrop, onDragEnd, isDragging, isDragOver }) {
-  const qty = board.quantity || 1
-  const perPiece = board.boardFeetPerPiece || board.boardFeet
-
-  return (
-    <div
-      className={`board-item ${isDragging ? 'dragging' : ''} ${isDragOver ? 'drag-over' : ''}`}
-      draggable
-      onDragStart={(e) => onDragStart(e, board.id)}
-      onDragOver={(e) => onDragOver(e, board.id)}
-      onDrop={(e) => onDrop(e, board.id)}
-      onDragEnd={onDragEnd}
-    >
-      <div className="drag-handle">⋮⋮</div>
-      <div className="board-info">
-        <h4>{board.name}</h4>
-        <p className="board-dimensions">
-          {board.length}" × {board.width}" × {board.thickness}
-          {qty > 1 && <span className="board-quantity"> × {qty} pcs</span>}
-        </p>
-        {board.species && <p className="board-species">{board.species}</p>}
-        <p className="board-feet">
-          <strong>{board.boardFeet.toFixed(2)}</strong> board feet
-          {qty > 1 && <span className="per-piece"> ({perPiece.toFixed(2)} each)</span>}
-        </p>
-      </div>
-      <div className="board-actions">
-        <button onClick={() => onEdit(board)} className="btn-edit">Edit</button>
-        <button onClick={() => onDelete(board.id)} className="btn-delete">Delete</button>
-      </div>
-    </div>
-  )
-}
-
-// Cut Piece Form Component
-function CutPieceForm({ onSubmit, initialData, onCancel, availableThicknesses, availableSpecies }) {
+// Linear Stock Form Component - sticks where only length matters (2x4s, S4S, trim)
+// Keyed by the stick being edited, so it starts fresh instead of syncing from props
+function LinearStockForm({ onSubmit, initialData, onCancel }) {
   const [name, setName] = useState(initialData?.name || '')
-  const [length, setLength] = useState(initialData?.length || '')
-  const [width, setWidth] = useState(initialData?.width || '')
-  const [thickness, setThickness] = useState(initialData?.thickness || availableThicknesses[0] || '4/4')
-  const [species, setSpecies] = useState(initialData?.species || availableSpecies[0] || 'Walnut')
+  const [profile, setProfile] = useState(initialData?.profile || '2x4')
+  const [selectedLength, setSelectedLength] = useState(
+    initialData && !LINEAR_STOCK_LENGTHS.includes(initialData.length) ? 'custom' : String(initialData?.length || 96)
+  )
+  const [customLength, setCustomLength] = useState(initialData?.length || 96)
   const [quantity, setQuantity] = useState(initialData?.quantity || 1)
+  const [pricePerFoot, setPricePerFoot] = useState(initialData?.pricePerFoot || '')
   const [error, setError] = useState('')
 
-  const thicknessOptions = availableThicknesses.length > 0
-    ? availableThicknesses
-    : ['4/4', '5/4', '6/4', '8/4', '10/4', '12/4', '16/4']
-
-  const speciesOptions = availableSpecies.length > 0
-    ? availableSpecies
-    : SPECIES_OPTIONS
-
-  // Update form fields when initialData changes (for editing different pieces)
-  useEffect(() => {
-    if (initialData) {
-      setName(initialData.name || '')
-      setLength(initialData.length || '')
-      setWidth(initialData.width || '')
-      setThickness(initialData.thickness || availableThicknesses[0] || '4/4')
-      setSpecies(initialData.species || availableSpecies[0] || 'Walnut')
-      setQuantity(initialData.quantity || 1)
-    } else {
-      setName('')
-      setLength('')
-      setWidth('')
-      setThickness(availableThicknesses[0] || '4/4')
-      setSpecies(availableSpecies[0] || 'Walnut')
-      setQuantity(1)
-    }
-    setError('')
-  }, [initialData, availableThicknesses, availableSpecies])
+  const resetForm = () => {
+    setName('')
+    setProfile('2x4')
+    setSelectedLength('96')
+    setCustomLength(96)
+    setQuantity(1)
+    setPricePerFoot('')
+  }
 
   const handleSubmit = (e) => {
     e.preventDefault()
     setError('')
 
-    const lengthNum = parseFloat(length)
-    const widthNum = parseFloat(width)
+    const lengthNum = selectedLength === 'custom' ? parseFloat(customLength) : parseFloat(selectedLength)
     const quantityNum = parseInt(quantity)
+    const priceNum = pricePerFoot ? parseFloat(pricePerFoot) : null
+
+    if (!profile.trim()) {
+      setError('Please enter a profile')
+      return
+    }
 
     if (isNaN(lengthNum) || lengthNum <= 0) {
       setError('Please enter a valid length')
       return
     }
 
-    if (isNaN(widthNum) || widthNum <= 0) {
-      setError('Please enter a valid width')
+    if (isNaN(quantityNum) || quantityNum < 1) {
+      setError('Please enter a valid quantity')
+      return
+    }
+
+    onSubmit({
+      id: initialData?.id || Date.now(),
+      name: name || `${profile.trim()} × ${formatStockLength(lengthNum)}`,
+      profile: profile.trim(),
+      length: lengthNum,
+      quantity: quantityNum,
+      pricePerFoot: priceNum,
+      materialType: 'linear'
+    })
+
+    if (!initialData) resetForm()
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="board-form linear-stock-form">
+      <h3>{initialData ? 'Edit Stock' : 'Add Linear Stock'}</h3>
+
+      {error && <div className="error">{error}</div>}
+
+      <div className="form-group">
+        <label htmlFor="linearStockName">Name (optional)</label>
+        <input
+          id="linearStockName"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g., Studs from the rack"
+        />
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="linearStockProfile">Profile</label>
+          <input
+            id="linearStockProfile"
+            type="text"
+            list="linearProfileOptions"
+            value={profile}
+            onChange={(e) => setProfile(e.target.value)}
+            placeholder="e.g., 2x4, Casing"
+            required
+          />
+          <datalist id="linearProfileOptions">
+            {LINEAR_PROFILE_OPTIONS.map(opt => (
+              <option key={opt} value={opt} />
+            ))}
+          </datalist>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="linearStockLength">Length</label>
+          <select
+            id="linearStockLength"
+            value={selectedLength}
+            onChange={(e) => setSelectedLength(e.target.value)}
+          >
+            {LINEAR_STOCK_LENGTHS.map(len => (
+              <option key={len} value={String(len)}>{formatStockLength(len)}</option>
+            ))}
+            <option value="custom">Custom</option>
+          </select>
+        </div>
+
+        {selectedLength === 'custom' && (
+          <div className="form-group">
+            <label htmlFor="linearStockCustomLength">Length (in)</label>
+            <input
+              id="linearStockCustomLength"
+              type="number"
+              step="0.125"
+              value={customLength}
+              onChange={(e) => setCustomLength(e.target.value)}
+              required
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="linearStockQuantity">Quantity</label>
+          <input
+            id="linearStockQuantity"
+            type="number"
+            min="1"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="pricePerFoot">Price/Foot ($)</label>
+          <input
+            id="pricePerFoot"
+            type="number"
+            step="0.01"
+            min="0"
+            value={pricePerFoot}
+            onChange={(e) => setPricePerFoot(e.target.value)}
+            placeholder="Optional"
+          />
+        </div>
+      </div>
+
+      <div className="form-actions">
+        <button type="submit" className="btn-primary">
+          {initialData ? 'Update Stock' : 'Add Stock'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+// Linear Stock List Item Component
+function LinearStockItem({ stick, onEdit, onDelete }) {
+  const qty = stick.quantity || 1
+  const linearFeet = (stick.length / 12) * qty
+
+  return (
+    <div className="board-item linear-stock-item">
+      <div className="board-info">
+        <h4>{stick.name || `${stick.profile} × ${formatStockLength(stick.length)}`}</h4>
+        <p>
+          {stick.profile} • {formatStockLength(stick.length)} ({stick.length}")
+          {qty > 1 && ` (×${qty})`}
+        </p>
+        <p className="board-feet">
+          {linearFeet.toFixed(1)} LF total
+          {stick.pricePerFoot && ` • $${(stick.pricePerFoot * linearFeet).toFixed(2)}`}
+        </p>
+      </div>
+      <div className="board-actions">
+        <button onClick={() => onEdit(stick)} className="btn-edit">Edit</button>
+        <button onClick={() => onDelete(stick.id)} className="btn-delete">Delete</button>
+      </div>
+    </div>
+  )
+}
+
+// Linear Cut Piece Form Component
+function LinearCutPieceForm({ onSubmit, initialData, onCancel, availableProfiles }) {
+  const defaultProfile = availableProfiles?.[0] || '2x4'
+  const [name, setName] = useState(initialData?.name || '')
+  const [profile, setProfile] = useState(initialData?.profile || defaultProfile)
+  const [length, setLength] = useState(initialData?.length || '')
+  const [quantity, setQuantity] = useState(initialData?.quantity || 1)
+  const [error, setError] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setError('')
+
+    const lengthNum = parseFloat(length)
+    const quantityNum = parseInt(quantity)
+
+    if (!profile.trim()) {
+      setError('Please enter a profile')
+      return
+    }
+
+    if (isNaN(lengthNum) || lengthNum <= 0) {
+      setError('Please enter a valid length')
       return
     }
 
     if (isNaN(quantityNum) || quantityNum < 1) {
-      setError('Please enter a valid quantity (at least 1)')
+      setError('Please enter a valid quantity')
       return
     }
 
     onSubmit({
       id: initialData?.id || Date.now(),
-      name: name || `Cut Piece ${Date.now()}`,
+      name: name || `Part ${Date.now()}`,
+      profile: profile.trim(),
       length: lengthNum,
-      width: widthNum,
-      thickness,
-      species,
-      quantity: quantityNum
+      quantity: quantityNum,
+      materialType: 'linear'
     })
 
     if (!initialData) {
       setName('')
       setLength('')
-      setWidth('')
       setQuantity(1)
     }
   }
 
+  const profileOptions = [...new Set([...(availableProfiles || []), ...LINEAR_PROFILE_OPTIONS])]
+
   return (
-    <form onSubmit={handleSubmit} className="cut-piece-form">
-      <h3>{initialData ? 'Edit Cut Piece' : 'Add Cut Piece'}</h3>
+    <form onSubmit={handleSubmit} className="cut-piece-form linear-cut-piece-form">
+      <h3>{initialData ? 'Edit Part' : 'Add Part'}</h3>
 
       {error && <div className="error">{error}</div>}
 
       <div className="form-group">
-        <label htmlFor="cutName">Piece Name</label>
+        <label htmlFor="linearPieceName">Part Name</label>
         <input
-          id="cutName"
+          id="linearPieceName"
           type="text"
           value={name}
           onChange={(e) => setName(e.target.value)}
-          placeholder="e.g., Table Leg, Shelf"
+          placeholder="e.g., Stud, Door Casing Head"
+          required
         />
       </div>
 
       <div className="form-row">
         <div className="form-group">
-          <label htmlFor="cutLength">Length (inches)</label>
+          <label htmlFor="linearPieceProfile">Profile</label>
           <input
-            id="cutLength"
-            type="number"
-            step="0.125"
-            value={length}
-            onChange={(e) => setLength(e.target.value)}
-            placeholder="e.g., 30"
+            id="linearPieceProfile"
+            type="text"
+            list="linearPieceProfileOptions"
+            value={profile}
+            onChange={(e) => setProfile(e.target.value)}
             required
           />
+          <datalist id="linearPieceProfileOptions">
+            {profileOptions.map(opt => (
+              <option key={opt} value={opt} />
+            ))}
+          </datalist>
         </div>
 
         <div className="form-group">
-          <label htmlFor="cutWidth">Width (inches)</label>
+          <label htmlFor="linearPieceLength">Length (in)</label>
           <input
-            id="cutWidth"
+            id="linearPieceLength"
             type="number"
-            step="0.125"
-            value={width}
-            onChange={(e) => setWidth(e.target.value)}
-            placeholder="e.g., 3"
+            step="0.0625"
+            value={length}
+            onChange={(e) => setLength(e.target.value)}
+            placeholder="e.g., 92.625"
             required
           />
         </div>
 
         <div className="form-group">
-          <label htmlFor="cutThickness">Thickness</label>
-          <select
-            id="cutThickness"
-            value={thickness}
-            onChange={(e) => setThickness(e.target.value)}
-          >
-            {thicknessOptions.map(opt => (
-              <option key={opt} value={opt}>{opt} ({parseThickness(opt)}")</option>
-            ))}
-          </select>
-        </div>
-
-        <div className="form-group">
-          <label htmlFor="cutQuantity">Quantity</label>
+          <label htmlFor="linearPieceQty">Quantity</label>
           <input
-            id="cutQuantity"
+            id="linearPieceQty"
             type="number"
             min="1"
             value={quantity}
@@ -1180,24 +1847,11 @@ function CutPieceForm({ onSubmit, initialData, onCancel, availableThicknesses, a
             required
           />
         </div>
-
-        <div className="form-group">
-          <label htmlFor="cutSpecies">Species</label>
-          <select
-            id="cutSpecies"
-            value={species}
-            onChange={(e) => setSpecies(e.target.value)}
-          >
-            {speciesOptions.map(opt => (
-              <option key={opt} value={opt}>{opt}</option>
-            ))}
-          </select>
-        </div>
       </div>
 
       <div className="form-actions">
         <button type="submit" className="btn-primary">
-          {initialData ? 'Update Piece' : 'Add Piece'}
+          {initialData ? 'Update Part' : 'Add Part'}
         </button>
         {onCancel && (
           <button type="button" onClick={onCancel} className="btn-secondary">
@@ -1209,27 +1863,17 @@ function CutPieceForm({ onSubmit, initialData, onCancel, availableThicknesses, a
   )
 }
 
-// Cut Piece Item Component
-function CutPieceItem({ piece, onEdit, onDelete, onDragStart, onDragOver, onDrop, onDragEnd, isDragging, isDragOver }) {
-  const qty = piece.quantity || 1
-
+// Linear Cut Piece Item Component
+function LinearCutPieceItem({ piece, onEdit, onDelete }) {
   return (
-    <div
-      className={`cut-piece-item ${isDragging ? 'dragging' : ''} ${isDragOver ? 'drag-over' : ''}`}
-      draggable
-      onDragStart={(e) => onDragStart(e, piece.id)}
-      onDragOver={(e) => onDragOver(e, piece.id)}
-      onDrop={(e) => onDrop(e, piece.id)}
-      onDragEnd={onDragEnd}
-    >
-      <div className="drag-handle">⋮⋮</div>
+    <div className="cut-piece-item linear-cut-item">
       <div className="cut-piece-info">
         <h4>{piece.name}</h4>
-        <p className="cut-piece-dimensions">
-          {piece.length}" × {piece.width}" × {piece.thickness}
-          {qty > 1 && <span className="cut-piece-quantity"> × {qty} pcs</span>}
+        <p>
+          {piece.length}"
+          {piece.quantity > 1 && ` (×${piece.quantity})`}
         </p>
-        {piece.species && <p className="cut-piece-species">{piece.species}</p>}
+        <p className="piece-details">{piece.profile}</p>
       </div>
       <div className="cut-piece-actions">
         <button onClick={() => onEdit(piece)} className="btn-edit">Edit</button>
@@ -1239,363 +1883,144 @@ function CutPieceItem({ piece, onEdit, onDelete, onDragStart, onDragOver, onDrop
   )
 }
 
-// Get unique species from cut pieces
-function getCutPieceSpecies(pieces) {
-  const species = new Set(pieces.map(p => p.species).filter(Boolean))
-  return Array.from(species)
-}
-
-// Stock Calculator Component - calculates how many boards needed
-function StockCalculator({ cutPieces, onApplyStock, projectQuantity = 1 }) {
-  // Current selection state for adding a board type
-  const [currentThickness, setCurrentThickness] = useState('4/4')
-  const [currentSpecies, setCurrentSpecies] = useState('')
-  const [currentSize, setCurrentSize] = useState(null) // null = not selected, or template id
-  const [useCustomSize, setUseCustomSize] = useState(false)
-  const [customLength, setCustomLength] = useState(96)
-  const [customWidth, setCustomWidth] = useState(6)
-
-  // List of board types to consider
-  const [boardTypes, setBoardTypes] = useState([])
-
-  // Track recently added for visual feedback
-  const [justAddedId, setJustAddedId] = useState(null)
-
-  // Calculation results
+// Linear Stock Calculator Component - works out which sticks to buy by the linear foot
+function LinearStockCalculator({ cutPieces, onApplyStock, projectQuantity = 1, sawProfile, optimizerOptions }) {
+  const profiles = [...new Set(cutPieces.map(p => p.profile))]
+  // Per profile: the lengths the yard sells and the price per linear foot
+  const [offers, setOffers] = useState({})
   const [result, setResult] = useState(null)
   const [calculating, setCalculating] = useState(false)
 
-  // Get unique thicknesses and species from cut pieces
-  const cutPieceThicknesses = getCutPieceThicknesses(cutPieces)
-  const cutPieceSpeciesList = getCutPieceSpecies(cutPieces)
+  const getOffer = (profile) => offers[profile] || { lengths: [...LINEAR_STOCK_LENGTHS], pricePerFoot: '' }
 
-  // Auto-set initial values from cut pieces
-  useEffect(() => {
-    if (cutPieceThicknesses.length > 0 && !currentThickness) {
-      setCurrentThickness(cutPieceThicknesses[0])
-    }
-    if (cutPieceSpeciesList.length > 0 && !currentSpecies) {
-      setCurrentSpecies(cutPieceSpeciesList[0])
-    }
-  }, [cutPieceThicknesses, cutPieceSpeciesList])
+  const updateOffer = (profile, changes) => {
+    setOffers({ ...offers, [profile]: { ...getOffer(profile), ...changes } })
+    setResult(null)
+  }
 
-  // Check what thickness/species combinations are needed but not yet added
-  const getMissingCombinations = () => {
-    const needed = new Set()
-    cutPieces.forEach(p => {
-      const key = `${p.thickness}|${p.species || ''}`
-      needed.add(key)
+  const toggleLength = (profile, length) => {
+    const lengths = getOffer(profile).lengths
+    updateOffer(profile, {
+      lengths: lengths.includes(length) ? lengths.filter(l => l !== length) : [...lengths, length]
     })
+  }
 
-    const added = new Set()
-    boardTypes.forEach(bt => {
-      const key = `${bt.thickness}|${bt.species || ''}`
-      added.add(key)
+  const handleCalculate = async () => {
+    const templates = profiles.flatMap(profile => {
+      const offer = getOffer(profile)
+      const pricePerFoot = offer.pricePerFoot ? parseFloat(offer.pricePerFoot) : null
+      return offer.lengths.map(length => ({ profile, length, pricePerFoot }))
     })
+    if (templates.length === 0) return
 
-    const missing = []
-    needed.forEach(key => {
-      if (!added.has(key)) {
-        const [thickness, species] = key.split('|')
-        missing.push({ thickness, species: species || null })
-      }
-    })
-    return missing
+    setCalculating(true)
+    try {
+      const calcResult = await runOptimizerTask('calculateLinearStockNeeded', [cutPieces, templates, sawProfile, optimizerOptions]).promise
+      if (calcResult) setResult(calcResult)
+    } catch (error) {
+      console.error('Error calculating linear stock:', error)
+    } finally {
+      setCalculating(false)
+    }
   }
 
-  const missingCombinations = getMissingCombinations()
+  const totalCost = result ? result.shoppingList.reduce((sum, line) => sum + line.cost, 0) : 0
 
-  const handleAddBoardType = () => {
-    if (!currentThickness) return
+  return (
+    <div className="stock-calculator linear-stock-calculator">
+      <h3>Calculate Stock Needed</h3>
+      {projectQuantity > 1 && (
+        <div className="project-quantity-notice">
+          Calculating for <strong>{projectQuantity} items</strong> (quantities multiplied)
+        </div>
+      )}
+      <p className="stock-calculator-intro">
+        Pick the lengths your yard sells for each profile. The calculator works out how many sticks of each length to buy.
+      </p>
 
-    let newBoardType
-    if (useCustomSize) {
-      if (!customLength || !customWidth) return
-      const thicknessInches = parseThickness(currentThickness) || 1
-      const bf = (customLength * customWidth * thicknessInches) / 144
-      newBoardType = {
-        id: Date.now(),
-        name: `${customLength}" × ${customWidth}"`,
-        length: customLength,
-        width: customWidth,
-        thickness: currentThickness,
-        species: currentSpecies || null,
-        boardFeet: bf,
-        isCustom: true
-      }
-    } else {
-      if (!currentSize) return
-      const template = STOCK_TEMPLATES.find(t => t.id === currentSize)
-      if (!template) return
-      const thicknessInches = parseThickness(currentThickness) || 1
-      const bf = (template.length * template.width * thicknessInches) / 144
-      newBoardType = {
-        id: Date.now(),
-        name: template.name,
-        length: template.length,
-        width: template.width,
-        thickness: currentThickness,
-        species: currentSpecies || null,
-        boardFeet: bf,
-        isCustom: false
-      }
-    }
-
-    setBoardTypes([...boardTypes, newBoardType])
-    setResult(null) // Clear previous results
-
-    // Show "just added" feedback
-    setJustAddedId(newBoardType.id)
-    setTimeout(() => setJustAddedId(null), 2000)
-
-    // Reset size selection for next add
-    setCurrentSize(null)
-    setUseCustomSize(false)
-  }
-
-  const handleRemoveBoardType = (id) => {
-    setBoardTypes(boardTypes.filter(bt => bt.id !== id))
-    setResult(null)
-  }
-
-  const handleCalculate = () => {
-    if (boardTypes.length === 0) return
-
-    setCalculating(true)
-
-    // Convert board types to templates
-    const templates = boardTypes.map(bt => ({
-      name: `${bt.name} (${bt.thickness}${bt.species ? ` - ${bt.species}` : ''})`,
-      length: bt.length,
-      width: bt.width,
-      thickness: bt.thickness,
-      species: bt.species
-    }))
-
-    setTimeout(() => {
-      const calcResult = calculateStockNeeded(cutPieces, templates)
-      setResult(calcResult)
-      setCalculating(false)
-    }, 100)
-  }
-
-  const handleApply = () => {
-    if (result && result.boards.length > 0) {
-      onApplyStock(result.boards, result.cutPlan)
-    }
-  }
-
-  // Calculate total BF for display
-  const calculateTotalBF = () => {
-    if (!result) return 0
-    return result.boards.reduce((sum, board) => sum + board.boardFeet, 0)
-  }
-
-  // Calculate BF for current selection preview
-  const currentThicknessInches = parseThickness(currentThickness) || 1
-
-  return (
-    <div className="stock-calculator">
-      <h3>Calculate Stock Needed</h3>
-      {projectQuantity > 1 && (
-        <div className="project-quantity-notice">
-          Calculating for <strong>{projectQuantity} items</strong> (quantities multiplied)
-        </div>
-      )}
-      <p className="stock-calculator-intro">
-        Add board types you can purchase. The calculator will determine how many of each you need.
-      </p>
-
-      {/* Board Type Builder */}
-      <div className="board-type-builder">
-        <div className="builder-header">
-          {boardTypes.length === 0 ? (
-            <span className="builder-title">Add a Board Type</span>
-          ) : (
-            <span className="builder-title">Add Another Board Type</span>
-          )}
-        </div>
-
-        <div className="builder-step">
-          <label className="builder-label">1. Thickness</label>
-          <div className="thickness-options">
-            {THICKNESS_OPTIONS.map(opt => (
-              <button
-                key={opt}
-                className={`thickness-btn ${currentThickness === opt ? 'active' : ''}`}
-                onClick={() => setCurrentThickness(opt)}
-              >
-                {opt}
-              </button>
-            ))}
-          </div>
-        </div>
-
-        {cutPieceSpeciesList.length > 0 && (
-          <div className="builder-step">
-            <label className="builder-label">2. Species</label>
-            <div className="species-options">
-              {cutPieceSpeciesList.map(species => (
+      {profiles.map(profile => {
+        const offer = getOffer(profile)
+        return (
+          <div key={profile} className="builder-step linear-offer">
+            <label className="builder-label">{profile}</label>
+            <div className="thickness-options">
+              {LINEAR_STOCK_LENGTHS.map(length => (
                 <button
-                  key={species}
-                  className={`species-btn ${currentSpecies === species ? 'active' : ''}`}
-                  onClick={() => setCurrentSpecies(species)}
+                  key={length}
+                  type="button"
+                  className={`thickness-btn ${offer.lengths.includes(length) ? 'active' : ''}`}
+                  onClick={() => toggleLength(profile, length)}
                 >
-                  {species}
+                  {formatStockLength(length)}
                 </button>
               ))}
             </div>
-          </div>
-        )}
-
-        <div className="builder-step">
-          <label className="builder-label">{cutPieceSpeciesList.length > 0 ? '3' : '2'}. Size</label>
-          <div className="size-toggle">
-            <button
-              className={`toggle-btn ${!useCustomSize ? 'active' : ''}`}
-              onClick={() => setUseCustomSize(false)}
-            >
-              Standard
-            </button>
-            <button
-              className={`toggle-btn ${useCustomSize ? 'active' : ''}`}
-              onClick={() => setUseCustomSize(true)}
-            >
-              Custom
-            </button>
-          </div>
-
-          {!useCustomSize ? (
-            <div className="size-options">
-              {STOCK_TEMPLATES.map(tmpl => {
-                const bf = (tmpl.length * tmpl.width * currentThicknessInches) / 144
-                return (
-                  <button
-                    key={tmpl.id}
-                    className={`size-btn ${currentSize === tmpl.id ? 'active' : ''}`}
-                    onClick={() => setCurrentSize(tmpl.id)}
-                  >
-                    <span className="size-name">{tmpl.name}</span>
-                    <span className="size-bf">{bf.toFixed(2)} BF</span>
-                  </button>
-                )
-              })}
-            </div>
-          ) : (
-            <div className="custom-size-inputs">
-              <div className="form-group">
-                <label>Length (in)</label>
-                <input
-                  type="number"
-                  value={customLength}
-                  onChange={(e) => setCustomLength(parseFloat(e.target.value) || 0)}
-                  step="1"
-                />
-              </div>
-              <div className="form-group">
-                <label>Width (in)</label>
-                <input
-                  type="number"
-                  value={customWidth}
-                  onChange={(e) => setCustomWidth(parseFloat(e.target.value) || 0)}
-                  step="0.5"
-                />
-              </div>
+            <div className="form-group">
+              <label htmlFor={`linearOfferPrice-${profile}`}>Price/Foot ($)</label>
+              <input
+                id={`linearOfferPrice-${profile}`}
+                type="number"
+                step="0.01"
+                min="0"
+                value={offer.pricePerFoot}
+                onChange={(e) => updateOffer(profile, { pricePerFoot: e.target.value })}
+                placeholder="Optional"
+              />
             </div>
-          )}
-        </div>
-
-        <button
-          onClick={handleAddBoardType}
-          className="btn-add-board-type"
-          disabled={!currentThickness || (!useCustomSize && !currentSize) || (useCustomSize && (!customLength || !customWidth))}
-        >
-          + Add Board Type
-        </button>
-      </div>
-
-      {/* Added Board Types List */}
-      {boardTypes.length > 0 && (
-        <div className="board-types-list">
-          <div className="board-types-header">
-            <h4>Board Types Added ({boardTypes.length})</h4>
           </div>
-          {boardTypes.map(bt => (
-            <div key={bt.id} className={`board-type-item ${justAddedId === bt.id ? 'just-added' : ''}`}>
-              <div className="board-type-info">
-                <span className="board-type-name">{bt.name}</span>
-                <span className="board-type-details">
-                  {bt.thickness}{bt.species ? ` • ${bt.species}` : ''} • {bt.boardFeet.toFixed(2)} BF
-                </span>
-              </div>
-              <button
-                onClick={() => handleRemoveBoardType(bt.id)}
-                className="btn-remove"
-              >
-                ×
-              </button>
-            </div>
-          ))}
-
-          {/* Warning for missing combinations */}
-          {missingCombinations.length > 0 && (
-            <div className="warning" style={{ marginTop: '0.75rem', marginBottom: '0.75rem' }}>
-              Still need: {missingCombinations.map(m =>
-                `${m.thickness}${m.species ? ` ${m.species}` : ''}`
-              ).join(', ')}
-            </div>
-          )}
+        )
+      })}
 
-          <button
-            onClick={handleCalculate}
-            className="btn-primary btn-calculate"
-            disabled={calculating}
-          >
-            {calculating ? 'Calculating...' : 'Calculate Stock Needed'}
-          </button>
-        </div>
-      )}
+      <button
+        onClick={handleCalculate}
+        className="btn-primary btn-calculate"
+        disabled={calculating || profiles.every(profile => getOffer(profile).lengths.length === 0)}
+      >
+        {calculating ? 'Calculating...' : 'Calculate Stock Needed'}
+      </button>
 
-      {/* Results */}
       {result && (
         <div className="stock-result">
           <div className="stock-result-header">
             <h4>Shopping List</h4>
           </div>
 
-          {/* Board breakdown by type */}
-          {result.boardsByTemplate && result.boardsByTemplate.length > 0 && (
-            <div className="stock-breakdown">
-              {result.boardsByTemplate.map((item, idx) => (
-                <div key={idx} className="breakdown-item">
-                  <span className="breakdown-count">{item.count}×</span>
-                  <span className="breakdown-desc">
-                    {item.template.name || `${item.template.length}" × ${item.template.width}"`}
-                    <span className="breakdown-thickness"> ({item.template.thickness}
-                      {item.template.species && ` • ${item.template.species}`})
-                    </span>
+          <div className="stock-breakdown">
+            {result.shoppingList.map(line => (
+              <div key={`${line.profile}-${line.length}`} className="breakdown-item">
+                <span className="breakdown-count">{line.quantity}×</span>
+                <span className="breakdown-desc">
+                  {line.profile} × {formatStockLength(line.length)}
+                  <span className="breakdown-thickness">
+                    {' '}({line.linearFeet.toFixed(1)} LF{line.cost > 0 && ` • $${line.cost.toFixed(2)}`})
                   </span>
-                </div>
-              ))}
-            </div>
-          )}
+                </span>
+              </div>
+            ))}
+          </div>
 
           <div className="stock-result-stats">
             <div className="result-stat">
-              <span className="result-value">{result.boardsNeeded}</span>
-              <span className="result-label">Total Boards</span>
+              <span className="result-value">{result.cutPlan.sticksUsed}</span>
+              <span className="result-label">Total Sticks</span>
             </div>
             <div className="result-stat">
-              <span className="result-value">{calculateTotalBF().toFixed(1)}</span>
-              <span className="result-label">Total Board Feet</span>
+              <span className="result-value">{(result.cutPlan.totalStockLength / 12).toFixed(1)}</span>
+              <span className="result-label">Linear Feet</span>
             </div>
             <div className="result-stat">
-              <span className="result-value">{result.cutPlan?.efficiency.toFixed(0) || 0}%</span>
+              <span className="result-value">{result.cutPlan.efficiency.toFixed(0)}%</span>
               <span className="result-label">Efficiency</span>
             </div>
-          </div>
+            {totalCost > 0 && (
+              <div className="result-stat">
+                <span className="result-value">${totalCost.toFixed(2)}</span>
+                <span className="result-label">Est. Cost</span>
+              </div>
+            )}
+          </div>
 
-          {result.cutPlan?.warnings?.length > 0 && (
+          {result.cutPlan.warnings.length > 0 && (
             <div className="stock-result-warnings">
               {result.cutPlan.warnings.map((w, i) => (
                 <div key={i} className="warning">{w}</div>
@@ -1604,10 +2029,11 @@ function StockCalculator({ cutPieces, onApplyStock, projectQuantity = 1 }) {
           )}
 
           <button
-            onClick={handleApply}
+            onClick={() => onApplyStock(result.stock, result.cutPlan)}
             className="btn-primary btn-large"
+            disabled={result.stock.length === 0}
           >
-            Use These Boards & Generate Cut Plan
+            Use These Sticks & Generate Cut Plan
           </button>
         </div>
       )}
@@ -1615,271 +2041,341 @@ function StockCalculator({ cutPieces, onApplyStock, projectQuantity = 1 }) {
   )
 }
 
-// Cut Plan Board Visualization
-function CutPlanBoard({ assignment, scale }) {
-  const boardWidth = assignment.width * scale
-  const boardLength = assignment.length * scale
-
-  // Fallback colors for pieces without species
-  const fallbackColors = [
-    '#E06829', '#324168', '#AFCFE4', '#8B5A2B', '#6B8E23',
-    '#CD853F', '#4682B4', '#D2691E', '#708090', '#BC8F8F'
-  ]
-
-  // Get color for a cut piece - use species color if available, otherwise fallback
-  const getCutColor = (cut, idx) => {
-    if (cut.species && SPECIES_COLORS[cut.species]) {
-      return getSpeciesColor(cut.species)
-    }
-    return fallbackColors[idx % fallbackColors.length]
-  }
+// One stick in a linear cut plan, drawn as a bar with its parts, end trims and offcut
+function LinearStickBar({ assignment, scale, endTrim }) {
+  const barHeight = 28
+  const stickWidth = assignment.length * scale
+  const lastCut = assignment.cuts[assignment.cuts.length - 1]
+  const offcutStart = lastCut ? lastCut.x + lastCut.length : endTrim
+  const colors = ['#E06829', '#324168', '#AFCFE4', '#8B5A2B', '#6B8E23', '#CD853F', '#4682B4', '#D2691E']
 
   return (
-    <div className="cut-plan-board">
+    <div className="cut-plan-board linear-stick">
       <div className="cut-plan-board-label">
-        {assignment.stockBoardName}
-        {assignment.stockBoardIndex > 0 && ` (#${assignment.stockBoardIndex + 1})`}
+        {assignment.stockName}
+        {assignment.stockIndex > 0 && ` (#${assignment.stockIndex + 1})`}
         <span className="cut-plan-board-dims">
-          {assignment.length}" × {assignment.width}" × {assignment.thickness}
+          {assignment.profile} × {formatStockLength(assignment.length)}
         </span>
-        {assignment.species && (
-          <span className="cut-plan-board-species">
-            <span
-              className="species-color-dot"
-              style={{ backgroundColor: getSpeciesColor(assignment.species) }}
-            />
-            {assignment.species}
-          </span>
+        {assignment.offcutLength > 0 && (
+          <span className="cut-plan-board-tag">{formatInches(assignment.offcutLength)} offcut</span>
         )}
       </div>
-      <svg
-        width={boardLength + 2}
-        height={boardWidth + 2}
-        className="cut-plan-svg"
-      >
-        {/* Board background */}
-        <rect
-          x={1}
-          y={1}
-          width={boardLength}
-          height={boardWidth}
-          fill="#F5F1E8"
-          stroke="#2C2C2C"
-          strokeWidth={1}
-        />
+      <svg width={stickWidth + 2} height={barHeight + 2} className="cut-plan-svg">
+        {/* Stick background */}
+        <rect x={1} y={1} width={stickWidth} height={barHeight} fill="#F5F1E8" stroke="#2C2C2C" strokeWidth={1} />
+
+        {/* End trims */}
+        {endTrim > 0 && [0, assignment.length - endTrim].map(x => (
+          <rect key={x} x={1 + x * scale} y={1} width={endTrim * scale} height={barHeight} fill="#999" opacity={0.6}>
+            <title>End trim: {formatInches(endTrim)}</title>
+          </rect>
+        ))}
 
-        {/* Cut pieces */}
+        {/* Offcut */}
+        {assignment.offcutLength > 0 && (
+          <rect
+            x={1 + offcutStart * scale}
+            y={1}
+            width={(assignment.length - endTrim - offcutStart) * scale}
+            height={barHeight}
+            fill="none"
+            stroke="#999"
+            strokeDasharray="4 3"
+          >
+            <title>Offcut: {formatInches(assignment.offcutLength)}</title>
+          </rect>
+        )}
+
+        {/* Parts */}
         {assignment.cuts.map((cut, idx) => {
-          const cutColor = getCutColor(cut, idx)
-          const textColor = getContrastColor(cutColor)
+          const cutColor = colors[idx % colors.length]
           return (
             <g key={idx}>
               <rect
                 x={1 + cut.x * scale}
-                y={1 + cut.y * scale}
+                y={1}
                 width={cut.length * scale}
-                height={cut.width * scale}
+                height={barHeight}
                 fill={cutColor}
                 stroke="#0A112A"
                 strokeWidth={1}
                 opacity={0.9}
-              />
-              <text
-                x={1 + cut.x * scale + (cut.length * scale) / 2}
-                y={1 + cut.y * scale + (cut.width * scale) / 2}
-                textAnchor="middle"
-                dominantBaseline="middle"
-                fill={textColor}
-                fontSize={Math.min(12, Math.min(cut.length, cut.width) * scale * 0.4)}
-                fontWeight="500"
               >
-                {cut.cutPieceName}
-                {cut.cutPieceIndex > 0 && ` #${cut.cutPieceIndex + 1}`}
-              </text>
+                <title>{cut.cutPieceName}: {cut.length}"</title>
+              </rect>
+              {cut.length * scale > 40 && (
+                <text
+                  x={1 + (cut.x + cut.length / 2) * scale}
+                  y={1 + barHeight / 2}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fill={getContrastColor(cutColor)}
+                  fontSize={11}
+                  fontWeight="500"
+                >
+                  {cut.length * scale > 110 ? `${cut.cutPieceName} ${cut.length}"` : `${cut.length}"`}
+                </text>
+              )}
             </g>
           )
         })}
       </svg>
+    </div>
+  )
+}
 
-      {/* Cut dimensions list */}
-      <div className="cut-dimensions-list">
-        <table className="cut-dimensions-table">
+// Linear Cut Plan Display Component
+function LinearCutPlanDisplay({ cutPlan, onRegenerate, isRegenerating }) {
+  const longest = Math.max(...cutPlan.assignments.map(a => a.length), 1)
+  const scale = Math.min(6, 720 / longest) // pixels per inch
+  const shoppingList = summarizeLinearShoppingList(cutPlan)
+  const wasteFeet = cutPlan.wasteLength / 12
+
+  return (
+    <div className="cut-plan-display linear-cut-plan">
+      <div className="cut-plan-header">
+        <h3>Cut Plan</h3>
+        <div className="cut-plan-header-actions">
+          <button
+            onClick={onRegenerate}
+            className={`btn-secondary ${isRegenerating ? 'btn-loading' : ''}`}
+            disabled={isRegenerating}
+          >
+            {isRegenerating ? 'Regenerating...' : 'Regenerate Plan'}
+          </button>
+        </div>
+      </div>
+
+      <div className="cut-plan-stats">
+        <div className={`cut-plan-stat ${cutPlan.efficiency >= 80 ? 'stat-good' : cutPlan.efficiency >= 60 ? 'stat-moderate' : 'stat-poor'}`}>
+          <span className="stat-value">{cutPlan.efficiency.toFixed(1)}%</span>
+          <span className="stat-label">Efficiency</span>
+        </div>
+        <div className="cut-plan-stat">
+          <span className="stat-value">{wasteFeet.toFixed(1)}</span>
+          <span className="stat-label">Waste (LF)</span>
+        </div>
+        <div className="cut-plan-stat">
+          <span className="stat-value">{cutPlan.sticksUsed}</span>
+          <span className="stat-label">Sticks Used</span>
+        </div>
+        {cutPlan.cost > 0 && (
+          <div className="cut-plan-stat stat-highlight">
+            <span className="stat-value">${cutPlan.cost.toFixed(2)}</span>
+            <span className="stat-label">Est. Cost</span>
+          </div>
+        )}
+      </div>
+
+      {cutPlan.profiles.length > 1 && (
+        <table className="cut-plan-groups">
           <thead>
             <tr>
-              <th>Piece</th>
-              <th>Rip Width</th>
-              <th>Crosscut Length</th>
+              <th>Profile</th>
+              <th>Sticks</th>
+              <th>Stock (LF)</th>
+              <th>Parts (LF)</th>
+              <th>Waste (LF)</th>
+              <th>Efficiency</th>
             </tr>
           </thead>
           <tbody>
-            {assignment.cuts.map((cut, idx) => (
-              <tr key={idx}>
-                <td>
-                  <span
-                    className="cut-color-indicator"
-                    style={{ backgroundColor: getCutColor(cut, idx) }}
-                  ></span>
-                  {cut.cutPieceName}
-                  {cut.cutPieceIndex > 0 && ` #${cut.cutPieceIndex + 1}`}
-                </td>
-                <td>{cut.width}"</td>
-                <td>{cut.length}"</td>
+            {cutPlan.profiles.map(group => (
+              <tr key={group.profile}>
+                <td>{group.profile}</td>
+                <td>{group.sticksUsed}</td>
+                <td>{(group.stockLength / 12).toFixed(1)}</td>
+                <td>{(group.cutLength / 12).toFixed(1)}</td>
+                <td>{(group.wasteLength / 12).toFixed(1)}</td>
+                <td>{group.efficiency.toFixed(1)}%</td>
               </tr>
             ))}
           </tbody>
         </table>
-      </div>
-    </div>
-  )
-}
-
-// Cut Plan Display Component
-function CutPlanDisplay({ cutPlan, boards, onRegenerate, isRegenerating, workflowType, materialType }) {
-  const isSheet = materialType === 'sheet'
-  // State for custom price overrides (keyed by item index)
-  const [customPrices, setCustomPrices] = useState({})
-
-  if (!cutPlan) return null
-
-  const scale = 3 // pixels per inch
-
-  // For "known" workflow, only price boards that were actually used
-  const isKnownWorkflow = workflowType === 'known'
-
-  // Get count of how many instances of each board were used
-  const getUsedBoardCounts = () => {
-    if (!cutPlan.assignments) return {}
-    const usedCounts = {}
-    cutPlan.assignments.forEach(assignment => {
-      // The assignment contains stockBoardId which is the original board ID
-      if (assignment.stockBoardId) {
-        usedCounts[assignment.stockBoardId] = (usedCounts[assignment.stockBoardId] || 0) + 1
-      }
-    })
-    return usedCounts
-  }
-
-  // Calculate pricing from boards
-  const calculatePricing = () => {
-    if (!boards || boards.length === 0) return null
-
-    const usedBoardCounts = isKnownWorkflow ? getUsedBoardCounts() : null
-
-    // Group boards by species + thickness + dimensions
-    const grouped = {}
-    let totalBoardCount = 0
-    let usedBoardCount = 0
-
-    boards.forEach(board => {
-      const qty = board.quantity || 1
-      totalBoardCount += qty
-
-      // For known workflow, only count boards that were used
-      let qtyToPrice = qty
-      if (isKnownWorkflow && usedBoardCounts) {
-        qtyToPrice = usedBoardCounts[board.id] || 0
-        if (qtyToPrice === 0) return // Skip if none used
-      }
+      )}
 
-      usedBoardCount += qtyToPrice
+      <p className="cut-plan-saw-profile">
+        <strong>Kerf:</strong> {formatInches(cutPlan.kerf)} • <strong>End trim:</strong> {formatInches(cutPlan.endTrim)} each end
+      </p>
 
-      // Calculate board feet per piece (before quantity)
-      const bfPerPiece = board.boardFeet / qty
+      {cutPlan.warnings.length > 0 && (
+        <div className="cut-plan-warnings">
+          {cutPlan.warnings.map((warning, idx) => (
+            <div key={idx} className="warning">{warning}</div>
+          ))}
+        </div>
+      )}
 
-      const key = `${board.thickness}|${board.species || ''}|${board.length}|${board.width}`
-      if (!grouped[key]) {
-        grouped[key] = {
-          key,
-          thickness: board.thickness,
-          species: board.species,
-          length: board.length,
-          width: board.width,
-          count: 0,
-          totalBF: 0
-        }
-      }
-      grouped[key].count += qtyToPrice
-      grouped[key].totalBF += bfPerPiece * qtyToPrice
-    })
+      <div className="cut-plan-boards">
+        {cutPlan.assignments.map(assignment => (
+          <LinearStickBar
+            key={assignment.uniqueId}
+            assignment={assignment}
+            scale={scale}
+            endTrim={cutPlan.endTrim}
+          />
+        ))}
+      </div>
 
-    const items = []
-    let totalCost = 0
-    let hasUnpricedItems = false
-
-    Object.values(grouped).forEach((group, idx) => {
-      const defaultPrice = getPricePerBF(group.species || '', group.thickness)
-      // Use custom price if set, otherwise use default
-      const pricePerBF = customPrices[group.key] !== undefined
-        ? customPrices[group.key]
-        : defaultPrice
-
-      if (pricePerBF !== null && pricePerBF !== '') {
-        const cost = group.totalBF * parseFloat(pricePerBF)
-        totalCost += cost
-        items.push({ ...group, pricePerBF: parseFloat(pricePerBF), defaultPrice, cost, isCustom: customPrices[group.key] !== undefined })
-      } else {
-        hasUnpricedItems = true
-        items.push({ ...group, pricePerBF: null, defaultPrice, cost: null, isCustom: false })
-      }
-    })
+      {cutPlan.assignments.length === 0 && cutPlan.warnings.length === 0 && (
+        <p className="cut-plan-empty">No cuts to display. Add parts and generate a plan.</p>
+      )}
 
-    return {
-      items,
-      totalCost,
-      hasUnpricedItems,
-      isUsedOnly: isKnownWorkflow,
-      boardsUsed: cutPlan.boardsUsed,
-      totalBoards: cutPlan.totalStockBoards
-    }
-  }
+      {shoppingList.length > 0 && (
+        <div className="cut-plan-pricing">
+          <h4>Shopping List</h4>
+          <table className="pricing-table">
+            <thead>
+              <tr>
+                <th>Qty</th>
+                <th>Stick</th>
+                <th>LF</th>
+                <th>$/LF</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shoppingList.map(line => (
+                <tr key={`${line.profile}-${line.length}`}>
+                  <td className="qty-col">{line.quantity}×</td>
+                  <td className="desc-col">{line.profile} × {formatStockLength(line.length)}</td>
+                  <td className="bf-col">{line.linearFeet.toFixed(1)}</td>
+                  <td className="price-col">{line.pricePerFoot ? `$${line.pricePerFoot.toFixed(2)}` : '—'}</td>
+                  <td className="cost-col">{line.cost > 0 ? `$${line.cost.toFixed(2)}` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+            {cutPlan.cost > 0 && (
+              <tfoot>
+                <tr className="total-row">
+                  <td colSpan="4" className="total-label">Estimated Total:</td>
+                  <td className="total-cost">${cutPlan.cost.toFixed(2)}</td>
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
 
-  const handlePriceChange = (key, value) => {
-    if (value === '' || value === null) {
-      // Remove custom price, revert to default
-      const newPrices = { ...customPrices }
-      delete newPrices[key]
-      setCustomPrices(newPrices)
-    } else {
-      setCustomPrices({ ...customPrices, [key]: parseFloat(value) || 0 })
+// Sheet Goods Cut Plan Display Component
+function SheetCutPlanDisplay({ cutPlan, onRegenerate, isRegenerating, strategy, onStrategyChange }) {
+  const [showCutSequence, setShowCutSequence] = useState(false)
+  const scale = 3 // pixels per inch
+  const selectedStrategy = SHEET_STRATEGIES[strategy] ? strategy : DEFAULT_SHEET_STRATEGY
+  // CNC layouts aren't cut with through cuts, so there are no saw steps to show
+  const hasSawSteps = cutPlan.strategy !== 'cnc'
+
+  // Sheets bought, one line per sheet stock
+  const sheetLines = []
+  cutPlan.assignments.forEach(a => {
+    let line = sheetLines.find(l => l.sheetId === a.sheetId)
+    if (!line) {
+      line = { sheetId: a.sheetId, sheetName: a.sheetName, product: a.product, thickness: a.thickness, length: a.length, width: a.width, pricePerSheet: a.pricePerSheet, count: 0, cost: 0 }
+      sheetLines.push(line)
     }
-  }
-
-  const pricing = calculatePricing()
+    line.count += 1
+    line.cost += a.cost
+  })
+  const offcuts = cutPlan.assignments.flatMap(a => a.offcuts.map(offcut => ({ ...offcut, assignment: a })))
 
   return (
-    <div className="cut-plan-display">
+    <div className="cut-plan-display sheet-cut-plan">
       <div className="cut-plan-header">
         <h3>Cut Plan</h3>
-        <button
-          onClick={onRegenerate}
-          className={`btn-secondary ${isRegenerating ? 'btn-loading' : ''}`}
-          disabled={isRegenerating}
-        >
-          {isRegenerating ? 'Regenerating...' : 'Regenerate Plan'}
-        </button>
+        <div className="cut-plan-header-actions">
+          {onStrategyChange && (
+            <label className="cut-plan-goal">
+              Cut with
+              <select value={selectedStrategy} onChange={(e) => onStrategyChange(e.target.value)}>
+                {Object.entries(SHEET_STRATEGIES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button
+            onClick={onRegenerate}
+            className={`btn-secondary ${isRegenerating ? 'btn-loading' : ''}`}
+            disabled={isRegenerating}
+          >
+            {isRegenerating ? 'Regenerating...' : 'Regenerate Plan'}
+          </button>
+        </div>
       </div>
 
+      {onStrategyChange && cutPlan.strategy !== selectedStrategy && (
+        <p className="cut-plan-goal-note">
+          This plan was laid out for a {SHEET_STRATEGIES[cutPlan.strategy]?.label.toLowerCase()}. Regenerate to lay it out for a {SHEET_STRATEGIES[selectedStrategy].label.toLowerCase()}.
+        </p>
+      )}
+
       <div className="cut-plan-stats">
         <div className={`cut-plan-stat ${cutPlan.efficiency >= 80 ? 'stat-good' : cutPlan.efficiency >= 60 ? 'stat-moderate' : 'stat-poor'}`}>
           <span className="stat-value">{cutPlan.efficiency.toFixed(1)}%</span>
           <span className="stat-label">Efficiency</span>
         </div>
-        <div className={`cut-plan-stat ${cutPlan.waste <= 1 ? 'stat-good' : cutPlan.waste <= 3 ? 'stat-moderate' : 'stat-poor'}`}>
-          <span className="stat-value">{cutPlan.waste.toFixed(2)}</span>
-          <span className="stat-label">{isSheet ? 'Waste (sq ft)' : 'Waste (BF)'}</span>
+        <div className="cut-plan-stat">
+          <span className="stat-value">{cutPlan.partArea.toFixed(1)}</span>
+          <span className="stat-label">Used (sq ft)</span>
+        </div>
+        <div className="cut-plan-stat">
+          <span className="stat-value">{cutPlan.wasteArea.toFixed(1)}</span>
+          <span className="stat-label">Waste (sq ft)</span>
         </div>
         <div className="cut-plan-stat">
-          <span className="stat-value">{cutPlan.boardsUsed}/{cutPlan.totalStockBoards}</span>
-          <span className="stat-label">{isSheet ? 'Sheets Used' : 'Boards Used'}</span>
+          <span className="stat-value">{cutPlan.sheetsUsed}/{cutPlan.totalSheets}</span>
+          <span className="stat-label">Sheets Used</span>
         </div>
-        {pricing && pricing.totalCost > 0 && (
+        {cutPlan.offcutArea > 0 && (
+          <div className="cut-plan-stat">
+            <span className="stat-value">{cutPlan.offcutArea.toFixed(1)}</span>
+            <span className="stat-label">Offcuts (sq ft)</span>
+          </div>
+        )}
+        {cutPlan.cost > 0 && (
           <div className="cut-plan-stat stat-highlight">
-            <span className="stat-value">${pricing.totalCost.toFixed(2)}</span>
-            <span className="stat-label">{pricing.isUsedOnly ? 'Cost (Used)' : 'Est. Cost'}</span>
+            <span className="stat-value">${cutPlan.cost.toFixed(2)}</span>
+            <span className="stat-label">Est. Cost</span>
           </div>
         )}
       </div>
 
+      {cutPlan.products.length > 1 && (
+        <table className="cut-plan-groups">
+          <thead>
+            <tr>
+              <th>Sheet Stock</th>
+              <th>Sheets</th>
+              <th>Stock (sq ft)</th>
+              <th>Parts (sq ft)</th>
+              <th>Waste (sq ft)</th>
+              <th>Efficiency</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cutPlan.products.map(group => (
+              <tr key={`${group.product}|${group.thickness}`}>
+                <td>{group.thickness} {group.product}</td>
+                <td>{group.sheetsUsed}</td>
+                <td>{group.stockArea.toFixed(1)}</td>
+                <td>{group.partArea.toFixed(1)}</td>
+                <td>{group.wasteArea.toFixed(1)}</td>
+                <td>{group.efficiency.toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <p className="cut-plan-saw-profile">
+        <strong>{SHEET_STRATEGIES[cutPlan.strategy]?.label}:</strong> {SHEET_STRATEGIES[cutPlan.strategy]?.description}
+        {' '}• <strong>Kerf:</strong> {formatInches(cutPlan.sawProfile.ripKerf)} rip, {formatInches(cutPlan.sawProfile.crosscutKerf)} crosscut
+      </p>
+
       {cutPlan.warnings.length > 0 && (
         <div className="cut-plan-warnings">
           {cutPlan.warnings.map((warning, idx) => (
@@ -1888,9 +2384,27 @@ function CutPlanDisplay({ cutPlan, boards, onRegenerate, isRegenerating, workflo
         </div>
       )}
 
+      {hasSawSteps && (
+        <label className="checkbox-label cut-sequence-toggle">
+          <input
+            type="checkbox"
+            checked={showCutSequence}
+            onChange={(e) => setShowCutSequence(e.target.checked)}
+          />
+          Show numbered saw steps
+        </label>
+      )}
+
       <div className="cut-plan-boards">
-        {cutPlan.assignments.map((assignment, idx) => (
-          <CutPlanBoard key={idx} assignment={assignment} scale={scale} />
+        {cutPlan.assignments.map(assignment => (
+          <CutPlanBoard
+            key={assignment.uniqueId}
+            assignment={assignment}
+            scale={scale}
+            cutSequence={hasSawSteps && showCutSequence
+              ? generateCutSequence(assignment, cutPlan.sawProfile, {}, { crosscutFirst: cutPlan.strategy === 'trackSaw' })
+              : null}
+          />
         ))}
       </div>
 
@@ -1898,364 +2412,2978 @@ function CutPlanDisplay({ cutPlan, boards, onRegenerate, isRegenerating, workflo
         <p className="cut-plan-empty">No cuts to display. Add cut pieces and generate a plan.</p>
       )}
 
-      {/* Pricing Breakdown */}
-      {pricing && pricing.items.length > 0 && (
+      {offcuts.length > 0 && (
+        <div className="cut-plan-offcuts">
+          <h4>Offcuts</h4>
+          <ul>
+            {offcuts.map((offcut, idx) => (
+              <li key={idx}>
+                {offcut.length.toFixed(2)}" × {offcut.width.toFixed(2)}" from {offcut.assignment.sheetName}
+                {offcut.assignment.sheetIndex > 0 && ` (#${offcut.assignment.sheetIndex + 1})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {sheetLines.length > 0 && (
         <div className="cut-plan-pricing">
           <h4>Estimated Material Cost</h4>
-          {pricing.isUsedOnly && (
-            <p className="pricing-context">
-              Showing cost for <strong>{pricing.boardsUsed} of {pricing.totalBoards}</strong> {isSheet ? 'sheets' : 'boards'} used in this cut plan.
-            </p>
-          )}
           <table className="pricing-table">
             <thead>
               <tr>
                 <th>Qty</th>
-                <th>{isSheet ? 'Sheet' : 'Board'}</th>
-                <th>{isSheet ? 'Sq Ft' : 'BF'}</th>
-                <th>{isSheet ? '$/Sheet' : '$/BF'}</th>
+                <th>Sheet</th>
+                <th>Sq Ft</th>
+                <th>$/Sheet</th>
                 <th>Cost</th>
               </tr>
             </thead>
             <tbody>
-              {pricing.items.map((item, idx) => (
-                <tr key={idx} className={item.isCustom ? 'custom-price' : ''}>
-                  <td className="qty-col">{item.count}×</td>
+              {sheetLines.map(line => (
+                <tr key={line.sheetId}>
+                  <td className="qty-col">{line.count}×</td>
                   <td className="desc-col">
-                    {item.length}" × {item.width}"
+                    {line.length}" × {line.width}"
                     <span className="breakdown-details">
-                      {item.thickness}{isSheet ? '"' : ''}
-                      {item.species && ` • ${item.species}`}
+                      {line.thickness} • {line.product}
                     </span>
                   </td>
-                  <td className="bf-col">{isSheet ? ((item.length * item.width) / 144 * item.count).toFixed(1) : item.totalBF.toFixed(1)}</td>
-                  <td className="price-col">
-                    <div className="price-input-wrapper">
-                      <span className="price-symbol">$</span>
-                      <input
-                        type="number"
-                        className="price-input"
-                        value={item.pricePerBF !== null ? item.pricePerBF : ''}
-                        onChange={(e) => handlePriceChange(item.key, e.target.value)}
-                        placeholder={item.defaultPrice !== null ? item.defaultPrice.toFixed(2) : '0.00'}
-                        step="0.01"
-                        min="0"
-                      />
-                    </div>
-                  </td>
-                  <td className="cost-col">
-                    {item.cost !== null ? `$${item.cost.toFixed(2)}` : '—'}
-                  </td>
+                  <td className="bf-col">{((line.length * line.width) / 144 * line.count).toFixed(1)}</td>
+                  <td className="price-col">{line.pricePerSheet ? `$${line.pricePerSheet.toFixed(2)}` : '—'}</td>
+                  <td className="cost-col">{line.cost > 0 ? `$${line.cost.toFixed(2)}` : '—'}</td>
                 </tr>
               ))}
             </tbody>
-            <tfoot>
-              <tr className="total-row">
-                <td colSpan="4" className="total-label">Estimated Total:</td>
-                <td className="total-cost">
-                  ${pricing.totalCost.toFixed(2)}
-                  {pricing.hasUnpricedItems && '*'}
-                </td>
-              </tr>
-            </tfoot>
+            {cutPlan.cost > 0 && (
+              <tfoot>
+                <tr className="total-row">
+                  <td colSpan="4" className="total-label">Estimated Total:</td>
+                  <td className="total-cost">${cutPlan.cost.toFixed(2)}</td>
+                </tr>
+              </tfoot>
+            )}
           </table>
-          {pricing.hasUnpricedItems && (
-            <p className="pricing-note">* Enter a price to include in total</p>
-          )}
-          <p className="pricing-disclaimer">
-            Default prices are estimates only. Update with your most current prices.
-          </p>
-        </div>
-      )}
-    </div>
-  )
-}
-
-// Project Summary Component
-function ProjectSummary({ project }) {
-  const totalBoardFeet = project.boards.reduce((sum, board) => sum + board.boardFeet, 0)
-  const totalPieces = project.boards.reduce((sum, board) => sum + (board.quantity || 1), 0)
-
-  const cutPieces = project.cutPieces || []
-  const projectQuantity = project.quantity || 1
-  const totalCutPiecesPerItem = cutPieces.reduce((sum, piece) => sum + (piece.quantity || 1), 0)
-  const totalCutPieces = totalCutPiecesPerItem * projectQuantity
-
-  // Sheet goods computed values
-  const sheetGoods = project.sheetGoods || []
-  const sheetCutPiecesList = project.sheetCutPieces || []
-  const totalSheetCount = sheetGoods.reduce((sum, s) => sum + (s.quantity || 1), 0)
-  const totalSheetSqFt = sheetGoods.reduce((sum, s) => sum + ((s.length * s.width) / 144 * (s.quantity || 1)), 0)
-  const totalSheetCutPieces = sheetCutPiecesList.reduce((sum, p) => sum + (p.quantity || 1), 0)
-  const totalSheetCutSqFt = sheetCutPiecesList.reduce((sum, p) => sum + ((p.length * p.width) / 144 * (p.quantity || 1)), 0)
-
-  // Calculate BF for multiplied quantities
-  const multipliedCutPieces = projectQuantity > 1
-    ? cutPieces.map(p => ({ ...p, quantity: (p.quantity || 1) * projectQuantity }))
-    : cutPieces
-  const totalCutBF = calculateCutPiecesBF(multipliedCutPieces)
-
-  return (
-    <div className="project-summary">
-      <h3>Project Summary</h3>
-
-      {/* Project Quantity */}
-      {projectQuantity > 1 && (
-        <div className="summary-quantity-badge">
-          Making {projectQuantity} items
-        </div>
-      )}
-
-      {/* Stock Summary */}
-      <div className="summary-section-label">Stock Boards</div>
-      <div className="summary-stats">
-        <div className="stat">
-          <span className="stat-value">{totalPieces}</span>
-          <span className="stat-label">Pieces</span>
-        </div>
-        <div className="stat">
-          <span className="stat-value">{totalBoardFeet.toFixed(1)}</span>
-          <span className="stat-label">Board Feet</span>
         </div>
-      </div>
-
-      {/* Cut Pieces Summary */}
-      {cutPieces.length > 0 && (
-        <>
-          <div className="summary-section-label">Cut List {projectQuantity > 1 && '(Total)'}</div>
-          <div className="summary-stats">
-            <div className="stat">
-              <span className="stat-value">{totalCutPieces}</span>
-              <span className="stat-label">
-                Pieces
-                {projectQuantity > 1 && <span className="stat-per-item">({totalCutPiecesPerItem}/item)</span>}
-              </span>
-            </div>
-            <div className="stat">
-              <span className="stat-value">{totalCutBF.toFixed(1)}</span>
-              <span className="stat-label">Board Feet</span>
-            </div>
-          </div>
-        </>
-      )}
-
-      {/* Cut Plan Efficiency */}
-      {project.cutPlan && (
-        <>
-          <div className="summary-section-label">Cut Plan</div>
-          <div className="summary-stats">
-            <div className="stat total">
-              <span className="stat-value">{project.cutPlan.efficiency.toFixed(0)}%</span>
-              <span className="stat-label">Efficiency</span>
-            </div>
-          </div>
-        </>
       )}
 
-      {/* Board List */}
-      {project.boards.length > 0 && (
-        <div className="board-list-summary">
-          <h4>Stock Board List</h4>
-          <table>
+      {cutPlan.edgeBanding && cutPlan.edgeBanding.length > 0 && (
+        <div className="cut-plan-banding">
+          <h4>Edge Banding</h4>
+          <table className="pricing-table">
             <thead>
               <tr>
-                <th>Name</th>
-                <th>Dims</th>
-                <th>Qty</th>
+                <th>Material</th>
+                <th>Thickness</th>
+                <th>Edges</th>
+                <th>Linear Feet</th>
               </tr>
             </thead>
             <tbody>
-              {project.boards.map(board => (
-                <tr key={board.id}>
-                  <td>{board.name}</td>
-                  <td>{board.length}"×{board.width}"</td>
-                  <td>{board.quantity || 1}</td>
+              {cutPlan.edgeBanding.map(line => (
+                <tr key={`${line.material}|${line.thickness}`}>
+                  <td className="desc-col">{line.material}</td>
+                  <td>{formatInches(line.thickness)}</td>
+                  <td>{line.edges}</td>
+                  <td className="bf-col">{line.linearFeet.toFixed(1)}</td>
                 </tr>
               ))}
             </tbody>
           </table>
+          <p className="pricing-note">Includes {EDGE_BANDING_OVERHANG}" per edge to trim flush.</p>
         </div>
       )}
+    </div>
+  )
+}
 
-      {/* Sheet Goods Summary */}
-      {(sheetGoods.length > 0 || sheetCutPiecesList.length > 0) && (
-        <>
-          <div className="summary-divider" />
-
-          {sheetGoods.length > 0 && (
-            <>
-              <div className="summary-section-label">Sheet Stock</div>
-              <div className="summary-stats">
-                <div className="stat">
-                  <span className="stat-value">{totalSheetCount}</span>
-                  <span className="stat-label">Sheets</span>
-                </div>
-                <div className="stat">
-                  <span className="stat-value">{totalSheetSqFt.toFixed(1)}</span>
-                  <span className="stat-label">Sq Ft</span>
-                </div>
-              </div>
-            </>
-          )}
-
-          {sheetCutPiecesList.length > 0 && (
-            <>
-              <div className="summary-section-label">Sheet Cut List</div>
-              <div className="summary-stats">
-                <div className="stat">
-                  <span className="stat-value">{totalSheetCutPieces}</span>
-                  <span className="stat-label">Pieces</span>
-                </div>
-                <div className="stat">
-                  <span className="stat-value">{totalSheetCutSqFt.toFixed(1)}</span>
-                  <span className="stat-label">Sq Ft</span>
-                </div>
-              </div>
-            </>
-          )}
-
-          {project.sheetCutPlan && sheetGoods.length > 0 && (
-            <>
-              <div className="summary-section-label">Sheet Cut Plan</div>
-              <div className="summary-stats">
-                <div className="stat total">
-                  <span className="stat-value">{project.sheetCutPlan.efficiency.toFixed(0)}%</span>
-                  <span className="stat-label">Efficiency</span>
-                </div>
-              </div>
-            </>
-          )}
+// Board List Item Component
+function BoardItem({ board, onEdit, onDelete, onDragStart, onDragOver, onDrop, onDragEnd, isDragging, isDragOver }) {
+  const qty = board.quantity || 1
+  const perPiece = board.boardFeetPerPiece || board.boardFeet
 
-          {sheetGoods.length > 0 && (
-            <div className="board-list-summary">
-              <h4>Sheet Stock List</h4>
-              <table>
-                <thead>
-                  <tr>
-                    <th>Name</th>
-                    <th>Dims</th>
-                    <th>Qty</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {sheetGoods.map(sheet => (
-                    <tr key={sheet.id}>
-                      <td>{sheet.name || `${sheet.product} ${sheet.thickness}"`}</td>
-                      <td>{sheet.length}"×{sheet.width}"</td>
-                      <td>{sheet.quantity || 1}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
-        </>
-      )}
+  return (
+    <div
+      className={`board-item ${isDragging ? 'dragging' : ''} ${isDragOver ? 'drag-over' : ''}`}
+      draggable
+      onDragStart={(e) => onDragStart(e, board.id)}
+      onDragOver={(e) => onDragOver(e, board.id)}
+      onDrop={(e) => onDrop(e, board.id)}
+      onDragEnd={onDragEnd}
+    >
+      <div className="drag-handle">⋮⋮</div>
+      <div className="board-info">
+        <h4>{board.name}</h4>
+        <p className="board-dimensions">
+          {board.length}" × {board.width}" × {board.thickness}
+          {qty > 1 && <span className="board-quantity"> × {qty} pcs</span>}
+        </p>
+        {board.species && <p className="board-species">{board.species}</p>}
+        <p className="board-feet">
+          <strong>{board.boardFeet.toFixed(2)}</strong> board feet
+          {qty > 1 && <span className="per-piece"> ({perPiece.toFixed(2)} each)</span>}
+        </p>
+      </div>
+      <div className="board-actions">
+        <button onClick={() => onEdit(board)} className="btn-edit">Edit</button>
+        <button onClick={() => onDelete(board.id)} className="btn-delete">Delete</button>
+      </div>
     </div>
   )
 }
 
-// Project Form Component
-function ProjectForm({ onSubmit }) {
-  const [name, setName] = useState('')
-  const [description, setDescription] = useState('')
-  const [quantity, setQuantity] = useState(1)
-  const [workflow, setWorkflow] = useState('calculate') // 'known' or 'calculate'
+// Cut Piece Form Component
+function CutPieceForm({ onSubmit, initialData, onCancel, availableThicknesses, availableSpecies, matchGroups = [] }) {
+  const [name, setName] = useState(initialData?.name || '')
+  const [length, setLength] = useState(initialData?.length || '')
+  const [width, setWidth] = useState(initialData?.width || '')
+  const [thickness, setThickness] = useState(initialData?.thickness || availableThicknesses[0] || '4/4')
+  const [species, setSpecies] = useState(initialData?.species || availableSpecies[0] || 'Walnut')
+  const [quantity, setQuantity] = useState(initialData?.quantity || 1)
+  const [finishedThickness, setFinishedThickness] = useState(initialData?.finishedThickness || '')
+  const [matchGroup, setMatchGroup] = useState(initialData?.matchGroup || '')
+  const [isPanel, setIsPanel] = useState(Boolean(initialData?.panel))
+  const [panel, setPanel] = useState(initialData?.panel || DEFAULT_PANEL_SETTINGS)
+  const [isLaminated, setIsLaminated] = useState(Boolean(initialData?.lamination))
+  const [lamination, setLamination] = useState(initialData?.lamination || DEFAULT_LAMINATION_SETTINGS)
+  const [substitution, setSubstitution] = useState(initialData?.substitution || EMPTY_SUBSTITUTION)
+  const [error, setError] = useState('')
 
-  const handleSubmit = (e) => {
-    e.preventDefault()
-    if (!name.trim()) return
+  const thicknessOptions = availableThicknesses.length > 0
+    ? availableThicknesses
+    : ['4/4', '5/4', '6/4', '8/4', '10/4', '12/4', '16/4']
 
-    onSubmit({
-      id: Date.now(),
-      name: name.trim(),
-      description: description.trim(),
-      quantity: parseInt(quantity) || 1,
-      boards: [],
-      cutPieces: [],
-      cutPlan: null,
-      workflow: workflow,
-      createdAt: new Date().toISOString()
+  const speciesOptions = availableSpecies.length > 0
+    ? availableSpecies
+    : SPECIES_OPTIONS
+
+  // Update form fields when initialData changes (for editing different pieces)
+  useEffect(() => {
+    if (initialData) {
+      setName(initialData.name || '')
+      setLength(initialData.length || '')
+      setWidth(initialData.width || '')
+      setThickness(initialData.thickness || availableThicknesses[0] || '4/4')
+      setSpecies(initialData.species || availableSpecies[0] || 'Walnut')
+      setQuantity(initialData.quantity || 1)
+      setFinishedThickness(initialData.finishedThickness || '')
+      setMatchGroup(initialData.matchGroup || '')
+      setIsPanel(Boolean(initialData.panel))
+      setPanel(initialData.panel || DEFAULT_PANEL_SETTINGS)
+      setIsLaminated(Boolean(initialData.lamination))
+      setLamination(initialData.lamination || DEFAULT_LAMINATION_SETTINGS)
+      setSubstitution(initialData.substitution || EMPTY_SUBSTITUTION)
+    } else {
+      setName('')
+      setLength('')
+      setWidth('')
+      setThickness(availableThicknesses[0] || '4/4')
+      setSpecies(availableSpecies[0] || 'Walnut')
+      setQuantity(1)
+      setFinishedThickness('')
+      setMatchGroup('')
+      setIsPanel(false)
+      setPanel(DEFAULT_PANEL_SETTINGS)
+      setIsLaminated(false)
+      setLamination(DEFAULT_LAMINATION_SETTINGS)
+      setSubstitution(EMPTY_SUBSTITUTION)
+    }
+    setError('')
+  }, [initialData, availableThicknesses, availableSpecies])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setError('')
+
+    const lengthNum = parseFloat(length)
+    const widthNum = parseFloat(width)
+    const quantityNum = parseInt(quantity)
+
+    if (isNaN(lengthNum) || lengthNum <= 0) {
+      setError('Please enter a valid length')
+      return
+    }
+
+    if (isNaN(widthNum) || widthNum <= 0) {
+      setError('Please enter a valid width')
+      return
+    }
+
+    if (isNaN(quantityNum) || quantityNum < 1) {
+      setError('Please enter a valid quantity (at least 1)')
+      return
+    }
+
+    const finishedThicknessNum = finishedThickness === '' ? null : parseFloat(finishedThickness)
+    if (finishedThicknessNum !== null && (isNaN(finishedThicknessNum) || finishedThicknessNum <= 0)) {
+      setError('Please enter a valid finished thickness')
+      return
+    }
+
+    let panelSettings = null
+    if (isPanel) {
+      panelSettings = {
+        minStripWidth: parseFloat(panel.minStripWidth),
+        maxStripWidth: parseFloat(panel.maxStripWidth),
+        jointAllowance: parseFloat(panel.jointAllowance)
+      }
+      if (isNaN(panelSettings.minStripWidth) || isNaN(panelSettings.maxStripWidth) ||
+          panelSettings.minStripWidth <= 0 || panelSettings.maxStripWidth < panelSettings.minStripWidth) {
+        setError('Please enter a valid strip width range (min no more than max)')
+        return
+      }
+      if (isNaN(panelSettings.jointAllowance) || panelSettings.jointAllowance < 0 ||
+          panelSettings.jointAllowance >= panelSettings.maxStripWidth) {
+        setError('Please enter a valid jointing allowance')
+        return
+      }
+    }
+
+    let laminationSettings = null
+    if (isLaminated) {
+      laminationSettings = {
+        layerThickness: lamination.layerThickness,
+        glueAllowance: parseFloat(lamination.glueAllowance)
+      }
+      if (isNaN(laminationSettings.glueAllowance) || laminationSettings.glueAllowance < 0) {
+        setError('Please enter a valid glue allowance')
+        return
+      }
+      if (parseThickness(laminationSettings.layerThickness) >= (finishedThicknessNum || parseThickness(thickness))) {
+        setError('Layers must be thinner than the part')
+        return
+      }
+    }
+
+    onSubmit({
+      id: initialData?.id || Date.now(),
+      name: name || `Cut Piece ${Date.now()}`,
+      length: lengthNum,
+      width: widthNum,
+      thickness,
+      species,
+      quantity: quantityNum,
+      finishedThickness: finishedThicknessNum,
+      matchGroup: matchGroup.trim() || null,
+      panel: panelSettings,
+      lamination: laminationSettings,
+      // Only saved when the piece has any substitution settings
+      substitution: substitution.secondary || substitution.anyGrade || substitution.species.length > 0
+        ? { ...substitution, species: substitution.species.filter(s => s !== species) }
+        : null
     })
+
+    if (!initialData) {
+      setName('')
+      setLength('')
+      setWidth('')
+      setQuantity(1)
+      setFinishedThickness('')
+      setMatchGroup('')
+      setIsPanel(false)
+      setPanel(DEFAULT_PANEL_SETTINGS)
+      setIsLaminated(false)
+      setLamination(DEFAULT_LAMINATION_SETTINGS)
+      setSubstitution(EMPTY_SUBSTITUTION)
+    }
   }
 
   return (
-    <form onSubmit={handleSubmit} className="project-form">
-      <h2>Create New Project</h2>
+    <form onSubmit={handleSubmit} className="cut-piece-form">
+      <h3>{initialData ? 'Edit Cut Piece' : 'Add Cut Piece'}</h3>
+
+      {error && <div className="error">{error}</div>}
 
       <div className="form-group">
-        <label htmlFor="projectName">Project Name *</label>
+        <label htmlFor="cutName">Piece Name</label>
         <input
-          id="projectName"
+          id="cutName"
           type="text"
           value={name}
           onChange={(e) => setName(e.target.value)}
-          placeholder="e.g., Dining Chair, Bookshelf"
-          required
+          placeholder="e.g., Table Leg, Shelf"
         />
       </div>
 
-      <div className="form-group">
-        <label htmlFor="projectDescription">Description</label>
-        <textarea
-          id="projectDescription"
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
-          placeholder="Describe your project..."
-          rows={3}
-        />
-      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="cutLength">Length (inches)</label>
+          <input
+            id="cutLength"
+            type="number"
+            step="0.125"
+            value={length}
+            onChange={(e) => setLength(e.target.value)}
+            placeholder="e.g., 30"
+            required
+          />
+        </div>
 
-      <div className="form-group">
-        <label htmlFor="projectQuantity">How many are you making?</label>
-        <div className="quantity-input-row">
+        <div className="form-group">
+          <label htmlFor="cutWidth">Width (inches)</label>
           <input
-            id="projectQuantity"
+            id="cutWidth"
+            type="number"
+            step="0.125"
+            value={width}
+            onChange={(e) => setWidth(e.target.value)}
+            placeholder="e.g., 3"
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="cutThickness">Thickness</label>
+          <select
+            id="cutThickness"
+            value={thickness}
+            onChange={(e) => setThickness(e.target.value)}
+          >
+            {thicknessOptions.map(opt => (
+              <option key={opt} value={opt}>{opt} ({parseThickness(opt)}")</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="cutQuantity">Quantity</label>
+          <input
+            id="cutQuantity"
             type="number"
             min="1"
-            max="100"
             value={quantity}
             onChange={(e) => setQuantity(e.target.value)}
-            className="quantity-input"
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="cutSpecies">Species</label>
+          <select
+            id="cutSpecies"
+            value={species}
+            onChange={(e) => setSpecies(e.target.value)}
+          >
+            {speciesOptions.map(opt => (
+              <option key={opt} value={opt}>{opt}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="cutFinishedThickness">Finished Thickness (in)</label>
+          <input
+            id="cutFinishedThickness"
+            type="number"
+            step="0.0625"
+            min="0"
+            value={finishedThickness}
+            onChange={(e) => setFinishedThickness(e.target.value)}
+            placeholder="Optional, e.g. 0.75"
           />
-          <span className="quantity-hint">
-            {quantity > 1 ? `Making ${quantity} identical items` : 'Making 1 item'}
-          </span>
         </div>
       </div>
+      {finishedThickness !== '' && (
+        <p className="form-hint">
+          The optimizer picks the rough thickness that planes down to {finishedThickness}" (see Project Settings → Milling Allowances).
+        </p>
+      )}
 
       <div className="form-group">
-        <label>How would you like to start?</label>
-        <div className="workflow-selector">
-          <div
-            className={`workflow-option ${workflow === 'calculate' ? 'selected' : ''}`}
-            onClick={() => setWorkflow('calculate')}
-          >
-            <div className="workflow-icon">📐</div>
-            <div className="workflow-content">
-              <h4>Calculate Stock Needed</h4>
-              <p>Start with your cut list, then calculate how much lumber to buy</p>
-              <span className="workflow-steps">Cut List → Calculate Stock → Cut Plan</span>
+        <label htmlFor="cutMatchGroup">Match Group</label>
+        <input
+          id="cutMatchGroup"
+          type="text"
+          list="cutMatchGroupOptions"
+          value={matchGroup}
+          onChange={(e) => setMatchGroup(e.target.value)}
+          placeholder="Optional, e.g. Drawer Fronts"
+        />
+        <datalist id="cutMatchGroupOptions">
+          {matchGroups.map(group => (
+            <option key={group} value={group} />
+          ))}
+        </datalist>
+      </div>
+      {matchGroup.trim() !== '' && (
+        <p className="form-hint">
+          Parts in the same match group are cut from one board, end to end where they fit, for continuous grain.
+        </p>
+      )}
+
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={isPanel}
+          onChange={(e) => {
+            setIsPanel(e.target.checked)
+            if (e.target.checked) setIsLaminated(false)
+          }}
+        />
+        Edge-glued panel
+      </label>
+      {isPanel && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="cutMinStripWidth">Min Strip Width (in)</label>
+              <input
+                id="cutMinStripWidth"
+                type="number"
+                step="0.125"
+                min="0"
+                value={panel.minStripWidth}
+                onChange={(e) => setPanel({ ...panel, minStripWidth: e.target.value })}
+              />
             </div>
-          </div>
-          <div
-            className={`workflow-option ${workflow === 'known' ? 'selected' : ''}`}
-            onClick={() => setWorkflow('known')}
-          >
-            <div className="workflow-icon">��</div>
-            <div className="workflow-content">
-              <h4>I Have My Lumber</h4>
-              <p>Start with lumber you already have, then plan your cuts</p>
-              <span className="workflow-steps">Stock Boards → Cut List → Cut Plan</span>
+            <div className="form-group">
+              <label htmlFor="cutMaxStripWidth">Max Strip Width (in)</label>
+              <input
+                id="cutMaxStripWidth"
+                type="number"
+                step="0.125"
+                min="0"
+                value={panel.maxStripWidth}
+                onChange={(e) => setPanel({ ...panel, maxStripWidth: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="cutJointAllowance">Jointing per Glue Line (in)</label>
+              <input
+                id="cutJointAllowance"
+                type="number"
+                step="0.03125"
+                min="0"
+                value={panel.jointAllowance}
+                onChange={(e) => setPanel({ ...panel, jointAllowance: e.target.value })}
+              />
             </div>
           </div>
-        </div>
-      </div>
+          <p className="form-hint">
+            The width above is the glued-up panel width. The optimizer splits the panel into strips, adds the jointing allowance for each glue line, and keeps the strips on the same or adjacent boards for color match.
+          </p>
+        </>
+      )}
 
-      <button type="submit" className="btn-primary">Create Project</button>
-    </form>
-  )
-}
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={isLaminated}
+          onChange={(e) => {
+            setIsLaminated(e.target.checked)
+            if (e.target.checked) setIsPanel(false)
+          }}
+        />
+        Laminated from thinner layers
+      </label>
+      {isLaminated && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="cutLayerThickness">Layer Thickness</label>
+              <select
+                id="cutLayerThickness"
+                value={lamination.layerThickness}
+                onChange={(e) => setLamination({ ...lamination, layerThickness: e.target.value })}
+              >
+                {['4/4', '5/4', '6/4', '8/4', '10/4', '12/4'].map(opt => (
+                  <option key={opt} value={opt}>{opt} ({parseThickness(opt)}")</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="cutGlueAllowance">Surfacing per Glue Line (in)</label>
+              <input
+                id="cutGlueAllowance"
+                type="number"
+                step="0.03125"
+                min="0"
+                value={lamination.glueAllowance}
+                onChange={(e) => setLamination({ ...lamination, glueAllowance: e.target.value })}
+              />
+            </div>
+          </div>
+          <p className="form-hint">
+            The optimizer cuts the piece as layer blanks of {lamination.layerThickness} in that thickness group. With a finished thickness, the layers leave room for surfacing each glue line and planing the glued-up blank (see Project Settings → Milling Allowances).
+          </p>
+        </>
+      )}
+
+      <div className="substitution-fields">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={substitution.anyGrade}
+            onChange={(e) => setSubstitution({ ...substitution, anyGrade: e.target.checked })}
+          />
+          Any grade of {getSpeciesFamily(species)} is OK
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={substitution.secondary}
+            onChange={(e) => setSubstitution({ ...substitution, secondary: e.target.checked })}
+          />
+          Secondary part (hidden, so the project&apos;s secondary wood rules apply)
+        </label>
+        <div className="form-group">
+          <label htmlFor="cutSubstitute">Can Also Be Cut From</label>
+          <select
+            id="cutSubstitute"
+            value=""
+            onChange={(e) => {
+              if (e.target.value) setSubstitution({ ...substitution, species: [...substitution.species, e.target.value] })
+            }}
+          >
+            <option value="">Add a species...</option>
+            {SPECIES_OPTIONS.filter(opt => opt !== species && !substitution.species.includes(opt)).map(opt => (
+              <option key={opt} value={opt}>{opt}</option>
+            ))}
+          </select>
+          {substitution.species.length > 0 && (
+            <div className="substitute-list">
+              {substitution.species.map(sub => (
+                <span key={sub} className="substitute-chip">
+                  {sub}
+                  <button
+                    type="button"
+                    onClick={() => setSubstitution({ ...substitution, species: substitution.species.filter(s => s !== sub) })}
+                    aria-label={`Remove ${sub}`}
+                  >
+                    &times;
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+        <p className="form-hint">
+          When {species} runs out or isn&apos;t in stock, the optimizer may cut this piece from these species, in order, and the cut plan lists every substitution.
+        </p>
+      </div>
+
+      <div className="form-actions">
+        <button type="submit" className="btn-primary">
+          {initialData ? 'Update Piece' : 'Add Piece'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+// Cut Piece Item Component
+function CutPieceItem({ piece, milling, onEdit, onDelete, onDragStart, onDragOver, onDrop, onDragEnd, isDragging, isDragOver }) {
+  const qty = piece.quantity || 1
+  // Laminated pieces are cut as layer blanks
+  const layers = piece.lamination ? planLaminationLayers(piece, milling) : null
+  const substitutes = [
+    piece.substitution?.anyGrade && `any ${getSpeciesFamily(piece.species)} grade`,
+    ...(piece.substitution?.species || [])
+  ].filter(Boolean)
+
+  return (
+    <div
+      className={`cut-piece-item ${isDragging ? 'dragging' : ''} ${isDragOver ? 'drag-over' : ''}`}
+      draggable
+      onDragStart={(e) => onDragStart(e, piece.id)}
+      onDragOver={(e) => onDragOver(e, piece.id)}
+      onDrop={(e) => onDrop(e, piece.id)}
+      onDragEnd={onDragEnd}
+    >
+      <div className="drag-handle">⋮⋮</div>
+      <div className="cut-piece-info">
+        <h4>{piece.name}</h4>
+        <p className="cut-piece-dimensions">
+          {piece.length}" × {piece.width}" × {piece.finishedThickness ? `${formatInches(piece.finishedThickness)} finished` : piece.thickness}
+          {qty > 1 && <span className="cut-piece-quantity"> × {qty} pcs</span>}
+        </p>
+        {piece.matchGroup && (
+          <p className="cut-piece-match-group">Match group: {piece.matchGroup}</p>
+        )}
+        {piece.panel && (
+          <p className="cut-piece-panel">
+            Glue-up panel: {formatInches(piece.panel.minStripWidth)}–{formatInches(piece.panel.maxStripWidth)} strips
+          </p>
+        )}
+        {layers && layers.layerCount > 1 && (
+          <ul className="cut-piece-layers">
+            {Array.from({ length: layers.layerCount }, (_, idx) => (
+              <li key={idx}>{piece.name} — layer {idx + 1} of {layers.layerCount} ({layers.layerThickness})</li>
+            ))}
+          </ul>
+        )}
+        {piece.species && <p className="cut-piece-species">{piece.species}</p>}
+        {piece.substitution?.secondary && <p className="cut-piece-substitutes">Secondary part</p>}
+        {substitutes.length > 0 && (
+          <p className="cut-piece-substitutes">Also OK in {substitutes.join(', ')}</p>
+        )}
+      </div>
+      <div className="cut-piece-actions">
+        <button onClick={() => onEdit(piece)} className="btn-edit">Edit</button>
+        <button onClick={() => onDelete(piece.id)} className="btn-delete">Delete</button>
+      </div>
+    </div>
+  )
+}
+
+// Get unique species from cut pieces
+function getCutPieceSpecies(pieces) {
+  const species = new Set(pieces.map(p => p.species).filter(Boolean))
+  return Array.from(species)
+}
+
+// Get unique match group names from cut pieces
+function getCutPieceMatchGroups(pieces) {
+  const groups = new Set(pieces.map(p => p.matchGroup).filter(Boolean))
+  return Array.from(groups)
+}
+
+// Optimizer Progress Component
+function OptimizerProgress({ progress, onCancel }) {
+  let fraction = 0
+  let label = 'Starting optimizer...'
+  if (progress?.stage === 'sizing') {
+    fraction = progress.groupsTotal > 0 ? progress.groupsDone / progress.groupsTotal : 0
+    label = `Sizing stock: ${progress.groupsDone} of ${progress.groupsTotal} groups, ${progress.boardsTried} boards tried`
+  } else if (progress?.stage === 'packing') {
+    fraction = progress.strategiesTried / progress.strategiesTotal
+    label = `Packing: ${progress.strategiesTried} of ${progress.strategiesTotal} strategies tried`
+  } else if (progress?.stage === 'exact') {
+    fraction = 1
+    label = `Searching for the fewest boards (${progress.partCount} parts)...`
+  }
+
+  return (
+    <div className="optimizer-progress">
+      <div className="optimizer-progress-bar">
+        <div className="optimizer-progress-fill" style={{ width: `${Math.round(fraction * 100)}%` }} />
+      </div>
+      <span className="optimizer-progress-label">{label}</span>
+      <button type="button" onClick={onCancel} className="btn-secondary">
+        Cancel
+      </button>
+    </div>
+  )
+}
+
+// Stock Calculator Component - calculates how many boards needed
+function StockCalculator({ cutPieces, onApplyStock, projectQuantity = 1, sawProfile, optimizerOptions }) {
+  // Current selection state for adding a board type
+  const [currentThickness, setCurrentThickness] = useState('4/4')
+  const [currentSpecies, setCurrentSpecies] = useState('')
+  const [currentSize, setCurrentSize] = useState(null) // null = not selected, or template id
+  const [sizeMode, setSizeMode] = useState('standard') // 'standard' | 'custom' | 'random'
+  const [customLength, setCustomLength] = useState(96)
+  const [customWidth, setCustomWidth] = useState(6)
+
+  // Random width/length lot: a size range, or a tally of boards measured at the yard
+  const [randomLotMode, setRandomLotMode] = useState('range')
+  const [randomWidthRange, setRandomWidthRange] = useState({ min: 4, max: 8 })
+  const [randomLengthRange, setRandomLengthRange] = useState({ min: 6, max: 10 }) // feet
+  const [tallyText, setTallyText] = useState('')
+  const [confidence, setConfidence] = useState(0.9)
+
+  // List of board types to consider
+  const [boardTypes, setBoardTypes] = useState([])
+
+  // Track recently added for visual feedback
+  const [justAddedId, setJustAddedId] = useState(null)
+
+  // Calculation results
+  const [result, setResult] = useState(null)
+  const [calculating, setCalculating] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const calculationRef = useRef(null)
+
+  // Get unique thicknesses and species from cut pieces
+  const cutPieceThicknesses = getCutPieceThicknesses(cutPieces)
+  const cutPieceSpeciesList = getCutPieceSpecies(cutPieces)
+
+  // Auto-set initial values from cut pieces
+  useEffect(() => {
+    if (cutPieceThicknesses.length > 0 && !currentThickness) {
+      setCurrentThickness(cutPieceThicknesses[0])
+    }
+    if (cutPieceSpeciesList.length > 0 && !currentSpecies) {
+      setCurrentSpecies(cutPieceSpeciesList[0])
+    }
+  }, [cutPieceThicknesses, cutPieceSpeciesList])
+
+  // Check what thickness/species combinations are needed but not yet added
+  const getMissingCombinations = () => {
+    const needed = new Set()
+    cutPieces.forEach(p => {
+      const key = `${p.thickness}|${p.species || ''}`
+      needed.add(key)
+    })
+
+    const added = new Set()
+    boardTypes.forEach(bt => {
+      const key = `${bt.thickness}|${bt.species || ''}`
+      added.add(key)
+    })
+
+    const missing = []
+    needed.forEach(key => {
+      if (!added.has(key)) {
+        const [thickness, species] = key.split('|')
+        missing.push({ thickness, species: species || null })
+      }
+    })
+    return missing
+  }
+
+  const missingCombinations = getMissingCombinations()
+
+  const handleAddBoardType = () => {
+    if (!currentThickness) return
+
+    let newBoardType
+    if (sizeMode === 'random') {
+      const tally = parseBoardTally(tallyText)
+      if (randomLotMode === 'tally' && tally.length === 0) return
+      const boardCount = tally.reduce((sum, b) => sum + b.count, 0)
+      newBoardType = {
+        id: Date.now(),
+        name: randomLotMode === 'tally'
+          ? `Yard tally (${boardCount} boards)`
+          : `Random ${randomWidthRange.min}–${randomWidthRange.max}" × ${randomLengthRange.min}–${randomLengthRange.max}ft`,
+        thickness: currentThickness,
+        species: currentSpecies || null,
+        boardFeet: null,
+        randomLot: {
+          mode: randomLotMode,
+          minWidth: randomWidthRange.min,
+          maxWidth: randomWidthRange.max,
+          minLength: randomLengthRange.min * 12,
+          maxLength: randomLengthRange.max * 12,
+          tally,
+          confidence
+        }
+      }
+    } else if (sizeMode === 'custom') {
+      if (!customLength || !customWidth) return
+      const thicknessInches = parseThickness(currentThickness) || 1
+      const bf = (customLength * customWidth * thicknessInches) / 144
+      newBoardType = {
+        id: Date.now(),
+        name: `${customLength}" × ${customWidth}"`,
+        length: customLength,
+        width: customWidth,
+        thickness: currentThickness,
+        species: currentSpecies || null,
+        boardFeet: bf,
+        isCustom: true
+      }
+    } else {
+      if (!currentSize) return
+      const template = STOCK_TEMPLATES.find(t => t.id === currentSize)
+      if (!template) return
+      const thicknessInches = parseThickness(currentThickness) || 1
+      const bf = (template.length * template.width * thicknessInches) / 144
+      newBoardType = {
+        id: Date.now(),
+        name: template.name,
+        length: template.length,
+        width: template.width,
+        thickness: currentThickness,
+        species: currentSpecies || null,
+        boardFeet: bf,
+        isCustom: false
+      }
+    }
+
+    setBoardTypes([...boardTypes, newBoardType])
+    setResult(null) // Clear previous results
+
+    // Show "just added" feedback
+    setJustAddedId(newBoardType.id)
+    setTimeout(() => setJustAddedId(null), 2000)
+
+    // Reset size selection for next add
+    setCurrentSize(null)
+    setSizeMode('standard')
+  }
+
+  const handleRemoveBoardType = (id) => {
+    setBoardTypes(boardTypes.filter(bt => bt.id !== id))
+    setResult(null)
+  }
+
+  const handleCalculate = async () => {
+    if (boardTypes.length === 0) return
+
+    setCalculating(true)
+
+    // Convert board types to templates
+    const templates = boardTypes.map(bt => ({
+      name: `${bt.name} (${bt.thickness}${bt.species ? ` - ${bt.species}` : ''})`,
+      length: bt.length,
+      width: bt.width,
+      thickness: bt.thickness,
+      species: bt.species,
+      randomLot: bt.randomLot
+    }))
+
+    const run = runOptimizerTask('calculateStockNeeded', [cutPieces, templates, sawProfile, optimizerOptions], { onProgress: setProgress })
+    calculationRef.current = run
+    try {
+      const calcResult = await run.promise
+      // null when cancelled; keep the previous result
+      if (calcResult) setResult(calcResult)
+    } catch (error) {
+      console.error('Error calculating stock:', error)
+    } finally {
+      calculationRef.current = null
+      setProgress(null)
+      setCalculating(false)
+    }
+  }
+
+  const handleApply = () => {
+    if (result && result.boards.length > 0) {
+      onApplyStock(result.boards, result.cutPlan)
+    }
+  }
+
+  // Calculate total BF for display
+  const calculateTotalBF = () => {
+    if (!result) return 0
+    return result.boards.reduce((sum, board) => sum + board.boardFeet, 0)
+  }
+
+  // Calculate BF for current selection preview
+  const currentThicknessInches = parseThickness(currentThickness) || 1
+
+  return (
+    <div className="stock-calculator">
+      <h3>Calculate Stock Needed</h3>
+      {projectQuantity > 1 && (
+        <div className="project-quantity-notice">
+          Calculating for <strong>{projectQuantity} items</strong> (quantities multiplied)
+        </div>
+      )}
+      <p className="stock-calculator-intro">
+        Add board types you can purchase. The calculator will determine how many of each you need.
+      </p>
+
+      {/* Board Type Builder */}
+      <div className="board-type-builder">
+        <div className="builder-header">
+          {boardTypes.length === 0 ? (
+            <span className="builder-title">Add a Board Type</span>
+          ) : (
+            <span className="builder-title">Add Another Board Type</span>
+          )}
+        </div>
+
+        <div className="builder-step">
+          <label className="builder-label">1. Thickness</label>
+          <div className="thickness-options">
+            {THICKNESS_OPTIONS.map(opt => (
+              <button
+                key={opt}
+                className={`thickness-btn ${currentThickness === opt ? 'active' : ''}`}
+                onClick={() => setCurrentThickness(opt)}
+              >
+                {opt}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {cutPieceSpeciesList.length > 0 && (
+          <div className="builder-step">
+            <label className="builder-label">2. Species</label>
+            <div className="species-options">
+              {cutPieceSpeciesList.map(species => (
+                <button
+                  key={species}
+                  className={`species-btn ${currentSpecies === species ? 'active' : ''}`}
+                  onClick={() => setCurrentSpecies(species)}
+                >
+                  {species}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="builder-step">
+          <label className="builder-label">{cutPieceSpeciesList.length > 0 ? '3' : '2'}. Size</label>
+          <div className="size-toggle">
+            <button
+              className={`toggle-btn ${sizeMode === 'standard' ? 'active' : ''}`}
+              onClick={() => setSizeMode('standard')}
+            >
+              Standard
+            </button>
+            <button
+              className={`toggle-btn ${sizeMode === 'custom' ? 'active' : ''}`}
+              onClick={() => setSizeMode('custom')}
+            >
+              Custom
+            </button>
+            <button
+              className={`toggle-btn ${sizeMode === 'random' ? 'active' : ''}`}
+              onClick={() => setSizeMode('random')}
+            >
+              Random Width
+            </button>
+          </div>
+
+          {sizeMode === 'random' ? (
+            <div className="random-lot-inputs">
+              <div className="size-toggle">
+                <button
+                  className={`toggle-btn ${randomLotMode === 'range' ? 'active' : ''}`}
+                  onClick={() => setRandomLotMode('range')}
+                >
+                  Typical Sizes
+                </button>
+                <button
+                  className={`toggle-btn ${randomLotMode === 'tally' ? 'active' : ''}`}
+                  onClick={() => setRandomLotMode('tally')}
+                >
+                  Yard Tally
+                </button>
+              </div>
+              {randomLotMode === 'range' ? (
+                <div className="custom-size-inputs">
+                  <div className="form-group">
+                    <label>Width from (in)</label>
+                    <input
+                      type="number"
+                      value={randomWidthRange.min}
+                      onChange={(e) => setRandomWidthRange({ ...randomWidthRange, min: parseFloat(e.target.value) || 0 })}
+                      step="0.5"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Width to (in)</label>
+                    <input
+                      type="number"
+                      value={randomWidthRange.max}
+                      onChange={(e) => setRandomWidthRange({ ...randomWidthRange, max: parseFloat(e.target.value) || 0 })}
+                      step="0.5"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Length from (ft)</label>
+                    <input
+                      type="number"
+                      value={randomLengthRange.min}
+                      onChange={(e) => setRandomLengthRange({ ...randomLengthRange, min: parseFloat(e.target.value) || 0 })}
+                      step="1"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Length to (ft)</label>
+                    <input
+                      type="number"
+                      value={randomLengthRange.max}
+                      onChange={(e) => setRandomLengthRange({ ...randomLengthRange, max: parseFloat(e.target.value) || 0 })}
+                      step="1"
+                    />
+                  </div>
+                </div>
+              ) : (
+                <div className="form-group">
+                  <label>Boards measured at the yard</label>
+                  <textarea
+                    value={tallyText}
+                    onChange={(e) => setTallyText(e.target.value)}
+                    rows={4}
+                    placeholder={'One board per line: length × width in inches, optional count\n96 x 6.5\n120 x 8 x 2'}
+                  />
+                </div>
+              )}
+              <div className="form-group">
+                <label>Confidence</label>
+                <select value={confidence} onChange={(e) => setConfidence(parseFloat(e.target.value))}>
+                  <option value={0.8}>80% - usually enough</option>
+                  <option value={0.9}>90% - recommended</option>
+                  <option value={0.95}>95% - rarely short</option>
+                </select>
+              </div>
+            </div>
+          ) : sizeMode === 'standard' ? (
+            <div className="size-options">
+              {STOCK_TEMPLATES.map(tmpl => {
+                const bf = (tmpl.length * tmpl.width * currentThicknessInches) / 144
+                return (
+                  <button
+                    key={tmpl.id}
+                    className={`size-btn ${currentSize === tmpl.id ? 'active' : ''}`}
+                    onClick={() => setCurrentSize(tmpl.id)}
+                  >
+                    <span className="size-name">{tmpl.name}</span>
+                    <span className="size-bf">{bf.toFixed(2)} BF</span>
+                  </button>
+                )
+              })}
+            </div>
+          ) : (
+            <div className="custom-size-inputs">
+              <div className="form-group">
+                <label>Length (in)</label>
+                <input
+                  type="number"
+                  value={customLength}
+                  onChange={(e) => setCustomLength(parseFloat(e.target.value) || 0)}
+                  step="1"
+                />
+              </div>
+              <div className="form-group">
+                <label>Width (in)</label>
+                <input
+                  type="number"
+                  value={customWidth}
+                  onChange={(e) => setCustomWidth(parseFloat(e.target.value) || 0)}
+                  step="0.5"
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <button
+          onClick={handleAddBoardType}
+          className="btn-add-board-type"
+          disabled={!currentThickness ||
+            (sizeMode === 'standard' && !currentSize) ||
+            (sizeMode === 'custom' && (!customLength || !customWidth)) ||
+            (sizeMode === 'random' && randomLotMode === 'tally' && parseBoardTally(tallyText).length === 0)}
+        >
+          + Add Board Type
+        </button>
+      </div>
+
+      {/* Added Board Types List */}
+      {boardTypes.length > 0 && (
+        <div className="board-types-list">
+          <div className="board-types-header">
+            <h4>Board Types Added ({boardTypes.length})</h4>
+          </div>
+          {boardTypes.map(bt => (
+            <div key={bt.id} className={`board-type-item ${justAddedId === bt.id ? 'just-added' : ''}`}>
+              <div className="board-type-info">
+                <span className="board-type-name">{bt.name}</span>
+                <span className="board-type-details">
+                  {bt.thickness}{bt.species ? ` • ${bt.species}` : ''} • {bt.randomLot
+                    ? `estimated in BF at ${Math.round(bt.randomLot.confidence * 100)}% confidence`
+                    : `${bt.boardFeet.toFixed(2)} BF`}
+                </span>
+              </div>
+              <button
+                onClick={() => handleRemoveBoardType(bt.id)}
+                className="btn-remove"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+
+          {/* Warning for missing combinations */}
+          {missingCombinations.length > 0 && (
+            <div className="warning" style={{ marginTop: '0.75rem', marginBottom: '0.75rem' }}>
+              Still need: {missingCombinations.map(m =>
+                `${m.thickness}${m.species ? ` ${m.species}` : ''}`
+              ).join(', ')}
+            </div>
+          )}
+
+          <button
+            onClick={handleCalculate}
+            className="btn-primary btn-calculate"
+            disabled={calculating}
+          >
+            {calculating ? 'Calculating...' : 'Calculate Stock Needed'}
+          </button>
+          {calculating && (
+            <OptimizerProgress progress={progress} onCancel={() => calculationRef.current?.cancel()} />
+          )}
+        </div>
+      )}
+
+      {/* Results */}
+      {result && (
+        <div className="stock-result">
+          <div className="stock-result-header">
+            <h4>Shopping List</h4>
+          </div>
+
+          {/* Board breakdown by type */}
+          {result.boardsByTemplate && result.boardsByTemplate.length > 0 && (
+            <div className="stock-breakdown">
+              {result.boardsByTemplate.map((item, idx) => item.estimate ? (
+                <div key={idx} className="breakdown-item">
+                  <span className="breakdown-count">{item.estimate.boardFeet.toFixed(1)} BF</span>
+                  <span className="breakdown-desc">
+                    {item.template.name}
+                    <span className="breakdown-thickness">
+                      {' '}{Math.round(item.estimate.confidence * 100)}% confidence • typical {item.estimate.medianBoardFeet.toFixed(1)} BF,
+                      {' '}{item.estimate.minBoardFeet.toFixed(1)}–{item.estimate.maxBoardFeet.toFixed(1)} BF over {item.estimate.trials} simulated picks
+                      {item.estimate.unfinishedTrials > 0 && ` (${item.estimate.unfinishedTrials} more gave up before every part fit)`}
+                      {' '}({item.estimate.cutBoardFeet.toFixed(1)} BF in parts)
+                    </span>
+                  </span>
+                </div>
+              ) : (
+                <div key={idx} className="breakdown-item">
+                  <span className="breakdown-count">{item.count}×</span>
+                  <span className="breakdown-desc">
+                    {item.template.name || `${item.template.length}" × ${item.template.width}"`}
+                    <span className="breakdown-thickness"> ({item.template.thickness}
+                      {item.template.species && ` • ${item.template.species}`})
+                    </span>
+                  </span>
+                </div>
+              ))}
+              {result.boardsByTemplate.some(item => item.estimate) && (
+                <p className="form-hint">
+                  Random width boards below are one example pick at that confidence. Replace them with the boards you buy.
+                </p>
+              )}
+            </div>
+          )}
+
+          {result.remnantsUsed && result.remnantsUsed.length > 0 && (
+            <div className="stock-remnants">
+              <h5>Covered by your remnants</h5>
+              {result.remnantsUsed.map(remnant => (
+                <div key={remnant.remnantId} className="breakdown-item">
+                  <span className="breakdown-desc">
+                    {remnant.length}" × {remnant.width}"
+                    <span className="breakdown-thickness"> ({remnant.thickness}
+                      {remnant.species && ` • ${remnant.species}`})
+                    </span>
+                    {' '}→ {remnant.pieces.join(', ')}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="stock-result-stats">
+            <div className="result-stat">
+              <span className="result-value">{result.boardsNeeded}</span>
+              <span className="result-label">Total Boards</span>
+            </div>
+            <div className="result-stat">
+              <span className="result-value">{calculateTotalBF().toFixed(1)}</span>
+              <span className="result-label">Total Board Feet</span>
+            </div>
+            <div className="result-stat">
+              <span className="result-value">{result.cutPlan?.efficiency.toFixed(0) || 0}%</span>
+              <span className="result-label">Efficiency</span>
+            </div>
+          </div>
+
+          {result.cutPlan?.warnings?.length > 0 && (
+            <div className="stock-result-warnings">
+              {result.cutPlan.warnings.map((w, i) => (
+                <div key={i} className="warning">{w}</div>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={handleApply}
+            className="btn-primary btn-large"
+          >
+            Use These Boards & Generate Cut Plan
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Parse a yard tally: one board per line, "length x width" in inches with an optional count
+function parseBoardTally(text) {
+  return text.split('\n')
+    .map(line => line.trim().split(/\s*[x×*,]\s*|\s+/).map(v => parseFloat(v)))
+    .filter(([length, width]) => length > 0 && width > 0)
+    .map(([length, width, count]) => ({ length, width, count: count > 0 ? Math.round(count) : 1 }))
+}
+
+// Cut Plan Board Visualization
+function CutPlanBoard({ assignment, scale, board, onUpdateDefects, cutSequence, layoutEditor }) {
+  const boardWidth = assignment.width * scale
+  const boardLength = assignment.length * scale
+  const [isEditingDefects, setIsEditingDefects] = useState(false)
+  const [defectType, setDefectType] = useState('knot')
+  const [dragStart, setDragStart] = useState(null)
+  const [dragEnd, setDragEnd] = useState(null)
+
+  // Defects are stored on the board record, tagged with the instance they belong to
+  const instanceIndex = assignment.stockBoardIndex || 0
+  const allDefects = board?.defects || []
+  const defects = allDefects.filter(d => (d.instanceIndex || 0) === instanceIndex)
+  const canEditDefects = Boolean(board && onUpdateDefects) && !layoutEditor
+  const hatchId = `defect-hatch-${assignment.uniqueId}`
+
+  // Parts cut over a defect mean the plan predates the defect
+  const overlapsDefect = assignment.cuts.some(cut => defects.some(d =>
+    cut.x < d.x + d.length && d.x < cut.x + cut.length &&
+    cut.y < d.y + d.width && d.y < cut.y + cut.width
+  ))
+
+  // Convert a mouse position to inches on the board
+  // (the SVG can be scaled down by CSS, so go through its rendered size)
+  const pointerInches = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect()
+    const svgUnitsPerPx = (boardLength + 2) / bounds.width
+    return {
+      x: ((e.clientX - bounds.left) * svgUnitsPerPx - 1) / scale,
+      y: ((e.clientY - bounds.top) * svgUnitsPerPx - 1) / scale
+    }
+  }
+
+  // Mouse position on the board, rounded to 1/4" (for marking defects)
+  const toBoardInches = (e) => {
+    const point = pointerInches(e)
+    const round = (v, max) => Math.min(max, Math.max(0, Math.round(v * 4) / 4))
+    return { x: round(point.x, assignment.length), y: round(point.y, assignment.width) }
+  }
+
+  const dragRect = dragStart && dragEnd ? {
+    x: Math.min(dragStart.x, dragEnd.x),
+    y: Math.min(dragStart.y, dragEnd.y),
+    length: Math.abs(dragEnd.x - dragStart.x),
+    width: Math.abs(dragEnd.y - dragStart.y)
+  } : null
+
+  const handleMouseDown = (e) => {
+    if (layoutEditor) {
+      // Pick up the part under the pointer
+      const point = pointerInches(e)
+      const cutIndex = assignment.cuts.findIndex(cut =>
+        point.x >= cut.x && point.x <= cut.x + cut.length && point.y >= cut.y && point.y <= cut.y + cut.width
+      )
+      if (cutIndex !== -1) {
+        e.preventDefault()
+        layoutEditor.onPickUp(cutIndex, point)
+      }
+      return
+    }
+    if (!isEditingDefects) return
+    const point = toBoardInches(e)
+    setDragStart(point)
+    setDragEnd(point)
+  }
+
+  const handleMouseMove = (e) => {
+    if (layoutEditor) {
+      if (layoutEditor.isDragging) layoutEditor.onDragOver(pointerInches(e))
+      return
+    }
+    if (!dragStart) return
+    setDragEnd(toBoardInches(e))
+  }
+
+  const handleMouseUp = () => {
+    if (layoutEditor) {
+      if (layoutEditor.isDragging) layoutEditor.onDrop()
+      return
+    }
+    if (!dragStart) return
+    if (dragRect && dragRect.length > 0 && dragRect.width > 0) {
+      onUpdateDefects(board.id, [
+        ...allDefects,
+        { id: Math.max(0, ...allDefects.map(d => d.id)) + 1, type: defectType, instanceIndex, ...dragRect }
+      ])
+    }
+    setDragStart(null)
+    setDragEnd(null)
+  }
+
+  const handleMouseLeave = () => {
+    if (layoutEditor) {
+      if (layoutEditor.isDragging) layoutEditor.onDragLeave()
+      return
+    }
+    handleMouseUp()
+  }
+
+  const handleDeleteDefect = (defectId) => {
+    onUpdateDefects(board.id, allDefects.filter(d => d.id !== defectId))
+  }
+
+  // Fallback colors for pieces without species
+  const fallbackColors = [
+    '#E06829', '#324168', '#AFCFE4', '#8B5A2B', '#6B8E23',
+    '#CD853F', '#4682B4', '#D2691E', '#708090', '#BC8F8F'
+  ]
+
+  // Get color for a cut piece - use species color if available, otherwise fallback
+  const getCutColor = (cut, idx) => {
+    if (cut.species && SPECIES_COLORS[cut.species]) {
+      return getSpeciesColor(cut.species)
+    }
+    return fallbackColors[idx % fallbackColors.length]
+  }
+
+  // Show finished sizes when milling allowances made the rough size different
+  const formatFinishedSize = (cut) => {
+    const roughLength = cut.rotated ? cut.width : cut.length
+    const roughWidth = cut.rotated ? cut.length : cut.width
+    const hasAllowance = cut.finishedLength !== undefined &&
+      (Math.abs(cut.finishedLength - roughLength) > 0.001 || Math.abs(cut.finishedWidth - roughWidth) > 0.001)
+    if (!hasAllowance && !cut.finishedThickness) return null
+    const finishedLength = cut.finishedLength ?? roughLength
+    const finishedWidth = cut.finishedWidth ?? roughWidth
+    return `${finishedLength}" × ${finishedWidth}"${cut.finishedThickness ? ` × ${formatInches(cut.finishedThickness)}` : ''}`
+  }
+  const showFinished = assignment.cuts.some(cut => formatFinishedSize(cut) !== null)
+
+  return (
+    <div className="cut-plan-board">
+      <div className="cut-plan-board-label">
+        {assignment.sheetName ?? assignment.stockBoardName}
+        {(assignment.sheetIndex ?? assignment.stockBoardIndex) > 0 && ` (#${(assignment.sheetIndex ?? assignment.stockBoardIndex) + 1})`}
+        <span className="cut-plan-board-dims">
+          {assignment.length}" × {assignment.width}" × {assignment.thickness}
+        </span>
+        {assignment.remnantId !== undefined && (
+          <span className="cut-plan-board-tag">Remnant</span>
+        )}
+        {assignment.resaw && (
+          <span className="cut-plan-board-tag">
+            {describeResawSlice(assignment.resaw)}
+          </span>
+        )}
+        {assignment.species && (
+          <span className="cut-plan-board-species">
+            <span
+              className="species-color-dot"
+              style={{ backgroundColor: getSpeciesColor(assignment.species) }}
+            />
+            {assignment.species}
+          </span>
+        )}
+        {assignment.product && (
+          <span className="cut-plan-board-species">{assignment.product}</span>
+        )}
+        {canEditDefects && (
+          <button
+            type="button"
+            className="btn-defects"
+            onClick={() => setIsEditingDefects(!isEditingDefects)}
+          >
+            {isEditingDefects ? 'Done' : `Defects${defects.length > 0 ? ` (${defects.length})` : ''}`}
+          </button>
+        )}
+      </div>
+      {isEditingDefects && (
+        <div className="defect-toolbar">
+          <select value={defectType} onChange={(e) => setDefectType(e.target.value)}>
+            {DEFECT_TYPES.map(t => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+          <span className="form-hint">Drag on the board to mark a defect</span>
+        </div>
+      )}
+      {overlapsDefect && (
+        <div className="warning">Parts overlap a marked defect. Regenerate the plan to cut around it.</div>
+      )}
+      <svg
+        width={boardLength + 2}
+        height={boardWidth + 2}
+        className={`cut-plan-svg${isEditingDefects ? ' editing-defects' : ''}${layoutEditor ? ' editing-layout' : ''}`}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseLeave}
+      >
+        <defs>
+          <pattern id={hatchId} width={6} height={6} patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+            <line x1={0} y1={0} x2={0} y2={6} stroke="#c0392b" strokeWidth={2} />
+          </pattern>
+        </defs>
+        {/* Board background */}
+        <rect
+          x={1}
+          y={1}
+          width={boardLength}
+          height={boardWidth}
+          fill="#F5F1E8"
+          stroke="#2C2C2C"
+          strokeWidth={1}
+        />
+
+        {/* Factory edge trim on sheet goods */}
+        {assignment.trim && getTrimZones(assignment).map((zone, idx) => (
+          <rect
+            key={`trim-${idx}`}
+            className="cut-plan-trim"
+            x={1 + zone.x * scale}
+            y={1 + zone.y * scale}
+            width={zone.length * scale}
+            height={zone.width * scale}
+          >
+            <title>Factory edge trim</title>
+          </rect>
+        ))}
+
+        {/* Cut pieces */}
+        {assignment.cuts.map((cut, idx) => {
+          const cutColor = getCutColor(cut, idx)
+          const textColor = getContrastColor(cutColor)
+          const isSelected = layoutEditor?.selectedCutIndex === idx
+          return (
+            <g key={idx} className={isSelected ? 'cut-selected' : ''}>
+              {cut.outline ? (
+                // Shaped parts are drawn by their real outline
+                <polygon
+                  points={cut.outline.map(([px, py]) => `${1 + (cut.x + px) * scale},${1 + (cut.y + py) * scale}`).join(' ')}
+                  fill={cutColor}
+                  stroke={isSelected ? '#E06829' : '#0A112A'}
+                  strokeWidth={isSelected ? 3 : 1}
+                  opacity={layoutEditor?.draggingCutIndex === idx ? 0.4 : 0.9}
+                />
+              ) : (
+                <rect
+                  x={1 + cut.x * scale}
+                  y={1 + cut.y * scale}
+                  width={cut.length * scale}
+                  height={cut.width * scale}
+                  fill={cutColor}
+                  stroke={isSelected ? '#E06829' : '#0A112A'}
+                  strokeWidth={isSelected ? 3 : 1}
+                  opacity={layoutEditor?.draggingCutIndex === idx ? 0.4 : 0.9}
+                />
+              )}
+              <text
+                x={1 + cut.x * scale + (cut.length * scale) / 2}
+                y={1 + cut.y * scale + (cut.width * scale) / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fill={textColor}
+                fontSize={Math.min(12, Math.min(cut.length, cut.width) * scale * 0.4)}
+                fontWeight="500"
+              >
+                {cut.cutPieceName}
+                {cut.cutPieceIndex > 0 && ` #${cut.cutPieceIndex + 1}`}
+              </text>
+              {getBandedEdgeLines(cut).map((line, lineIdx) => (
+                <line
+                  key={lineIdx}
+                  className="cut-banded-edge"
+                  x1={1 + line.x1 * scale}
+                  y1={1 + line.y1 * scale}
+                  x2={1 + line.x2 * scale}
+                  y2={1 + line.y2 * scale}
+                />
+              ))}
+              {cut.locked && (
+                <g className="cut-locked-marker" transform={`translate(${1 + cut.x * scale + 3}, ${1 + cut.y * scale + 3})`}>
+                  <title>Locked: kept in place when the plan is regenerated</title>
+                  <path d="M2 5 V3.5 a2.5 2.5 0 0 1 5 0 V5" fill="none" stroke={textColor} strokeWidth={1.2} />
+                  <rect x={1} y={5} width={7} height={5} rx={1} fill={textColor} />
+                </g>
+              )}
+            </g>
+          )
+        })}
+
+        {/* Match groups: outline each group's parts on this board */}
+        {[...new Set(assignment.cuts.map(cut => cut.matchGroup).filter(Boolean))].map(group => {
+          const members = assignment.cuts.filter(cut => cut.matchGroup === group)
+          const minX = Math.min(...members.map(cut => cut.x))
+          const minY = Math.min(...members.map(cut => cut.y))
+          const maxX = Math.max(...members.map(cut => cut.x + cut.length))
+          const maxY = Math.max(...members.map(cut => cut.y + cut.width))
+          return (
+            <rect
+              key={group}
+              className="cut-match-group"
+              x={1 + minX * scale - 2}
+              y={1 + minY * scale - 2}
+              width={(maxX - minX) * scale + 4}
+              height={(maxY - minY) * scale + 4}
+              fill="none"
+              stroke="#324168"
+              strokeWidth={1.5}
+              strokeDasharray="6 3"
+            >
+              <title>Match group: {group}</title>
+            </rect>
+          )
+        })}
+
+        {/* Defect zones */}
+        {defects.map(defect => (
+          <rect
+            key={defect.id}
+            x={1 + defect.x * scale}
+            y={1 + defect.y * scale}
+            width={defect.length * scale}
+            height={defect.width * scale}
+            fill={`url(#${hatchId})`}
+            stroke="#c0392b"
+            strokeWidth={1}
+          >
+            <title>{getDefectLabel(defect.type)}</title>
+          </rect>
+        ))}
+        {/* Numbered saw steps */}
+        {cutSequence && cutSequence.steps.filter(step => step.type !== 'stopped').map(step => {
+          const isRip = step.type === 'rip'
+          const x1 = 1 + (isRip ? step.from : step.at) * scale
+          const y1 = 1 + (isRip ? step.at : step.from) * scale
+          const x2 = 1 + (isRip ? step.to : step.at) * scale
+          const y2 = 1 + (isRip ? step.at : step.to) * scale
+          return (
+            <g key={step.number} className="cut-sequence-line">
+              <line x1={x1} y1={y1} x2={x2} y2={y2} stroke="#c0392b" strokeWidth={1.5} strokeDasharray="6 3" />
+              <circle cx={x1 + (isRip ? 8 : 0)} cy={y1 + (isRip ? 0 : 8)} r={7} fill="#c0392b" />
+              <text
+                x={x1 + (isRip ? 8 : 0)}
+                y={y1 + (isRip ? 0 : 8)}
+                textAnchor="middle"
+                dominantBaseline="central"
+                fill="#fff"
+                fontSize={9}
+                fontWeight="600"
+              >
+                {step.number}
+              </text>
+            </g>
+          )
+        })}
+        {layoutEditor?.ghost && (
+          <rect
+            x={1 + layoutEditor.ghost.x * scale}
+            y={1 + layoutEditor.ghost.y * scale}
+            width={layoutEditor.ghost.length * scale}
+            height={layoutEditor.ghost.width * scale}
+            fill={layoutEditor.ghost.conflicts.length > 0 ? 'rgba(192, 57, 43, 0.35)' : 'rgba(46, 125, 50, 0.35)'}
+            stroke={layoutEditor.ghost.conflicts.length > 0 ? '#c0392b' : '#2e7d32'}
+            strokeDasharray="4 2"
+            pointerEvents="none"
+          />
+        )}
+        {dragRect && (
+          <rect
+            x={1 + dragRect.x * scale}
+            y={1 + dragRect.y * scale}
+            width={dragRect.length * scale}
+            height={dragRect.width * scale}
+            fill="rgba(192, 57, 43, 0.2)"
+            stroke="#c0392b"
+            strokeDasharray="4 2"
+          />
+        )}
+      </svg>
+
+      {cutSequence && cutSequence.steps.length > 0 && (
+        <ol className="cut-sequence-list">
+          {cutSequence.steps.map(step => (
+            <li key={step.number} className={step.type === 'stopped' ? 'cut-sequence-stopped' : ''}>
+              {describeCutStep(step)}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {isEditingDefects && defects.length > 0 && (
+        <ul className="defect-list">
+          {defects.map(defect => (
+            <li key={defect.id}>
+              <span>
+                {getDefectLabel(defect.type)}: {defect.length}" × {defect.width}" at {defect.x}" from end, {defect.y}" from edge
+              </span>
+              <button type="button" className="btn-delete" onClick={() => handleDeleteDefect(defect.id)}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Cut dimensions list */}
+      <div className="cut-dimensions-list">
+        <table className="cut-dimensions-table">
+          <thead>
+            <tr>
+              <th>Piece</th>
+              <th>Rip Width</th>
+              <th>Crosscut Length</th>
+              {showFinished && <th>Finished</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {assignment.cuts.map((cut, idx) => (
+              <tr key={idx}>
+                <td>
+                  <span
+                    className="cut-color-indicator"
+                    style={{ backgroundColor: getCutColor(cut, idx) }}
+                  ></span>
+                  {cut.cutPieceName}
+                  {cut.cutPieceIndex > 0 && ` #${cut.cutPieceIndex + 1}`}
+                  {cut.outline && <span className="shape-badge">{PART_SHAPES[cut.shape]}</span>}
+                </td>
+                <td>{cut.width}"</td>
+                <td>{cut.length}"</td>
+                {showFinished && <td>{formatFinishedSize(cut) || '—'}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// How a glue-up panel goes together: its strips in order, colored by the board they come from
+function PanelAssembly({ panel }) {
+  const boardColors = ['#AFCFE4', '#E06829', '#6B8E23', '#CD853F', '#708090', '#BC8F8F']
+  const boardIds = [...new Set(panel.strips.map(strip => strip.uniqueId))]
+  const diagramLength = 240
+  const scale = diagramLength / panel.length
+  const stripHeight = panel.stripWidth * scale
+
+  // Runs of consecutive strips from the same board, e.g. "Strips 1–3: Board A"
+  const runs = []
+  panel.strips.forEach(strip => {
+    const last = runs[runs.length - 1]
+    if (last && last.uniqueId === strip.uniqueId && last.to === strip.stripIndex - 1) {
+      last.to = strip.stripIndex
+    } else {
+      runs.push({ ...strip, from: strip.stripIndex, to: strip.stripIndex })
+    }
+  })
+
+  return (
+    <div className="panel-assembly">
+      <div className="panel-assembly-label">
+        <strong>{panel.name}{panel.panelInstance > 0 && ` #${panel.panelInstance + 1}`}</strong>
+        {' '}{panel.length}" × {panel.width}" from {panel.stripCount} strips of {formatInches(panel.stripWidth)}
+        {panel.jointAllowance > 0 && `, ${formatInches(panel.jointAllowance)} jointed per glue line`}
+      </div>
+      <svg width={diagramLength + 2} height={panel.stripCount * stripHeight + 2}>
+        {panel.strips.map(strip => (
+          <g key={strip.stripIndex}>
+            <rect
+              x={1}
+              y={1 + strip.stripIndex * stripHeight}
+              width={diagramLength}
+              height={stripHeight}
+              fill={boardColors[boardIds.indexOf(strip.uniqueId) % boardColors.length]}
+              stroke="#0A112A"
+              strokeWidth={1}
+            />
+            <text
+              x={1 + diagramLength / 2}
+              y={1 + (strip.stripIndex + 0.5) * stripHeight}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fontSize={Math.min(11, stripHeight * 0.7)}
+              fill="#0A112A"
+            >
+              {strip.stripIndex + 1}
+            </text>
+          </g>
+        ))}
+      </svg>
+      <ul className="panel-assembly-strips">
+        {runs.map(run => (
+          <li key={run.from}>
+            {run.from === run.to ? `Strip ${run.from + 1}` : `Strips ${run.from + 1}–${run.to + 1}`}: {run.stockBoardName}
+            {run.stockBoardIndex > 0 && ` (#${run.stockBoardIndex + 1})`}
+          </li>
+        ))}
+      </ul>
+      {panel.strips.length < panel.stripCount && (
+        <div className="warning">Only {panel.strips.length} of {panel.stripCount} strips are in this plan</div>
+      )}
+    </div>
+  )
+}
+
+// Line-itemized project estimate (see costModel.js)
+function CostEstimateTable({ estimate }) {
+  return (
+    <table className="pricing-table cost-estimate-table">
+      <tbody>
+        {estimate.lines.map(line => (
+          <tr key={line.key}>
+            <td className="desc-col">
+              {line.label}
+              {line.detail && <span className="breakdown-details">{line.detail}</span>}
+            </td>
+            <td className="cost-col">${line.amount.toFixed(2)}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr className="total-row">
+          <td className="total-label">Estimate Total:</td>
+          <td className="total-cost">${estimate.total.toFixed(2)}</td>
+        </tr>
+      </tfoot>
+    </table>
+  )
+}
+
+// Get count of how many instances of each board a cut plan used
+function getUsedBoardCounts(cutPlan) {
+  if (!cutPlan?.assignments) return {}
+  const usedCounts = {}
+  const counted = new Set()
+  cutPlan.assignments.forEach(assignment => {
+    // Resawn slices of one board are bought once
+    const physicalId = assignment.physicalBoardId || assignment.uniqueId
+    if (counted.has(physicalId)) return
+    counted.add(physicalId)
+    // The assignment contains stockBoardId which is the original board ID
+    if (assignment.stockBoardId) {
+      usedCounts[assignment.stockBoardId] = (usedCounts[assignment.stockBoardId] || 0) + 1
+    }
+  })
+  return usedCounts
+}
+
+// Lumber pricing from a project's boards, grouped by species + thickness + dimensions
+// For "known" workflow, only boards the cut plan used are priced
+function calculateLumberPricing(cutPlan, boards, workflowType, priceList = null, customPrices = {}) {
+  if (!boards || boards.length === 0) return null
+
+  const isKnownWorkflow = workflowType === 'known' && Boolean(cutPlan)
+  const usedBoardCounts = isKnownWorkflow ? getUsedBoardCounts(cutPlan) : null
+
+  const grouped = {}
+  boards.forEach(board => {
+    const qty = board.quantity || 1
+
+    // For known workflow, only count boards that were used
+    let qtyToPrice = qty
+    if (isKnownWorkflow && usedBoardCounts) {
+      qtyToPrice = usedBoardCounts[board.id] || 0
+      if (qtyToPrice === 0) return // Skip if none used
+    }
+
+    // Calculate board feet per piece (before quantity)
+    const bfPerPiece = board.boardFeet / qty
+
+    const key = `${board.thickness}|${board.species || ''}|${board.length}|${board.width}`
+    if (!grouped[key]) {
+      grouped[key] = {
+        key,
+        thickness: board.thickness,
+        species: board.species,
+        length: board.length,
+        width: board.width,
+        count: 0,
+        totalBF: 0
+      }
+    }
+    grouped[key].count += qtyToPrice
+    grouped[key].totalBF += bfPerPiece * qtyToPrice
+  })
+
+  const items = []
+  let totalCost = 0
+  let hasUnpricedItems = false
+
+  Object.values(grouped).forEach(group => {
+    const defaultPrice = getPricePerBF(group.species || '', group.thickness, priceList)
+    // Use custom price if set, otherwise use default
+    const pricePerBF = customPrices[group.key] !== undefined
+      ? customPrices[group.key]
+      : defaultPrice
+
+    if (pricePerBF !== null && pricePerBF !== '') {
+      const cost = group.totalBF * parseFloat(pricePerBF)
+      totalCost += cost
+      items.push({ ...group, pricePerBF: parseFloat(pricePerBF), defaultPrice, cost, isCustom: customPrices[group.key] !== undefined })
+    } else {
+      hasUnpricedItems = true
+      items.push({ ...group, pricePerBF: null, defaultPrice, cost: null, isCustom: false })
+    }
+  })
+
+  return {
+    items,
+    totalCost,
+    totalBF: items.reduce((sum, item) => sum + item.totalBF, 0),
+    hasUnpricedItems,
+    isUsedOnly: isKnownWorkflow,
+    boardsUsed: cutPlan?.boardsUsed,
+    totalBoards: cutPlan?.totalStockBoards
+  }
+}
+
+// Cut Plan Display Component
+function CutPlanDisplay({ cutPlan, boards, onRegenerate, isRegenerating, workflowType, onUpdateBoardDefects, goal, onGoalChange, onEditLayout, validation, onReplan, priceList, priceLists = [], suppliers = [], onOrderBySupplier, getCostEstimate }) {
+  // State for custom price overrides (keyed by item index)
+  const [customPrices, setCustomPrices] = useState({})
+  // Price lists left out of the supplier comparison
+  const [excludedListIds, setExcludedListIds] = useState([])
+  const [showCutSequence, setShowCutSequence] = useState(false)
+  // Layout editor: the selected part is tracked by piece, since cuts are reordered
+  // each time the plan is rebuilt
+  const [isEditingLayout, setIsEditingLayout] = useState(false)
+  const [selectedPiece, setSelectedPiece] = useState(null)
+  const [layoutDrag, setLayoutDrag] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
+  const [layoutMessage, setLayoutMessage] = useState('')
+
+  // Releasing a dragged part anywhere off a board drops nothing
+  useEffect(() => {
+    if (!layoutDrag) return
+    const cancelDrag = () => {
+      setLayoutDrag(null)
+      setDropTarget(null)
+    }
+    window.addEventListener('mouseup', cancelDrag)
+    return () => window.removeEventListener('mouseup', cancelDrag)
+  }, [layoutDrag])
+
+  if (!cutPlan) return null
+
+  const scale = 3 // pixels per inch
+
+  const handlePriceChange = (key, value) => {
+    if (value === '' || value === null) {
+      // Remove custom price, revert to default
+      const newPrices = { ...customPrices }
+      delete newPrices[key]
+      setCustomPrices(newPrices)
+    } else {
+      setCustomPrices({ ...customPrices, [key]: parseFloat(value) || 0 })
+    }
+  }
+
+  const pricing = calculateLumberPricing(cutPlan, boards, workflowType, priceList, customPrices)
+  const costEstimate = pricing && getCostEstimate ? getCostEstimate(pricing) : null
+
+  // Same shopping list priced by each supplier list, and the cheapest split between them
+  const comparedLists = priceLists.filter(list => !excludedListIds.includes(list.id))
+  const supplierComparison = pricing && comparedLists.length > 0
+    ? comparePriceLists(pricing.items, comparedLists, suppliers)
+    : []
+  const splitOrder = pricing && comparedLists.length > 0
+    ? recommendSplitOrder(pricing.items, comparedLists, suppliers)
+    : null
+
+  const toggleComparedList = (listId) => {
+    setExcludedListIds(prev => prev.includes(listId) ? prev.filter(id => id !== listId) : [...prev, listId])
+  }
+  const planWaste = cutPlan.waste
+  const planGroups = cutPlan.groups || []
+  const selectedGoal = OPTIMIZATION_GOALS[goal] ? goal : DEFAULT_OPTIMIZATION_GOAL
+
+  // Layout editing (resawn slices stay as the optimizer cut them)
+  const canEditLayout = Boolean(onEditLayout)
+  const lockedCount = cutPlan.assignments.reduce((sum, a) => sum + a.cuts.filter(cut => cut.locked).length, 0)
+
+  const findCutLocation = (piece) => {
+    if (!piece) return null
+    for (let assignmentIndex = 0; assignmentIndex < cutPlan.assignments.length; assignmentIndex++) {
+      const cutIndex = cutPlan.assignments[assignmentIndex].cuts.findIndex(cut =>
+        cut.cutPieceId === piece.cutPieceId && cut.cutPieceIndex === piece.cutPieceIndex
+      )
+      if (cutIndex !== -1) return { assignmentIndex, cutIndex }
+    }
+    return null
+  }
+  const selectedLocation = findCutLocation(selectedPiece)
+  const selectedCut = selectedLocation
+    ? cutPlan.assignments[selectedLocation.assignmentIndex].cuts[selectedLocation.cutIndex]
+    : null
+
+  const getPlacementOptions = (assignment, ignoreCutIndex) => {
+    const board = boards?.find(b => b.id === assignment.stockBoardId)
+    return {
+      sawProfile: cutPlan.sawProfile,
+      milling: cutPlan.milling,
+      defects: (board?.defects || []).filter(d => (d.instanceIndex || 0) === (assignment.stockBoardIndex || 0)),
+      ignoreCutIndex
+    }
+  }
+
+  const handlePickUp = (assignmentIndex, cutIndex, point) => {
+    const cut = cutPlan.assignments[assignmentIndex].cuts[cutIndex]
+    setSelectedPiece({ cutPieceId: cut.cutPieceId, cutPieceIndex: cut.cutPieceIndex })
+    setLayoutDrag({ from: { assignmentIndex, cutIndex }, offsetX: point.x - cut.x, offsetY: point.y - cut.y })
+    setDropTarget(null)
+    setLayoutMessage('')
+  }
+
+  // Live position of the dragged part, snapped and checked against the target board
+  const handleDragOver = (assignmentIndex, point) => {
+    const source = cutPlan.assignments[layoutDrag.from.assignmentIndex]
+    const target = cutPlan.assignments[assignmentIndex]
+    const cut = source.cuts[layoutDrag.from.cutIndex]
+    const rect = { x: point.x - layoutDrag.offsetX, y: point.y - layoutDrag.offsetY, length: cut.length, width: cut.width }
+
+    if (!canMoveBetween(source, target)) {
+      setDropTarget({ assignmentIndex, ...rect, conflicts: ['Parts can only move to boards of the same thickness and species'] })
+      return
+    }
+    const options = getPlacementOptions(target, assignmentIndex === layoutDrag.from.assignmentIndex ? layoutDrag.from.cutIndex : -1)
+    const snapped = { ...rect, ...snapPlacement(target, rect, options) }
+    setDropTarget({ assignmentIndex, ...snapped, conflicts: findPlacementConflicts(target, snapped, options) })
+  }
+
+  const handleDrop = () => {
+    const { from } = layoutDrag
+    setLayoutDrag(null)
+    setDropTarget(null)
+    if (!dropTarget) return
+    if (dropTarget.conflicts.length > 0) {
+      setLayoutMessage(`Can't place the part there: ${dropTarget.conflicts[0]}`)
+      return
+    }
+    const cut = cutPlan.assignments[from.assignmentIndex].cuts[from.cutIndex]
+    const unchanged = dropTarget.assignmentIndex === from.assignmentIndex &&
+      Math.abs(dropTarget.x - cut.x) < 0.001 && Math.abs(dropTarget.y - cut.y) < 0.001
+    if (unchanged) return
+    onEditLayout(moveCut(cutPlan.assignments, from, {
+      assignmentIndex: dropTarget.assignmentIndex,
+      x: dropTarget.x,
+      y: dropTarget.y,
+      rotated: cut.rotated
+    }))
+  }
+
+  // Turn the selected part 90° where it sits (grain direction permitting)
+  const handleRotateSelected = () => {
+    const assignment = cutPlan.assignments[selectedLocation.assignmentIndex]
+    const rect = { x: selectedCut.x, y: selectedCut.y, length: selectedCut.width, width: selectedCut.length }
+    const conflicts = findPlacementConflicts(assignment, rect, getPlacementOptions(assignment, selectedLocation.cutIndex))
+    if (conflicts.length > 0) {
+      setLayoutMessage(`Can't rotate the part where it is: ${conflicts[0]}`)
+      return
+    }
+    setLayoutMessage('')
+    onEditLayout(moveCut(cutPlan.assignments, selectedLocation, {
+      assignmentIndex: selectedLocation.assignmentIndex,
+      x: selectedCut.x,
+      y: selectedCut.y,
+      rotated: !selectedCut.rotated
+    }))
+  }
+
+  const getLayoutEditor = (assignment, assignmentIndex) => {
+    if (!isEditingLayout || assignment.resaw) return null
+    return {
+      selectedCutIndex: selectedLocation?.assignmentIndex === assignmentIndex ? selectedLocation.cutIndex : -1,
+      draggingCutIndex: layoutDrag?.from.assignmentIndex === assignmentIndex ? layoutDrag.from.cutIndex : -1,
+      isDragging: Boolean(layoutDrag),
+      ghost: dropTarget?.assignmentIndex === assignmentIndex ? dropTarget : null,
+      onPickUp: (cutIndex, point) => handlePickUp(assignmentIndex, cutIndex, point),
+      onDragOver: (point) => handleDragOver(assignmentIndex, point),
+      onDragLeave: () => setDropTarget(null),
+      onDrop: handleDrop
+    }
+  }
+
+  return (
+    <div className="cut-plan-display">
+      <div className="cut-plan-header">
+        <h3>Cut Plan</h3>
+        <div className="cut-plan-header-actions">
+          {onGoalChange && (
+            <label className="cut-plan-goal">
+              Optimize for
+              <select value={selectedGoal} onChange={(e) => onGoalChange(e.target.value)}>
+                {Object.entries(OPTIMIZATION_GOALS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button
+            onClick={onRegenerate}
+            className={`btn-secondary ${isRegenerating ? 'btn-loading' : ''}`}
+            disabled={isRegenerating}
+          >
+            {isRegenerating ? 'Regenerating...' : 'Regenerate Plan'}
+          </button>
+        </div>
+      </div>
+
+      {validation && !validation.valid && (
+        <div className="error cut-plan-validation">
+          <strong>
+            {validation.stale && validation.invalid
+              ? 'This plan is out of date and invalid.'
+              : validation.stale ? 'This plan is out of date.' : 'This plan is invalid.'}
+          </strong>
+          {' '}Regenerate it before cutting; PDF export is off until you do.
+          {validation.settingsChanged && (
+            <p>The saw profile or plan settings changed since it was made.</p>
+          )}
+          {!validation.settingsChanged && validation.changedGroups?.length > 0 && (
+            <p>
+              Boards or parts changed in: {validation.changedGroups.map(group =>
+                group.species ? `${group.thickness} ${group.species}` : group.thickness
+              ).join(', ')}.
+              {onReplan && (
+                <button
+                  onClick={onReplan}
+                  className="btn-secondary"
+                  disabled={isRegenerating}
+                >
+                  Re-plan Changed Groups
+                </button>
+              )}
+            </p>
+          )}
+          {validation.issues.length > 0 && (
+            <ul>
+              {validation.issues.slice(0, 5).map((issue, idx) => (
+                <li key={idx}>{issue.message}</li>
+              ))}
+              {validation.issues.length > 5 && (
+                <li>…and {validation.issues.length - 5} more</li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {cutPlan.replannedGroups && (
+        <p className="cut-plan-goal-note">
+          Re-planned {cutPlan.replannedGroups.length} changed {cutPlan.replannedGroups.length === 1 ? 'group' : 'groups'}; boards in the other groups kept their layouts.
+        </p>
+      )}
+
+      {onGoalChange && cutPlan.goal && cutPlan.goal !== selectedGoal && (
+        <p className="cut-plan-goal-note">
+          This plan was optimized for {OPTIMIZATION_GOALS[cutPlan.goal]?.toLowerCase()}. Regenerate to optimize for {OPTIMIZATION_GOALS[selectedGoal].toLowerCase()}.
+        </p>
+      )}
+
+      {cutPlan.exact && (
+        <p className={`cut-plan-exact ${cutPlan.exact.optimal ? 'exact-optimal' : ''}`}>
+          {cutPlan.exact.optimal
+            ? `Proven optimal: ${cutPlan.boardsUsed} ${cutPlan.boardsUsed === 1 ? 'board is' : 'boards are'} the fewest these parts fit on.`
+            : cutPlan.exact.fewerBoardsFound
+              ? `Exact search found a layout on ${cutPlan.exact.boardsFound} ${cutPlan.exact.boardsFound === 1 ? 'board' : 'boards'}, but this plan ranks better for ${OPTIMIZATION_GOALS[cutPlan.goal]?.toLowerCase() || 'the goal'}.`
+              : cutPlan.exact.groupsSkipped > 0
+                ? `Exact search skipped ${cutPlan.exact.groupsSkipped} stock ${cutPlan.exact.groupsSkipped === 1 ? 'group' : 'groups'} with resawn, panel, matched, locked, substituted or unplaced parts.`
+                : cutPlan.exact.searchComplete
+                  ? `Exact search found no layout on fewer boards; by area at least ${cutPlan.exact.lowerBound} ${cutPlan.exact.lowerBound === 1 ? 'board is' : 'boards are'} needed.`
+                  : `Exact search ran out of time; by area at least ${cutPlan.exact.lowerBound} ${cutPlan.exact.lowerBound === 1 ? 'board is' : 'boards are'} needed.`}
+          {cutPlan.exact.improved && ' It found a layout on fewer boards than the quick packing.'}
+        </p>
+      )}
+
+      <div className="cut-plan-stats">
+        <div className={`cut-plan-stat ${cutPlan.efficiency >= 80 ? 'stat-good' : cutPlan.efficiency >= 60 ? 'stat-moderate' : 'stat-poor'}`}>
+          <span className="stat-value">{cutPlan.efficiency.toFixed(1)}%</span>
+          <span className="stat-label">Efficiency</span>
+        </div>
+        <div className={`cut-plan-stat ${planWaste <= 1 ? 'stat-good' : planWaste <= 3 ? 'stat-moderate' : 'stat-poor'}`}>
+          <span className="stat-value">{planWaste.toFixed(2)}</span>
+          <span className="stat-label">Waste (BF)</span>
+        </div>
+        <div className="cut-plan-stat">
+          <span className="stat-value">{cutPlan.boardsUsed}/{cutPlan.totalStockBoards}</span>
+          <span className="stat-label">Boards Used</span>
+        </div>
+        {pricing && pricing.totalCost > 0 && (
+          <div className="cut-plan-stat stat-highlight">
+            <span className="stat-value">${pricing.totalCost.toFixed(2)}</span>
+            <span className="stat-label">{pricing.isUsedOnly ? 'Cost (Used)' : 'Est. Cost'}</span>
+          </div>
+        )}
+      </div>
+
+      {planGroups.length > 1 && (
+        <table className="cut-plan-groups">
+          <thead>
+            <tr>
+              <th>Stock</th>
+              <th>Boards</th>
+              <th>Stock BF</th>
+              <th>Part BF</th>
+              <th>Waste BF</th>
+              <th>Efficiency</th>
+            </tr>
+          </thead>
+          <tbody>
+            {planGroups.map(group => (
+              <tr key={group.key}>
+                <td>{group.thickness}{group.species ? ` ${group.species}` : ''}</td>
+                <td>{group.boardsUsed}</td>
+                <td>{group.stockBF.toFixed(2)}</td>
+                <td>{group.partBF.toFixed(2)}</td>
+                <td>{group.wasteBF.toFixed(2)}</td>
+                <td>{group.efficiency.toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {cutPlan.score && cutPlan.alternatives && cutPlan.alternatives.length > 0 && (
+        <details className="cut-plan-alternatives">
+          <summary>Compare with {cutPlan.alternatives.length} runner-up plan{cutPlan.alternatives.length === 1 ? '' : 's'}</summary>
+          <table>
+            <thead>
+              <tr>
+                <th>Plan</th>
+                <th>Boards</th>
+                <th>Waste BF</th>
+                <th>Cost</th>
+                <th>Saw Cuts</th>
+                <th>Unplaced</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[cutPlan, ...cutPlan.alternatives].map((plan, idx) => (
+                <tr key={idx} className={idx === 0 ? 'chosen-plan' : ''}>
+                  <td>{idx === 0 ? 'This plan' : `Runner-up ${idx}`}</td>
+                  <td>{plan.score.boardsUsed}</td>
+                  <td>{plan.score.wasteBF.toFixed(2)}</td>
+                  <td>{plan.score.cost > 0 ? `$${plan.score.cost.toFixed(2)}` : '—'}</td>
+                  <td>{plan.score.sawCuts}</td>
+                  <td>{plan.score.unplaced}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+
+      {cutPlan.sawProfile && (
+        <p className="cut-plan-saw-profile">
+          <strong>Saw profile:</strong> {describeSawProfile(cutPlan.sawProfile)}
+          {describeMillingAllowances(cutPlan.milling) && (
+            <><br /><strong>Milling allowances:</strong> {describeMillingAllowances(cutPlan.milling)} (rip and crosscut sizes are rough)</>
+          )}
+        </p>
+      )}
+
+      {cutPlan.resawnBoards && cutPlan.resawnBoards.length > 0 && (
+        <div className="cut-plan-resaw">
+          <strong>Resaw:</strong>
+          <ul>
+            {cutPlan.resawnBoards.map(board => (
+              <li key={board.physicalBoardId}>
+                {board.stockBoardName}
+                {board.stockBoardIndex > 0 && ` (#${board.stockBoardIndex + 1})`}
+                {' '}({board.thickness}{board.species ? ` ${board.species}` : ''}) → {board.sliceCount} × {formatInches(board.sliceThickness)} slices, {board.slicesUsed} used
+              </li>
+            ))}
+          </ul>
+          <p>Bandsaw kerf {formatInches(cutPlan.resaw.kerf)} • planing loss {formatInches(cutPlan.resaw.planingLoss)} per slice</p>
+        </div>
+      )}
+
+      {cutPlan.panels && cutPlan.panels.length > 0 && (
+        <div className="cut-plan-panels">
+          <h4>Glue-up Panels</h4>
+          <p className="form-hint">Strips are numbered in glue-up order; matching colors come from the same board.</p>
+          {cutPlan.panels.map(panel => (
+            <PanelAssembly key={panel.key} panel={panel} />
+          ))}
+        </div>
+      )}
+
+      {cutPlan.matchGroups && cutPlan.matchGroups.length > 0 && (
+        <div className="cut-plan-match-groups">
+          <h4>Match Groups</h4>
+          <ul>
+            {cutPlan.matchGroups.map(group => {
+              const boardNames = [...new Set(group.parts.map(part =>
+                part.stockBoardIndex > 0 ? `${part.stockBoardName} (#${part.stockBoardIndex + 1})` : part.stockBoardName
+              ))]
+              return (
+                <li key={group.name}>
+                  <strong>{group.name}</strong>:
+                  {' '}{group.inSequence ? `end to end on ${boardNames[0]}` : `from ${boardNames.join(', ')}`}
+                  {' '}({group.parts.map(part => part.cutPieceIndex > 0 ? `${part.name} #${part.cutPieceIndex + 1}` : part.name).join(', ')})
+                </li>
+              )
+            })}
+          </ul>
+        </div>
+      )}
+
+      {cutPlan.substitutions && cutPlan.substitutions.length > 0 && (
+        <div className="cut-plan-substitutions">
+          <h4>Substitutions</h4>
+          <ul>
+            {cutPlan.substitutions.map(sub => (
+              <li key={`${sub.cutPieceId}-${sub.cutPieceIndex}`}>
+                <strong>{sub.name}{sub.cutPieceIndex > 0 && ` #${sub.cutPieceIndex + 1}`}</strong>:
+                {' '}{sub.toSpecies} instead of {sub.fromSpecies}, from {sub.stockBoardName}
+                {sub.stockBoardIndex > 0 && ` (#${sub.stockBoardIndex + 1})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {cutPlan.laminations && cutPlan.laminations.length > 0 && (
+        <div className="cut-plan-laminations">
+          <h4>Laminations</h4>
+          <ul>
+            {cutPlan.laminations.map(lamination => (
+              <li key={lamination.key}>
+                <strong>{lamination.name}{lamination.pieceInstance > 0 && ` #${lamination.pieceInstance + 1}`}</strong>
+                {' '}({typeof lamination.partThickness === 'number' ? `${formatInches(lamination.partThickness)} finished` : lamination.partThickness}):
+                {' '}{lamination.layerCount} layers of {lamination.layerThickness}
+                {lamination.glueAllowance > 0 && `, ${formatInches(lamination.glueAllowance)} surfaced per glue line`}
+                <ul>
+                  {lamination.layers.map(layer => (
+                    <li key={layer.layerIndex}>
+                      Layer {layer.layerIndex + 1} of {lamination.layerCount}: {layer.stockBoardName}
+                      {layer.stockBoardIndex > 0 && ` (#${layer.stockBoardIndex + 1})`}
+                    </li>
+                  ))}
+                </ul>
+                {lamination.layers.length < lamination.layerCount && (
+                  <div className="warning">Only {lamination.layers.length} of {lamination.layerCount} layers are in this plan</div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {cutPlan.warnings.length > 0 && (
+        <div className="cut-plan-warnings">
+          {cutPlan.warnings.map((warning, idx) => (
+            <div key={idx} className="warning">{warning}</div>
+          ))}
+        </div>
+      )}
+
+      <label className="checkbox-label cut-sequence-toggle">
+        <input
+          type="checkbox"
+          checked={showCutSequence}
+          onChange={(e) => setShowCutSequence(e.target.checked)}
+        />
+        Show numbered saw steps
+      </label>
+
+      {canEditLayout && (
+        <div className="layout-editor">
+          <div className="layout-editor-actions">
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => {
+                setIsEditingLayout(!isEditingLayout)
+                setSelectedPiece(null)
+                setLayoutMessage('')
+              }}
+            >
+              {isEditingLayout ? 'Done Editing' : 'Edit Layout'}
+            </button>
+            {lockedCount > 0 && (
+              <button type="button" className="btn-secondary" onClick={() => onEditLayout(unlockCuts(cutPlan.assignments))}>
+                Unlock All ({lockedCount})
+              </button>
+            )}
+          </div>
+          {isEditingLayout && (
+            <div className="layout-editor-toolbar">
+              <span className="form-hint">
+                Drag parts to move them within a board or to another board of the same stock. Moved parts are locked and stay put when the plan is regenerated.
+              </span>
+              {selectedCut && (
+                <div className="layout-editor-selection">
+                  <strong>
+                    {selectedCut.cutPieceName}
+                    {selectedCut.cutPieceIndex > 0 && ` #${selectedCut.cutPieceIndex + 1}`}
+                  </strong>
+                  {' '}{selectedCut.length}" × {selectedCut.width}"
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={handleRotateSelected}
+                    disabled={!canRotateCut(selectedCut)}
+                    title={canRotateCut(selectedCut) ? 'Turn the part 90°' : "This part has a grain direction and can't be turned"}
+                  >
+                    Rotate 90°
+                  </button>
+                  {selectedCut.locked && (
+                    <button type="button" className="btn-secondary" onClick={() => onEditLayout(unlockCuts(cutPlan.assignments, selectedLocation))}>
+                      Unlock
+                    </button>
+                  )}
+                </div>
+              )}
+              {layoutMessage && <div className="warning">{layoutMessage}</div>}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="cut-plan-boards">
+        {cutPlan.assignments.map((assignment, idx) => (
+          <CutPlanBoard
+            key={idx}
+            assignment={assignment}
+            scale={scale}
+            board={boards?.find(b => b.id === assignment.stockBoardId)}
+            onUpdateDefects={onUpdateBoardDefects}
+            cutSequence={showCutSequence ? generateCutSequence(assignment, cutPlan.sawProfile, cutPlan.milling) : null}
+            layoutEditor={canEditLayout ? getLayoutEditor(assignment, idx) : null}
+          />
+        ))}
+      </div>
+
+      {cutPlan.assignments.length === 0 && cutPlan.warnings.length === 0 && (
+        <p className="cut-plan-empty">No cuts to display. Add cut pieces and generate a plan.</p>
+      )}
+
+      {/* Pricing Breakdown */}
+      {pricing && pricing.items.length > 0 && (
+        <div className="cut-plan-pricing">
+          <h4>Estimated Material Cost</h4>
+          {pricing.isUsedOnly && (
+            <p className="pricing-context">
+              Showing cost for <strong>{pricing.boardsUsed} of {pricing.totalBoards}</strong> boards used in this cut plan.
+            </p>
+          )}
+          <table className="pricing-table">
+            <thead>
+              <tr>
+                <th>Qty</th>
+                <th>Board</th>
+                <th>BF</th>
+                <th>$/BF</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pricing.items.map((item, idx) => (
+                <tr key={idx} className={item.isCustom ? 'custom-price' : ''}>
+                  <td className="qty-col">{item.count}×</td>
+                  <td className="desc-col">
+                    {item.length}" × {item.width}"
+                    <span className="breakdown-details">
+                      {item.thickness}
+                      {item.species && ` • ${item.species}`}
+                    </span>
+                  </td>
+                  <td className="bf-col">{item.totalBF.toFixed(1)}</td>
+                  <td className="price-col">
+                    <div className="price-input-wrapper">
+                      <span className="price-symbol">$</span>
+                      <input
+                        type="number"
+                        className="price-input"
+                        value={item.pricePerBF !== null ? item.pricePerBF : ''}
+                        onChange={(e) => handlePriceChange(item.key, e.target.value)}
+                        placeholder={item.defaultPrice !== null ? item.defaultPrice.toFixed(2) : '0.00'}
+                        step="0.01"
+                        min="0"
+                      />
+                    </div>
+                  </td>
+                  <td className="cost-col">
+                    {item.cost !== null ? `$${item.cost.toFixed(2)}` : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="total-row">
+                <td colSpan="4" className="total-label">Estimated Total:</td>
+                <td className="total-cost">
+                  ${pricing.totalCost.toFixed(2)}
+                  {pricing.hasUnpricedItems && '*'}
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+          {pricing.hasUnpricedItems && (
+            <p className="pricing-note">* Enter a price to include in total</p>
+          )}
+          <p className="pricing-disclaimer">
+            {priceList
+              ? `Prices from the "${priceList.name}" price list; anything it doesn't list uses the default estimates.`
+              : 'Default prices are estimates only. Update with your most current prices.'}
+          </p>
+
+          {costEstimate && (
+            <>
+              <h4>Project Estimate</h4>
+              <CostEstimateTable estimate={costEstimate} />
+              <p className="pricing-note">Waste, surfacing, delivery, labor, markup and tax are set in Settings and Project Settings.</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Supplier Comparison */}
+      {pricing && pricing.items.length > 0 && priceLists.length > 1 && (
+        <div className="cut-plan-pricing supplier-comparison">
+          <h4>Compare Suppliers</h4>
+          <div className="supplier-comparison-lists">
+            {priceLists.map(list => (
+              <label key={list.id} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={!excludedListIds.includes(list.id)}
+                  onChange={() => toggleComparedList(list.id)}
+                />
+                {list.name}
+              </label>
+            ))}
+          </div>
+
+          {supplierComparison.length > 0 && (
+            <table className="pricing-table supplier-comparison-table">
+              <thead>
+                <tr>
+                  <th>Board</th>
+                  <th>BF</th>
+                  {supplierComparison.map(result => (
+                    <th key={result.priceList.id} className="cost-col">
+                      {result.priceList.name}
+                      {result.supplier && <span className="breakdown-details">{result.supplier.name}</span>}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {pricing.items.map((item, itemIdx) => (
+                  <tr key={item.key}>
+                    <td className="desc-col">
+                      {item.count}× {item.length}" × {item.width}"
+                      <span className="breakdown-details">
+                        {item.thickness}
+                        {item.species && ` • ${item.species}`}
+                      </span>
+                    </td>
+                    <td className="bf-col">{item.totalBF.toFixed(1)}</td>
+                    {supplierComparison.map(result => {
+                      const line = result.lines[itemIdx]
+                      const isCheapest = line.cost !== null && supplierComparison.every(other =>
+                        other.lines[itemIdx].cost === null || other.lines[itemIdx].cost >= line.cost)
+                      return (
+                        <td key={result.priceList.id} className={`cost-col${isCheapest ? ' cheapest-price' : ''}`}>
+                          {line.cost !== null ? (
+                            <>
+                              ${line.cost.toFixed(2)}
+                              <span className="breakdown-details">${line.pricePerBF.toFixed(2)}/BF</span>
+                            </>
+                          ) : '—'}
+                        </td>
+                      )
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                {supplierComparison.some(result => result.deliveryFee > 0) && (
+                  <tr>
+                    <td colSpan="2" className="total-label">Delivery:</td>
+                    {supplierComparison.map(result => (
+                      <td key={result.priceList.id} className="cost-col">${result.deliveryFee.toFixed(2)}</td>
+                    ))}
+                  </tr>
+                )}
+                {supplierComparison.some(result => result.minimumCharge > 0) && (
+                  <tr>
+                    <td colSpan="2" className="total-label">To minimum order:</td>
+                    {supplierComparison.map(result => (
+                      <td key={result.priceList.id} className="cost-col">${result.minimumCharge.toFixed(2)}</td>
+                    ))}
+                  </tr>
+                )}
+                <tr className="total-row">
+                  <td colSpan="2" className="total-label">Total:</td>
+                  {supplierComparison.map(result => (
+                    <td key={result.priceList.id} className="total-cost">
+                      ${result.total.toFixed(2)}
+                      {!result.complete && '*'}
+                    </td>
+                  ))}
+                </tr>
+              </tfoot>
+            </table>
+          )}
+          {supplierComparison.some(result => !result.complete) && (
+            <p className="pricing-note">* Doesn't price every board; the total leaves those out</p>
+          )}
+
+          {splitOrder && (
+            <div className="supplier-split">
+              <h5>Recommended Order</h5>
+              {splitOrder.orders.length === 1 ? (
+                <p>Buy everything from <strong>{splitOrder.orders[0].supplierName}</strong>: ${splitOrder.total.toFixed(2)}</p>
+              ) : (
+                <ul>
+                  {splitOrder.orders.map((order, idx) => (
+                    <li key={idx}>
+                      <strong>{order.supplierName}</strong>: {[...new Set(order.lines.map(line => `${line.species || 'Unspecified'} ${line.thickness}`))].join(', ')}
+                      {' '}— ${order.total.toFixed(2)}
+                      {(order.deliveryFee > 0 || order.minimumCharge > 0) && (
+                        <span className="breakdown-details">
+                          {[
+                            order.deliveryFee > 0 && `$${order.deliveryFee.toFixed(2)} delivery`,
+                            order.minimumCharge > 0 && `$${order.minimumCharge.toFixed(2)} to reach the minimum order`
+                          ].filter(Boolean).join(', ')}
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {splitOrder.orders.length > 1 && (
+                <p className="supplier-split-total">
+                  Total ${splitOrder.total.toFixed(2)}
+                  {splitOrder.bestSingle && splitOrder.savings > 0.005 &&
+                    `, saving $${splitOrder.savings.toFixed(2)} over buying everything from ${splitOrder.bestSingle.priceListName}`}
+                </p>
+              )}
+              {splitOrder.unpricedItems.length > 0 && (
+                <p className="pricing-note">
+                  Not priced by the compared lists: {splitOrder.unpricedItems.map(item => `${item.species || 'Unspecified'} ${item.thickness}`).join(', ')}
+                </p>
+              )}
+              {onOrderBySupplier && (
+                <button onClick={() => onOrderBySupplier(splitOrder)} className="btn-secondary">
+                  📋 Purchase Orders by Supplier
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+    </div>
+  )
+}
+
+// Project Summary Component
+function ProjectSummary({ project, costEstimate }) {
+  const totalBoardFeet = project.boards.reduce((sum, board) => sum + board.boardFeet, 0)
+  const totalPieces = project.boards.reduce((sum, board) => sum + (board.quantity || 1), 0)
+
+  const cutPieces = project.cutPieces || []
+  const projectQuantity = project.quantity || 1
+  const totalCutPiecesPerItem = cutPieces.reduce((sum, piece) => sum + (piece.quantity || 1), 0)
+  const totalCutPieces = totalCutPiecesPerItem * projectQuantity
+
+  // Sheet goods computed values
+  const sheetGoods = project.sheetGoods || []
+  const sheetCutPiecesList = project.sheetCutPieces || []
+  const totalSheetCount = sheetGoods.reduce((sum, s) => sum + (s.quantity || 1), 0)
+  const totalSheetSqFt = sheetGoods.reduce((sum, s) => sum + ((s.length * s.width) / 144 * (s.quantity || 1)), 0)
+  const totalSheetCutPieces = sheetCutPiecesList.reduce((sum, p) => sum + (p.quantity || 1), 0)
+  const totalSheetCutSqFt = sheetCutPiecesList.reduce((sum, p) => sum + ((p.length * p.width) / 144 * (p.quantity || 1)), 0)
+
+  // Linear stock computed values
+  const linearStock = project.linearStock || []
+  const linearCutPiecesList = project.linearCutPieces || []
+  const totalSticks = linearStock.reduce((sum, l) => sum + (l.quantity || 1), 0)
+  const totalStockFeet = linearStock.reduce((sum, l) => sum + (l.length / 12) * (l.quantity || 1), 0)
+  const totalLinearCutPieces = linearCutPiecesList.reduce((sum, p) => sum + (p.quantity || 1), 0) * projectQuantity
+  const totalLinearCutFeet = linearCutPiecesList.reduce((sum, p) => sum + (p.length / 12) * (p.quantity || 1), 0) * projectQuantity
+
+  // Calculate BF for multiplied quantities
+  const multipliedCutPieces = projectQuantity > 1
+    ? cutPieces.map(p => ({ ...p, quantity: (p.quantity || 1) * projectQuantity }))
+    : cutPieces
+  const totalCutBF = calculateCutPiecesBF(multipliedCutPieces)
+
+  return (
+    <div className="project-summary">
+      <h3>Project Summary</h3>
+
+      {/* Project Quantity */}
+      {projectQuantity > 1 && (
+        <div className="summary-quantity-badge">
+          Making {projectQuantity} items
+        </div>
+      )}
+
+      {/* Stock Summary */}
+      <div className="summary-section-label">Stock Boards</div>
+      <div className="summary-stats">
+        <div className="stat">
+          <span className="stat-value">{totalPieces}</span>
+          <span className="stat-label">Pieces</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{totalBoardFeet.toFixed(1)}</span>
+          <span className="stat-label">Board Feet</span>
+        </div>
+      </div>
+
+      {/* Cut Pieces Summary */}
+      {cutPieces.length > 0 && (
+        <>
+          <div className="summary-section-label">Cut List {projectQuantity > 1 && '(Total)'}</div>
+          <div className="summary-stats">
+            <div className="stat">
+              <span className="stat-value">{totalCutPieces}</span>
+              <span className="stat-label">
+                Pieces
+                {projectQuantity > 1 && <span className="stat-per-item">({totalCutPiecesPerItem}/item)</span>}
+              </span>
+            </div>
+            <div className="stat">
+              <span className="stat-value">{totalCutBF.toFixed(1)}</span>
+              <span className="stat-label">Board Feet</span>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Cut Plan Efficiency */}
+      {project.cutPlan && (
+        <>
+          <div className="summary-section-label">Cut Plan</div>
+          <div className="summary-stats">
+            <div className="stat total">
+              <span className="stat-value">{project.cutPlan.efficiency.toFixed(0)}%</span>
+              <span className="stat-label">Efficiency</span>
+            </div>
+            <div className="stat">
+              <span className="stat-value">{project.cutPlan.waste.toFixed(1)}</span>
+              <span className="stat-label">Waste BF</span>
+            </div>
+          </div>
+          {project.cutPlan.groups && project.cutPlan.groups.length > 1 && (
+            <div className="board-list-summary">
+              <h4>Cut Plan by Stock</h4>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Stock</th>
+                    <th>BF</th>
+                    <th>Waste</th>
+                    <th>Eff.</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {project.cutPlan.groups.map(group => (
+                    <tr key={group.key}>
+                      <td>{group.thickness}{group.species ? ` ${group.species}` : ''}</td>
+                      <td>{group.stockBF.toFixed(1)}</td>
+                      <td>{group.wasteBF.toFixed(1)}</td>
+                      <td>{group.efficiency.toFixed(0)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Cost Estimate */}
+      {costEstimate && (
+        <>
+          <div className="summary-section-label">Cost Estimate</div>
+          <div className="summary-stats">
+            <div className="stat total">
+              <span className="stat-value">${costEstimate.total.toFixed(2)}</span>
+              <span className="stat-label">Estimate</span>
+            </div>
+            <div className="stat">
+              <span className="stat-value">${costEstimate.materialsTotal.toFixed(2)}</span>
+              <span className="stat-label">Materials</span>
+            </div>
+          </div>
+          <div className="board-list-summary">
+            <h4>Estimate Breakdown</h4>
+            <table>
+              <tbody>
+                {costEstimate.lines.map(line => (
+                  <tr key={line.key}>
+                    <td>{line.label}</td>
+                    <td>${line.amount.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {/* Board List */}
+      {project.boards.length > 0 && (
+        <div className="board-list-summary">
+          <h4>Stock Board List</h4>
+          <table>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Dims</th>
+                <th>Qty</th>
+              </tr>
+            </thead>
+            <tbody>
+              {project.boards.map(board => (
+                <tr key={board.id}>
+                  <td>{board.name}</td>
+                  <td>{board.length}"×{board.width}"</td>
+                  <td>{board.quantity || 1}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Sheet Goods Summary */}
+      {(sheetGoods.length > 0 || sheetCutPiecesList.length > 0) && (
+        <>
+          <div className="summary-divider" />
+
+          {sheetGoods.length > 0 && (
+            <>
+              <div className="summary-section-label">Sheet Stock</div>
+              <div className="summary-stats">
+                <div className="stat">
+                  <span className="stat-value">{totalSheetCount}</span>
+                  <span className="stat-label">Sheets</span>
+                </div>
+                <div className="stat">
+                  <span className="stat-value">{totalSheetSqFt.toFixed(1)}</span>
+                  <span className="stat-label">Sq Ft</span>
+                </div>
+              </div>
+            </>
+          )}
+
+          {sheetCutPiecesList.length > 0 && (
+            <>
+              <div className="summary-section-label">Sheet Cut List</div>
+              <div className="summary-stats">
+                <div className="stat">
+                  <span className="stat-value">{totalSheetCutPieces}</span>
+                  <span className="stat-label">Pieces</span>
+                </div>
+                <div className="stat">
+                  <span className="stat-value">{totalSheetCutSqFt.toFixed(1)}</span>
+                  <span className="stat-label">Sq Ft</span>
+                </div>
+              </div>
+            </>
+          )}
+
+          {project.sheetCutPlan && sheetGoods.length > 0 && (
+            <>
+              <div className="summary-section-label">Sheet Cut Plan</div>
+              <div className="summary-stats">
+                <div className="stat total">
+                  <span className="stat-value">{project.sheetCutPlan.efficiency.toFixed(0)}%</span>
+                  <span className="stat-label">Efficiency</span>
+                </div>
+                <div className="stat">
+                  <span className="stat-value">{project.sheetCutPlan.sheetsUsed}</span>
+                  <span className="stat-label">Sheets Used</span>
+                </div>
+                <div className="stat">
+                  <span className="stat-value">{project.sheetCutPlan.wasteArea.toFixed(1)}</span>
+                  <span className="stat-label">Waste (sq ft)</span>
+                </div>
+              </div>
+            </>
+          )}
+
+          {sheetGoods.length > 0 && (
+            <div className="board-list-summary">
+              <h4>Sheet Stock List</h4>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Dims</th>
+                    <th>Qty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sheetGoods.map(sheet => (
+                    <tr key={sheet.id}>
+                      <td>{sheet.name || `${sheet.product} ${sheet.thickness}"`}</td>
+                      <td>{sheet.length}"×{sheet.width}"</td>
+                      <td>{sheet.quantity || 1}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Linear Stock Summary */}
+      {(linearStock.length > 0 || linearCutPiecesList.length > 0) && (
+        <>
+          <div className="summary-divider" />
+
+          {linearStock.length > 0 && (
+            <>
+              <div className="summary-section-label">Linear Stock</div>
+              <div className="summary-stats">
+                <div className="stat">
+                  <span className="stat-value">{totalSticks}</span>
+                  <span className="stat-label">Sticks</span>
+                </div>
+                <div className="stat">
+                  <span className="stat-value">{totalStockFeet.toFixed(1)}</span>
+                  <span className="stat-label">Linear Feet</span>
+                </div>
+              </div>
+            </>
+          )}
+
+          {linearCutPiecesList.length > 0 && (
+            <>
+              <div className="summary-section-label">Linear Cut List {projectQuantity > 1 && '(Total)'}</div>
+              <div className="summary-stats">
+                <div className="stat">
+                  <span className="stat-value">{totalLinearCutPieces}</span>
+                  <span className="stat-label">Parts</span>
+                </div>
+                <div className="stat">
+                  <span className="stat-value">{totalLinearCutFeet.toFixed(1)}</span>
+                  <span className="stat-label">Linear Feet</span>
+                </div>
+              </div>
+            </>
+          )}
+
+          {project.linearCutPlan && (
+            <>
+              <div className="summary-section-label">Linear Cut Plan</div>
+              <div className="summary-stats">
+                <div className="stat total">
+                  <span className="stat-value">{project.linearCutPlan.efficiency.toFixed(0)}%</span>
+                  <span className="stat-label">Efficiency</span>
+                </div>
+                {project.linearCutPlan.cost > 0 && (
+                  <div className="stat">
+                    <span className="stat-value">${project.linearCutPlan.cost.toFixed(2)}</span>
+                    <span className="stat-label">Est. Cost</span>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+// Project Form Component
+function ProjectForm({ onSubmit }) {
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [quantity, setQuantity] = useState(1)
+  const [workflow, setWorkflow] = useState('calculate') // 'known' or 'calculate'
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+
+    onSubmit({
+      id: Date.now(),
+      name: name.trim(),
+      description: description.trim(),
+      quantity: parseInt(quantity) || 1,
+      boards: [],
+      cutPieces: [],
+      cutPlan: null,
+      workflow: workflow,
+      createdAt: new Date().toISOString()
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="project-form">
+      <h2>Create New Project</h2>
+
+      <div className="form-group">
+        <label htmlFor="projectName">Project Name *</label>
+        <input
+          id="projectName"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g., Dining Chair, Bookshelf"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="projectDescription">Description</label>
+        <textarea
+          id="projectDescription"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="Describe your project..."
+          rows={3}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="projectQuantity">How many are you making?</label>
+        <div className="quantity-input-row">
+          <input
+            id="projectQuantity"
+            type="number"
+            min="1"
+            max="100"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            className="quantity-input"
+          />
+          <span className="quantity-hint">
+            {quantity > 1 ? `Making ${quantity} identical items` : 'Making 1 item'}
+          </span>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>How would you like to start?</label>
+        <div className="workflow-selector">
+          <div
+            className={`workflow-option ${workflow === 'calculate' ? 'selected' : ''}`}
+            onClick={() => setWorkflow('calculate')}
+          >
+            <div className="workflow-icon">📐</div>
+            <div className="workflow-content">
+              <h4>Calculate Stock Needed</h4>
+              <p>Start with your cut list, then calculate how much lumber to buy</p>
+              <span className="workflow-steps">Cut List → Calculate Stock → Cut Plan</span>
+            </div>
+          </div>
+          <div
+            className={`workflow-option ${workflow === 'known' ? 'selected' : ''}`}
+            onClick={() => setWorkflow('known')}
+          >
+            <div className="workflow-icon">��</div>
+            <div className="workflow-content">
+              <h4>I Have My Lumber</h4>
+              <p>Start with lumber you already have, then plan your cuts</p>
+              <span className="workflow-steps">Stock Boards → Cut List → Cut Plan</span>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <button type="submit" className="btn-primary">Create Project</button>
+    </form>
+  )
+}
 
 // Help Modal Component
 function HelpModal({ isOpen, onClose }) {
@@ -2263,300 +5391,1358 @@ function HelpModal({ isOpen, onClose }) {
 
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content help-modal" onClick={(e) => e.stopPropagation()}>
+      <div className="modal-content help-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>&times;</button>
+        <div className="help-content">
+          <h2>User Manual</h2>
+
+          <section className="help-section">
+            <h3>Getting Started</h3>
+            <ol>
+              <li><strong>Sign up</strong> for an account or <strong>sign in</strong> if you already have one</li>
+              <li>Click <strong>"+ New Project"</strong> to create a project</li>
+              <li>Enter a project name and optional description</li>
+              <li>Choose your workflow:
+                <ul>
+                  <li><strong>Calculate Stock Workflow</strong> (recommended): Start with cut pieces, then calculate what lumber to buy</li>
+                  <li><strong>Manual Stock Entry</strong>: Enter your existing lumber inventory manually</li>
+                </ul>
+              </li>
+            </ol>
+          </section>
+
+          <section className="help-section">
+            <h3>The Three Tabs</h3>
+            <p>Navigate between <strong>Cut List</strong>, <strong>Stock Boards</strong>, and <strong>Cut Plan</strong> tabs at any time.</p>
+          </section>
+
+          <section className="help-section">
+            <h3>Tab 1: Cut List</h3>
+            <p>Define all the pieces you need to cut for your project.</p>
+            <table className="help-table">
+              <thead>
+                <tr><th>Field</th><th>Description</th></tr>
+              </thead>
+              <tbody>
+                <tr><td>Piece Name</td><td>Descriptive name (e.g., "Table Leg", "Apron")</td></tr>
+                <tr><td>Length</td><td>Final length in inches</td></tr>
+                <tr><td>Width</td><td>Final width in inches</td></tr>
+                <tr><td>Thickness</td><td>Lumber notation: 4/4 (1"), 5/4 (1.25"), 6/4 (1.5"), 8/4 (2"), etc.</td></tr>
+                <tr><td>Species</td><td>Wood type (Walnut, Cherry, Oak, etc.)</td></tr>
+                <tr><td>Quantity</td><td>How many pieces needed</td></tr>
+              </tbody>
+            </table>
+            <p><strong>Tips:</strong></p>
+            <ul>
+              <li>Add all pieces before calculating stock</li>
+              <li>Group similar pieces by species and thickness for efficient cutting</li>
+              <li>The optimizer accounts for your saw kerf between cuts (see Kerf and Rough Lumber)</li>
+            </ul>
+          </section>
+
+          <section className="help-section">
+            <h3>Tab 2: Stock Boards</h3>
+            <h4>Option A: Calculate Stock Needed (Recommended)</h4>
+            <p>Use the built-in calculator to determine what lumber to purchase:</p>
+            <ol>
+              <li>Select <strong>Thickness</strong> (4/4, 5/4, 6/4, 8/4, etc.)</li>
+              <li>Select <strong>Species</strong> (matches species from your cut list)</li>
+              <li>Choose <strong>Size</strong> (standard sizes like 8ft x 6" or custom dimensions)</li>
+              <li>Click <strong>"+ Add Board Type"</strong></li>
+              <li>Repeat for each thickness/species combination in your cut list</li>
+              <li>Click <strong>"Calculate Stock Needed"</strong></li>
+              <li>Review the shopping list showing quantity needed for each board type</li>
+              <li>Click <strong>"Use These Boards & Generate Cut Plan"</strong> to apply</li>
+            </ol>
+
+            <h4>Option B: Manual Entry</h4>
+            <p>If you already have lumber on hand, enter it manually with board name, length, width, thickness, species, and quantity.</p>
+          </section>
+
+          <section className="help-section">
+            <h3>Tab 3: Cut Plan</h3>
+            <p>Generate and view optimized cutting layouts:</p>
+            <ol>
+              <li>Click <strong>"Generate Cut Plan"</strong> (or use Calculate Stock workflow)</li>
+              <li>View statistics:
+                <ul>
+                  <li><strong>Efficiency</strong>: Percentage of stock used vs. wasted</li>
+                  <li><strong>Waste</strong>: Board feet of material lost</li>
+                  <li><strong>Boards Used</strong>: How many stock boards needed</li>
+                  <li><strong>Est. Cost</strong>: Estimated material cost</li>
+                </ul>
+              </li>
+              <li><strong>Visual diagrams</strong> show exactly where each piece is placed on each board</li>
+              <li><strong>Estimated Material Cost</strong> table shows quantity, dimensions, board feet, and costs</li>
+              <li>Click <strong>"Regenerate Plan"</strong> to recalculate if needed</li>
+            </ol>
+          </section>
+
+          <section className="help-section">
+            <h3>Pricing</h3>
+            <p>The app includes default lumber prices for common species. To use your suppliers' prices:</p>
+            <ol>
+              <li>Open <strong>Price Lists</strong> from the menu and add your suppliers</li>
+              <li>Create a list, start from the bundled prices, clone an existing list or import a CSV (Species, Thickness, Grade, Price/BF, Effective Date)</li>
+              <li>Choose the list for a project in its <strong>Project Settings</strong></li>
+            </ol>
+            <p>Prices with a future effective date take effect on that date. Species and thicknesses a list doesn't have fall back to the default prices.</p>
+            <p>With two or more price lists, <strong>Compare Suppliers</strong> in the cut plan prices the same boards from each list, including delivery fees and minimum orders, and recommends the cheapest split. <strong>Purchase Orders by Supplier</strong> prints one purchase order per supplier from that split.</p>
+            <p>The <strong>Project Estimate</strong> adds a waste allowance, surfacing (S2S, S3S or SLR1E per BF), delivery, labor, markup and sales tax to the material cost. Set your defaults in <strong>Settings</strong> and override them per project in <strong>Project Settings</strong>.</p>
+            <p>For a one-off price, click any price field under "Estimated Material Cost" in the cut plan and enter the price per board foot; the total updates automatically.</p>
+            <p><em>Note: Default prices are estimates only. Update with your most current prices.</em></p>
+          </section>
+
+          <section className="help-section">
+            <h3>Exporting to PDF</h3>
+            <p>Click <strong>"Export Project to PDF"</strong> to generate a professional document containing:</p>
+            <ul>
+              <li>Project name and date</li>
+              <li>Stock boards table with dimensions and board feet</li>
+              <li>Cut list table with all pieces</li>
+              <li>Visual cut diagrams for each board</li>
+              <li>Efficiency statistics</li>
+            </ul>
+          </section>
+
+          <section className="help-section">
+            <h3>Project Quantity (Building Multiples)</h3>
+            <p>Making multiple identical items? Use the quantity feature to automatically calculate total materials:</p>
+            <ol>
+              <li>Create your project with the cut list for <strong>one item</strong></li>
+              <li>Find the <strong>"Building X"</strong> selector in the project header</li>
+              <li>Enter how many you're making (e.g., 4 chairs)</li>
+              <li>Stock boards are automatically recalculated to match</li>
+              <li>Cut plan regenerates with the correct quantities</li>
+            </ol>
+            <p><strong>Note:</strong> The stock board dimensions stay the same - only the quantities increase to accommodate the additional pieces.</p>
+          </section>
+
+          <section className="help-section">
+            <h3>Purchase Orders</h3>
+            <p>Generate a printable shopping list for the lumber yard:</p>
+            <ol>
+              <li>Set up your project with stock boards</li>
+              <li>Click the <strong>"Purchase Order"</strong> button</li>
+              <li>Review your lumber shopping list grouped by species, thickness, and dimensions</li>
+              <li>Click <strong>"Print / Save as PDF"</strong> to print or save</li>
+            </ol>
+            <p>The purchase order includes:</p>
+            <ul>
+              <li>Your contact information (set in Settings)</li>
+              <li>Project name and date</li>
+              <li>Quantity, species, dimensions, and board feet for each board type</li>
+              <li>Total piece count and board feet</li>
+            </ul>
+          </section>
+
+          <section className="help-section">
+            <h3>Settings</h3>
+            <p>Click <strong>"Settings"</strong> in the header to configure your profile:</p>
+            <ul>
+              <li><strong>Name / Company</strong>: Your name or business name</li>
+              <li><strong>Address</strong>: Street address, city, state, zip</li>
+              <li><strong>Phone</strong>: Contact phone number</li>
+              <li><strong>Email</strong>: Contact email address</li>
+            </ul>
+            <p>This information appears on your purchase orders and syncs with your account across all devices.</p>
+          </section>
+
+          <section className="help-section">
+            <h3>Kerf and Rough Lumber</h3>
+            <p>The optimizer accounts for realistic woodworking conditions using your <strong>saw profile</strong>:</p>
+            <ul>
+              <li><strong>Rip kerf</strong>: material lost between pieces ripped side by side (default 1/8")</li>
+              <li><strong>Crosscut kerf</strong>: material lost between pieces cut end to end (default 1/8")</li>
+              <li><strong>Edge trim</strong>: allowance for jointing the rough edge and squaring the end (default 1/8")</li>
+              <li>With the defaults, a 6" wide piece requires at least 6.125" of rough stock width</li>
+            </ul>
+            <p>Set your default saw profile in <strong>Settings</strong>, or override it for one project from <strong>Actions → Project Settings</strong>. The profile used is shown under the cut plan statistics.</p>
+          </section>
+
+          <section className="help-section">
+            <h3>Formulas</h3>
+            <p><strong>Board Feet</strong> = (Thickness x Width x Length) / 144</p>
+            <table className="help-table">
+              <thead>
+                <tr><th>Notation</th><th>Thickness</th></tr>
+              </thead>
+              <tbody>
+                <tr><td>4/4</td><td>1.00"</td></tr>
+                <tr><td>5/4</td><td>1.25"</td></tr>
+                <tr><td>6/4</td><td>1.50"</td></tr>
+                <tr><td>8/4</td><td>2.00"</td></tr>
+                <tr><td>10/4</td><td>2.50"</td></tr>
+                <tr><td>12/4</td><td>3.00"</td></tr>
+                <tr><td>16/4</td><td>4.00"</td></tr>
+              </tbody>
+            </table>
+          </section>
+
+          <section className="help-section">
+            <h3>Troubleshooting</h3>
+            <table className="help-table">
+              <thead>
+                <tr><th>Issue</th><th>Solution</th></tr>
+              </thead>
+              <tbody>
+                <tr><td>"Still need: 4/4 Walnut" warning</td><td>Add a board type with that thickness and species</td></tr>
+                <tr><td>Low efficiency percentage</td><td>Try different board sizes, or add smaller pieces to use scraps</td></tr>
+                <tr><td>Pieces not fitting</td><td>Ensure stock boards are large enough; check species/thickness match</td></tr>
+                <tr><td>Missing price</td><td>Enter a custom price in the $/BF field</td></tr>
+                <tr><td>Login issues</td><td>Check email confirmation; use "Forgot Password" if needed</td></tr>
+                <tr><td>Sync error</td><td>Check internet connection; data syncs automatically when restored</td></tr>
+              </tbody>
+            </table>
+          </section>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Saw Profile Fields (shared by Settings and Project Settings)
+function SawProfileFields({ profile, onChange, idPrefix }) {
+  const matchingPreset = SAW_PRESETS.find(preset =>
+    preset.ripKerf === parseFloat(profile.ripKerf) &&
+    preset.crosscutKerf === parseFloat(profile.crosscutKerf) &&
+    preset.edgeTrim === parseFloat(profile.edgeTrim)
+  )
+
+  const handlePresetChange = (presetName) => {
+    const preset = SAW_PRESETS.find(p => p.name === presetName)
+    if (preset) onChange({ ...preset })
+  }
+
+  const handleFieldChange = (field, value) => {
+    onChange({ ...profile, name: undefined, [field]: value })
+  }
+
+  return (
+    <>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-preset`}>Saw</label>
+        <select
+          id={`${idPrefix}-preset`}
+          value={matchingPreset?.name || ''}
+          onChange={(e) => handlePresetChange(e.target.value)}
+        >
+          <option value="">Custom</option>
+          {SAW_PRESETS.map(preset => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-rip`}>Rip Kerf (in)</label>
+          <input
+            type="number"
+            id={`${idPrefix}-rip`}
+            value={profile.ripKerf}
+            onChange={(e) => handleFieldChange('ripKerf', e.target.value)}
+            step="0.015625"
+            min="0"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-crosscut`}>Crosscut Kerf (in)</label>
+          <input
+            type="number"
+            id={`${idPrefix}-crosscut`}
+            value={profile.crosscutKerf}
+            onChange={(e) => handleFieldChange('crosscutKerf', e.target.value)}
+            step="0.015625"
+            min="0"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-edge`}>Edge Trim (in)</label>
+          <input
+            type="number"
+            id={`${idPrefix}-edge`}
+            value={profile.edgeTrim}
+            onChange={(e) => handleFieldChange('edgeTrim', e.target.value)}
+            step="0.015625"
+            min="0"
+          />
+        </div>
+      </div>
+    </>
+  )
+}
+
+// Cost model fields, shared by user settings and project overrides
+// With defaults, blank fields use the default, which is shown as the placeholder
+function CostModelFields({ model, onChange, idPrefix, defaults = null }) {
+  const handleFieldChange = (field, value) => {
+    onChange({ ...model, [field]: value })
+  }
+
+  const handleRateChange = (option, value) => {
+    onChange({ ...model, surfacingRates: { ...model.surfacingRates, [option]: value } })
+  }
+
+  const renderNumberField = (field, label, step) => (
+    <div className="form-group">
+      <label htmlFor={`${idPrefix}-${field}`}>{label}</label>
+      <input
+        type="number"
+        id={`${idPrefix}-${field}`}
+        value={model[field] ?? ''}
+        onChange={(e) => handleFieldChange(field, e.target.value)}
+        placeholder={defaults ? String(defaults[field]) : '0'}
+        step={step}
+        min="0"
+      />
+    </div>
+  )
+
+  return (
+    <>
+      <div className="form-row">
+        {renderNumberField('wasteFactor', 'Waste Allowance (%)', '1')}
+        {renderNumberField('taxRate', 'Sales Tax (%)', '0.01')}
+        {renderNumberField('deliveryFee', 'Delivery ($)', '0.01')}
+      </div>
+      <div className="form-row">
+        {renderNumberField('laborHours', 'Labor (hours)', '0.25')}
+        {renderNumberField('laborRate', 'Labor Rate ($/hour)', '0.01')}
+        {renderNumberField('markup', 'Markup (%)', '1')}
+      </div>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-surfacing`}>Surfacing</label>
+        <select
+          id={`${idPrefix}-surfacing`}
+          value={model.surfacing || ''}
+          onChange={(e) => handleFieldChange('surfacing', e.target.value)}
+        >
+          {defaults && (
+            <option value="">Default ({SURFACING_OPTIONS[defaults.surfacing].label})</option>
+          )}
+          {Object.entries(SURFACING_OPTIONS).map(([value, option]) => (
+            <option key={value} value={value}>{option.label} — {option.description}</option>
+          ))}
+        </select>
+      </div>
+      <div className="form-row">
+        {Object.keys(DEFAULT_COST_MODEL.surfacingRates).map(option => (
+          <div className="form-group" key={option}>
+            <label htmlFor={`${idPrefix}-rate-${option}`}>{option} ($/BF)</label>
+            <input
+              type="number"
+              id={`${idPrefix}-rate-${option}`}
+              value={model.surfacingRates?.[option] ?? ''}
+              onChange={(e) => handleRateChange(option, e.target.value)}
+              placeholder={defaults ? String(defaults.surfacingRates[option]) : '0'}
+              step="0.01"
+              min="0"
+            />
+          </div>
+        ))}
+      </div>
+    </>
+  )
+}
+
+// Settings Modal Component
+function SettingsModal({ isOpen, onClose, userProfile, onSave }) {
+  const [profile, setProfile] = useState(userProfile)
+
+  useEffect(() => {
+    setProfile(userProfile)
+  }, [userProfile, isOpen])
+
+  if (!isOpen) return null
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSave({
+      ...profile,
+      sawProfile: normalizeSawProfile(profile.sawProfile),
+      remnantSettings: normalizeRemnantSettings(profile.remnantSettings),
+      costModel: normalizeCostModel(profile.costModel)
+    })
+    onClose()
+  }
+
+  const handleChange = (field, value) => {
+    setProfile(prev => ({ ...prev, [field]: value }))
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>&times;</button>
+
+        <div className="settings-content">
+          <h2>Settings</h2>
+
+          <form onSubmit={handleSubmit}>
+            <div className="settings-section">
+              <h3>Contact Information</h3>
+              <p className="settings-description">
+                This information will appear on your purchase orders.
+              </p>
+
+              <div className="form-group">
+                <label htmlFor="profile-name">Name / Company</label>
+                <input
+                  type="text"
+                  id="profile-name"
+                  value={profile.name}
+                  onChange={(e) => handleChange('name', e.target.value)}
+                  placeholder="Your name or company name"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="profile-address">Address</label>
+                <textarea
+                  id="profile-address"
+                  value={profile.address}
+                  onChange={(e) => handleChange('address', e.target.value)}
+                  placeholder="Street address, city, state, zip"
+                  rows={3}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="profile-phone">Phone</label>
+                <input
+                  type="tel"
+                  id="profile-phone"
+                  value={profile.phone}
+                  onChange={(e) => handleChange('phone', e.target.value)}
+                  placeholder="(555) 123-4567"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="profile-email">Email</label>
+                <input
+                  type="email"
+                  id="profile-email"
+                  value={profile.email}
+                  onChange={(e) => handleChange('email', e.target.value)}
+                  placeholder="you@example.com"
+                />
+              </div>
+            </div>
+
+            <div className="settings-section">
+              <h3>Default Saw Profile</h3>
+              <p className="settings-description">
+                Kerf and edge trim used by the cut optimizer. Projects use this unless they set their own.
+              </p>
+              <SawProfileFields
+                profile={profile.sawProfile || DEFAULT_SAW_PROFILE}
+                onChange={(sawProfile) => handleChange('sawProfile', sawProfile)}
+                idPrefix="settings-saw"
+              />
+            </div>
+
+            <div className="settings-section">
+              <h3>Remnants</h3>
+              <p className="settings-description">
+                When a project is marked as cut, offcuts at least this big are kept in your remnant inventory.
+              </p>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="remnant-min-length">Minimum Length (in)</label>
+                  <input
+                    type="number"
+                    id="remnant-min-length"
+                    value={profile.remnantSettings?.minLength ?? ''}
+                    onChange={(e) => handleChange('remnantSettings', { ...profile.remnantSettings, minLength: e.target.value })}
+                    step="1"
+                    min="0"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="remnant-min-width">Minimum Width (in)</label>
+                  <input
+                    type="number"
+                    id="remnant-min-width"
+                    value={profile.remnantSettings?.minWidth ?? ''}
+                    onChange={(e) => handleChange('remnantSettings', { ...profile.remnantSettings, minWidth: e.target.value })}
+                    step="0.5"
+                    min="0"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="settings-section">
+              <h3>Cost Estimates</h3>
+              <p className="settings-description">
+                Added to the material cost for project estimates. Projects use these unless they set their own.
+              </p>
+              <CostModelFields
+                model={profile.costModel || DEFAULT_COST_MODEL}
+                onChange={(costModel) => handleChange('costModel', costModel)}
+                idPrefix="settings-cost"
+              />
+            </div>
+
+            <div className="settings-actions">
+              <button type="submit" className="btn-primary">
+                Save Settings
+              </button>
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Project Settings Modal Component
+function ProjectSettingsModal({ project, userProfile, priceLists, suppliers, onClose, onSave }) {
+  const [useDefaultSawProfile, setUseDefaultSawProfile] = useState(!project.sawProfile)
+  const [sawProfile, setSawProfile] = useState(normalizeSawProfile(project.sawProfile || userProfile.sawProfile))
+  const [milling, setMilling] = useState(normalizeMillingAllowances(project.planSettings?.milling))
+  const [resaw, setResaw] = useState(normalizeResawSettings(project.planSettings?.resaw))
+  const [useRemnants, setUseRemnants] = useState(project.planSettings?.useRemnants !== false)
+  const [guillotine, setGuillotine] = useState(Boolean(project.planSettings?.guillotine))
+  const [substitutions, setSubstitutions] = useState(normalizeSubstitutionRules(project.planSettings?.substitutions))
+  const [linear, setLinear] = useState(normalizeLinearSettings(project.planSettings?.linear))
+  const [sheet, setSheet] = useState(normalizeSheetSettings(project.planSettings?.sheet))
+  const [priceListId, setPriceListId] = useState(project.priceListId ?? null)
+  const [costOverrides, setCostOverrides] = useState(project.costModel || {})
+  // Products in the project's sheet stock, and any with trim set before
+  const sheetProducts = [...new Set([
+    ...(project.sheetGoods || []).map(s => s.product),
+    ...Object.keys(sheet.productTrim)
+  ])]
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSave({
+      sawProfile: useDefaultSawProfile ? null : normalizeSawProfile(sawProfile),
+      priceListId,
+      costModel: compactCostOverrides(costOverrides),
+      planSettings: {
+        ...project.planSettings,
+        milling: normalizeMillingAllowances(milling),
+        resaw: normalizeResawSettings(resaw),
+        useRemnants,
+        guillotine,
+        substitutions: normalizeSubstitutionRules(substitutions),
+        linear: normalizeLinearSettings(linear),
+        sheet: normalizeSheetSettings(sheet)
+      }
+    })
+    onClose()
+  }
+
+  const handleSheetTrimChange = (product, side, value) => {
+    setSheet(prev => ({
+      ...prev,
+      productTrim: {
+        ...prev.productTrim,
+        [product]: { ...normalizeSheetTrim(prev.productTrim[product]), [side]: value }
+      }
+    }))
+  }
+
+  const handleSubstitutionChange = (index, field, value) => {
+    setSubstitutions(prev => prev.map((rule, idx) => idx === index ? { ...rule, [field]: value } : rule))
+  }
+
+  const handleMillingChange = (field, value) => {
+    setMilling(prev => ({ ...prev, [field]: value }))
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={(e) => e.stopPropagation()}>
         <button className="modal-close" onClick={onClose}>&times;</button>
-        <div className="help-content">
-          <h2>User Manual</h2>
-
-          <section className="help-section">
-            <h3>Getting Started</h3>
-            <ol>
-              <li><strong>Sign up</strong> for an account or <strong>sign in</strong> if you already have one</li>
-              <li>Click <strong>"+ New Project"</strong> to create a project</li>
-              <li>Enter a project name and optional description</li>
-              <li>Choose your workflow:
-                <ul>
-                  <li><strong>Calculate Stock Workflow</strong> (recommended): Start with cut pieces, then calculate what lumber to buy</li>
-                  <li><strong>Manual Stock Entry</strong>: Enter your existing lumber inventory manually</li>
-                </ul>
-              </li>
-            </ol>
-          </section>
-
-          <section className="help-section">
-            <h3>The Three Tabs</h3>
-            <p>Navigate between <strong>Cut List</strong>, <strong>Stock Boards</strong>, and <strong>Cut Plan</strong> tabs at any time.</p>
-          </section>
 
-          <section className="help-section">
-            <h3>Tab 1: Cut List</h3>
-            <p>Define all the pieces you need to cut for your project.</p>
-            <table className="help-table">
-              <thead>
-                <tr><th>Field</th><th>Description</th></tr>
-              </thead>
-              <tbody>
-                <tr><td>Piece Name</td><td>Descriptive name (e.g., "Table Leg", "Apron")</td></tr>
-                <tr><td>Length</td><td>Final length in inches</td></tr>
-                <tr><td>Width</td><td>Final width in inches</td></tr>
-                <tr><td>Thickness</td><td>Lumber notation: 4/4 (1"), 5/4 (1.25"), 6/4 (1.5"), 8/4 (2"), etc.</td></tr>
-                <tr><td>Species</td><td>Wood type (Walnut, Cherry, Oak, etc.)</td></tr>
-                <tr><td>Quantity</td><td>How many pieces needed</td></tr>
-              </tbody>
-            </table>
-            <p><strong>Tips:</strong></p>
-            <ul>
-              <li>Add all pieces before calculating stock</li>
-              <li>Group similar pieces by species and thickness for efficient cutting</li>
-              <li>The optimizer accounts for 1/8" saw kerf between cuts</li>
-            </ul>
-          </section>
+        <div className="settings-content">
+          <h2>Project Settings</h2>
 
-          <section className="help-section">
-            <h3>Tab 2: Stock Boards</h3>
-            <h4>Option A: Calculate Stock Needed (Recommended)</h4>
-            <p>Use the built-in calculator to determine what lumber to purchase:</p>
-            <ol>
-              <li>Select <strong>Thickness</strong> (4/4, 5/4, 6/4, 8/4, etc.)</li>
-              <li>Select <strong>Species</strong> (matches species from your cut list)</li>
-              <li>Choose <strong>Size</strong> (standard sizes like 8ft x 6" or custom dimensions)</li>
-              <li>Click <strong>"+ Add Board Type"</strong></li>
-              <li>Repeat for each thickness/species combination in your cut list</li>
-              <li>Click <strong>"Calculate Stock Needed"</strong></li>
-              <li>Review the shopping list showing quantity needed for each board type</li>
-              <li>Click <strong>"Use These Boards & Generate Cut Plan"</strong> to apply</li>
-            </ol>
+          <form onSubmit={handleSubmit}>
+            <div className="settings-section">
+              <h3>Saw Profile</h3>
+              <p className="settings-description">
+                Kerf and edge trim used when generating cut plans for this project.
+              </p>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={useDefaultSawProfile}
+                  onChange={(e) => setUseDefaultSawProfile(e.target.checked)}
+                />
+                Use my default saw profile ({describeSawProfile(userProfile.sawProfile)})
+              </label>
+              {!useDefaultSawProfile && (
+                <SawProfileFields
+                  profile={sawProfile}
+                  onChange={setSawProfile}
+                  idPrefix="project-saw"
+                />
+              )}
+            </div>
 
-            <h4>Option B: Manual Entry</h4>
-            <p>If you already have lumber on hand, enter it manually with board name, length, width, thickness, species, and quantity.</p>
-          </section>
+            <div className="settings-section">
+              <h3>Price List</h3>
+              <p className="settings-description">
+                Supplier prices used for this project's cost estimates. Species and thicknesses the list doesn't have use the bundled estimates.
+              </p>
+              <div className="form-group">
+                <label htmlFor="project-price-list">Price list</label>
+                <select
+                  id="project-price-list"
+                  value={priceListId ?? ''}
+                  onChange={(e) => setPriceListId(e.target.value ? Number(e.target.value) : null)}
+                >
+                  <option value="">Bundled prices</option>
+                  {priceLists.map(list => {
+                    const supplier = suppliers.find(s => s.id === list.supplierId)
+                    return (
+                      <option key={list.id} value={list.id}>
+                        {supplier ? `${list.name} (${supplier.name})` : list.name}
+                      </option>
+                    )
+                  })}
+                </select>
+              </div>
+            </div>
 
-          <section className="help-section">
-            <h3>Tab 3: Cut Plan</h3>
-            <p>Generate and view optimized cutting layouts:</p>
-            <ol>
-              <li>Click <strong>"Generate Cut Plan"</strong> (or use Calculate Stock workflow)</li>
-              <li>View statistics:
-                <ul>
-                  <li><strong>Efficiency</strong>: Percentage of stock used vs. wasted</li>
-                  <li><strong>Waste</strong>: Board feet of material lost</li>
-                  <li><strong>Boards Used</strong>: How many stock boards needed</li>
-                  <li><strong>Est. Cost</strong>: Estimated material cost</li>
-                </ul>
-              </li>
-              <li><strong>Visual diagrams</strong> show exactly where each piece is placed on each board</li>
-              <li><strong>Estimated Material Cost</strong> table shows quantity, dimensions, board feet, and costs</li>
-              <li>Click <strong>"Regenerate Plan"</strong> to recalculate if needed</li>
-            </ol>
-          </section>
+            <div className="settings-section">
+              <h3>Cost Estimate</h3>
+              <p className="settings-description">
+                Waste, surfacing, delivery, labor, markup and tax for this project's estimate. Leave a field blank to use your default from Settings.
+              </p>
+              <CostModelFields
+                model={costOverrides}
+                onChange={setCostOverrides}
+                idPrefix="project-cost"
+                defaults={normalizeCostModel(userProfile.costModel)}
+              />
+            </div>
 
-          <section className="help-section">
-            <h3>Pricing</h3>
-            <p>The app includes default lumber prices for common species. To use your own prices:</p>
-            <ol>
-              <li>Generate a cut plan</li>
-              <li>Scroll to "Estimated Material Cost"</li>
-              <li>Click any price field and enter your supplier's price per board foot</li>
-              <li>Total cost updates automatically</li>
-            </ol>
-            <p><em>Note: Default prices are estimates only. Update with your most current prices.</em></p>
-          </section>
+            <div className="settings-section">
+              <h3>Milling Allowances</h3>
+              <p className="settings-description">
+                Cut pieces are entered at finished size. These allowances are added when packing rough lumber.
+              </p>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="milling-length">Length Oversize (in)</label>
+                  <input
+                    type="number"
+                    id="milling-length"
+                    value={milling.lengthOversize}
+                    onChange={(e) => handleMillingChange('lengthOversize', e.target.value)}
+                    step="0.125"
+                    min="0"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="milling-width">Width Oversize (in)</label>
+                  <input
+                    type="number"
+                    id="milling-width"
+                    value={milling.widthOversize}
+                    onChange={(e) => handleMillingChange('widthOversize', e.target.value)}
+                    step="0.0625"
+                    min="0"
+                  />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="milling-end-trim">End-Check Trim per End (in)</label>
+                  <input
+                    type="number"
+                    id="milling-end-trim"
+                    value={milling.endTrim}
+                    onChange={(e) => handleMillingChange('endTrim', e.target.value)}
+                    step="0.25"
+                    min="0"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="milling-planing">Planing Allowance (in)</label>
+                  <input
+                    type="number"
+                    id="milling-planing"
+                    value={milling.planingAllowance}
+                    onChange={(e) => handleMillingChange('planingAllowance', e.target.value)}
+                    step="0.0625"
+                    min="0"
+                  />
+                </div>
+              </div>
+              <p className="settings-description">
+                Planing allowance is the thickness lost flattening rough stock. Pieces with a finished thickness
+                use the thinnest rough thickness that leaves at least this much to plane away.
+              </p>
+            </div>
 
-          <section className="help-section">
-            <h3>Exporting to PDF</h3>
-            <p>Click <strong>"Export Project to PDF"</strong> to generate a professional document containing:</p>
-            <ul>
-              <li>Project name and date</li>
-              <li>Stock boards table with dimensions and board feet</li>
-              <li>Cut list table with all pieces</li>
-              <li>Visual cut diagrams for each board</li>
-              <li>Efficiency statistics</li>
-            </ul>
-          </section>
+            <div className="settings-section">
+              <h3>Resaw</h3>
+              <p className="settings-description">
+                When a part&apos;s thickness isn&apos;t in stock, resaw unused thicker boards of the same species into slices.
+              </p>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={resaw.enabled}
+                  onChange={(e) => setResaw(prev => ({ ...prev, enabled: e.target.checked }))}
+                />
+                Allow resawing thick stock
+              </label>
+              {resaw.enabled && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="resaw-kerf">Bandsaw Kerf (in)</label>
+                    <input
+                      type="number"
+                      id="resaw-kerf"
+                      value={resaw.kerf}
+                      onChange={(e) => setResaw(prev => ({ ...prev, kerf: e.target.value }))}
+                      step="0.015625"
+                      min="0"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="resaw-planing">Planing Loss per Slice (in)</label>
+                    <input
+                      type="number"
+                      id="resaw-planing"
+                      value={resaw.planingLoss}
+                      onChange={(e) => setResaw(prev => ({ ...prev, planingLoss: e.target.value }))}
+                      step="0.03125"
+                      min="0"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
 
-          <section className="help-section">
-            <h3>Project Quantity (Building Multiples)</h3>
-            <p>Making multiple identical items? Use the quantity feature to automatically calculate total materials:</p>
-            <ol>
-              <li>Create your project with the cut list for <strong>one item</strong></li>
-              <li>Find the <strong>"Building X"</strong> selector in the project header</li>
-              <li>Enter how many you're making (e.g., 4 chairs)</li>
-              <li>Stock boards are automatically recalculated to match</li>
-              <li>Cut plan regenerates with the correct quantities</li>
-            </ol>
-            <p><strong>Note:</strong> The stock board dimensions stay the same - only the quantities increase to accommodate the additional pieces.</p>
-          </section>
+            <div className="settings-section">
+              <h3>Remnants</h3>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={useRemnants}
+                  onChange={(e) => setUseRemnants(e.target.checked)}
+                />
+                Cut from my remnant inventory before new stock
+              </label>
+            </div>
 
-          <section className="help-section">
-            <h3>Purchase Orders</h3>
-            <p>Generate a printable shopping list for the lumber yard:</p>
-            <ol>
-              <li>Set up your project with stock boards</li>
-              <li>Click the <strong>"Purchase Order"</strong> button</li>
-              <li>Review your lumber shopping list grouped by species, thickness, and dimensions</li>
-              <li>Click <strong>"Print / Save as PDF"</strong> to print or save</li>
-            </ol>
-            <p>The purchase order includes:</p>
-            <ul>
-              <li>Your contact information (set in Settings)</li>
-              <li>Project name and date</li>
-              <li>Quantity, species, dimensions, and board feet for each board type</li>
-              <li>Total piece count and board feet</li>
-            </ul>
-          </section>
+            <div className="settings-section">
+              <h3>Linear Stock</h3>
+              <p className="settings-description">
+                Trimmed off both ends of each stick before parts are cut, to square up factory ends.
+              </p>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="linear-end-trim">End Trim per End (in)</label>
+                  <input
+                    type="number"
+                    id="linear-end-trim"
+                    value={linear.endTrim}
+                    onChange={(e) => setLinear({ ...linear, endTrim: e.target.value })}
+                    step="0.125"
+                    min="0"
+                  />
+                </div>
+              </div>
+            </div>
 
-          <section className="help-section">
-            <h3>Settings</h3>
-            <p>Click <strong>"Settings"</strong> in the header to configure your profile:</p>
-            <ul>
-              <li><strong>Name / Company</strong>: Your name or business name</li>
-              <li><strong>Address</strong>: Street address, city, state, zip</li>
-              <li><strong>Phone</strong>: Contact phone number</li>
-              <li><strong>Email</strong>: Contact email address</li>
-            </ul>
-            <p>This information appears on your purchase orders and syncs with your account across all devices.</p>
-          </section>
+            <div className="settings-section">
+              <h3>Sheet Goods</h3>
+              <div className="form-group">
+                <label htmlFor="sheet-strategy">Cut Sheets With</label>
+                <select
+                  id="sheet-strategy"
+                  value={sheet.strategy}
+                  onChange={(e) => setSheet({ ...sheet, strategy: e.target.value })}
+                >
+                  {Object.entries(SHEET_STRATEGIES).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <span className="form-hint">{SHEET_STRATEGIES[sheet.strategy]?.description}</span>
+              </div>
+              <p className="settings-description">
+                Factory edge trim taken off each side of a sheet before parts are cut, to remove
+                damaged edges. Set per product, as sides appear on the cut plan.
+              </p>
+              {sheetProducts.length === 0 && (
+                <p className="form-hint">Add sheet stock to set edge trim for its products.</p>
+              )}
+              {sheetProducts.map(product => {
+                const trim = sheet.productTrim[product] || normalizeSheetTrim()
+                return (
+                  <div key={product} className="sheet-trim-product">
+                    <h4>{product}</h4>
+                    <div className="form-row">
+                      {SHEET_TRIM_SIDES.map(side => (
+                        <div key={side.key} className="form-group">
+                          <label htmlFor={`sheet-trim-${product}-${side.key}`}>{side.label} (in)</label>
+                          <input
+                            type="number"
+                            id={`sheet-trim-${product}-${side.key}`}
+                            value={trim[side.key]}
+                            onChange={(e) => handleSheetTrimChange(product, side.key, e.target.value)}
+                            step="0.0625"
+                            min="0"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
 
-          <section className="help-section">
-            <h3>Kerf and Rough Lumber</h3>
-            <p>The optimizer accounts for realistic woodworking conditions:</p>
-            <ul>
-              <li><strong>Saw kerf</strong>: 1/8" (0.125") material loss between each cut</li>
-              <li><strong>Rough lumber edges</strong>: Additional 1/8" on each edge for jointing/straightening</li>
-              <li>A 6" wide piece requires at least 6.25" of rough stock width</li>
-            </ul>
-          </section>
+            <div className="settings-section">
+              <h3>Species Substitutions</h3>
+              <p className="settings-description">
+                Let parts of one species be cut from another when it runs out or isn&apos;t in stock, for
+                example Poplar for hidden Maple parts. Rules are tried in order, after any substitutes set on the piece.
+              </p>
+              {substitutions.map((rule, idx) => (
+                <div key={idx} className="form-row substitution-rule">
+                  <div className="form-group">
+                    <label htmlFor={`substitution-species-${idx}`}>Parts In</label>
+                    <select
+                      id={`substitution-species-${idx}`}
+                      value={rule.species}
+                      onChange={(e) => handleSubstitutionChange(idx, 'species', e.target.value)}
+                    >
+                      {SPECIES_OPTIONS.map(opt => (
+                        <option key={opt} value={opt}>{opt}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor={`substitution-substitute-${idx}`}>May Be Cut From</label>
+                    <select
+                      id={`substitution-substitute-${idx}`}
+                      value={rule.substitute}
+                      onChange={(e) => handleSubstitutionChange(idx, 'substitute', e.target.value)}
+                    >
+                      {SPECIES_OPTIONS.filter(opt => opt !== rule.species).map(opt => (
+                        <option key={opt} value={opt}>{opt}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={rule.secondaryOnly}
+                      onChange={(e) => handleSubstitutionChange(idx, 'secondaryOnly', e.target.checked)}
+                    />
+                    Secondary parts only
+                  </label>
+                  <button
+                    type="button"
+                    className="btn-delete"
+                    onClick={() => setSubstitutions(prev => prev.filter((r, ruleIdx) => ruleIdx !== idx))}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="btn-secondary"
+                onClick={() => setSubstitutions(prev => [...prev, { species: 'Maple - Hard', substitute: 'Poplar', secondaryOnly: true }])}
+              >
+                Add Substitution
+              </button>
+            </div>
 
-          <section className="help-section">
-            <h3>Formulas</h3>
-            <p><strong>Board Feet</strong> = (Thickness x Width x Length) / 144</p>
-            <table className="help-table">
-              <thead>
-                <tr><th>Notation</th><th>Thickness</th></tr>
-              </thead>
-              <tbody>
-                <tr><td>4/4</td><td>1.00"</td></tr>
-                <tr><td>5/4</td><td>1.25"</td></tr>
-                <tr><td>6/4</td><td>1.50"</td></tr>
-                <tr><td>8/4</td><td>2.00"</td></tr>
-                <tr><td>10/4</td><td>2.50"</td></tr>
-                <tr><td>12/4</td><td>3.00"</td></tr>
-                <tr><td>16/4</td><td>4.00"</td></tr>
-              </tbody>
-            </table>
-          </section>
+            <div className="settings-section">
+              <h3>Cutting</h3>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={guillotine}
+                  onChange={(e) => setGuillotine(e.target.checked)}
+                />
+                Strict guillotine cuts
+              </label>
+              <p className="settings-description">
+                Only lay out parts that can be freed with through cuts, edge to edge, as on a table saw.
+                Plans may need a little more stock.
+              </p>
+            </div>
 
-          <section className="help-section">
-            <h3>Troubleshooting</h3>
-            <table className="help-table">
-              <thead>
-                <tr><th>Issue</th><th>Solution</th></tr>
-              </thead>
-              <tbody>
-                <tr><td>"Still need: 4/4 Walnut" warning</td><td>Add a board type with that thickness and species</td></tr>
-                <tr><td>Low efficiency percentage</td><td>Try different board sizes, or add smaller pieces to use scraps</td></tr>
-                <tr><td>Pieces not fitting</td><td>Ensure stock boards are large enough; check species/thickness match</td></tr>
-                <tr><td>Missing price</td><td>Enter a custom price in the $/BF field</td></tr>
-                <tr><td>Login issues</td><td>Check email confirmation; use "Forgot Password" if needed</td></tr>
-                <tr><td>Sync error</td><td>Check internet connection; data syncs automatically when restored</td></tr>
-              </tbody>
-            </table>
-          </section>
+            <div className="settings-actions">
+              <button type="submit" className="btn-primary">
+                Save Project Settings
+              </button>
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
         </div>
       </div>
     </div>
   )
 }
 
-// Settings Modal Component
-function SettingsModal({ isOpen, onClose, userProfile, onSave }) {
-  const [profile, setProfile] = useState(userProfile)
+// Remnant Inventory Modal Component
+function RemnantInventoryModal({ isOpen, onClose, remnants, onDelete }) {
+  if (!isOpen) return null
 
-  useEffect(() => {
-    setProfile(userProfile)
-  }, [userProfile, isOpen])
+  // Sort by species, thickness, then biggest first
+  const sorted = [...remnants].sort((a, b) =>
+    (a.species || '').localeCompare(b.species || '') ||
+    (parseThickness(a.thickness) || 0) - (parseThickness(b.thickness) || 0) ||
+    (b.length * b.width) - (a.length * a.width)
+  )
+  const totalBF = remnants.reduce((sum, r) => sum + calculateBoardFeet(parseThickness(r.thickness) || 1, r.width, r.length), 0)
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>&times;</button>
+
+        <div className="settings-content">
+          <h2>Remnant Inventory</h2>
+          <p className="settings-description">
+            Offcuts saved when projects are marked as cut. New cut plans use matching remnants before new stock.
+          </p>
+
+          {sorted.length === 0 ? (
+            <p className="remnant-empty">No remnants yet. Mark a project as cut from its Actions menu to save its offcuts.</p>
+          ) : (
+            <>
+              <table className="remnant-table">
+                <thead>
+                  <tr>
+                    <th>Species</th>
+                    <th>Thickness</th>
+                    <th>Size</th>
+                    <th>From</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sorted.map(remnant => (
+                    <tr key={remnant.id}>
+                      <td>
+                        {remnant.species && (
+                          <span
+                            className="species-color-dot"
+                            style={{ backgroundColor: getSpeciesColor(remnant.species) }}
+                          />
+                        )}
+                        {remnant.species || '—'}
+                      </td>
+                      <td>{remnant.thickness}</td>
+                      <td>{remnant.length}" × {remnant.width}"</td>
+                      <td>{remnant.source || '—'}</td>
+                      <td>
+                        <button onClick={() => onDelete(remnant.id)} className="btn-remove" title="Remove remnant">
+                          ×
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="remnant-total">{remnants.length} remnants • {totalBF.toFixed(2)} BF</p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Supplier Price Lists Modal Component
+function PriceListsModal({ isOpen, onClose, suppliers, priceLists, onSaveSupplier, onDeleteSupplier, onSavePriceList, onDeletePriceList }) {
+  // The list being edited: a saved list, a copy or a new one (no id until saved)
+  const [draft, setDraft] = useState(null)
+  const [importMessage, setImportMessage] = useState('')
+  const [newSupplier, setNewSupplier] = useState({ name: '', location: '', deliveryFee: '', minimumOrder: '' })
 
   if (!isOpen) return null
 
-  const handleSubmit = (e) => {
+  const today = new Date().toISOString().slice(0, 10)
+  const getSupplierName = (supplierId) => suppliers.find(s => s.id === supplierId)?.name || 'No supplier'
+
+  const startEditing = (list) => {
+    setDraft(list)
+    setImportMessage('')
+  }
+
+  const handleNewList = () => {
+    startEditing({ name: '', supplierId: suppliers[0]?.id ?? null, notes: '', entries: [] })
+  }
+
+  const handleNewFromBundled = () => {
+    startEditing({
+      name: 'Bundled prices',
+      supplierId: suppliers[0]?.id ?? null,
+      notes: '',
+      entries: getBundledPriceEntries().map(entry => ({ ...entry, effectiveDate: today }))
+    })
+  }
+
+  const handleClone = (list) => {
+    startEditing({ ...list, id: undefined, name: `${list.name} (copy)`, entries: list.entries.map(entry => ({ ...entry })) })
+  }
+
+  const handleEntryChange = (index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      entries: prev.entries.map((entry, idx) => idx === index ? { ...entry, [field]: value } : entry)
+    }))
+  }
+
+  const handleAddEntry = () => {
+    setDraft(prev => ({
+      ...prev,
+      entries: [...prev.entries, { species: '', thickness: '4/4', grade: '', pricePerBF: '', effectiveDate: today }]
+    }))
+  }
+
+  const handleRemoveEntry = (index) => {
+    setDraft(prev => ({ ...prev, entries: prev.entries.filter((_, idx) => idx !== index) }))
+  }
+
+  const handleImport = async (file) => {
+    const { entries, errors } = parsePriceListCSV(await file.text())
+    setDraft(prev => ({
+      ...prev,
+      entries: [...prev.entries, ...entries.map(entry => ({ ...entry, effectiveDate: entry.effectiveDate || today }))]
+    }))
+    let message = `Imported ${entries.length} price${entries.length !== 1 ? 's' : ''}.`
+    if (errors.length > 0) message += ` Skipped ${errors.length} row(s): ${errors.join('; ')}`
+    setImportMessage(message)
+  }
+
+  const handleSaveDraft = async (e) => {
     e.preventDefault()
-    onSave(profile)
-    onClose()
+    // Rows without a species, thickness or price are dropped
+    const entries = draft.entries
+      .map(entry => ({ ...entry, species: entry.species.trim(), thickness: entry.thickness.trim(), pricePerBF: parseFloat(entry.pricePerBF) }))
+      .filter(entry => entry.species && entry.thickness && !isNaN(entry.pricePerBF) && entry.pricePerBF >= 0)
+    await onSavePriceList({ ...draft, name: draft.name.trim(), entries })
+    setDraft(null)
   }
 
-  const handleChange = (field, value) => {
-    setProfile(prev => ({ ...prev, [field]: value }))
+  const handleAddSupplier = async (e) => {
+    e.preventDefault()
+    if (!newSupplier.name.trim()) return
+    await onSaveSupplier({
+      id: newSupplier.id,
+      name: newSupplier.name.trim(),
+      location: newSupplier.location.trim(),
+      notes: newSupplier.notes,
+      deliveryFee: parseFloat(newSupplier.deliveryFee) || 0,
+      minimumOrder: parseFloat(newSupplier.minimumOrder) || 0
+    })
+    setNewSupplier({ name: '', location: '', deliveryFee: '', minimumOrder: '' })
   }
 
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content settings-modal" onClick={(e) => e.stopPropagation()}>
+      <div className="modal-content settings-modal price-lists-modal" onClick={(e) => e.stopPropagation()}>
         <button className="modal-close" onClick={onClose}>&times;</button>
 
         <div className="settings-content">
-          <h2>Settings</h2>
-
-          <form onSubmit={handleSubmit}>
-            <div className="settings-section">
-              <h3>Contact Information</h3>
-              <p className="settings-description">
-                This information will appear on your purchase orders.
-              </p>
-
+          <h2>Price Lists</h2>
+
+          {draft ? (
+            <form onSubmit={handleSaveDraft}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="price-list-name">List Name</label>
+                  <input
+                    type="text"
+                    id="price-list-name"
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    placeholder="e.g., Q3 2026 price sheet"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="price-list-supplier">Supplier</label>
+                  <select
+                    id="price-list-supplier"
+                    value={draft.supplierId ?? ''}
+                    onChange={(e) => setDraft({ ...draft, supplierId: e.target.value ? Number(e.target.value) : null })}
+                  >
+                    <option value="">No supplier</option>
+                    {suppliers.map(supplier => (
+                      <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
               <div className="form-group">
-                <label htmlFor="profile-name">Name / Company</label>
+                <label htmlFor="price-list-notes">Notes</label>
                 <input
                   type="text"
-                  id="profile-name"
-                  value={profile.name}
-                  onChange={(e) => handleChange('name', e.target.value)}
-                  placeholder="Your name or company name"
+                  id="price-list-notes"
+                  value={draft.notes}
+                  onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                  placeholder="Optional"
                 />
               </div>
 
-              <div className="form-group">
-                <label htmlFor="profile-address">Address</label>
-                <textarea
-                  id="profile-address"
-                  value={profile.address}
-                  onChange={(e) => handleChange('address', e.target.value)}
-                  placeholder="Street address, city, state, zip"
-                  rows={3}
+              <div className="price-list-import">
+                <input
+                  type="file"
+                  accept=".csv,.txt"
+                  style={{ display: 'none' }}
+                  id="price-list-csv-import"
+                  onChange={(e) => {
+                    if (e.target.files[0]) {
+                      handleImport(e.target.files[0])
+                      e.target.value = ''
+                    }
+                  }}
                 />
+                <button
+                  type="button"
+                  className="btn-secondary btn-import-csv"
+                  onClick={() => document.getElementById('price-list-csv-import').click()}
+                >
+                  📥 Import CSV
+                </button>
+                <button
+                  type="button"
+                  className="btn-link btn-download-template"
+                  onClick={() => {
+                    const blob = new Blob([generateCSVTemplate('priceList')], { type: 'text/csv' })
+                    const url = URL.createObjectURL(blob)
+                    const a = document.createElement('a')
+                    a.href = url
+                    a.download = 'price_list_template.csv'
+                    a.click()
+                    URL.revokeObjectURL(url)
+                  }}
+                >
+                  Download template
+                </button>
               </div>
+              {importMessage && <p className="settings-description">{importMessage}</p>}
 
-              <div className="form-group">
-                <label htmlFor="profile-phone">Phone</label>
-                <input
-                  type="tel"
-                  id="profile-phone"
-                  value={profile.phone}
-                  onChange={(e) => handleChange('phone', e.target.value)}
-                  placeholder="(555) 123-4567"
-                />
+              <p className="settings-description">
+                Prices dated in the future take effect on that date. Where a species and thickness is listed more than once, the latest price in effect is used.
+              </p>
+              <table className="remnant-table price-list-table">
+                <thead>
+                  <tr>
+                    <th>Species</th>
+                    <th>Thickness</th>
+                    <th>Grade</th>
+                    <th>$/BF</th>
+                    <th>Effective</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {draft.entries.map((entry, idx) => (
+                    <tr key={idx}>
+                      <td>
+                        <input
+                          type="text"
+                          list="price-list-species"
+                          value={entry.species}
+                          onChange={(e) => handleEntryChange(idx, 'species', e.target.value)}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          value={entry.thickness}
+                          onChange={(e) => handleEntryChange(idx, 'thickness', e.target.value)}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          value={entry.grade}
+                          onChange={(e) => handleEntryChange(idx, 'grade', e.target.value)}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          value={entry.pricePerBF}
+                          onChange={(e) => handleEntryChange(idx, 'pricePerBF', e.target.value)}
+                          step="0.01"
+                          min="0"
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="date"
+                          value={entry.effectiveDate}
+                          onChange={(e) => handleEntryChange(idx, 'effectiveDate', e.target.value)}
+                        />
+                      </td>
+                      <td>
+                        <button type="button" onClick={() => handleRemoveEntry(idx)} className="btn-remove" title="Remove price">
+                          ×
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <datalist id="price-list-species">
+                {SPECIES_OPTIONS.map(species => <option key={species} value={species} />)}
+              </datalist>
+              <button type="button" onClick={handleAddEntry} className="btn-secondary price-list-add">
+                + Add Price
+              </button>
+
+              <div className="form-actions">
+                <button type="submit" className="btn-primary">Save Price List</button>
+                <button type="button" onClick={() => setDraft(null)} className="btn-secondary">Cancel</button>
               </div>
+            </form>
+          ) : (
+            <>
+              <p className="settings-description">
+                Your suppliers' prices per board foot. Choose a list for a project in its Project Settings; species and thicknesses a list doesn't have use the bundled estimates.
+              </p>
 
-              <div className="form-group">
-                <label htmlFor="profile-email">Email</label>
-                <input
-                  type="email"
-                  id="profile-email"
-                  value={profile.email}
-                  onChange={(e) => handleChange('email', e.target.value)}
-                  placeholder="you@example.com"
-                />
+              {priceLists.length === 0 ? (
+                <p className="remnant-empty">No price lists yet.</p>
+              ) : (
+                <table className="remnant-table">
+                  <thead>
+                    <tr>
+                      <th>List</th>
+                      <th>Supplier</th>
+                      <th>Prices</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {priceLists.map(list => (
+                      <tr key={list.id}>
+                        <td>{list.name}</td>
+                        <td>{getSupplierName(list.supplierId)}</td>
+                        <td>{list.entries.length}</td>
+                        <td className="price-list-actions">
+                          <button onClick={() => startEditing(list)} className="btn-edit">Edit</button>
+                          <button onClick={() => handleClone(list)} className="btn-edit">Clone</button>
+                          <button onClick={() => onDeletePriceList(list.id)} className="btn-remove" title="Delete price list">
+                            ×
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <div className="form-actions">
+                <button onClick={handleNewList} className="btn-primary">New Price List</button>
+                <button onClick={handleNewFromBundled} className="btn-secondary">Start from Bundled Prices</button>
               </div>
-            </div>
 
-            <div className="settings-actions">
-              <button type="submit" className="btn-primary">
-                Save Settings
-              </button>
-              <button type="button" onClick={onClose} className="btn-secondary">
-                Cancel
-              </button>
-            </div>
-          </form>
+              <div className="settings-section">
+                <h3>Suppliers</h3>
+                {suppliers.length > 0 && (
+                  <table className="remnant-table">
+                    <tbody>
+                      {suppliers.map(supplier => (
+                        <tr key={supplier.id}>
+                          <td>{supplier.name}</td>
+                          <td>{supplier.location || '—'}</td>
+                          <td>{supplier.deliveryFee > 0 ? `$${supplier.deliveryFee.toFixed(2)} delivery` : 'No delivery fee'}</td>
+                          <td>{supplier.minimumOrder > 0 ? `$${supplier.minimumOrder.toFixed(2)} minimum` : 'No minimum'}</td>
+                          <td className="price-list-actions">
+                            <button
+                              onClick={() => setNewSupplier({
+                                ...supplier,
+                                deliveryFee: supplier.deliveryFee || '',
+                                minimumOrder: supplier.minimumOrder || ''
+                              })}
+                              className="btn-edit"
+                            >
+                              Edit
+                            </button>
+                            <button onClick={() => onDeleteSupplier(supplier.id)} className="btn-remove" title="Remove supplier">
+                              ×
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                <form onSubmit={handleAddSupplier} className="form-row price-list-supplier-form">
+                  <div className="form-group">
+                    <label htmlFor="supplier-name">Name</label>
+                    <input
+                      type="text"
+                      id="supplier-name"
+                      value={newSupplier.name}
+                      onChange={(e) => setNewSupplier({ ...newSupplier, name: e.target.value })}
+                      placeholder="e.g., Capital Hardwood"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="supplier-location">Location</label>
+                    <input
+                      type="text"
+                      id="supplier-location"
+                      value={newSupplier.location}
+                      onChange={(e) => setNewSupplier({ ...newSupplier, location: e.target.value })}
+                      placeholder="Optional"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="supplier-delivery-fee">Delivery Fee ($)</label>
+                    <input
+                      type="number"
+                      id="supplier-delivery-fee"
+                      value={newSupplier.deliveryFee}
+                      onChange={(e) => setNewSupplier({ ...newSupplier, deliveryFee: e.target.value })}
+                      placeholder="0"
+                      step="0.01"
+                      min="0"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="supplier-minimum-order">Minimum Order ($)</label>
+                    <input
+                      type="number"
+                      id="supplier-minimum-order"
+                      value={newSupplier.minimumOrder}
+                      onChange={(e) => setNewSupplier({ ...newSupplier, minimumOrder: e.target.value })}
+                      placeholder="0"
+                      step="0.01"
+                      min="0"
+                    />
+                  </div>
+                  <button type="submit" className="btn-secondary">{newSupplier.id ? 'Save Supplier' : 'Add Supplier'}</button>
+                  {newSupplier.id && (
+                    <button
+                      type="button"
+                      onClick={() => setNewSupplier({ name: '', location: '', deliveryFee: '', minimumOrder: '' })}
+                      className="btn-secondary"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </form>
+              </div>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -2564,7 +6750,7 @@ function SettingsModal({ isOpen, onClose, userProfile, onSave }) {
 }
 
 // Purchase Order Modal Component
-function PurchaseOrderModal({ isOpen, onClose, project, boards, userProfile }) {
+function PurchaseOrderModal({ isOpen, onClose, project, boards, userProfile, splitOrder = null, costEstimate = null }) {
   if (!isOpen || !project) return null
 
   // Group boards by species + thickness + dimensions
@@ -2627,6 +6813,8 @@ function PurchaseOrderModal({ isOpen, onClose, project, boards, userProfile }) {
 
   const shoppingList = getShoppingList()
   const sheetList = getSheetShoppingList()
+  const projectQty = project.quantity || 1
+  const bandingList = summarizeEdgeBanding((project.sheetCutPieces || []).map(p => ({ ...p, quantity: (p.quantity || 1) * projectQty })))
   const totalBF = shoppingList.reduce((sum, item) => sum + item.totalBF, 0)
   const totalPieces = shoppingList.reduce((sum, item) => sum + item.count, 0)
   const totalSheets = sheetList.reduce((sum, item) => sum + item.count, 0)
@@ -2646,36 +6834,124 @@ function PurchaseOrderModal({ isOpen, onClose, project, boards, userProfile }) {
     return `${lengthFt} × ${item.width}" × ${item.thickness}`
   }
 
-  return (
-    <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content purchase-order-modal" onClick={(e) => e.stopPropagation()}>
-        <button className="modal-close no-print" onClick={onClose}>&times;</button>
+  const renderHeader = (title, supplierName = null) => (
+    <div className="po-header">
+      <div className="po-header-row">
+        <div className="po-title-section">
+          <h2>{title}</h2>
+          <div className="po-meta">
+            {supplierName && <p><strong>Supplier:</strong> {supplierName}</p>}
+            <p><strong>Project:</strong> {project.name}</p>
+            {project.quantity > 1 && <p><strong>Quantity:</strong> {project.quantity} items</p>}
+            <p><strong>Date:</strong> {today}</p>
+          </div>
+        </div>
+        {(userProfile?.name || userProfile?.address || userProfile?.phone || userProfile?.email) ? (
+          <div className="po-customer-info">
+            {userProfile.name && <p className="po-customer-name">{userProfile.name}</p>}
+            {userProfile.address && <p className="po-customer-address">{userProfile.address}</p>}
+            {userProfile.phone && <p>{userProfile.phone}</p>}
+            {userProfile.email && <p>{userProfile.email}</p>}
+          </div>
+        ) : (
+          <div className="po-customer-info po-customer-hint no-print">
+            <p className="po-hint-text">Add your contact info in Settings</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
 
-        <div className="purchase-order">
-          <div className="po-header">
-            <div className="po-header-row">
-              <div className="po-title-section">
-                <h2>{sheetList.length > 0 && shoppingList.length > 0 ? 'Material Purchase Order' : sheetList.length > 0 ? 'Sheet Goods Purchase Order' : 'Lumber Purchase Order'}</h2>
-                <div className="po-meta">
-                  <p><strong>Project:</strong> {project.name}</p>
-                  {project.quantity > 1 && <p><strong>Quantity:</strong> {project.quantity} items</p>}
-                  <p><strong>Date:</strong> {today}</p>
-                </div>
+  // One purchase order per supplier from a recommended split order; lumber only
+  if (splitOrder) {
+    return (
+      <div className="modal-overlay" onClick={onClose}>
+        <div className="modal-content purchase-order-modal" onClick={(e) => e.stopPropagation()}>
+          <button className="modal-close no-print" onClick={onClose}>&times;</button>
+
+          {splitOrder.orders.map((order, orderIdx) => (
+            <div key={orderIdx} className="purchase-order po-supplier-order">
+              {renderHeader('Lumber Purchase Order', order.supplierName)}
+
+              <table className="po-table">
+                <thead>
+                  <tr>
+                    <th>Qty</th>
+                    <th>Species</th>
+                    <th>Dimensions</th>
+                    <th>Board Feet</th>
+                    <th>$/BF</th>
+                    <th>Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {order.lines.map((line, idx) => (
+                    <tr key={idx}>
+                      <td className="po-qty">{line.count}</td>
+                      <td className="po-species">{line.species || 'Unspecified'}</td>
+                      <td className="po-dims">{formatDimensions(line)}</td>
+                      <td className="po-bf">{line.totalBF.toFixed(2)}</td>
+                      <td className="po-bf">${line.pricePerBF.toFixed(2)}</td>
+                      <td className="po-bf">${line.cost.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  {order.deliveryFee > 0 && (
+                    <tr>
+                      <td colSpan="5">Delivery</td>
+                      <td className="po-bf">${order.deliveryFee.toFixed(2)}</td>
+                    </tr>
+                  )}
+                  {order.minimumCharge > 0 && (
+                    <tr>
+                      <td colSpan="5">Minimum order charge</td>
+                      <td className="po-bf">${order.minimumCharge.toFixed(2)}</td>
+                    </tr>
+                  )}
+                  <tr className="po-total-row">
+                    <td className="po-qty"><strong>{order.lines.reduce((sum, line) => sum + line.count, 0)}</strong></td>
+                    <td colSpan="2"><strong>Total</strong></td>
+                    <td className="po-bf"><strong>{order.lines.reduce((sum, line) => sum + line.totalBF, 0).toFixed(2)} BF</strong></td>
+                    <td></td>
+                    <td className="po-bf"><strong>${order.total.toFixed(2)}</strong></td>
+                  </tr>
+                </tfoot>
+              </table>
+
+              <div className="po-footer">
+                <p>Generated by CutSmart</p>
               </div>
-              {(userProfile?.name || userProfile?.address || userProfile?.phone || userProfile?.email) ? (
-                <div className="po-customer-info">
-                  {userProfile.name && <p className="po-customer-name">{userProfile.name}</p>}
-                  {userProfile.address && <p className="po-customer-address">{userProfile.address}</p>}
-                  {userProfile.phone && <p>{userProfile.phone}</p>}
-                  {userProfile.email && <p>{userProfile.email}</p>}
-                </div>
-              ) : (
-                <div className="po-customer-info po-customer-hint no-print">
-                  <p className="po-hint-text">Add your contact info in Settings</p>
-                </div>
-              )}
             </div>
+          ))}
+
+          {(splitOrder.unpricedItems.length > 0 || sheetList.length > 0 || bandingList.length > 0) && (
+            <p className="po-split-note no-print">
+              {splitOrder.unpricedItems.length > 0 && `${splitOrder.unpricedItems.length} board size${splitOrder.unpricedItems.length !== 1 ? 's' : ''} no compared list prices ${splitOrder.unpricedItems.length !== 1 ? 'are' : 'is'} left off. `}
+              {(sheetList.length > 0 || bandingList.length > 0) && 'Sheet goods and edge banding are on the project purchase order.'}
+            </p>
+          )}
+
+          <div className="po-actions no-print">
+            <button onClick={handlePrint} className="btn-primary">
+              Print / Save as PDF
+            </button>
+            <button onClick={onClose} className="btn-secondary">
+              Close
+            </button>
           </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content purchase-order-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close no-print" onClick={onClose}>&times;</button>
+
+        <div className="purchase-order">
+          {renderHeader(sheetList.length > 0 && shoppingList.length > 0 ? 'Material Purchase Order' : sheetList.length > 0 ? 'Sheet Goods Purchase Order' : 'Lumber Purchase Order')}
 
           {shoppingList.length > 0 && (
             <>
@@ -2743,6 +7019,55 @@ function PurchaseOrderModal({ isOpen, onClose, project, boards, userProfile }) {
             </>
           )}
 
+          {bandingList.length > 0 && (
+            <>
+              <h3 className="po-section-title">Edge Banding</h3>
+              <table className="po-table">
+                <thead>
+                  <tr>
+                    <th>Linear Ft</th>
+                    <th>Material</th>
+                    <th>Thickness</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {bandingList.map((item, idx) => (
+                    <tr key={idx}>
+                      <td className="po-qty">{Math.ceil(item.linearFeet)}</td>
+                      <td className="po-species">{item.material}</td>
+                      <td className="po-dims">{formatInches(item.thickness)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {costEstimate && (
+            <>
+              <h3 className="po-section-title">Cost Estimate</h3>
+              <table className="po-table po-estimate-table">
+                <tbody>
+                  {costEstimate.lines.map(line => (
+                    <tr key={line.key}>
+                      <td className="po-species">
+                        {line.label}
+                        {line.detail && <span className="po-estimate-detail"> ({line.detail})</span>}
+                      </td>
+                      <td className="po-bf">${line.amount.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr className="po-total-row">
+                    <td><strong>Estimate Total</strong></td>
+                    <td className="po-bf"><strong>${costEstimate.total.toFixed(2)}</strong></td>
+                  </tr>
+                </tfoot>
+              </table>
+            </>
+          )}
+
           {project.description && (
             <div className="po-notes">
               <p><strong>Notes:</strong> {project.description}</p>
@@ -2854,13 +7179,17 @@ function App() {
   const [syncStatus, setSyncStatus] = useState('synced') // 'synced', 'syncing', 'error'
   const [isLoadingProjects, setIsLoadingProjects] = useState(true) // Initial load state
   const [isRegenerating, setIsRegenerating] = useState(false)
+  const [optimizerProgress, setOptimizerProgress] = useState(null)
+  const optimizerRunRef = useRef(null)
   const [draggingBoardId, setDraggingBoardId] = useState(null)
   const [dragOverBoardId, setDragOverBoardId] = useState(null)
   const [draggingCutPieceId, setDraggingCutPieceId] = useState(null)
   const [dragOverCutPieceId, setDragOverCutPieceId] = useState(null)
   const [showHelp, setShowHelp] = useState(false)
   const [showPurchaseOrder, setShowPurchaseOrder] = useState(false)
-  // Material type: 'lumber' or 'sheet'
+  // Split order from the supplier comparison, for one purchase order per supplier
+  const [purchaseOrderSplit, setPurchaseOrderSplit] = useState(null)
+  // Material type: 'lumber', 'sheet' or 'linear'
   const [materialType, setMaterialType] = useState('lumber')
   // Sheet goods state
   const [editingSheetGoods, setEditingSheetGoods] = useState(null)
@@ -2869,13 +7198,27 @@ function App() {
   const [dragOverSheetId, setDragOverSheetId] = useState(null)
   const [draggingSheetPieceId, setDraggingSheetPieceId] = useState(null)
   const [dragOverSheetPieceId, setDragOverSheetPieceId] = useState(null)
+  // Linear stock state
+  const [editingLinearStock, setEditingLinearStock] = useState(null)
+  const [editingLinearCutPiece, setEditingLinearCutPiece] = useState(null)
   const [showSettings, setShowSettings] = useState(false)
+  const [showProjectSettings, setShowProjectSettings] = useState(false)
   const [userProfile, setUserProfile] = useState({
     name: '',
     address: '',
     phone: '',
-    email: ''
+    email: '',
+    sawProfile: { ...DEFAULT_SAW_PROFILE },
+    remnantSettings: normalizeRemnantSettings(),
+    costModel: normalizeCostModel()
   })
+  // Shop offcut inventory, shared by all of the user's projects
+  const [remnants, setRemnants] = useState([])
+  const [showRemnants, setShowRemnants] = useState(false)
+  // Supplier price lists, shared by all of the user's projects
+  const [suppliers, setSuppliers] = useState([])
+  const [priceLists, setPriceLists] = useState([])
+  const [showPriceLists, setShowPriceLists] = useState(false)
 
   // Confirmation dialog state
   const [confirmDialog, setConfirmDialog] = useState({
@@ -2940,24 +7283,26 @@ function App() {
     if (session) {
       loadProjects()
       loadUserProfile()
+      loadRemnants()
+      loadPriceLists()
     } else {
       setProjects([])
-      setUserProfile({ name: '', address: '', phone: '', email: '' })
+      setRemnants([])
+      setSuppliers([])
+      setPriceLists([])
+      setUserProfile({ name: '', address: '', phone: '', email: '', sawProfile: { ...DEFAULT_SAW_PROFILE }, remnantSettings: normalizeRemnantSettings(), costModel: normalizeCostModel() })
     }
   }, [session])
 
-  // Switch to appropriate tab when material type changes
+  // Switch to the equivalent tab when material type changes
   useEffect(() => {
-    if (materialType === 'lumber') {
-      // If on a sheet goods tab, switch to lumber equivalent
-      if (activeTab === 'sheetStock') setActiveTab('stock')
-      else if (activeTab === 'sheetCutlist') setActiveTab('cutlist')
-      else if (activeTab === 'sheetPlan') setActiveTab('plan')
-    } else {
-      // If on a lumber tab, switch to sheet goods equivalent
-      if (activeTab === 'stock') setActiveTab('sheetStock')
-      else if (activeTab === 'cutlist') setActiveTab('sheetCutlist')
-      else if (activeTab === 'plan') setActiveTab('sheetPlan')
+    const tabs = MATERIAL_TABS[materialType]
+    for (const family of Object.values(MATERIAL_TABS)) {
+      const step = Object.keys(family).find(key => family[key] === activeTab)
+      if (step) {
+        setActiveTab(tabs[step])
+        return
+      }
     }
   }, [materialType])
 
@@ -2966,7 +7311,7 @@ function App() {
     try {
       const { data, error } = await supabase
         .from('user_profiles')
-        .select('name, address, phone, email')
+        .select('name, address, phone, email, saw_profile, remnant_settings, cost_model')
         .single()
 
       if (error && error.code !== 'PGRST116') {
@@ -2980,7 +7325,10 @@ function App() {
           name: data.name || '',
           address: data.address || '',
           phone: data.phone || '',
-          email: data.email || ''
+          email: data.email || '',
+          sawProfile: normalizeSawProfile(data.saw_profile),
+          remnantSettings: normalizeRemnantSettings(data.remnant_settings),
+          costModel: normalizeCostModel(data.cost_model)
         })
       }
     } catch (e) {
@@ -3003,6 +7351,9 @@ function App() {
           address: newProfile.address,
           phone: newProfile.phone,
           email: newProfile.email,
+          saw_profile: newProfile.sawProfile,
+          remnant_settings: newProfile.remnantSettings,
+          cost_model: newProfile.costModel,
           updated_at: new Date().toISOString()
         }, {
           onConflict: 'user_id'
@@ -3016,6 +7367,235 @@ function App() {
     }
   }
 
+  // Load the remnant inventory for the current user
+  const loadRemnants = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('remnants')
+        .select('*')
+        .order('created_at', { ascending: false })
+
+      if (error) throw error
+
+      setRemnants(data.map(remnantFromRow))
+    } catch (error) {
+      console.error('Error loading remnants:', error)
+    }
+  }
+
+  const handleDeleteRemnant = async (remnantId) => {
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('remnants')
+        .delete()
+        .eq('id', remnantId)
+
+      if (error) throw error
+
+      setRemnants(remnants.filter(r => r.id !== remnantId))
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error deleting remnant:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Load the user's suppliers and price lists with their entries
+  const loadPriceLists = async () => {
+    try {
+      const [suppliersResult, listsResult, entriesResult] = await Promise.all([
+        supabase.from('suppliers').select('*').order('name', { ascending: true }),
+        supabase.from('price_lists').select('*').order('created_at', { ascending: true }),
+        supabase.from('price_list_entries').select('*').order('id', { ascending: true })
+      ])
+
+      if (suppliersResult.error) throw suppliersResult.error
+      if (listsResult.error) throw listsResult.error
+      if (entriesResult.error) throw entriesResult.error
+
+      setSuppliers(suppliersResult.data.map(supplierFromRow))
+      setPriceLists(listsResult.data.map(row => priceListFromRow(row, entriesResult.data)))
+    } catch (error) {
+      console.error('Error loading price lists:', error)
+    }
+  }
+
+  const handleSaveSupplier = async (supplier) => {
+    setSyncStatus('syncing')
+    try {
+      const { data, error } = supplier.id
+        ? await supabase.from('suppliers').update(supplierToRow(supplier)).eq('id', supplier.id).select().single()
+        : await supabase.from('suppliers').insert({ ...supplierToRow(supplier), user_id: session.user.id }).select().single()
+
+      if (error) throw error
+
+      const savedSupplier = supplierFromRow(data)
+      setSuppliers(supplier.id
+        ? suppliers.map(s => s.id === supplier.id ? savedSupplier : s)
+        : [...suppliers, savedSupplier])
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error saving supplier:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Lists from a removed supplier are kept, without a supplier
+  const handleDeleteSupplier = async (supplierId) => {
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('suppliers')
+        .delete()
+        .eq('id', supplierId)
+
+      if (error) throw error
+
+      setSuppliers(suppliers.filter(s => s.id !== supplierId))
+      setPriceLists(priceLists.map(list => list.supplierId === supplierId ? { ...list, supplierId: null } : list))
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error deleting supplier:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Save a new or edited price list; its entries are replaced as a whole
+  const handleSavePriceList = async (list) => {
+    setSyncStatus('syncing')
+    try {
+      const row = {
+        supplier_id: list.supplierId ?? null,
+        name: list.name,
+        notes: list.notes || null,
+        updated_at: new Date().toISOString()
+      }
+      const { data, error } = list.id
+        ? await supabase.from('price_lists').update(row).eq('id', list.id).select().single()
+        : await supabase.from('price_lists').insert({ ...row, user_id: session.user.id }).select().single()
+
+      if (error) throw error
+
+      if (list.id) {
+        const { error: deleteError } = await supabase
+          .from('price_list_entries')
+          .delete()
+          .eq('price_list_id', list.id)
+
+        if (deleteError) throw deleteError
+      }
+
+      let entryRows = []
+      if (list.entries.length > 0) {
+        const { data: insertedEntries, error: entriesError } = await supabase
+          .from('price_list_entries')
+          .insert(list.entries.map(entry => ({ ...priceListEntryToRow(entry), price_list_id: data.id })))
+          .select()
+
+        if (entriesError) throw entriesError
+        entryRows = insertedEntries
+      }
+
+      const savedList = priceListFromRow(data, entryRows)
+      setPriceLists(list.id
+        ? priceLists.map(l => l.id === list.id ? savedList : l)
+        : [...priceLists, savedList])
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error saving price list:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Projects priced from a removed list go back to the bundled prices
+  const handleDeletePriceList = async (priceListId) => {
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('price_lists')
+        .delete()
+        .eq('id', priceListId)
+
+      if (error) throw error
+
+      setPriceLists(priceLists.filter(l => l.id !== priceListId))
+      setProjects(projects.map(p => p.priceListId === priceListId ? { ...p, priceListId: null } : p))
+      if (currentProject?.priceListId === priceListId) {
+        setCurrentProject({ ...currentProject, priceListId: null })
+      }
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error deleting price list:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Marking a project as cut moves its offcuts into the remnant inventory
+  // and removes the remnants its plan used
+  const handleMarkProjectCut = async () => {
+    const cutPlan = currentProject.cutPlan
+    setSyncStatus('syncing')
+    try {
+      const usedRemnantIds = (cutPlan?.remnantsUsed || []).map(r => r.remnantId)
+      if (usedRemnantIds.length > 0) {
+        const { error: deleteError } = await supabase
+          .from('remnants')
+          .delete()
+          .in('id', usedRemnantIds)
+
+        if (deleteError) throw deleteError
+      }
+
+      let newRemnants = []
+      const offcuts = findRemnantOffcuts(cutPlan, userProfile.remnantSettings)
+      if (offcuts.length > 0) {
+        const { data, error: insertError } = await supabase
+          .from('remnants')
+          .insert(offcuts.map(offcut => ({
+            user_id: session.user.id,
+            project_id: currentProject.id,
+            ...remnantToRow(offcut)
+          })))
+          .select()
+
+        if (insertError) throw insertError
+        newRemnants = data.map(remnantFromRow)
+      }
+
+      const cutAt = new Date().toISOString()
+      const { error } = await supabase
+        .from('projects')
+        .update({ cut_at: cutAt })
+        .eq('id', currentProject.id)
+
+      if (error) throw error
+
+      setRemnants([...newRemnants, ...remnants.filter(r => !usedRemnantIds.includes(r.id))])
+      const updatedProject = { ...currentProject, cutAt }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error marking project as cut:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  const confirmMarkProjectCut = () => {
+    const offcutCount = findRemnantOffcuts(currentProject.cutPlan, userProfile.remnantSettings).length
+    const usedCount = (currentProject.cutPlan?.remnantsUsed || []).length
+    showConfirmDialog(
+      'Mark Project as Cut?',
+      `${offcutCount} offcut${offcutCount === 1 ? '' : 's'} will be added to your remnant inventory` +
+        (usedCount > 0 ? ` and ${usedCount} remnant${usedCount === 1 ? '' : 's'} used by this plan will be removed.` : '.'),
+      () => {
+        handleMarkProjectCut()
+        closeConfirmDialog()
+      }
+    )
+  }
+
   // Load all projects for the current user
   const loadProjects = async () => {
     setSyncStatus('syncing')
@@ -3037,24 +7617,32 @@ function App() {
       let cutPiecesData = []
       let sheetGoodsData = []
       let sheetCutPiecesData = []
+      let linearStockData = []
+      let linearCutPiecesData = []
 
       if (projectIds.length > 0) {
-        const [boardsResult, cutPiecesResult, sheetGoodsResult, sheetCutPiecesResult] = await Promise.all([
+        const [boardsResult, cutPiecesResult, sheetGoodsResult, sheetCutPiecesResult, linearStockResult, linearCutPiecesResult] = await Promise.all([
           supabase.from('boards').select('*').in('project_id', projectIds),
           supabase.from('cut_pieces').select('*').in('project_id', projectIds),
           supabase.from('sheet_goods').select('*').in('project_id', projectIds),
-          supabase.from('sheet_cut_pieces').select('*').in('project_id', projectIds)
+          supabase.from('sheet_cut_pieces').select('*').in('project_id', projectIds),
+          supabase.from('linear_stock').select('*').in('project_id', projectIds),
+          supabase.from('linear_cut_pieces').select('*').in('project_id', projectIds)
         ])
 
         if (boardsResult.error) throw boardsResult.error
         if (cutPiecesResult.error) throw cutPiecesResult.error
         if (sheetGoodsResult.error) throw sheetGoodsResult.error
         if (sheetCutPiecesResult.error) throw sheetCutPiecesResult.error
+        if (linearStockResult.error) throw linearStockResult.error
+        if (linearCutPiecesResult.error) throw linearCutPiecesResult.error
 
         boardsData = boardsResult.data || []
         cutPiecesData = cutPiecesResult.data || []
         sheetGoodsData = sheetGoodsResult.data || []
         sheetCutPiecesData = sheetCutPiecesResult.data || []
+        linearStockData = linearStockResult.data || []
+        linearCutPiecesData = linearCutPiecesResult.data || []
       }
 
       // Combine data into project objects
@@ -3064,33 +7652,19 @@ function App() {
         description: project.description,
         workflow: project.workflow,
         quantity: project.quantity || 1,
+        sawProfile: project.saw_profile,
+        planSettings: project.plan_settings || {},
+        priceListId: project.price_list_id,
+        costModel: project.cost_model,
+        cutAt: project.cut_at,
         cutPlan: project.cut_plan,
         createdAt: project.created_at,
         boards: boardsData
           .filter(b => b.project_id === project.id)
-          .map(b => ({
-            id: b.id,
-            name: b.name,
-            length: Number(b.length),
-            width: Number(b.width),
-            thickness: b.thickness,
-            thicknessInches: Number(b.thickness_inches),
-            species: b.species,
-            quantity: b.quantity,
-            boardFeetPerPiece: Number(b.board_feet_per_piece),
-            boardFeet: Number(b.board_feet)
-          })),
+          .map(boardFromRow),
         cutPieces: cutPiecesData
           .filter(c => c.project_id === project.id)
-          .map(c => ({
-            id: c.id,
-            name: c.name,
-            length: Number(c.length),
-            width: Number(c.width),
-            thickness: c.thickness,
-            species: c.species,
-            quantity: c.quantity
-          })),
+          .map(cutPieceFromRow),
         sheetGoods: sheetGoodsData
           .filter(s => s.project_id === project.id)
           .map(s => ({
@@ -3114,9 +7688,19 @@ function App() {
             thickness: sp.thickness,
             product: sp.product_type,
             quantity: sp.quantity,
-            grainDirection: sp.grain_direction || 'any'
+            grainDirection: sp.grain_direction || 'any',
+            shape: sp.shape || null,
+            edgeBanding: sp.edge_banding || null
           })),
-        sheetCutPlan: project.sheet_cut_plan
+        // Plans saved before sheets had their own optimizer are regenerated
+        sheetCutPlan: project.sheet_cut_plan?.sheetsUsed !== undefined ? project.sheet_cut_plan : null,
+        linearStock: linearStockData
+          .filter(l => l.project_id === project.id)
+          .map(linearStockFromRow),
+        linearCutPieces: linearCutPiecesData
+          .filter(lp => lp.project_id === project.id)
+          .map(linearCutPieceFromRow),
+        linearCutPlan: project.linear_cut_plan
       }))
 
       setProjects(fullProjects)
@@ -3161,6 +7745,100 @@ function App() {
     }
   }
 
+  // Saw profile for a project: its own override, otherwise the user's default
+  const getProjectSawProfile = (project) => {
+    return normalizeSawProfile(project?.sawProfile || userProfile.sawProfile)
+  }
+
+  // Price list a project is priced from; null uses the bundled prices
+  const getProjectPriceList = (project) => {
+    return priceLists.find(list => list.id === project?.priceListId) || null
+  }
+
+  // Line-itemized estimate for a project's materials through its cost model
+  // Lumber is priced as in the cut plan's pricing section unless its pricing is passed in
+  const getProjectCostEstimate = (project, lumberPricing = null) => {
+    if (!project) return null
+    const lumber = lumberPricing ||
+      calculateLumberPricing(project.cutPlan, project.boards, project.workflow, getProjectPriceList(project))
+    const sheetCost = (project.sheetGoods || []).reduce((sum, s) => sum + (s.pricePerSheet || 0) * (s.quantity || 1), 0)
+    const linearCost = (project.linearStock || []).reduce((sum, l) => sum + (l.pricePerFoot || 0) * (l.length / 12) * (l.quantity || 1), 0)
+    const materials = [
+      { key: 'lumber', label: 'Lumber', cost: lumber?.totalCost || 0, boardFeet: lumber?.totalBF || 0 },
+      { key: 'sheetGoods', label: 'Sheet goods', cost: sheetCost },
+      { key: 'linearStock', label: 'Linear stock', cost: linearCost }
+    ]
+    if (materials.every(material => material.cost === 0)) return null
+    return estimateProjectCost(materials, resolveCostModel(userProfile.costModel, project.costModel))
+  }
+
+  // Optimizer options from the project's plan settings
+  const getOptimizerOptions = (project) => {
+    const planSettings = project?.planSettings || {}
+    return {
+      milling: planSettings.milling,
+      resaw: planSettings.resaw,
+      goal: planSettings.goal,
+      guillotine: planSettings.guillotine,
+      lockedPlacements: planSettings.lockedPlacements,
+      substitutions: planSettings.substitutions,
+      linear: planSettings.linear,
+      priceList: getProjectPriceList(project),
+      // Offcuts this project produced can't be cut for it again
+      remnants: planSettings.useRemnants === false
+        ? []
+        : remnants.filter(r => r.projectId !== project?.id)
+    }
+  }
+
+  // Run an optimizer task in the worker, showing its progress
+  // Resolves to null if cancelled or if the optimizer failed
+  const runOptimizer = async (task, args) => {
+    setOptimizerProgress({})
+    const run = runOptimizerTask(task, args, { onProgress: setOptimizerProgress })
+    optimizerRunRef.current = run
+    try {
+      return await run.promise
+    } catch (error) {
+      console.error('Error running optimizer:', error)
+      alert('The optimizer failed. Please try again.')
+      return null
+    } finally {
+      optimizerRunRef.current = null
+      setOptimizerProgress(null)
+    }
+  }
+
+  const handleCancelOptimizer = () => {
+    if (optimizerRunRef.current) optimizerRunRef.current.cancel()
+  }
+
+  // Save project-level settings (saw profile, etc.)
+  const handleUpdateProjectSettings = async (changes) => {
+    const updatedProject = { ...currentProject, ...changes }
+    setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+    setCurrentProject(updatedProject)
+
+    const row = {}
+    Object.keys(changes).forEach(field => {
+      if (PROJECT_SETTINGS_COLUMNS[field]) row[PROJECT_SETTINGS_COLUMNS[field]] = changes[field]
+    })
+
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('projects')
+        .update(row)
+        .eq('id', currentProject.id)
+
+      if (error) throw error
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error updating project settings:', error)
+      setSyncStatus('error')
+    }
+  }
+
   // Update project quantity and recalculate stock/cut plan
   const handleUpdateProjectQuantity = async (newQuantity) => {
     const qty = parseInt(newQuantity) || 1
@@ -3205,13 +7883,15 @@ function App() {
         })
 
         // Recalculate stock needed with multiplied cut pieces
-        const result = calculateStockNeeded(multipliedCutPieces, boardTemplates)
+        const result = await runOptimizer('calculateStockNeeded', [multipliedCutPieces, boardTemplates, getProjectSawProfile(currentProject), getOptimizerOptions(currentProject)])
+        if (!result) {
+          // Cancelled: leave the quantity and boards as they were
+          setSyncStatus('synced')
+          return
+        }
 
-        if (result && result.boards) {
-          newBoards = result.boards.map((board, idx) => ({
-            ...board,
-            id: existingBoards[idx]?.id || Date.now() + idx
-          }))
+        if (result.boards) {
+          newBoards = result.boards
           newCutPlan = result.cutPlan
         }
       } else if (existingBoards.length > 0 && cutPiecesList.length === 0) {
@@ -3230,15 +7910,7 @@ function App() {
       if (newBoards.length > 0) {
         const boardsToInsert = newBoards.map(board => ({
           project_id: currentProject.id,
-          name: board.name,
-          length: board.length,
-          width: board.width,
-          thickness: board.thickness,
-          thickness_inches: board.thicknessInches || parseThickness(board.thickness) || 1,
-          species: board.species,
-          quantity: board.quantity || 1,
-          board_feet_per_piece: board.boardFeetPerPiece || board.boardFeet,
-          board_feet: board.boardFeet
+          ...boardToRow(board)
         }))
 
         const { data: insertedBoards, error: boardsError } = await supabase
@@ -3248,18 +7920,12 @@ function App() {
 
         if (boardsError) throw boardsError
 
-        newBoards = insertedBoards.map(b => ({
-          id: b.id,
-          name: b.name,
-          length: Number(b.length),
-          width: Number(b.width),
-          thickness: b.thickness,
-          thicknessInches: Number(b.thickness_inches),
-          species: b.species,
-          quantity: b.quantity,
-          boardFeetPerPiece: Number(b.board_feet_per_piece),
-          boardFeet: Number(b.board_feet)
-        }))
+        // Point the new cut plan at the inserted board ids
+        if (newCutPlan) {
+          const idMap = new Map(newBoards.map((board, idx) => [board.id, insertedBoards[idx].id]))
+          newCutPlan = remapPlanBoardIds(newCutPlan, idMap)
+        }
+        newBoards = insertedBoards.map(boardFromRow)
       }
 
       // Update project
@@ -3312,11 +7978,14 @@ function App() {
         quantity: data.quantity || 1,
         cutPlan: null,
         sheetCutPlan: null,
+        linearCutPlan: null,
         createdAt: data.created_at,
         boards: [],
         cutPieces: [],
         sheetGoods: [],
-        sheetCutPieces: []
+        sheetCutPieces: [],
+        linearStock: [],
+        linearCutPieces: []
       }
 
       setProjects([newProject, ...projects])
@@ -3367,48 +8036,22 @@ function App() {
         .from('boards')
         .insert({
           project_id: currentProject.id,
-          name: board.name,
-          length: board.length,
-          width: board.width,
-          thickness: board.thickness,
-          thickness_inches: board.thicknessInches,
-          species: board.species,
-          quantity: board.quantity,
-          board_feet_per_piece: board.boardFeetPerPiece,
-          board_feet: board.boardFeet
+          ...boardToRow(board)
         })
         .select()
         .single()
 
       if (error) throw error
 
-      const newBoard = {
-        id: data.id,
-        name: data.name,
-        length: Number(data.length),
-        width: Number(data.width),
-        thickness: data.thickness,
-        thicknessInches: Number(data.thickness_inches),
-        species: data.species,
-        quantity: data.quantity,
-        boardFeetPerPiece: Number(data.board_feet_per_piece),
-        boardFeet: Number(data.board_feet)
-      }
+      const newBoard = boardFromRow(data)
 
       const updatedProject = {
         ...currentProject,
-        boards: [...currentProject.boards, newBoard],
-        cutPlan: null
+        boards: [...currentProject.boards, newBoard]
       }
       setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
       setCurrentProject(updatedProject)
 
-      // Clear cut_plan in database
-      await supabase
-        .from('projects')
-        .update({ cut_plan: null })
-        .eq('id', currentProject.id)
-
       setSyncStatus('synced')
     } catch (error) {
       console.error('Error adding board:', error)
@@ -3416,22 +8059,16 @@ function App() {
     }
   }
 
-  const handleUpdateBoard = async (updatedBoard) => {
+  const handleUpdateBoard = async (editedBoard) => {
+    // The form doesn't edit defects; keep the ones already marked on the board
+    const existingBoard = currentProject.boards.find(b => b.id === editedBoard.id)
+    const updatedBoard = { ...editedBoard, defects: existingBoard?.defects || [] }
+
     setSyncStatus('syncing')
     try {
       const { error } = await supabase
         .from('boards')
-        .update({
-          name: updatedBoard.name,
-          length: updatedBoard.length,
-          width: updatedBoard.width,
-          thickness: updatedBoard.thickness,
-          thickness_inches: updatedBoard.thicknessInches,
-          species: updatedBoard.species,
-          quantity: updatedBoard.quantity,
-          board_feet_per_piece: updatedBoard.boardFeetPerPiece,
-          board_feet: updatedBoard.boardFeet
-        })
+        .update(boardToRow(updatedBoard))
         .eq('id', updatedBoard.id)
 
       if (error) throw error
@@ -3440,19 +8077,12 @@ function App() {
         ...currentProject,
         boards: currentProject.boards.map(b =>
           b.id === updatedBoard.id ? updatedBoard : b
-        ),
-        cutPlan: null
+        )
       }
       setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
       setCurrentProject(updatedProject)
       setEditingBoard(null)
 
-      // Clear cut_plan in database
-      await supabase
-        .from('projects')
-        .update({ cut_plan: null })
-        .eq('id', currentProject.id)
-
       setSyncStatus('synced')
     } catch (error) {
       console.error('Error updating board:', error)
@@ -3472,21 +8102,64 @@ function App() {
 
       const updatedProject = {
         ...currentProject,
-        boards: currentProject.boards.filter(b => b.id !== boardId),
-        cutPlan: null
+        boards: currentProject.boards.filter(b => b.id !== boardId)
       }
       setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
       setCurrentProject(updatedProject)
 
-      // Clear cut_plan in database
-      await supabase
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error deleting board:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Save a cut plan rearranged by hand; its locked parts are kept for the next optimizer run
+  const handleEditCutPlanLayout = async (assignments) => {
+    const cutPlan = rebuildCutPlan(currentProject.cutPlan, assignments, currentProject.boards, getProjectPriceList(currentProject))
+    const planSettings = { ...currentProject.planSettings, lockedPlacements: getLockedPlacements(cutPlan.assignments) }
+    const updatedProject = { ...currentProject, cutPlan, planSettings }
+    setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+    setCurrentProject(updatedProject)
+
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
         .from('projects')
-        .update({ cut_plan: null })
+        .update({ cut_plan: cutPlan, plan_settings: planSettings })
         .eq('id', currentProject.id)
 
+      if (error) throw error
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error saving cut plan layout:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Defects don't invalidate the cut plan; the plan flags parts that overlap them
+  // until it's regenerated
+  const handleUpdateBoardDefects = async (boardId, defects) => {
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('boards')
+        .update({ defects: defects.length > 0 ? defects : null })
+        .eq('id', boardId)
+
+      if (error) throw error
+
+      const updatedProject = {
+        ...currentProject,
+        boards: currentProject.boards.map(b =>
+          b.id === boardId ? { ...b, defects } : b
+        )
+      }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
       setSyncStatus('synced')
     } catch (error) {
-      console.error('Error deleting board:', error)
+      console.error('Error updating board defects:', error)
       setSyncStatus('error')
     }
   }
@@ -3547,15 +8220,7 @@ function App() {
       const boardsToInsert = boards.map(board => ({
         id: board.id, // Keep same IDs
         project_id: currentProject.id,
-        name: board.name,
-        length: board.length,
-        width: board.width,
-        thickness: board.thickness,
-        thickness_inches: board.thicknessInches,
-        species: board.species,
-        quantity: board.quantity,
-        board_feet_per_piece: board.boardFeetPerPiece,
-        board_feet: board.boardFeet
+        ...boardToRow(board)
       }))
 
       await supabase
@@ -3588,43 +8253,23 @@ function App() {
         .from('cut_pieces')
         .insert({
           project_id: currentProject.id,
-          name: piece.name,
-          length: piece.length,
-          width: piece.width,
-          thickness: piece.thickness,
-          species: piece.species,
-          quantity: piece.quantity
+          ...cutPieceToRow(piece)
         })
         .select()
         .single()
 
       if (error) throw error
 
-      const newPiece = {
-        id: data.id,
-        name: data.name,
-        length: Number(data.length),
-        width: Number(data.width),
-        thickness: data.thickness,
-        species: data.species,
-        quantity: data.quantity
-      }
+      const newPiece = cutPieceFromRow(data)
 
       const cutPieces = currentProject.cutPieces || []
       const updatedProject = {
         ...currentProject,
-        cutPieces: [...cutPieces, newPiece],
-        cutPlan: null
+        cutPieces: [...cutPieces, newPiece]
       }
       setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
       setCurrentProject(updatedProject)
 
-      // Clear cut_plan in database
-      await supabase
-        .from('projects')
-        .update({ cut_plan: null })
-        .eq('id', currentProject.id)
-
       setSyncStatus('synced')
     } catch (error) {
       console.error('Error adding cut piece:', error)
@@ -3646,12 +8291,7 @@ function App() {
     try {
       const rows = pieces.map(p => ({
         project_id: currentProject.id,
-        name: p.name,
-        length: p.length,
-        width: p.width,
-        thickness: p.thickness,
-        species: p.species,
-        quantity: p.quantity
+        ...cutPieceToRow(p)
       }))
 
       const { data, error } = await supabase
@@ -3661,15 +8301,7 @@ function App() {
 
       if (error) throw error
 
-      const newPieces = data.map(d => ({
-        id: d.id,
-        name: d.name,
-        length: Number(d.length),
-        width: Number(d.width),
-        thickness: d.thickness,
-        species: d.species,
-        quantity: d.quantity
-      }))
+      const newPieces = data.map(cutPieceFromRow)
 
       const updatedProject = {
         ...currentProject,
@@ -3713,7 +8345,9 @@ function App() {
         thickness: p.thickness,
         product_type: p.product,
         quantity: p.quantity,
-        grain_direction: p.grainDirection || 'any'
+        grain_direction: p.grainDirection || 'any',
+        shape: p.shape || null,
+        edge_banding: p.edgeBanding || null
       }))
 
       const { data, error } = await supabase
@@ -3731,7 +8365,9 @@ function App() {
         thickness: d.thickness,
         product: d.product_type,
         quantity: d.quantity,
-        grainDirection: d.grain_direction
+        grainDirection: d.grain_direction,
+        shape: d.shape,
+        edgeBanding: d.edge_banding
       }))
 
       const updatedProject = {
@@ -3761,14 +8397,7 @@ function App() {
     try {
       const { error } = await supabase
         .from('cut_pieces')
-        .update({
-          name: updatedPiece.name,
-          length: updatedPiece.length,
-          width: updatedPiece.width,
-          thickness: updatedPiece.thickness,
-          species: updatedPiece.species,
-          quantity: updatedPiece.quantity
-        })
+        .update(cutPieceToRow(updatedPiece))
         .eq('id', updatedPiece.id)
 
       if (error) throw error
@@ -3778,19 +8407,12 @@ function App() {
         ...currentProject,
         cutPieces: cutPieces.map(p =>
           p.id === updatedPiece.id ? updatedPiece : p
-        ),
-        cutPlan: null
+        )
       }
       setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
       setCurrentProject(updatedProject)
       setEditingCutPiece(null)
 
-      // Clear cut_plan in database
-      await supabase
-        .from('projects')
-        .update({ cut_plan: null })
-        .eq('id', currentProject.id)
-
       setSyncStatus('synced')
     } catch (error) {
       console.error('Error updating cut piece:', error)
@@ -3811,18 +8433,11 @@ function App() {
       const cutPieces = currentProject.cutPieces || []
       const updatedProject = {
         ...currentProject,
-        cutPieces: cutPieces.filter(p => p.id !== pieceId),
-        cutPlan: null
+        cutPieces: cutPieces.filter(p => p.id !== pieceId)
       }
       setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
       setCurrentProject(updatedProject)
 
-      // Clear cut_plan in database
-      await supabase
-        .from('projects')
-        .update({ cut_plan: null })
-        .eq('id', currentProject.id)
-
       setSyncStatus('synced')
     } catch (error) {
       console.error('Error deleting cut piece:', error)
@@ -3885,12 +8500,7 @@ function App() {
       const piecesToInsert = cutPiecesList.map(piece => ({
         id: piece.id,
         project_id: currentProject.id,
-        name: piece.name,
-        length: piece.length,
-        width: piece.width,
-        thickness: piece.thickness,
-        species: piece.species,
-        quantity: piece.quantity
+        ...cutPieceToRow(piece)
       }))
 
       await supabase
@@ -4050,7 +8660,9 @@ function App() {
           thickness: piece.thickness,
           product_type: piece.product,
           quantity: piece.quantity,
-          grain_direction: piece.grainDirection || 'any'
+          grain_direction: piece.grainDirection || 'any',
+          shape: piece.shape || null,
+          edge_banding: piece.edgeBanding || null
         })
         .select()
         .single()
@@ -4065,7 +8677,9 @@ function App() {
         thickness: data.thickness,
         product: data.product_type,
         quantity: data.quantity,
-        grainDirection: data.grain_direction
+        grainDirection: data.grain_direction,
+        shape: data.shape,
+        edgeBanding: data.edge_banding
       }
 
       const updatedProject = {
@@ -4100,7 +8714,9 @@ function App() {
           thickness: updatedPiece.thickness,
           product_type: updatedPiece.product,
           quantity: updatedPiece.quantity,
-          grain_direction: updatedPiece.grainDirection || 'any'
+          grain_direction: updatedPiece.grainDirection || 'any',
+          shape: updatedPiece.shape || null,
+          edge_banding: updatedPiece.edgeBanding || null
         })
         .eq('id', updatedPiece.id)
 
@@ -4265,187 +8881,480 @@ function App() {
       return
     }
 
-    setIsRegenerating(true)
+    setIsRegenerating(true)
+
+    // Multiply by project quantity
+    const projectQty = currentProject.quantity || 1
+    const multipliedCutPieces = projectQty > 1
+      ? sheetCutPieces.map(p => ({ ...p, quantity: (p.quantity || 1) * projectQty }))
+      : sheetCutPieces
+
+    const cutPlan = await runOptimizer('optimizeSheetCuts', [
+      sheetGoods,
+      multipliedCutPieces,
+      getProjectSawProfile(currentProject),
+      { sheet: currentProject.planSettings?.sheet }
+    ])
+    if (!cutPlan) {
+      setIsRegenerating(false)
+      return
+    }
+
+    const updatedProject = {
+      ...currentProject,
+      sheetCutPlan: cutPlan
+    }
+    setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+    setCurrentProject(updatedProject)
+    setActiveTab('sheetPlan')
+
+    // Save sheet cut plan to database
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('projects')
+        .update({ sheet_cut_plan: cutPlan })
+        .eq('id', currentProject.id)
+
+      if (error) throw error
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error saving sheet cut plan:', error)
+      setSyncStatus('error')
+    } finally {
+      setIsRegenerating(false)
+    }
+  }
+
+  // Generate cut plan
+  const handleGenerateCutPlan = async () => {
+    const cutPieces = currentProject.cutPieces || []
+    if (cutPieces.length === 0) {
+      alert('Add cut pieces first before generating a plan.')
+      return
+    }
+    if (currentProject.boards.length === 0) {
+      alert('Add stock boards first before generating a plan.')
+      return
+    }
+
+    setIsRegenerating(true)
+    const cutPlan = await runOptimizer('optimizeCuts', [currentProject.boards, getLumberCutPieces(currentProject), getProjectSawProfile(currentProject), getOptimizerOptions(currentProject)])
+    if (cutPlan) await saveCutPlan(cutPlan)
+    setIsRegenerating(false)
+  }
+
+  // Re-pack only the stock groups whose boards or parts changed since the plan was made
+  const handleReplanCutPlan = async () => {
+    setIsRegenerating(true)
+    const cutPlan = await runOptimizer('replanCutPlan', [
+      currentProject.boards,
+      getLumberCutPieces(currentProject),
+      getProjectSawProfile(currentProject),
+      { ...getOptimizerOptions(currentProject), previousPlan: currentProject.cutPlan }
+    ])
+    if (cutPlan) await saveCutPlan(cutPlan)
+    setIsRegenerating(false)
+  }
+
+  // Show a new lumber cut plan and save it with the project
+  const saveCutPlan = async (cutPlan) => {
+    const updatedProject = {
+      ...currentProject,
+      cutPlan
+    }
+    setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+    setCurrentProject(updatedProject)
+    setActiveTab('plan')
+
+    // Sync to Supabase
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('projects')
+        .update({ cut_plan: cutPlan })
+        .eq('id', currentProject.id)
+
+      if (error) throw error
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error saving cut plan:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Apply calculated stock boards to project
+  const handleApplyCalculatedStock = async (boards, cutPlan) => {
+    setSyncStatus('syncing')
+    try {
+      // Delete existing boards for this project
+      await supabase
+        .from('boards')
+        .delete()
+        .eq('project_id', currentProject.id)
+
+      // Insert new boards
+      const boardsToInsert = boards.map(board => ({
+        project_id: currentProject.id,
+        ...boardToRow(board)
+      }))
+
+      const { data: insertedBoards, error: boardsError } = await supabase
+        .from('boards')
+        .insert(boardsToInsert)
+        .select()
+
+      if (boardsError) throw boardsError
+
+      // Point the cut plan at the inserted board ids
+      const idMap = new Map(boards.map((board, idx) => [board.id, insertedBoards[idx].id]))
+      cutPlan = cutPlan ? remapPlanBoardIds(cutPlan, idMap) : cutPlan
+
+      // Update cut_plan in projects
+      const { error: projectError } = await supabase
+        .from('projects')
+        .update({ cut_plan: cutPlan })
+        .eq('id', currentProject.id)
+
+      if (projectError) throw projectError
+
+      // Update local state with new board IDs
+      const newBoards = insertedBoards.map(boardFromRow)
+
+      const updatedProject = {
+        ...currentProject,
+        boards: newBoards,
+        cutPlan
+      }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
+      setActiveTab('plan')
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error applying calculated stock:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  // Linear stock handlers (Supabase-backed)
+  const handleAddLinearStock = async (stick) => {
+    setSyncStatus('syncing')
+    try {
+      const { data, error } = await supabase
+        .from('linear_stock')
+        .insert({ project_id: currentProject.id, ...linearStockToRow(stick) })
+        .select()
+        .single()
+
+      if (error) throw error
+
+      const updatedProject = {
+        ...currentProject,
+        linearStock: [...(currentProject.linearStock || []), linearStockFromRow(data)],
+        linearCutPlan: null
+      }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
+
+      await supabase
+        .from('projects')
+        .update({ linear_cut_plan: null })
+        .eq('id', currentProject.id)
+
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error adding linear stock:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  const handleUpdateLinearStock = async (updatedStick) => {
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('linear_stock')
+        .update(linearStockToRow(updatedStick))
+        .eq('id', updatedStick.id)
+
+      if (error) throw error
+
+      const updatedProject = {
+        ...currentProject,
+        linearStock: (currentProject.linearStock || []).map(l => l.id === updatedStick.id ? updatedStick : l),
+        linearCutPlan: null
+      }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
+      setEditingLinearStock(null)
+
+      await supabase
+        .from('projects')
+        .update({ linear_cut_plan: null })
+        .eq('id', currentProject.id)
+
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error updating linear stock:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  const handleDeleteLinearStock = async (stickId) => {
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('linear_stock')
+        .delete()
+        .eq('id', stickId)
+
+      if (error) throw error
+
+      const updatedProject = {
+        ...currentProject,
+        linearStock: (currentProject.linearStock || []).filter(l => l.id !== stickId),
+        linearCutPlan: null
+      }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
+
+      await supabase
+        .from('projects')
+        .update({ linear_cut_plan: null })
+        .eq('id', currentProject.id)
+
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error deleting linear stock:', error)
+      setSyncStatus('error')
+    }
+  }
+
+  const handleAddLinearCutPiece = async (piece) => {
+    setSyncStatus('syncing')
+    try {
+      const { data, error } = await supabase
+        .from('linear_cut_pieces')
+        .insert({ project_id: currentProject.id, ...linearCutPieceToRow(piece) })
+        .select()
+        .single()
+
+      if (error) throw error
 
-    await new Promise(resolve => setTimeout(resolve, 100))
+      const updatedProject = {
+        ...currentProject,
+        linearCutPieces: [...(currentProject.linearCutPieces || []), linearCutPieceFromRow(data)],
+        linearCutPlan: null
+      }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
 
-    // Convert sheet goods to board format for optimizer
-    const boardsFromSheets = sheetGoods.flatMap(sheet => {
-      const qty = sheet.quantity || 1
-      return Array.from({ length: qty }, (_, i) => ({
-        id: `${sheet.id}-${i}`,
-        name: sheet.name || `${sheet.product} ${sheet.thickness}"`,
-        length: sheet.length,
-        width: sheet.width,
-        thickness: sheet.thickness,
-        thicknessInches: parseFloat(sheet.thickness.replace(/[^\d.]/g, '')) || 0.75,
-        species: sheet.product, // Use product as species for grouping
-        quantity: 1,
-        boardFeetPerPiece: (sheet.length * sheet.width) / 144,
-        boardFeet: (sheet.length * sheet.width) / 144,
-        materialType: 'sheet',
-        pricePerSheet: sheet.pricePerSheet
-      }))
-    })
+      await supabase
+        .from('projects')
+        .update({ linear_cut_plan: null })
+        .eq('id', currentProject.id)
 
-    // Convert sheet cut pieces to cut piece format
-    const cutPiecesForOptimizer = sheetCutPieces.map(piece => ({
-      ...piece,
-      species: piece.product, // Use product as species for grouping
-      thickness: piece.thickness
-    }))
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error adding linear cut piece:', error)
+      setSyncStatus('error')
+    }
+  }
 
-    // Multiply by project quantity
-    const projectQty = currentProject.quantity || 1
-    const multipliedCutPieces = projectQty > 1
-      ? cutPiecesForOptimizer.map(p => ({ ...p, quantity: (p.quantity || 1) * projectQty }))
-      : cutPiecesForOptimizer
+  const handleUpdateLinearCutPiece = async (updatedPiece) => {
+    setSyncStatus('syncing')
+    try {
+      const { error } = await supabase
+        .from('linear_cut_pieces')
+        .update(linearCutPieceToRow(updatedPiece))
+        .eq('id', updatedPiece.id)
 
-    // Use existing optimizer (with kerf of 0.125 for sheet goods - typical blade width)
-    const cutPlan = optimizeCuts(boardsFromSheets, multipliedCutPieces, 0.125)
+      if (error) throw error
 
-    const updatedProject = {
-      ...currentProject,
-      sheetCutPlan: cutPlan
+      const updatedProject = {
+        ...currentProject,
+        linearCutPieces: (currentProject.linearCutPieces || []).map(p => p.id === updatedPiece.id ? updatedPiece : p),
+        linearCutPlan: null
+      }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
+      setEditingLinearCutPiece(null)
+
+      await supabase
+        .from('projects')
+        .update({ linear_cut_plan: null })
+        .eq('id', currentProject.id)
+
+      setSyncStatus('synced')
+    } catch (error) {
+      console.error('Error updating linear cut piece:', error)
+      setSyncStatus('error')
     }
-    setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
-    setCurrentProject(updatedProject)
-    setActiveTab('sheetPlan')
+  }
 
-    // Save sheet cut plan to database
+  const handleDeleteLinearCutPiece = async (pieceId) => {
     setSyncStatus('syncing')
     try {
       const { error } = await supabase
+        .from('linear_cut_pieces')
+        .delete()
+        .eq('id', pieceId)
+
+      if (error) throw error
+
+      const updatedProject = {
+        ...currentProject,
+        linearCutPieces: (currentProject.linearCutPieces || []).filter(p => p.id !== pieceId),
+        linearCutPlan: null
+      }
+      setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
+      setCurrentProject(updatedProject)
+
+      await supabase
         .from('projects')
-        .update({ sheet_cut_plan: cutPlan })
+        .update({ linear_cut_plan: null })
         .eq('id', currentProject.id)
 
-      if (error) throw error
       setSyncStatus('synced')
     } catch (error) {
-      console.error('Error saving sheet cut plan:', error)
+      console.error('Error deleting linear cut piece:', error)
       setSyncStatus('error')
-    } finally {
-      setIsRegenerating(false)
     }
   }
 
-  // Generate cut plan
-  const handleGenerateCutPlan = async () => {
-    const cutPieces = currentProject.cutPieces || []
-    if (cutPieces.length === 0) {
-      alert('Add cut pieces first before generating a plan.')
-      return
+  // Lumber parts multiplied by the project quantity
+  const getLumberCutPieces = (project) => {
+    const projectQty = project.quantity || 1
+    const cutPieces = project.cutPieces || []
+    return projectQty > 1
+      ? cutPieces.map(p => ({ ...p, quantity: (p.quantity || 1) * projectQty }))
+      : cutPieces
+  }
+
+  // Check the stored cut plan against the project's current boards and cut list, and
+  // its fingerprint against the inputs it was made from
+  const getCutPlanValidation = (project) => {
+    const multipliedCutPieces = getLumberCutPieces(project)
+    const sawProfile = getProjectSawProfile(project)
+    const validation = validateCutPlan(project.cutPlan, project.boards, multipliedCutPieces, sawProfile)
+    const changes = findChangedPlanGroups(project.cutPlan, project.boards, multipliedCutPieces, sawProfile, getOptimizerOptions(project))
+    return {
+      ...validation,
+      ...changes,
+      valid: validation.valid && !changes.stale,
+      stale: validation.stale || changes.stale
     }
-    if (currentProject.boards.length === 0) {
-      alert('Add stock boards first before generating a plan.')
+  }
+
+  // A stale or invalid cut plan isn't exported until it's regenerated
+  const handleExportPDF = () => {
+    if (currentProject.cutPlan && !getCutPlanValidation(currentProject).valid) {
+      alert('The cut plan is out of date or invalid. Regenerate it before exporting to PDF.')
       return
     }
+    exportProjectToPDF(currentProject, { costEstimate: getProjectCostEstimate(currentProject) })
+  }
 
-    setIsRegenerating(true)
+  // Linear parts multiplied by the project quantity
+  const getLinearCutPieces = (project) => {
+    const projectQty = project.quantity || 1
+    const pieces = project.linearCutPieces || []
+    return projectQty > 1
+      ? pieces.map(p => ({ ...p, quantity: (p.quantity || 1) * projectQty }))
+      : pieces
+  }
 
-    // Small delay to show the loading state (especially for fast calculations)
-    await new Promise(resolve => setTimeout(resolve, 100))
+  // Generate linear stock cut plan
+  const handleGenerateLinearCutPlan = async () => {
+    const linearCutPieces = currentProject.linearCutPieces || []
+    const linearStock = currentProject.linearStock || []
 
-    // Multiply cut pieces by project quantity
-    const projectQty = currentProject.quantity || 1
-    const multipliedCutPieces = projectQty > 1
-      ? cutPieces.map(p => ({ ...p, quantity: (p.quantity || 1) * projectQty }))
-      : cutPieces
+    if (linearCutPieces.length === 0) {
+      alert('Add parts first before generating a plan.')
+      return
+    }
+    if (linearStock.length === 0) {
+      alert('Add linear stock first before generating a plan.')
+      return
+    }
 
-    const cutPlan = optimizeCuts(currentProject.boards, multipliedCutPieces)
+    setIsRegenerating(true)
+
+    const cutPlan = await runOptimizer('optimizeLinearCuts', [linearStock, getLinearCutPieces(currentProject), getProjectSawProfile(currentProject), getOptimizerOptions(currentProject)])
+    if (!cutPlan) {
+      setIsRegenerating(false)
+      return
+    }
 
-    // Update local state
     const updatedProject = {
       ...currentProject,
-      cutPlan
+      linearCutPlan: cutPlan
     }
     setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
     setCurrentProject(updatedProject)
-    setActiveTab('plan')
+    setActiveTab('linearPlan')
 
-    // Sync to Supabase
     setSyncStatus('syncing')
     try {
       const { error } = await supabase
         .from('projects')
-        .update({ cut_plan: cutPlan })
+        .update({ linear_cut_plan: cutPlan })
         .eq('id', currentProject.id)
 
       if (error) throw error
       setSyncStatus('synced')
     } catch (error) {
-      console.error('Error saving cut plan:', error)
+      console.error('Error saving linear cut plan:', error)
       setSyncStatus('error')
     } finally {
       setIsRegenerating(false)
     }
   }
 
-  // Apply calculated stock boards to project
-  const handleApplyCalculatedStock = async (boards, cutPlan) => {
+  // Replace the project's linear stock with the sticks the calculator picked
+  const handleApplyLinearStock = async (stock, cutPlan) => {
     setSyncStatus('syncing')
     try {
-      // Delete existing boards for this project
       await supabase
-        .from('boards')
+        .from('linear_stock')
         .delete()
         .eq('project_id', currentProject.id)
 
-      // Insert new boards
-      const boardsToInsert = boards.map(board => ({
-        project_id: currentProject.id,
-        name: board.name,
-        length: board.length,
-        width: board.width,
-        thickness: board.thickness,
-        thickness_inches: board.thicknessInches,
-        species: board.species,
-        quantity: board.quantity || 1,
-        board_feet_per_piece: board.boardFeetPerPiece || board.boardFeet,
-        board_feet: board.boardFeet
-      }))
-
-      const { data: insertedBoards, error: boardsError } = await supabase
-        .from('boards')
-        .insert(boardsToInsert)
+      const { data: insertedStock, error: stockError } = await supabase
+        .from('linear_stock')
+        .insert(stock.map(stick => ({ project_id: currentProject.id, ...linearStockToRow(stick) })))
         .select()
 
-      if (boardsError) throw boardsError
+      if (stockError) throw stockError
+
+      // Point the cut plan at the inserted stick ids
+      const idMap = new Map(stock.map((stick, idx) => [stick.id, insertedStock[idx].id]))
+      const savedPlan = {
+        ...cutPlan,
+        assignments: cutPlan.assignments.map(a => ({
+          ...a,
+          stockId: idMap.get(a.stockId) ?? a.stockId,
+          uniqueId: `${idMap.get(a.stockId) ?? a.stockId}-${a.stockIndex}`
+        }))
+      }
 
-      // Update cut_plan in projects
       const { error: projectError } = await supabase
         .from('projects')
-        .update({ cut_plan: cutPlan })
+        .update({ linear_cut_plan: savedPlan })
         .eq('id', currentProject.id)
 
       if (projectError) throw projectError
 
-      // Update local state with new board IDs
-      const newBoards = insertedBoards.map(b => ({
-        id: b.id,
-        name: b.name,
-        length: Number(b.length),
-        width: Number(b.width),
-        thickness: b.thickness,
-        thicknessInches: Number(b.thickness_inches),
-        species: b.species,
-        quantity: b.quantity,
-        boardFeetPerPiece: Number(b.board_feet_per_piece),
-        boardFeet: Number(b.board_feet)
-      }))
-
       const updatedProject = {
         ...currentProject,
-        boards: newBoards,
-        cutPlan
+        linearStock: insertedStock.map(linearStockFromRow),
+        linearCutPlan: savedPlan
       }
       setProjects(projects.map(p => p.id === currentProject.id ? updatedProject : p))
       setCurrentProject(updatedProject)
-      setActiveTab('plan')
+      setActiveTab('linearPlan')
       setSyncStatus('synced')
     } catch (error) {
-      console.error('Error applying calculated stock:', error)
+      console.error('Error applying linear stock:', error)
       setSyncStatus('error')
     }
   }
@@ -4511,6 +9420,8 @@ function App() {
             className="header-menu"
             items={[
               { icon: '⚙', label: 'Settings', onClick: () => setShowSettings(true) },
+              { icon: '▤', label: `Remnants (${remnants.length})`, onClick: () => setShowRemnants(true) },
+              { icon: '$', label: 'Price Lists', onClick: () => setShowPriceLists(true) },
               { icon: '?', label: 'Help', onClick: () => setShowHelp(true) },
             ]}
           />
@@ -4524,12 +9435,43 @@ function App() {
         userProfile={userProfile}
         onSave={handleUpdateProfile}
       />
+      {showProjectSettings && currentProject && (
+        <ProjectSettingsModal
+          project={currentProject}
+          userProfile={userProfile}
+          priceLists={priceLists}
+          suppliers={suppliers}
+          onClose={() => setShowProjectSettings(false)}
+          onSave={handleUpdateProjectSettings}
+        />
+      )}
+      <RemnantInventoryModal
+        isOpen={showRemnants}
+        onClose={() => setShowRemnants(false)}
+        remnants={remnants}
+        onDelete={handleDeleteRemnant}
+      />
+      <PriceListsModal
+        isOpen={showPriceLists}
+        onClose={() => setShowPriceLists(false)}
+        suppliers={suppliers}
+        priceLists={priceLists}
+        onSaveSupplier={handleSaveSupplier}
+        onDeleteSupplier={handleDeleteSupplier}
+        onSavePriceList={handleSavePriceList}
+        onDeletePriceList={handleDeletePriceList}
+      />
       <PurchaseOrderModal
         isOpen={showPurchaseOrder}
-        onClose={() => setShowPurchaseOrder(false)}
+        onClose={() => {
+          setShowPurchaseOrder(false)
+          setPurchaseOrderSplit(null)
+        }}
         project={currentProject}
         boards={currentProject?.boards || []}
         userProfile={userProfile}
+        splitOrder={purchaseOrderSplit}
+        costEstimate={getProjectCostEstimate(currentProject)}
       />
       <ConfirmDialog
         isOpen={confirmDialog.isOpen}
@@ -4620,15 +9562,24 @@ function App() {
                   label="Actions"
                   className="project-actions-dropdown"
                   items={[
-                    { icon: '📄', label: 'Export to PDF', onClick: () => exportProjectToPDF(currentProject) },
+                    { icon: '📄', label: 'Export to PDF', onClick: handleExportPDF },
+                    { icon: '⚙', label: 'Project Settings', onClick: () => setShowProjectSettings(true) },
                     ...(currentProject.boards.length > 0 ? [
                       { icon: '📋', label: 'Purchase Order', onClick: () => setShowPurchaseOrder(true) },
                     ] : []),
+                    ...(currentProject.cutPlan && !currentProject.cutAt ? [
+                      { icon: '✂', label: 'Mark as Cut', onClick: confirmMarkProjectCut },
+                    ] : []),
                   ]}
                 />
               </div>
               <div className="project-title">
                 <h2>{currentProject.name}</h2>
+                {currentProject.cutAt && (
+                  <span className="project-cut-badge">
+                    Cut {new Date(currentProject.cutAt).toLocaleDateString()}
+                  </span>
+                )}
                 {currentProject.description && (
                   <p className="project-description">{currentProject.description}</p>
                 )}
@@ -4673,6 +9624,17 @@ function App() {
                   </span>
                 )}
               </button>
+              <button
+                className={`material-type-btn ${materialType === 'linear' ? 'active' : ''}`}
+                onClick={() => setMaterialType('linear')}
+              >
+                📏 Linear Stock
+                {((currentProject?.linearStock?.length || 0) + (currentProject?.linearCutPieces?.length || 0)) > 0 && (
+                  <span className="material-badge">
+                    {(currentProject.linearStock?.length || 0) + (currentProject.linearCutPieces?.length || 0)}
+                  </span>
+                )}
+              </button>
             </div>
 
             {/* Workflow Indicator - Only for lumber */}
@@ -4686,7 +9648,11 @@ function App() {
               </div>
             )}
 
-            {/* Tab Navigation - Different for lumber vs sheet goods */}
+            {optimizerProgress && (
+              <OptimizerProgress progress={optimizerProgress} onCancel={handleCancelOptimizer} />
+            )}
+
+            {/* Tab Navigation - Different for lumber, sheet goods and linear stock */}
             <div className="tab-nav">
               {materialType === 'lumber' ? (
                 // Lumber tabs - order based on workflow
@@ -4739,7 +9705,7 @@ function App() {
                     </button>
                   </>
                 )
-              ) : (
+              ) : materialType === 'sheet' ? (
                 // Sheet goods tabs - always same order
                 <>
                   <button
@@ -4764,6 +9730,31 @@ function App() {
                     Cut Plan {currentProject.sheetCutPlan ? '✓' : ''}
                   </button>
                 </>
+              ) : (
+                // Linear stock tabs - parts first, since stock can be calculated from them
+                <>
+                  <button
+                    className={`tab-btn ${activeTab === 'linearCutlist' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('linearCutlist')}
+                  >
+                    <span className="tab-step">1</span>
+                    Cut List ({currentProject.linearCutPieces?.length || 0})
+                  </button>
+                  <button
+                    className={`tab-btn ${activeTab === 'linearStock' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('linearStock')}
+                  >
+                    <span className="tab-step">2</span>
+                    Stock ({currentProject.linearStock?.length || 0})
+                  </button>
+                  <button
+                    className={`tab-btn ${activeTab === 'linearPlan' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('linearPlan')}
+                  >
+                    <span className="tab-step">3</span>
+                    Cut Plan {currentProject.linearCutPlan ? '✓' : ''}
+                  </button>
+                </>
               )}
             </div>
 
@@ -4778,6 +9769,8 @@ function App() {
                         cutPieces={getMultipliedCutPieces()}
                         onApplyStock={handleApplyCalculatedStock}
                         projectQuantity={projectQuantity}
+                        sawProfile={getProjectSawProfile(currentProject)}
+                        optimizerOptions={getOptimizerOptions(currentProject)}
                       />
                     ) : workflowType === 'calculate' && currentProject.boards.length === 0 && cutPieces.length === 0 ? (
                       <div className="workflow-prompt">
@@ -4896,12 +9889,14 @@ function App() {
                         onCancel={() => setEditingCutPiece(null)}
                         availableThicknesses={availableThicknesses}
                         availableSpecies={availableSpecies}
+                        matchGroups={getCutPieceMatchGroups(currentProject.cutPieces || [])}
                       />
                     ) : (
                       <CutPieceForm
                         onSubmit={handleAddCutPiece}
                         availableThicknesses={availableThicknesses}
                         availableSpecies={availableSpecies}
+                        matchGroups={getCutPieceMatchGroups(currentProject.cutPieces || [])}
                       />
                     )}
 
@@ -4948,6 +9943,7 @@ function App() {
                           <CutPieceItem
                             key={piece.id}
                             piece={piece}
+                            milling={currentProject.planSettings?.milling}
                             onEdit={setEditingCutPiece}
                             onDelete={confirmDeleteCutPiece}
                             onDragStart={handleCutPieceDragStart}
@@ -5019,6 +10015,20 @@ function App() {
                         onRegenerate={handleGenerateCutPlan}
                         isRegenerating={isRegenerating}
                         workflowType={currentProject.workflow}
+                        onUpdateBoardDefects={handleUpdateBoardDefects}
+                        goal={currentProject.planSettings?.goal}
+                        onGoalChange={(goal) => handleUpdateProjectSettings({ planSettings: { ...currentProject.planSettings, goal } })}
+                        onEditLayout={handleEditCutPlanLayout}
+                        validation={getCutPlanValidation(currentProject)}
+                        onReplan={handleReplanCutPlan}
+                        priceList={getProjectPriceList(currentProject)}
+                        priceLists={priceLists}
+                        suppliers={suppliers}
+                        getCostEstimate={(lumberPricing) => getProjectCostEstimate(currentProject, lumberPricing)}
+                        onOrderBySupplier={(split) => {
+                          setPurchaseOrderSplit(split)
+                          setShowPurchaseOrder(true)
+                        }}
                       />
                     ) : (
                       <div className="no-plan">
@@ -5246,13 +10256,17 @@ function App() {
                 {activeTab === 'sheetPlan' && (
                   <div className="cut-plan-section sheet-cut-plan-section">
                     {currentProject.sheetCutPlan ? (
-                      <CutPlanDisplay
+                      <SheetCutPlanDisplay
                         cutPlan={currentProject.sheetCutPlan}
-                        boards={currentProject.sheetGoods || []}
                         onRegenerate={handleGenerateSheetCutPlan}
                         isRegenerating={isRegenerating}
-                        workflowType="known"
-                        materialType="sheet"
+                        strategy={currentProject.planSettings?.sheet?.strategy}
+                        onStrategyChange={(strategy) => handleUpdateProjectSettings({
+                          planSettings: {
+                            ...currentProject.planSettings,
+                            sheet: { ...normalizeSheetSettings(currentProject.planSettings?.sheet), strategy }
+                          }
+                        })}
                       />
                     ) : (
                       <div className="no-plan">
@@ -5288,10 +10302,178 @@ function App() {
                     )}
                   </div>
                 )}
+                {/* Linear Stock Tab */}
+                {activeTab === 'linearStock' && (
+                  <div className="boards-section linear-stock-section">
+                    {(currentProject.linearStock?.length || 0) === 0 && (currentProject.linearCutPieces?.length || 0) > 0 && (
+                      <LinearStockCalculator
+                        cutPieces={getLinearCutPieces(currentProject)}
+                        onApplyStock={handleApplyLinearStock}
+                        projectQuantity={currentProject.quantity || 1}
+                        sawProfile={getProjectSawProfile(currentProject)}
+                        optimizerOptions={getOptimizerOptions(currentProject)}
+                      />
+                    )}
+
+                    {editingLinearStock ? (
+                      <LinearStockForm
+                        key={editingLinearStock.id}
+                        initialData={editingLinearStock}
+                        onSubmit={handleUpdateLinearStock}
+                        onCancel={() => setEditingLinearStock(null)}
+                      />
+                    ) : (
+                      <LinearStockForm onSubmit={handleAddLinearStock} />
+                    )}
+
+                    {(currentProject.linearStock?.length || 0) > 0 ? (
+                      <div className="board-list linear-stock-list">
+                        <h3>Linear Stock</h3>
+                        {currentProject.linearStock.map(stick => (
+                          <LinearStockItem
+                            key={stick.id}
+                            stick={stick}
+                            onEdit={setEditingLinearStock}
+                            onDelete={handleDeleteLinearStock}
+                          />
+                        ))}
+
+                        {(currentProject.linearCutPieces?.length || 0) === 0 && (
+                          <div className="next-step-prompt">
+                            <p>Stock added! Now add the parts to cut.</p>
+                            <button
+                              onClick={() => setActiveTab('linearCutlist')}
+                              className="btn-primary"
+                            >
+                              Continue to Cut List →
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    ) : (
+                      <div className="empty-state empty-state-inline">
+                        <div className="empty-state-icon">📏</div>
+                        <h3>No linear stock yet</h3>
+                        <p>Add the studs, S4S boards, or trim you have using the form above{(currentProject.linearCutPieces?.length || 0) > 0 ? ', or calculate what to buy' : ''}.</p>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Linear Stock Cut List Tab */}
+                {activeTab === 'linearCutlist' && (
+                  <div className="cut-list-section linear-cut-list-section">
+                    {editingLinearCutPiece ? (
+                      <LinearCutPieceForm
+                        key={editingLinearCutPiece.id}
+                        initialData={editingLinearCutPiece}
+                        onSubmit={handleUpdateLinearCutPiece}
+                        onCancel={() => setEditingLinearCutPiece(null)}
+                        availableProfiles={[...new Set((currentProject.linearStock || []).map(l => l.profile))]}
+                      />
+                    ) : (
+                      <LinearCutPieceForm
+                        onSubmit={handleAddLinearCutPiece}
+                        availableProfiles={[...new Set((currentProject.linearStock || []).map(l => l.profile))]}
+                      />
+                    )}
+
+                    {(currentProject.linearCutPieces?.length || 0) > 0 ? (
+                      <div className="cut-piece-list linear-cut-piece-list">
+                        <h3>Parts</h3>
+                        {currentProject.linearCutPieces.map(piece => (
+                          <LinearCutPieceItem
+                            key={piece.id}
+                            piece={piece}
+                            onEdit={setEditingLinearCutPiece}
+                            onDelete={handleDeleteLinearCutPiece}
+                          />
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="empty-state empty-state-inline">
+                        <div className="empty-state-icon">✂️</div>
+                        <h3>No parts yet</h3>
+                        <p>Add the lengths you need to cut using the form above.</p>
+                      </div>
+                    )}
+
+                    {(currentProject.linearCutPieces?.length || 0) > 0 && (
+                      <div className="next-step-section">
+                        {(currentProject.linearStock?.length || 0) === 0 && (
+                          <div className="workflow-prompt">
+                            <p>Add the stock you have, or calculate what to buy.</p>
+                            <button
+                              onClick={() => setActiveTab('linearStock')}
+                              className="btn-primary"
+                            >
+                              Go to Linear Stock
+                            </button>
+                          </div>
+                        )}
+
+                        {(currentProject.linearStock?.length || 0) > 0 && (
+                          <div className="generate-plan-section">
+                            <button
+                              onClick={handleGenerateLinearCutPlan}
+                              className="btn-primary btn-large"
+                            >
+                              Generate Cut Plan →
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Linear Stock Cut Plan Tab */}
+                {activeTab === 'linearPlan' && (
+                  <div className="cut-plan-section linear-cut-plan-section">
+                    {currentProject.linearCutPlan ? (
+                      <LinearCutPlanDisplay
+                        cutPlan={currentProject.linearCutPlan}
+                        onRegenerate={handleGenerateLinearCutPlan}
+                        isRegenerating={isRegenerating}
+                      />
+                    ) : (
+                      <div className="no-plan">
+                        <h3>Cut Plan</h3>
+                        <p>No cut plan generated yet.</p>
+
+                        {(currentProject.linearCutPieces?.length || 0) === 0 && (
+                          <div className="workflow-prompt">
+                            <p>Start by adding the parts to cut.</p>
+                            <button onClick={() => setActiveTab('linearCutlist')} className="btn-primary">
+                              Go to Cut List
+                            </button>
+                          </div>
+                        )}
+                        {(currentProject.linearCutPieces?.length || 0) > 0 && (currentProject.linearStock?.length || 0) === 0 && (
+                          <div className="workflow-prompt">
+                            <p>Next, add your stock or calculate what to buy.</p>
+                            <button onClick={() => setActiveTab('linearStock')} className="btn-primary">
+                              Go to Linear Stock
+                            </button>
+                          </div>
+                        )}
+
+                        {(currentProject.linearCutPieces?.length || 0) > 0 && (currentProject.linearStock?.length || 0) > 0 && (
+                          <button
+                            onClick={handleGenerateLinearCutPlan}
+                            className="btn-primary btn-large"
+                          >
+                            Generate Cut Plan
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
 
               <aside className="summary-section">
-                <ProjectSummary project={currentProject} />
+                <ProjectSummary project={currentProject} costEstimate={getProjectCostEstimate(currentProject)} />
               </aside>
             </div>
           </div>
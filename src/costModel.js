@@ -0,0 +1,150 @@
+/**
+ * Cost Model
+ * Turns a project's material cost into a line-itemized estimate for client quotes:
+ * waste allowance, surfacing, delivery, labor, markup and sales tax.
+ *
+ * Users set their defaults once; a project can override any field, and fields it
+ * leaves blank use the defaults. Amounts are in dollars and rates in percent.
+ *
+ * How the lines build up:
+ * - Waste allowance: a percentage of the materials, for boards that turn out unusable
+ * - Surfacing: a per-BF mill fee on the lumber (and its waste allowance)
+ * - Markup: a percentage of everything above plus delivery and labor
+ * - Sales tax: on what's bought (materials, waste allowance and surfacing)
+ */
+
+// Mill services a lumber yard charges per board foot
+export const SURFACING_OPTIONS = {
+  rough: { label: 'Rough', description: 'Bought rough, milled in the shop' },
+  S2S: { label: 'S2S', description: 'Surfaced two sides' },
+  S3S: { label: 'S3S', description: 'Surfaced two sides, straight-line ripped one edge' },
+  SLR1E: { label: 'SLR1E', description: 'Straight-line ripped one edge' }
+}
+
+export const DEFAULT_COST_MODEL = {
+  taxRate: 0,
+  deliveryFee: 0,
+  surfacing: 'rough',
+  surfacingRates: { S2S: 0, S3S: 0, SLR1E: 0 },
+  wasteFactor: 0,
+  laborHours: 0,
+  laborRate: 0,
+  markup: 0
+}
+
+// Numeric fields a project can override
+const NUMBER_FIELDS = ['taxRate', 'deliveryFee', 'wasteFactor', 'laborHours', 'laborRate', 'markup']
+
+function toAmount(value, fallback = 0) {
+  const number = parseFloat(value)
+  return isNaN(number) || number < 0 ? fallback : number
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === ''
+}
+
+/**
+ * Fill in and clean up a cost model
+ * @param {Object} [model] - Partial cost model, e.g. from user_profiles.cost_model
+ * @returns {Object} - Complete cost model with numbers
+ */
+export function normalizeCostModel(model) {
+  const normalized = { ...DEFAULT_COST_MODEL, surfacingRates: { ...DEFAULT_COST_MODEL.surfacingRates } }
+  if (!model) return normalized
+
+  NUMBER_FIELDS.forEach(field => {
+    normalized[field] = toAmount(model[field], DEFAULT_COST_MODEL[field])
+  })
+  if (SURFACING_OPTIONS[model.surfacing]) normalized.surfacing = model.surfacing
+  Object.keys(normalized.surfacingRates).forEach(option => {
+    normalized.surfacingRates[option] = toAmount(model.surfacingRates?.[option])
+  })
+  return normalized
+}
+
+/**
+ * A project's overrides with blank fields dropped
+ * @param {Object} [overrides] - Fields as edited, blank meaning "use my default"
+ * @returns {Object|null} - Only the fields set, or null when nothing is overridden
+ */
+export function compactCostOverrides(overrides) {
+  if (!overrides) return null
+  const compact = {}
+  NUMBER_FIELDS.forEach(field => {
+    if (!isBlank(overrides[field])) compact[field] = toAmount(overrides[field])
+  })
+  if (SURFACING_OPTIONS[overrides.surfacing]) compact.surfacing = overrides.surfacing
+  const rates = {}
+  Object.keys(DEFAULT_COST_MODEL.surfacingRates).forEach(option => {
+    if (!isBlank(overrides.surfacingRates?.[option])) rates[option] = toAmount(overrides.surfacingRates[option])
+  })
+  if (Object.keys(rates).length > 0) compact.surfacingRates = rates
+  return Object.keys(compact).length > 0 ? compact : null
+}
+
+/**
+ * The cost model a project is estimated with: its overrides over the user's defaults
+ * @param {Object} [userModel] - The user's default cost model
+ * @param {Object} [projectOverrides] - The project's overridden fields
+ * @returns {Object} - Complete cost model
+ */
+export function resolveCostModel(userModel, projectOverrides) {
+  const defaults = normalizeCostModel(userModel)
+  const overrides = compactCostOverrides(projectOverrides)
+  if (!overrides) return defaults
+  return normalizeCostModel({
+    ...defaults,
+    ...overrides,
+    surfacingRates: { ...defaults.surfacingRates, ...overrides.surfacingRates }
+  })
+}
+
+const formatMoney = (amount) => `$${amount.toFixed(2)}`
+
+/**
+ * Line-itemized estimate for a project
+ * @param {Array} materials - [{ key, label, cost, boardFeet? }]; board feet are surfaced
+ * @param {Object} model - Cost model (see resolveCostModel)
+ * @returns {Object} - { lines: [{ key, label, detail, amount }], materialsTotal, subtotal, total }
+ */
+export function estimateProjectCost(materials, model) {
+  const costModel = normalizeCostModel(model)
+  const lines = []
+  const addLine = (key, label, amount, detail = '') => {
+    if (amount > 0) lines.push({ key, label, detail, amount })
+  }
+
+  materials.forEach(material => addLine(material.key, material.label, material.cost || 0))
+  const materialsTotal = materials.reduce((sum, material) => sum + (material.cost || 0), 0)
+
+  const waste = materialsTotal * costModel.wasteFactor / 100
+  addLine('waste', 'Waste allowance', waste, `${costModel.wasteFactor}% of materials`)
+
+  const boardFeet = materials.reduce((sum, material) => sum + (material.boardFeet || 0), 0) *
+    (1 + costModel.wasteFactor / 100)
+  const surfacingRate = costModel.surfacingRates[costModel.surfacing] || 0
+  const surfacing = boardFeet * surfacingRate
+  addLine('surfacing', `Surfacing (${SURFACING_OPTIONS[costModel.surfacing].label})`, surfacing,
+    `${boardFeet.toFixed(1)} BF × ${formatMoney(surfacingRate)}`)
+
+  addLine('delivery', 'Delivery', costModel.deliveryFee)
+
+  const labor = costModel.laborHours * costModel.laborRate
+  addLine('labor', 'Labor', labor, `${costModel.laborHours} h × ${formatMoney(costModel.laborRate)}`)
+
+  const subtotal = materialsTotal + waste + surfacing + costModel.deliveryFee + labor
+  const markup = subtotal * costModel.markup / 100
+  addLine('markup', 'Markup', markup, `${costModel.markup}%`)
+
+  const taxable = materialsTotal + waste + surfacing
+  const tax = taxable * costModel.taxRate / 100
+  addLine('tax', 'Sales tax', tax, `${costModel.taxRate}% of ${formatMoney(taxable)}`)
+
+  return {
+    lines,
+    materialsTotal,
+    subtotal,
+    total: subtotal + markup + tax
+  }
+}
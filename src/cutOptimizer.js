@@ -9,8 +9,337 @@
  * 4. Optimize strip placement on stock boards
  */
 
+import { getPricePerBF } from './lumberPrices'
+import { generateCutSequence } from './cutSequence'
+import { formatInches } from './units'
+
 const DEFAULT_KERF = 0.125 // 1/8 inch saw blade kerf
 
+/**
+ * Default saw profile (all values in inches)
+ * - ripKerf: material lost by cuts along the board length (separating pieces across the width)
+ * - crosscutKerf: material lost by cuts across the board (separating pieces along the length)
+ * - edgeTrim: allowance for jointing/squaring the rough edge and end of the board
+ */
+export const DEFAULT_SAW_PROFILE = {
+  ripKerf: DEFAULT_KERF,
+  crosscutKerf: DEFAULT_KERF,
+  edgeTrim: DEFAULT_KERF
+}
+
+/**
+ * Normalize a kerf argument into a full saw profile
+ * Accepts a single number (same kerf for every cut) or a partial profile object
+ */
+export function normalizeSawProfile(kerf) {
+  if (typeof kerf === 'number' && !isNaN(kerf)) {
+    return { ripKerf: kerf, crosscutKerf: kerf, edgeTrim: kerf }
+  }
+
+  const profile = { ...DEFAULT_SAW_PROFILE }
+  if (kerf && typeof kerf === 'object') {
+    Object.keys(DEFAULT_SAW_PROFILE).forEach(field => {
+      const value = parseFloat(kerf[field])
+      if (!isNaN(value) && value >= 0) {
+        profile[field] = value
+      }
+    })
+    if (kerf.name) profile.name = kerf.name
+  }
+  return profile
+}
+
+/**
+ * Short one-line description of a saw profile
+ */
+export function describeSawProfile(profile) {
+  const { ripKerf, crosscutKerf, edgeTrim } = normalizeSawProfile(profile)
+  return `Rip kerf ${formatInches(ripKerf)} • Crosscut kerf ${formatInches(crosscutKerf)} • Edge trim ${formatInches(edgeTrim)}`
+}
+
+/**
+ * Default milling allowances (inches)
+ * - lengthOversize / widthOversize: extra rough size added to each part for snipe, jointing and ripping
+ * - endTrim: length cut off each end of a board to remove end checks
+ * - planingAllowance: thickness lost planing rough stock flat (used for finished thickness)
+ */
+export const DEFAULT_MILLING_ALLOWANCES = {
+  lengthOversize: 0,
+  widthOversize: 0,
+  endTrim: 0,
+  planingAllowance: 0.1875
+}
+
+/**
+ * Default resaw settings (inches)
+ * - enabled: allow resawing thicker boards when a part's thickness isn't stocked
+ * - kerf: bandsaw kerf lost between slices
+ * - planingLoss: thickness lost flattening each slice after resawing
+ */
+export const DEFAULT_RESAW_SETTINGS = {
+  enabled: false,
+  kerf: 0.0625,
+  planingLoss: 0.125
+}
+
+/**
+ * Default glue-up panel settings (inches)
+ * - minStripWidth / maxStripWidth: range of strip widths a panel is split into
+ * - jointAllowance: width jointed off per glue line (both mating edges together)
+ */
+export const DEFAULT_PANEL_SETTINGS = {
+  minStripWidth: 3,
+  maxStripWidth: 6,
+  jointAllowance: 0.0625
+}
+
+/**
+ * Default lamination settings
+ * - layerThickness: rough thickness class of the layers a thick part is glued up from
+ * - glueAllowance: thickness surfaced off per glue line (both mating faces together), inches
+ */
+export const DEFAULT_LAMINATION_SETTINGS = {
+  layerThickness: '4/4',
+  glueAllowance: 0.0625
+}
+
+// Rough lumber thickness classes, thinnest first
+const THICKNESS_CLASSES = ['4/4', '5/4', '6/4', '8/4', '10/4', '12/4', '16/4']
+
+/**
+ * Normalize milling allowances, filling in defaults for missing values
+ */
+export function normalizeMillingAllowances(milling) {
+  const allowances = { ...DEFAULT_MILLING_ALLOWANCES }
+  if (milling && typeof milling === 'object') {
+    Object.keys(DEFAULT_MILLING_ALLOWANCES).forEach(field => {
+      const value = parseFloat(milling[field])
+      if (!isNaN(value) && value >= 0) {
+        allowances[field] = value
+      }
+    })
+  }
+  return allowances
+}
+
+/**
+ * Normalize resaw settings, filling in defaults for missing values
+ */
+export function normalizeResawSettings(resaw) {
+  const settings = { ...DEFAULT_RESAW_SETTINGS }
+  if (resaw && typeof resaw === 'object') {
+    settings.enabled = Boolean(resaw.enabled)
+    ;['kerf', 'planingLoss'].forEach(field => {
+      const value = parseFloat(resaw[field])
+      if (!isNaN(value) && value >= 0) {
+        settings[field] = value
+      }
+    })
+  }
+  return settings
+}
+
+/**
+ * Normalize a cut piece's glue-up panel settings, filling in defaults for missing values
+ */
+export function normalizePanelSettings(panel) {
+  const settings = { ...DEFAULT_PANEL_SETTINGS }
+  if (panel && typeof panel === 'object') {
+    Object.keys(DEFAULT_PANEL_SETTINGS).forEach(field => {
+      const value = parseFloat(panel[field])
+      if (!isNaN(value) && value >= 0) {
+        settings[field] = value
+      }
+    })
+  }
+  settings.maxStripWidth = Math.max(settings.maxStripWidth, settings.jointAllowance + 0.25)
+  return settings
+}
+
+/**
+ * Normalize a cut piece's lamination settings, filling in defaults for missing values
+ */
+export function normalizeLaminationSettings(lamination) {
+  const settings = { ...DEFAULT_LAMINATION_SETTINGS }
+  if (lamination && typeof lamination === 'object') {
+    if (parseThickness(lamination.layerThickness || '')) settings.layerThickness = lamination.layerThickness
+    const glueAllowance = parseFloat(lamination.glueAllowance)
+    if (!isNaN(glueAllowance) && glueAllowance >= 0) settings.glueAllowance = glueAllowance
+  }
+  return settings
+}
+
+/**
+ * Number of layers a laminated piece is glued up from
+ * A nominal thickness is made up of whole layers (12/4 from three 4/4 layers). A finished
+ * thickness also needs the planing allowance for the glued-up blank, and loses the glue
+ * allowance at each glue line. Returns { layerCount, layerThickness }.
+ */
+export function planLaminationLayers(piece, milling) {
+  const { layerThickness, glueAllowance } = normalizeLaminationSettings(piece.lamination)
+  const layerInches = parseThickness(layerThickness)
+  const finishedThickness = parseFloat(piece.finishedThickness) || null
+
+  let layerCount
+  if (finishedThickness) {
+    const required = finishedThickness + normalizeMillingAllowances(milling).planingAllowance
+    const perLayer = layerInches - glueAllowance
+    layerCount = perLayer > 0 ? Math.ceil((required - glueAllowance) / perLayer - 0.0001) : 1
+  } else {
+    layerCount = Math.ceil((parseThickness(piece.thickness || '') || layerInches) / layerInches - 0.0001)
+  }
+  return { layerCount: Math.max(1, layerCount), layerThickness }
+}
+
+/**
+ * Species family, the name before the grade ("Walnut - Prime" → "Walnut")
+ */
+export function getSpeciesFamily(species) {
+  return (species || '').split(' - ')[0]
+}
+
+/**
+ * Normalize project substitution rules, dropping incomplete ones
+ * Each rule { species, substitute, secondaryOnly } lets parts of one species be cut
+ * from another; secondaryOnly rules only apply to parts marked secondary.
+ */
+export function normalizeSubstitutionRules(rules) {
+  if (!Array.isArray(rules)) return []
+  return rules
+    .filter(rule => rule && rule.species && rule.substitute && rule.species !== rule.substitute)
+    .map(rule => ({
+      species: rule.species,
+      substitute: rule.substitute,
+      secondaryOnly: Boolean(rule.secondaryOnly)
+    }))
+}
+
+/**
+ * Species a piece may be cut from besides its own, in order of preference
+ * The piece's own substitutes come first ({ species, anyGrade, secondary }; anyGrade
+ * takes any stocked grade of the same family), then the project's rules for its species.
+ * @param {Object} piece - Cut piece, with its substitution settings
+ * @param {Array} rules - Project substitution rules (see normalizeSubstitutionRules)
+ * @param {Array} stockedSpecies - Species in stock, for anyGrade
+ */
+export function resolveSubstitutes(piece, rules, stockedSpecies = []) {
+  const substitution = piece.substitution || {}
+  const substitutes = [...(Array.isArray(substitution.species) ? substitution.species : [])]
+  if (substitution.anyGrade && piece.species) {
+    const family = getSpeciesFamily(piece.species)
+    substitutes.push(...stockedSpecies.filter(species => getSpeciesFamily(species) === family))
+  }
+  normalizeSubstitutionRules(rules).forEach(rule => {
+    if (rule.species === piece.species && (!rule.secondaryOnly || substitution.secondary)) {
+      substitutes.push(rule.substitute)
+    }
+  })
+  return [...new Set(substitutes)].filter(species => species && species !== piece.species)
+}
+
+/**
+ * Objectives a cut plan can be optimized for
+ */
+export const OPTIMIZATION_GOALS = {
+  fewestBoards: 'Fewest boards',
+  leastWaste: 'Least waste',
+  lowestCost: 'Lowest material cost',
+  fewestCuts: 'Fewest saw cuts'
+}
+
+export const DEFAULT_OPTIMIZATION_GOAL = 'fewestBoards'
+
+/**
+ * Packing strategies searched for the best plan
+ * - heuristic: how a free rectangle is chosen for each piece
+ *   (bssf: Best Short Side Fit, blsf: Best Long Side Fit, baf: Best Area Fit, bottomLeft)
+ * - pieceOrder: which pieces are placed first (largest by area, length, width or perimeter)
+ * - boardOrder: which stock boards are filled first (remnants always come first)
+ */
+const PACKING_HEURISTICS = ['bssf', 'blsf', 'baf', 'bottomLeft']
+const PIECE_ORDERS = ['area', 'length', 'width', 'perimeter']
+const BOARD_ORDERS = ['listed', 'largestFirst', 'smallestFirst']
+const DEFAULT_STRATEGY = { heuristic: 'bssf', pieceOrder: 'area', boardOrder: 'listed' }
+
+// Runner-up plans reported alongside the chosen one
+const MAX_ALTERNATIVES = 3
+
+// Cut lists up to this many parts get an exact search for the fewest boards
+export const EXACT_SEARCH_MAX_PARTS = 30
+// Time the exact search may take when the caller sets no deadline (ms)
+const EXACT_SEARCH_TIME_MS = 2000
+
+/**
+ * Default minimum offcut size kept as a remnant (inches)
+ */
+export const DEFAULT_REMNANT_SETTINGS = {
+  minLength: 12,
+  minWidth: 3
+}
+
+/**
+ * Normalize remnant settings, filling in defaults for missing values
+ */
+export function normalizeRemnantSettings(settings) {
+  const normalized = { ...DEFAULT_REMNANT_SETTINGS }
+  if (settings && typeof settings === 'object') {
+    Object.keys(DEFAULT_REMNANT_SETTINGS).forEach(field => {
+      const value = parseFloat(settings[field])
+      if (!isNaN(value) && value >= 0) {
+        normalized[field] = value
+      }
+    })
+  }
+  return normalized
+}
+
+/**
+ * Remnant inventory records as stock boards for the optimizer
+ * Ids are prefixed so they can't collide with project board ids
+ */
+function remnantsToStock(remnants) {
+  return (remnants || []).map(remnant => ({
+    id: `remnant-${remnant.id}`,
+    name: `Remnant ${remnant.length}" × ${remnant.width}"`,
+    length: remnant.length,
+    width: remnant.width,
+    thickness: remnant.thickness,
+    species: remnant.species,
+    quantity: 1,
+    remnantId: remnant.id
+  }))
+}
+
+/**
+ * Offcuts in a cut plan big enough to keep as remnants
+ * Slices of resawn boards are skipped, since their thickness isn't a stock thickness.
+ * Returns [{ species, thickness, length, width, source }]
+ */
+export function findRemnantOffcuts(cutPlan, settings) {
+  if (!cutPlan || !cutPlan.assignments) return []
+  const { minLength, minWidth } = normalizeRemnantSettings(settings)
+  const round = (value) => Math.floor(value * 8) / 8
+
+  const offcuts = []
+  cutPlan.assignments.forEach(assignment => {
+    if (assignment.resaw) return
+    ;(assignment.offcuts || []).forEach(offcut => {
+      const length = round(offcut.length)
+      const width = round(offcut.width)
+      if (length >= minLength && width >= minWidth) {
+        offcuts.push({
+          species: assignment.species || null,
+          thickness: assignment.thickness,
+          length,
+          width,
+          source: assignment.stockBoardName
+        })
+      }
+    })
+  })
+  return offcuts
+}
+
 /**
  * Parse lumber notation (e.g., "4/4") to inches
  */
@@ -42,6 +371,47 @@ function expandStockBoards(boards) {
   return expanded
 }
 
+/**
+ * Defect zones marked on one physical board
+ * Defects are stored on the board record with the instance they belong to,
+ * in inches from the board's bottom-left corner (x along length, y across width)
+ */
+function getBoardDefects(board) {
+  const instanceIndex = board.instanceIndex || 0
+  return (board.defects || []).filter(d =>
+    (d.instanceIndex || 0) === instanceIndex && d.length > 0 && d.width > 0
+  )
+}
+
+/**
+ * Point a cut plan's assignments at new stock board ids
+ * idMap maps old board id -> new board id, or -> { id, instanceIndex } when
+ * several old boards were consolidated into one record with a quantity
+ */
+export function remapPlanBoardIds(cutPlan, idMap) {
+  if (!cutPlan || !cutPlan.assignments) return cutPlan
+
+  const remap = (entry) => {
+    if (!idMap.has(entry.stockBoardId)) return entry
+    const target = idMap.get(entry.stockBoardId)
+    const id = typeof target === 'object' ? target.id : target
+    const index = typeof target === 'object' ? target.instanceIndex : entry.stockBoardIndex
+    const remapped = { ...entry, stockBoardId: id, stockBoardIndex: index, uniqueId: `${id}-${index}` }
+    // Resawn slices keep a per-slice id and point at their physical board
+    if (entry.physicalBoardId) {
+      remapped.physicalBoardId = `${id}-${index}`
+      if (entry.resaw) remapped.uniqueId = `${id}-${index}-s${entry.resaw.sliceIndex}`
+    }
+    return remapped
+  }
+
+  return {
+    ...cutPlan,
+    assignments: cutPlan.assignments.map(remap),
+    resawnBoards: (cutPlan.resawnBoards || []).map(remap)
+  }
+}
+
 /**
  * Expand cut pieces with quantity > 1 into individual pieces
  */
@@ -54,13 +424,153 @@ function expandCutPieces(pieces) {
         ...piece,
         instanceIndex: i,
         originalId: piece.id,
-        uniqueId: `${piece.id}-${i}`
+        uniqueId: `${piece.id}-${i}`,
+        // Strips and layers remember which part they belong to, even once re-expanded
+        ...(piece.panelStrip && {
+          panelStrip: { ...piece.panelStrip, panelInstance: piece.panelStrip.panelInstance ?? i }
+        }),
+        ...(piece.laminationLayer && {
+          laminationLayer: { ...piece.laminationLayer, pieceInstance: piece.laminationLayer.pieceInstance ?? i }
+        })
       })
     }
   })
   return expanded
 }
 
+/**
+ * Split a glue-up panel into equal strips
+ * Uses the fewest strips no wider than the maximum strip width. Each glue line loses
+ * the joint allowance, so the strips add up to the panel width plus one allowance per
+ * glue line. Returns { stripCount, stripWidth }.
+ */
+function planPanelStrips(panelWidth, panel) {
+  const { maxStripWidth, jointAllowance } = panel
+  const stripCount = Math.max(1, Math.ceil((panelWidth - jointAllowance) / (maxStripWidth - jointAllowance) - 0.0001))
+  const stripWidth = (panelWidth + (stripCount - 1) * jointAllowance) / stripCount
+  // Round up to 1/32" so the strips never come out short
+  return { stripCount, stripWidth: Math.ceil(stripWidth * 32 - 0.001) / 32 }
+}
+
+/**
+ * Pick the rough thickness class to plane down to a finished thickness
+ * Uses the thinnest standard class that leaves the planing allowance; if that class
+ * isn't stocked for the species, uses the thinnest thicker class that is.
+ */
+function roughThicknessFor(finishedThickness, planingAllowance, stockedThicknesses) {
+  const required = finishedThickness + planingAllowance - 0.001
+  const standard = THICKNESS_CLASSES.find(t => parseThickness(t) >= required) ||
+    THICKNESS_CLASSES[THICKNESS_CLASSES.length - 1]
+
+  if (stockedThicknesses.length === 0 || stockedThicknesses.includes(standard)) {
+    return standard
+  }
+
+  const stocked = stockedThicknesses
+    .filter(t => (parseThickness(t) || 0) >= required)
+    .sort((a, b) => parseThickness(a) - parseThickness(b))
+  return stocked[0] || standard
+}
+
+/**
+ * Convert cut pieces from finished to rough dimensions
+ * Adds the milling allowances to length and width, and maps finished thickness to a
+ * rough thickness class. Finished sizes are kept on the piece for display.
+ */
+export function prepareCutPieces(cutPieces, stockBoards, options = {}) {
+  const milling = normalizeMillingAllowances(options.milling)
+  // With resaw on, unstocked classes are left for the optimizer to resaw from thicker stock
+  const resawEnabled = normalizeResawSettings(options.resaw).enabled
+
+  // Thickness classes available for each species
+  const stockedBySpecies = {}
+  stockBoards.concat(options.remnants || []).forEach(board => {
+    const key = board.species || 'unspecified'
+    if (!stockedBySpecies[key]) stockedBySpecies[key] = []
+    if (!stockedBySpecies[key].includes(board.thickness)) {
+      stockedBySpecies[key].push(board.thickness)
+    }
+  })
+
+  return cutPieces.flatMap(piece => {
+    const substitutes = piece.substitutes ||
+      resolveSubstitutes(piece, options.substitutions, Object.keys(stockedBySpecies))
+    // Thicknesses stocked in a substitute species will do as well
+    const stockedThicknesses = [piece.species || 'unspecified', ...substitutes]
+      .flatMap(species => stockedBySpecies[species] || [])
+    const finishedThickness = parseFloat(piece.finishedThickness) || null
+    const thickness = finishedThickness
+      ? roughThicknessFor(finishedThickness, milling.planingAllowance, resawEnabled ? [] : stockedThicknesses)
+      : piece.thickness
+
+    const roughPiece = {
+      ...piece,
+      ...(substitutes.length > 0 && { substitutes }),
+      length: piece.length + milling.lengthOversize,
+      width: piece.width + milling.widthOversize,
+      thickness,
+      finishedLength: piece.length,
+      finishedWidth: piece.width,
+      finishedThickness
+    }
+
+    // Laminated parts are packed as layer blanks in the layer thickness group
+    if (piece.lamination && !piece.laminationLayer) {
+      const { layerCount, layerThickness } = planLaminationLayers(piece, options.milling)
+      const { glueAllowance } = normalizeLaminationSettings(piece.lamination)
+      if (layerCount > 1) {
+        return Array.from({ length: layerCount }, (_, layerIndex) => ({
+          ...roughPiece,
+          id: `${piece.id}:layer${layerIndex + 1}`,
+          name: `${piece.name} — layer ${layerIndex + 1} of ${layerCount}`,
+          thickness: layerThickness,
+          finishedThickness: null,
+          lamination: undefined,
+          panel: undefined,
+          laminationLayer: {
+            pieceId: piece.id,
+            pieceName: piece.name,
+            partThickness: finishedThickness || piece.thickness,
+            layerIndex,
+            layerCount,
+            layerThickness,
+            glueAllowance
+          }
+        }))
+      }
+    }
+
+    if (!piece.panel || piece.panelStrip) return [roughPiece]
+
+    // Glue-up panels are packed as strips; the width oversize is ripped off the
+    // glued-up panel, so it's added to the panel rather than to each strip
+    const panel = normalizePanelSettings(piece.panel)
+    const { stripCount, stripWidth } = planPanelStrips(roughPiece.width, panel)
+    if (stripCount === 1) return [roughPiece]
+
+    return Array.from({ length: stripCount }, (_, stripIndex) => ({
+      ...roughPiece,
+      id: `${piece.id}:strip${stripIndex + 1}`,
+      name: `${piece.name} strip ${stripIndex + 1}/${stripCount}`,
+      width: stripWidth,
+      finishedWidth: stripWidth,
+      // Strips run with the grain so the panel's grain runs along its length
+      grainDirection: 'length',
+      panel: undefined,
+      panelStrip: {
+        panelId: piece.id,
+        panelName: piece.name,
+        panelLength: piece.length,
+        panelWidth: piece.width,
+        stripIndex,
+        stripCount,
+        stripWidth,
+        ...panel
+      }
+    }))
+  })
+}
+
 /**
  * Group pieces by their width (for efficient rip cuts)
  * Also considers rotation - a piece can be rotated if it fits better
@@ -91,29 +601,48 @@ function groupByWidth(pieces, kerf) {
  * Uses a shelf-based approach where we track rectangular free spaces
  * and can place narrow pieces alongside wide pieces on the same "row"
  */
-function createStripsForBoard(board, pieces, kerf) {
+function createStripsForBoard(board, pieces, sawProfile, packing = {}) {
+  const { ripKerf, crosscutKerf, edgeTrim } = sawProfile
+  // End-check trim removed from each end of the board
+  const endTrim = Math.min(packing.endTrim || 0, board.length / 2)
+  const originX = endTrim
   const placedPieceIds = new Set()
   const placements = []
 
-  // Sort pieces by area (largest first), then by longer dimension
-  // This gives the largest pieces priority for placement, leading to better packing
-  const sortedPieces = [...pieces].sort((a, b) => {
-    const areaA = a.effectiveWidth * a.effectiveLength
-    const areaB = b.effectiveWidth * b.effectiveLength
-    if (Math.abs(areaB - areaA) > 0.1) return areaB - areaA
-    // Tie-breaker: prefer pieces with longer dimension (fills more of the strip)
-    const maxDimA = Math.max(a.effectiveWidth, a.effectiveLength)
-    const maxDimB = Math.max(b.effectiveWidth, b.effectiveLength)
-    return maxDimB - maxDimA
-  })
+  const heuristic = packing.heuristic || DEFAULT_STRATEGY.heuristic
+  // Strict guillotine mode keeps the free rectangles disjoint, each bounded by through
+  // cuts, so every layout can be cut on a table saw
+  const guillotine = Boolean(packing.guillotine)
+
+  // Largest pieces first (by area unless the strategy says otherwise),
+  // leading to better packing
+  const sortedPieces = [...pieces].sort(comparePiecesForPacking(packing.pieceOrder))
 
   // Track free rectangles: { x, y, width, height }
   // width = along board length (horizontal), height = along board width (vertical)
-  let freeRects = [{ x: 0, y: 0, width: board.length, height: board.width }]
+  let freeRects = [{ x: originX, y: 0, width: board.length - 2 * endTrim, height: board.width }]
+
+  // Helper: rank a candidate position by the packing heuristic (lower is better)
+  // BSSF places pieces where they fit best along the shorter dimension, with
+  // tie-breaking by position (prefer bottom-left for visual consistency)
+  const rankFit = (usableWidth, usableHeight, placedLength, placedWidth, positionScore) => {
+    const leftoverWidth = usableWidth - placedLength
+    const leftoverHeight = usableHeight - placedWidth
+    const shortSide = Math.min(leftoverWidth, leftoverHeight)
+    const longSide = Math.max(leftoverWidth, leftoverHeight)
+    switch (heuristic) {
+      case 'blsf':
+        return [longSide, shortSide, positionScore]
+      case 'baf':
+        return [usableWidth * usableHeight - placedLength * placedWidth, shortSide, positionScore]
+      case 'bottomLeft':
+        return [positionScore, shortSide, longSide]
+      default:
+        return [shortSide, longSide, positionScore]
+    }
+  }
 
-  // Helper: find best fit for a piece using "Best Short Side Fit" (BSSF) heuristic
-  // This places pieces where they fit best along the shorter dimension,
-  // with tie-breaking by position (prefer bottom-left for visual consistency)
+  // Helper: find best fit for a piece using the packing heuristic
   // grainDirection: 'any' | 'length' | 'width'
   //   - 'any': try both orientations (default)
   //   - 'length': piece length must align with board length (no rotation)
@@ -121,9 +650,7 @@ function createStripsForBoard(board, pieces, kerf) {
   const findBestFit = (pieceLength, pieceWidth, grainDirection = 'any') => {
     let bestRect = null
     let bestRotated = false
-    let bestShortSide = Infinity
-    let bestLongSide = Infinity
-    let bestPosition = Infinity  // For tie-breaking by position
+    let bestRank = null
 
     // Determine which orientations to try based on grain direction
     const tryNormal = grainDirection === 'any' || grainDirection === 'length'
@@ -131,12 +658,12 @@ function createStripsForBoard(board, pieces, kerf) {
 
     for (const rect of freeRects) {
       // Calculate usable space in this rect
-      // If rect is at a board edge (x=0 or y=0), we need kerf for jointing
-      const needsLengthEdgeKerf = rect.x < 0.001 // At left edge of board
+      // If rect is at a board edge (x=0 or y=0), we need the edge trim for jointing/squaring
+      const needsLengthEdgeKerf = rect.x < originX + 0.001 // At left edge of board
       const needsWidthEdgeKerf = rect.y < 0.001  // At bottom edge of board
 
-      const usableWidth = rect.width - (needsLengthEdgeKerf ? kerf : 0)
-      const usableHeight = rect.height - (needsWidthEdgeKerf ? kerf : 0)
+      const usableWidth = rect.width - (needsLengthEdgeKerf ? edgeTrim : 0)
+      const usableHeight = rect.height - (needsWidthEdgeKerf ? edgeTrim : 0)
 
       // Position score - prefer bottom-left placement (lower y, then lower x)
       const positionScore = rect.y * 1000 + rect.x
@@ -144,19 +671,9 @@ function createStripsForBoard(board, pieces, kerf) {
       // Try normal orientation: piece length along rect width, piece width along rect height
       // This aligns piece length with board length (grain direction)
       if (tryNormal && pieceLength <= usableWidth + 0.001 && pieceWidth <= usableHeight + 0.001) {
-        // Best Short Side Fit: minimize leftover on shorter edge
-        const leftoverWidth = usableWidth - pieceLength
-        const leftoverHeight = usableHeight - pieceWidth
-        const shortSide = Math.min(leftoverWidth, leftoverHeight)
-        const longSide = Math.max(leftoverWidth, leftoverHeight)
-
-        // Compare: prefer smaller short side, then smaller long side, then better position
-        if (shortSide < bestShortSide ||
-            (shortSide === bestShortSide && longSide < bestLongSide) ||
-            (shortSide === bestShortSide && longSide === bestLongSide && positionScore < bestPosition)) {
-          bestShortSide = shortSide
-          bestLongSide = longSide
-          bestPosition = positionScore
+        const rank = rankFit(usableWidth, usableHeight, pieceLength, pieceWidth, positionScore)
+        if (!bestRank || compareRanks(rank, bestRank) < 0) {
+          bestRank = rank
           bestRect = rect
           bestRotated = false
         }
@@ -165,17 +682,9 @@ function createStripsForBoard(board, pieces, kerf) {
       // Try rotated: piece width along rect width, piece length along rect height
       // This aligns piece length with board width (cross grain)
       if (tryRotated && pieceWidth <= usableWidth + 0.001 && pieceLength <= usableHeight + 0.001) {
-        const leftoverWidth = usableWidth - pieceWidth
-        const leftoverHeight = usableHeight - pieceLength
-        const shortSide = Math.min(leftoverWidth, leftoverHeight)
-        const longSide = Math.max(leftoverWidth, leftoverHeight)
-
-        if (shortSide < bestShortSide ||
-            (shortSide === bestShortSide && longSide < bestLongSide) ||
-            (shortSide === bestShortSide && longSide === bestLongSide && positionScore < bestPosition)) {
-          bestShortSide = shortSide
-          bestLongSide = longSide
-          bestPosition = positionScore
+        const rank = rankFit(usableWidth, usableHeight, pieceWidth, pieceLength, positionScore)
+        if (!bestRank || compareRanks(rank, bestRank) < 0) {
+          bestRank = rank
           bestRect = rect
           bestRotated = true
         }
@@ -191,10 +700,10 @@ function createStripsForBoard(board, pieces, kerf) {
     const newRects = []
 
     // Right remainder - full height (to the right of the placed piece)
-    const rightWidth = rect.width - placedWidth - kerf
+    const rightWidth = rect.width - placedWidth - crosscutKerf
     if (rightWidth > 1) { // At least 1" useful
       newRects.push({
-        x: rect.x + placedWidth + kerf,
+        x: rect.x + placedWidth + crosscutKerf,
         y: rect.y,
         width: rightWidth,
         height: rect.height
@@ -202,11 +711,11 @@ function createStripsForBoard(board, pieces, kerf) {
     }
 
     // Top remainder - full width (above the placed piece)
-    const topHeight = rect.height - placedHeight - kerf
+    const topHeight = rect.height - placedHeight - ripKerf
     if (topHeight > 1) { // At least 1" useful
       newRects.push({
         x: rect.x,
-        y: rect.y + placedHeight + kerf,
+        y: rect.y + placedHeight + ripKerf,
         width: rect.width, // Full width of original rect for better packing
         height: topHeight
       })
@@ -281,15 +790,41 @@ function createStripsForBoard(board, pieces, kerf) {
     }
   }
 
+  // Helper: guillotine split of the free rectangle a piece was placed in
+  // The piece (with any edge trim) takes the rectangle's bottom-left corner; the rest
+  // is split either by a rip above the piece or a crosscut beside it, whichever
+  // leaves the larger free rectangle
+  const splitGuillotine = (rect, usedRight, usedTop) => {
+    const rightX = usedRight + crosscutKerf
+    const topY = usedTop + ripKerf
+    const rectRight = rect.x + rect.width
+    const rectTop = rect.y + rect.height
+    const usable = r => r.width > 1 && r.height > 1 // At least 1" useful
+
+    const ripFirst = [
+      { x: rect.x, y: topY, width: rect.width, height: rectTop - topY },
+      { x: rightX, y: rect.y, width: rectRight - rightX, height: usedTop - rect.y }
+    ].filter(usable)
+    const crosscutFirst = [
+      { x: rightX, y: rect.y, width: rectRight - rightX, height: rect.height },
+      { x: rect.x, y: topY, width: usedRight - rect.x, height: rectTop - topY }
+    ].filter(usable)
+
+    const largest = rects => Math.max(0, ...rects.map(r => r.width * r.height))
+    return largest(ripFirst) >= largest(crosscutFirst) ? ripFirst : crosscutFirst
+  }
+
   // Helper: clip all free rectangles against a placed piece
   // This handles the "maximal rectangles" approach where free rects can overlap
+  // Pieces side by side along the length are separated by a crosscut,
+  // pieces stacked across the width by a rip cut
   const clipRectsAgainstPlacement = (px, py, pwidth, pheight) => {
     const newFreeRects = []
 
     for (const rect of freeRects) {
       // Check if this rect overlaps with the placed piece
-      const overlapX = Math.max(rect.x, px) < Math.min(rect.x + rect.width, px + pwidth + kerf)
-      const overlapY = Math.max(rect.y, py) < Math.min(rect.y + rect.height, py + pheight + kerf)
+      const overlapX = Math.max(rect.x, px) < Math.min(rect.x + rect.width, px + pwidth + crosscutKerf)
+      const overlapY = Math.max(rect.y, py) < Math.min(rect.y + rect.height, py + pheight + ripKerf)
 
       if (!overlapX || !overlapY) {
         // No overlap, keep the rect
@@ -301,7 +836,7 @@ function createStripsForBoard(board, pieces, kerf) {
 
       // Left piece (to the left of the placed piece)
       if (rect.x < px - 0.01) {
-        const leftWidth = px - rect.x - kerf
+        const leftWidth = px - rect.x - crosscutKerf
         if (leftWidth > 1) {
           newFreeRects.push({
             x: rect.x,
@@ -313,7 +848,7 @@ function createStripsForBoard(board, pieces, kerf) {
       }
 
       // Right piece (to the right of the placed piece)
-      const placedRight = px + pwidth + kerf
+      const placedRight = px + pwidth + crosscutKerf
       if (rect.x + rect.width > placedRight + 0.01) {
         const rightStart = Math.max(rect.x, placedRight)
         const rightWidth = rect.x + rect.width - rightStart
@@ -327,29 +862,34 @@ function createStripsForBoard(board, pieces, kerf) {
         }
       }
 
+      // Below and above span the whole rect, or in guillotine mode only the
+      // column between the left and right pieces, so the pieces don't overlap
+      const columnX = guillotine ? Math.max(rect.x, px) : rect.x
+      const columnWidth = guillotine ? Math.min(rect.x + rect.width, px + pwidth) - columnX : rect.width
+
       // Bottom piece (below the placed piece)
       if (rect.y < py - 0.01) {
-        const bottomHeight = py - rect.y - kerf
-        if (bottomHeight > 1) {
+        const bottomHeight = py - rect.y - ripKerf
+        if (bottomHeight > 1 && columnWidth > 1) {
           newFreeRects.push({
-            x: rect.x,
+            x: columnX,
             y: rect.y,
-            width: rect.width,
+            width: columnWidth,
             height: bottomHeight
           })
         }
       }
 
       // Top piece (above the placed piece)
-      const placedTop = py + pheight + kerf
+      const placedTop = py + pheight + ripKerf
       if (rect.y + rect.height > placedTop + 0.01) {
         const topStart = Math.max(rect.y, placedTop)
         const topHeight = rect.y + rect.height - topStart
-        if (topHeight > 1) {
+        if (topHeight > 1 && columnWidth > 1) {
           newFreeRects.push({
-            x: rect.x,
+            x: columnX,
             y: topStart,
-            width: rect.width,
+            width: columnWidth,
             height: topHeight
           })
         }
@@ -359,6 +899,22 @@ function createStripsForBoard(board, pieces, kerf) {
     freeRects = newFreeRects
   }
 
+  // Defects marked on this board instance are occupied space; pieces can
+  // be cut right up to them, leaving a kerf on either side
+  getBoardDefects(board).forEach(defect => {
+    clipRectsAgainstPlacement(defect.x, defect.y, defect.length, defect.width)
+    if (!guillotine) removeContainedRects()
+  })
+
+  // Parts locked in place by hand keep their position; everything else packs around them
+  const preplaced = board.preplaced || []
+  preplaced.forEach(placement => {
+    placements.push(placement)
+    placedPieceIds.add(placement.uniqueId)
+    clipRectsAgainstPlacement(placement.x, placement.y, placement.placedLength, placement.placedWidth)
+    if (!guillotine) removeContainedRects()
+  })
+
   // Place pieces
   for (const piece of sortedPieces) {
     if (placedPieceIds.has(piece.uniqueId)) continue
@@ -373,11 +929,11 @@ function createStripsForBoard(board, pieces, kerf) {
       const placedLength = rotated ? pw : pl
       const placedWidth = rotated ? pl : pw
 
-      // Calculate offset for edge kerf (jointing rough edges)
-      const needsLengthEdgeKerf = rect.x < 0.001
+      // Calculate offset for edge trim (jointing rough edges, squaring the end)
+      const needsLengthEdgeKerf = rect.x < originX + 0.001
       const needsWidthEdgeKerf = rect.y < 0.001
-      const xOffset = needsLengthEdgeKerf ? kerf : 0
-      const yOffset = needsWidthEdgeKerf ? kerf : 0
+      const xOffset = needsLengthEdgeKerf ? edgeTrim : 0
+      const yOffset = needsWidthEdgeKerf ? edgeTrim : 0
 
       const finalX = rect.x + xOffset
       const finalY = rect.y + yOffset
@@ -393,13 +949,21 @@ function createStripsForBoard(board, pieces, kerf) {
 
       placedPieceIds.add(piece.uniqueId)
 
-      // Clip all free rectangles against the placed piece
-      // This handles overlapping maximal rectangles properly
-      clipRectsAgainstPlacement(finalX, finalY, placedLength, placedWidth)
-
-      // Remove contained rectangles and merge adjacent ones
-      removeContainedRects()
-      mergeRects()
+      if (guillotine) {
+        // Only the rect the piece went in changes; the others don't overlap it
+        freeRects = [
+          ...freeRects.filter(r => r !== rect),
+          ...splitGuillotine(rect, finalX + placedLength, finalY + placedWidth)
+        ]
+      } else {
+        // Clip all free rectangles against the placed piece
+        // This handles overlapping maximal rectangles properly
+        clipRectsAgainstPlacement(finalX, finalY, placedLength, placedWidth)
+
+        // Remove contained rectangles and merge adjacent ones
+        removeContainedRects()
+        mergeRects()
+      }
 
       // Sort rects by position (bottom-left first) for consistent visual layout
       // This ensures pieces fill from one corner outward
@@ -439,7 +1003,49 @@ function createStripsForBoard(board, pieces, kerf) {
 
   const unplacedPieces = sortedPieces.filter(p => !placedPieceIds.has(p.uniqueId))
 
-  return { strips: outputStrips, unplacedPieces, placedPieceIds }
+  return { strips: outputStrips, unplacedPieces, placedPieceIds, freeRects }
+}
+
+/**
+ * Compare two rank arrays element by element (lower is better)
+ */
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+  return 0
+}
+
+/**
+ * Comparator placing the largest pieces first by the given measure,
+ * ties going to the piece with the longer dimension (fills more of a strip)
+ */
+function comparePiecesForPacking(pieceOrder) {
+  const measures = {
+    area: p => p.effectiveWidth * p.effectiveLength,
+    length: p => Math.max(p.effectiveWidth, p.effectiveLength),
+    width: p => Math.min(p.effectiveWidth, p.effectiveLength),
+    perimeter: p => p.effectiveWidth + p.effectiveLength
+  }
+  const measure = measures[pieceOrder] || measures.area
+  return (a, b) => {
+    const diff = measure(b) - measure(a)
+    if (Math.abs(diff) > 0.1) return diff
+    return Math.max(b.effectiveWidth, b.effectiveLength) - Math.max(a.effectiveWidth, a.effectiveLength)
+  }
+}
+
+/**
+ * Order a group's stock boards for packing; remnants are always used before new stock
+ */
+function orderStockBoards(boards, boardOrder) {
+  if (!boardOrder || boardOrder === 'listed') return boards
+  const isRemnant = b => (b.remnantId !== undefined ? 0 : 1)
+  const area = b => b.length * b.width
+  return [...boards].sort((a, b) => {
+    if (isRemnant(a) !== isRemnant(b)) return isRemnant(a) - isRemnant(b)
+    return boardOrder === 'largestFirst' ? area(b) - area(a) : area(a) - area(b)
+  })
 }
 
 /**
@@ -464,7 +1070,17 @@ function flattenStrips(strips) {
         y: piece.y,           // Position along width (vertical in SVG)
         length: piece.placedLength,  // Horizontal dimension
         width: piece.placedWidth,    // Vertical dimension
-        rotated: piece.rotated || false
+        rotated: piece.rotated || false,
+        finishedLength: piece.finishedLength ?? piece.length,
+        finishedWidth: piece.finishedWidth ?? piece.width,
+        finishedThickness: piece.finishedThickness || null,
+        grainDirection: piece.grainDirection || 'any',
+        ...(piece.locked && { locked: true }),
+        ...(piece.panelStrip && { panelStrip: piece.panelStrip }),
+        ...(piece.laminationLayer && { laminationLayer: piece.laminationLayer }),
+        ...(piece.substitutedFrom && { substitutedFrom: piece.substitutedFrom }),
+        ...(piece.matchGroup && { matchGroup: piece.matchGroup }),
+        ...(piece.matchSequence !== undefined && { matchSequence: piece.matchSequence })
       })
     }
   }
@@ -472,109 +1088,1330 @@ function flattenStrips(strips) {
 }
 
 /**
- * Create a compound key for thickness + species grouping
+ * Turn the packer's overlapping free rectangles into separate offcuts
+ * Repeatedly takes the largest free rectangle and removes it from the rest.
+ * Returns [{ x, y, length, width }], length along the board's length
  */
-function makeGroupKey(thickness, species) {
-  return `${thickness}|${species || 'unspecified'}`
+function extractOffcuts(freeRects) {
+  const subtract = (rect, taken) => {
+    const overlapX = Math.max(rect.x, taken.x) < Math.min(rect.x + rect.width, taken.x + taken.width)
+    const overlapY = Math.max(rect.y, taken.y) < Math.min(rect.y + rect.height, taken.y + taken.height)
+    if (!overlapX || !overlapY) return [rect]
+
+    const pieces = [
+      { x: rect.x, y: rect.y, width: taken.x - rect.x, height: rect.height },
+      { x: taken.x + taken.width, y: rect.y, width: rect.x + rect.width - taken.x - taken.width, height: rect.height },
+      { x: rect.x, y: rect.y, width: rect.width, height: taken.y - rect.y },
+      { x: rect.x, y: taken.y + taken.height, width: rect.width, height: rect.y + rect.height - taken.y - taken.height }
+    ]
+    return pieces.filter(piece => piece.width > 1 && piece.height > 1)
+  }
+
+  let rects = freeRects.map(rect => ({ ...rect }))
+  const offcuts = []
+  while (rects.length > 0) {
+    rects.sort((a, b) => (b.width * b.height) - (a.width * a.height))
+    const largest = rects.shift()
+    offcuts.push({ x: largest.x, y: largest.y, length: largest.width, width: largest.height })
+    rects = rects.flatMap(rect => subtract(rect, largest))
+  }
+  return offcuts
 }
 
 /**
- * Parse a compound key back into thickness and species
+ * Build a plan assignment for a packed board
  */
-function parseGroupKey(key) {
-  const [thickness, species] = key.split('|')
-  return { thickness, species: species === 'unspecified' ? null : species }
+function makeAssignment(board, strips, freeRects = []) {
+  const cuts = flattenStrips(strips)
+  const boardArea = board.length * board.width
+  const cutsArea = cuts.reduce((sum, cut) => sum + (cut.length * cut.width), 0)
+  const thicknessInches = parseThickness(board.thickness) || 1
+  return {
+    ...(board.remnantId !== undefined && { remnantId: board.remnantId }),
+    offcuts: extractOffcuts(freeRects),
+    stockBoardId: board.originalId,
+    stockBoardName: board.name,
+    stockBoardIndex: board.instanceIndex,
+    uniqueId: board.uniqueId,
+    thickness: board.thickness,
+    species: board.species,
+    length: board.length,
+    width: board.width,
+    cuts,
+    strips, // Include strip info for visualization
+    boardArea,
+    cutsArea,
+    // Board feet at this board's own thickness
+    stockBF: (boardArea * thicknessInches) / 144,
+    cutsBF: (cutsArea * thicknessInches) / 144
+  }
 }
 
 /**
- * Main optimization function
+ * Material cost of a plan's boards at the price list's $/BF
+ * Remnants are already paid for; resawn boards are priced at their own thickness
+ * @param {Object} priceList - Supplier price list, or null for the bundled prices
  */
-export function optimizeCuts(stockBoards, cutPieces, kerf = DEFAULT_KERF) {
-  const warnings = []
-  const assignments = []
+function calculatePlanCost(assignments, priceList) {
+  return assignments.reduce((sum, a) => {
+    if (a.remnantId !== undefined || !a.species) return sum
+    const price = getPricePerBF(a.species, a.resaw ? a.resaw.fromThickness : a.thickness, priceList)
+    return sum + (price ? a.stockBF * price : 0)
+  }, 0)
+}
 
-  // Group stock boards by thickness AND species
-  const stockByGroup = {}
-  expandStockBoards(stockBoards).forEach(board => {
-    const key = makeGroupKey(board.thickness, board.species)
-    if (!stockByGroup[key]) {
-      stockByGroup[key] = []
+/**
+ * Rank a plan score for a goal (lower is better); placing every piece always comes first
+ */
+function rankPlanScore(score, goal) {
+  switch (goal) {
+    case 'leastWaste':
+      return [score.unplaced, score.wasteBF, score.boardsUsed]
+    case 'lowestCost':
+      return [score.unplaced, score.cost, score.wasteBF]
+    case 'fewestCuts':
+      return [score.unplaced, score.sawCuts, score.boardsUsed, score.wasteBF]
+    default:
+      return [score.unplaced, score.boardsUsed, score.wasteBF]
+  }
+}
+
+/**
+ * Per thickness+species breakdown of a plan's assignments
+ * A resawn board counts once
+ */
+function summarizePlanGroups(assignments) {
+  const byKey = {}
+  assignments.forEach(a => {
+    const key = makeGroupKey(a.thickness, a.species)
+    if (!byKey[key]) {
+      byKey[key] = { key, thickness: a.thickness, species: a.species || null, boards: new Set(), stockBF: 0, partBF: 0 }
     }
-    stockByGroup[key].push({
-      ...board,
-      used: false
-    })
+    const group = byKey[key]
+    group.boards.add(a.physicalBoardId || a.uniqueId)
+    group.stockBF += a.stockBF
+    group.partBF += a.cutsBF
   })
 
-  // Expand cut pieces and group by thickness AND species
-  const expandedCuts = expandCutPieces(cutPieces)
-  const cutsByGroup = {}
-  expandedCuts.forEach(piece => {
-    const key = makeGroupKey(piece.thickness, piece.species)
-    if (!cutsByGroup[key]) {
-      cutsByGroup[key] = []
-    }
-    // Add effective dimensions (allowing for rotation consideration)
-    cutsByGroup[key].push({
-      ...piece,
-      effectiveWidth: piece.width,
-      effectiveLength: piece.length
+  return Object.values(byKey).map(({ boards, ...group }) => ({
+    ...group,
+    boardsUsed: boards.size,
+    wasteBF: Math.max(0, group.stockBF - group.partBF),
+    efficiency: group.stockBF > 0 ? Math.min(100, (group.partBF / group.stockBF) * 100) : 0
+  }))
+}
+
+/**
+ * How each glue-up panel in a plan is assembled
+ * Returns [{ key, panelId, name, panelInstance, length, width, stripCount, stripWidth,
+ * jointAllowance, strips: [{ stripIndex, stockBoardName, stockBoardIndex, uniqueId }], boards }]
+ * with strips in glue-up order; strips that weren't placed are missing
+ */
+function summarizePanels(assignments) {
+  const byKey = new Map()
+  assignments.forEach(a => {
+    a.cuts.forEach(cut => {
+      if (!cut.panelStrip) return
+      const strip = cut.panelStrip
+      const key = `${strip.panelId}-${strip.panelInstance || 0}`
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          key,
+          panelId: strip.panelId,
+          name: strip.panelName,
+          panelInstance: strip.panelInstance || 0,
+          length: strip.panelLength,
+          width: strip.panelWidth,
+          stripCount: strip.stripCount,
+          stripWidth: strip.stripWidth,
+          jointAllowance: strip.jointAllowance,
+          strips: []
+        })
+      }
+      byKey.get(key).strips.push({
+        stripIndex: strip.stripIndex,
+        stockBoardName: a.stockBoardName,
+        stockBoardIndex: a.stockBoardIndex,
+        uniqueId: a.uniqueId
+      })
     })
   })
 
-  // Track all unplaced pieces
-  let allUnplacedPieces = []
+  return [...byKey.values()].map(panel => ({
+    ...panel,
+    strips: panel.strips.sort((a, b) => a.stripIndex - b.stripIndex),
+    boards: new Set(panel.strips.map(strip => strip.uniqueId)).size
+  }))
+}
 
-  // Process each thickness+species group
-  for (const groupKey in cutsByGroup) {
-    const { thickness, species } = parseGroupKey(groupKey)
-    const piecesForGroup = cutsByGroup[groupKey]
-    const availableStock = stockByGroup[groupKey] || []
+/**
+ * Which board each layer of a laminated part comes from
+ * Returns [{ key, pieceId, name, pieceInstance, partThickness, layerCount, layerThickness,
+ * glueAllowance, layers: [{ layerIndex, stockBoardName, stockBoardIndex, uniqueId }] }];
+ * layers that weren't placed are missing
+ */
+function summarizeLaminations(assignments) {
+  const byKey = new Map()
+  assignments.forEach(a => {
+    a.cuts.forEach(cut => {
+      if (!cut.laminationLayer) return
+      const layer = cut.laminationLayer
+      const key = `${layer.pieceId}-${layer.pieceInstance || 0}`
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          key,
+          pieceId: layer.pieceId,
+          name: layer.pieceName,
+          pieceInstance: layer.pieceInstance || 0,
+          partThickness: layer.partThickness,
+          layerCount: layer.layerCount,
+          layerThickness: layer.layerThickness,
+          glueAllowance: layer.glueAllowance,
+          layers: []
+        })
+      }
+      byKey.get(key).layers.push({
+        layerIndex: layer.layerIndex,
+        stockBoardName: a.stockBoardName,
+        stockBoardIndex: a.stockBoardIndex,
+        uniqueId: a.uniqueId
+      })
+    })
+  })
 
-    if (availableStock.length === 0) {
-      const speciesLabel = species ? ` (${species})` : ''
-      warnings.push(`No stock boards with thickness ${thickness}${speciesLabel} available`)
-      allUnplacedPieces = allUnplacedPieces.concat(piecesForGroup)
+  return [...byKey.values()].map(lamination => ({
+    ...lamination,
+    layers: lamination.layers.sort((a, b) => a.layerIndex - b.layerIndex)
+  }))
+}
+
+/**
+ * Match groups in a plan, with the boards their members went on
+ * inSequence is true when every member was cut end to end along a single board.
+ */
+function summarizeMatchGroups(assignments) {
+  const byName = new Map()
+  assignments.forEach(a => {
+    a.cuts.forEach(cut => {
+      if (!cut.matchGroup) return
+      if (!byName.has(cut.matchGroup)) {
+        byName.set(cut.matchGroup, { name: cut.matchGroup, parts: [], boards: [] })
+      }
+      const group = byName.get(cut.matchGroup)
+      group.parts.push({
+        cutPieceId: cut.cutPieceId,
+        name: cut.cutPieceName,
+        cutPieceIndex: cut.cutPieceIndex,
+        matchSequence: cut.matchSequence,
+        stockBoardName: a.stockBoardName,
+        stockBoardIndex: a.stockBoardIndex,
+        uniqueId: a.uniqueId
+      })
+      if (!group.boards.includes(a.uniqueId)) group.boards.push(a.uniqueId)
+    })
+  })
+
+  return [...byName.values()].map(group => ({
+    ...group,
+    parts: group.parts.sort((a, b) => (a.matchSequence ?? Infinity) - (b.matchSequence ?? Infinity)),
+    inSequence: group.boards.length === 1 && group.parts.every(part => part.matchSequence !== undefined)
+  }))
+}
+
+/**
+ * Parts cut from a substitute species, with the board each went on
+ */
+function summarizeSubstitutions(assignments) {
+  return assignments.flatMap(a => a.cuts
+    .filter(cut => cut.substitutedFrom)
+    .map(cut => ({
+      cutPieceId: cut.cutPieceId,
+      name: cut.cutPieceName,
+      cutPieceIndex: cut.cutPieceIndex,
+      fromSpecies: cut.substitutedFrom,
+      toSpecies: a.species,
+      stockBoardName: a.stockBoardName,
+      stockBoardIndex: a.stockBoardIndex,
+      uniqueId: a.uniqueId
+    }))
+  )
+}
+
+/**
+ * Plan totals, remnants used and the goal score for a plan's assignments
+ */
+function summarizePlanTotals(assignments, unplacedCount, sawProfile, milling, priceList = null) {
+  // Totals come from the per-group breakdown, so mixed thicknesses are counted correctly
+  const groups = summarizePlanGroups(assignments)
+  const totalStockBF = groups.reduce((sum, g) => sum + g.stockBF, 0)
+  const totalCutBF = groups.reduce((sum, g) => sum + g.partBF, 0)
+  const waste = groups.reduce((sum, g) => sum + g.wasteBF, 0)
+  const efficiency = totalStockBF > 0 ? (totalCutBF / totalStockBF) * 100 : 0
+
+  // Count boards (resawn slices of one board count once)
+  const boardsUsed = new Set(assignments.map(a => a.physicalBoardId || a.uniqueId)).size
+
+  // Remnants from the shop inventory that the plan cuts from
+  const remnantsUsed = assignments
+    .filter(a => a.remnantId !== undefined)
+    .map(a => ({
+      remnantId: a.remnantId,
+      name: a.stockBoardName,
+      thickness: a.thickness,
+      species: a.species,
+      length: a.length,
+      width: a.width,
+      pieces: a.cuts.map(cut => cut.cutPieceIndex > 0 ? `${cut.cutPieceName} #${cut.cutPieceIndex + 1}` : cut.cutPieceName)
+    }))
+  const score = {
+    unplaced: unplacedCount,
+    boardsUsed,
+    wasteBF: Math.max(0, waste),
+    cost: calculatePlanCost(assignments, priceList),
+    sawCuts: assignments.reduce((sum, a) => sum + generateCutSequence(a, sawProfile, milling).steps.length, 0)
+  }
+
+  return {
+    waste: Math.max(0, waste),
+    efficiency: Math.min(100, efficiency),
+    totalStockBF,
+    totalCutBF,
+    groups,
+    boardsUsed,
+    remnantsUsed,
+    panels: summarizePanels(assignments),
+    laminations: summarizeLaminations(assignments),
+    substitutions: summarizeSubstitutions(assignments),
+    matchGroups: summarizeMatchGroups(assignments),
+    score
+  }
+}
+
+/**
+ * Rough thickness a resawn slice must have for a piece
+ * Finished-thickness pieces need their finished thickness plus the planing loss;
+ * others need their nominal rough thickness
+ */
+function requiredSliceThickness(piece, resaw) {
+  return piece.finishedThickness
+    ? piece.finishedThickness + resaw.planingLoss
+    : parseThickness(piece.thickness) || 1
+}
+
+/**
+ * Work out how many slices a board of boardThickness resaws into
+ * Returns { count, sliceThickness } for the most slices of at least requiredThickness, or null
+ */
+function planResawSlices(boardThickness, requiredThickness, resaw) {
+  const count = Math.floor((boardThickness + resaw.kerf + 0.001) / (requiredThickness + resaw.kerf))
+  if (count < 1) return null
+  return { count, sliceThickness: (boardThickness - (count - 1) * resaw.kerf) / count }
+}
+
+/**
+ * Place a thickness group with no stock of its own by resawing unused thicker boards
+ * of the same species. Each slice is packed like a board; all slices of one board share
+ * its physicalBoardId.
+ */
+function resawForGroup(pieces, species, stockByGroup, sawProfile, packing, resaw) {
+  const requiredThickness = Math.max(...pieces.map(p => requiredSliceThickness(p, resaw)))
+
+  // Unused boards that resaw into thick enough slices, least waste per slice first
+  const candidates = []
+  for (const key in stockByGroup) {
+    const group = parseGroupKey(key)
+    if (group.species !== species) continue
+    const slices = planResawSlices(parseThickness(group.thickness) || 0, requiredThickness, resaw)
+    if (!slices) continue
+    stockByGroup[key].forEach(board => {
+      if (!board.used) candidates.push({ board, slices })
+    })
+  }
+  candidates.sort((a, b) => a.slices.sliceThickness - b.slices.sliceThickness)
+
+  const assignments = []
+  const resawnBoards = []
+  let remainingPieces = pieces
+
+  for (const { board, slices } of candidates) {
+    if (remainingPieces.length === 0) break
+
+    let slicesUsed = 0
+    for (let i = 0; i < slices.count && remainingPieces.length > 0; i++) {
+      const { strips, unplacedPieces } = createStripsForBoard(board, remainingPieces, sawProfile, packing)
+      // Every slice is the same, so if nothing fits this one nothing fits the rest
+      if (!strips.some(s => s.pieces.length > 0)) break
+
+      assignments.push({
+        ...makeAssignment(board, strips),
+        uniqueId: `${board.uniqueId}-s${i}`,
+        physicalBoardId: board.uniqueId,
+        resaw: {
+          fromThickness: board.thickness,
+          sliceIndex: i,
+          sliceCount: slices.count,
+          sliceThickness: slices.sliceThickness,
+          kerf: resaw.kerf,
+          planingLoss: resaw.planingLoss
+        }
+      })
+      slicesUsed++
+      remainingPieces = unplacedPieces
+    }
+
+    if (slicesUsed > 0) {
+      board.used = true
+      // The whole board is stock for the group, shared across the slices cut from it;
+      // parts are counted at the slice thickness
+      const boardBF = (board.length * board.width * (parseThickness(board.thickness) || 1)) / 144
+      assignments.slice(-slicesUsed).forEach(a => {
+        a.stockBF = boardBF / slicesUsed
+        a.cutsBF = (a.cutsArea * slices.sliceThickness) / 144
+      })
+      resawnBoards.push({
+        physicalBoardId: board.uniqueId,
+        stockBoardId: board.originalId,
+        stockBoardName: board.name,
+        stockBoardIndex: board.instanceIndex,
+        thickness: board.thickness,
+        species: board.species,
+        sliceCount: slices.count,
+        sliceThickness: slices.sliceThickness,
+        slicesUsed
+      })
+    }
+  }
+
+  return { assignments, resawnBoards, unplacedPieces: remainingPieces }
+}
+
+/**
+ * Create a compound key for thickness + species grouping
+ */
+function makeGroupKey(thickness, species) {
+  return `${thickness}|${species || 'unspecified'}`
+}
+
+/**
+ * Parse a compound key back into thickness and species
+ */
+function parseGroupKey(key) {
+  const [thickness, species] = key.split('|')
+  return { thickness, species: species === 'unspecified' ? null : species }
+}
+
+/**
+ * Whether a set of pieces fits on one board, trying every packing strategy
+ * Returns the packing strategy that places them all, or null
+ */
+function findBoardPacking(board, pieces, sawProfile, packing) {
+  for (const heuristic of PACKING_HEURISTICS) {
+    for (const pieceOrder of PIECE_ORDERS) {
+      const trial = { ...packing, heuristic, pieceOrder }
+      if (createStripsForBoard(board, pieces, sawProfile, trial).unplacedPieces.length === 0) return trial
+    }
+  }
+  return null
+}
+
+/**
+ * Branch and bound for the fewest boards one thickness+species group fits on
+ * Pieces are assigned largest first, each to a board already opened or to a newly opened
+ * one (only the first unused board of each kind of board, so identical boards aren't
+ * tried twice). A board's pieces must pack with one of the packing strategies. Branches
+ * are cut off when the area still to place can't fit on fewer boards than the best so far.
+ * @param {number} upperBound - Boards the greedy plan used; only fewer are looked for
+ * @returns {Object} - { bins: [{ board, pieces, packing }] | null, boardsUsed, lowerBound,
+ *   optimal, searchComplete }; bins is null when nothing better than upperBound was found
+ */
+function searchFewestBoards(pieces, boards, sawProfile, packing, upperBound, deadline) {
+  // Area inside the end trim and edge trim, which no part can use
+  const usableArea = board =>
+    Math.max(0, board.length - 2 * Math.min(packing.endTrim || 0, board.length / 2) - sawProfile.edgeTrim) *
+    Math.max(0, board.width - sawProfile.edgeTrim)
+  const sorted = [...pieces].sort((a, b) => b.length * b.width - a.length * a.width)
+  // Area still to place from each piece on
+  const remainingArea = sorted.map(p => p.length * p.width)
+  for (let i = remainingArea.length - 2; i >= 0; i--) remainingArea[i] += remainingArea[i + 1]
+
+  // Boards of the same stock record with the same defects are interchangeable
+  const kindOf = board => `${board.remnantId ?? board.originalId}|${JSON.stringify(getBoardDefects(board))}`
+  const boardsByArea = [...boards].sort((a, b) => usableArea(b) - usableArea(a))
+
+  // Fewest extra boards (largest first) that could hold the area left over
+  const boardsForArea = (area, unused) => {
+    let count = 0
+    for (const board of boardsByArea) {
+      if (area <= 0.001) break
+      if (!unused.has(board)) continue
+      area -= usableArea(board)
+      count++
+    }
+    return area <= 0.001 ? count : Infinity
+  }
+
+  const lowerBound = boardsForArea(remainingArea[0] || 0, new Set(boards))
+  const result = { bins: null, boardsUsed: upperBound, lowerBound, optimal: upperBound <= lowerBound, searchComplete: true }
+  if (result.optimal || sorted.length === 0) return result
+
+  // Packing checks are cached by board kind and piece sizes
+  const fitCache = new Map()
+  const fits = (board, binPieces) => {
+    const key = `${kindOf(board)}#${binPieces.map(p => `${p.length}x${p.width}${p.grainDirection || 'any'}`).sort().join(',')}`
+    if (!fitCache.has(key)) fitCache.set(key, findBoardPacking(board, binPieces, sawProfile, packing))
+    return fitCache.get(key)
+  }
+
+  let best = upperBound
+  const bins = []
+  const unused = new Set(boards)
+  let nodes = 0
+
+  const search = (index) => {
+    if (++nodes % 64 === 0 && Date.now() > deadline) {
+      result.searchComplete = false
+    }
+    if (!result.searchComplete || best <= lowerBound) return
+    if (index === sorted.length) {
+      best = bins.length
+      result.bins = bins.map(bin => ({ ...bin, pieces: [...bin.pieces] }))
+      return
+    }
+
+    // Bound: the area left over after filling the open boards needs more boards
+    const freeArea = bins.reduce((sum, bin) => sum + usableArea(bin.board) - bin.area, 0)
+    if (bins.length + boardsForArea(remainingArea[index] - freeArea, unused) >= best) return
+
+    const piece = sorted[index]
+    const pieceArea = piece.length * piece.width
+    for (const bin of bins) {
+      if (bin.area + pieceArea > usableArea(bin.board) + 0.001) continue
+      const packed = fits(bin.board, [...bin.pieces, piece])
+      if (!packed) continue
+      const previous = bin.packing
+      bin.pieces.push(piece)
+      bin.area += pieceArea
+      bin.packing = packed
+      search(index + 1)
+      bin.pieces.pop()
+      bin.area -= pieceArea
+      bin.packing = previous
+    }
+
+    if (bins.length + 1 >= best) return
+    const kindsTried = new Set()
+    for (const board of boardsByArea) {
+      if (!unused.has(board) || kindsTried.has(kindOf(board))) continue
+      kindsTried.add(kindOf(board))
+      const packed = fits(board, [piece])
+      if (!packed) continue
+      unused.delete(board)
+      bins.push({ board, pieces: [piece], area: pieceArea, packing: packed })
+      search(index + 1)
+      bins.pop()
+      unused.add(board)
+    }
+  }
+  search(0)
+
+  result.boardsUsed = best
+  result.optimal = best <= lowerBound
+  return result
+}
+
+/**
+ * Exact search for small cut lists: each thickness+species group of the plan is repacked
+ * on the fewest boards branch and bound can find (see searchFewestBoards). Groups with
+ * resawn slices, glue-up panels, match groups, locked or substituted parts, or parts
+ * left over keep the packing they have. The repacked plan is kept when it ranks better
+ * for the goal.
+ * Returns { plan, exact }; exact is { optimal, searchComplete, lowerBound, improved,
+ * groupsSkipped }, optimal when every group of the returned plan is proven to be on the
+ * fewest boards possible. When a layout on fewer boards was found but ranked worse for
+ * the goal, exact also has fewerBoardsFound and boardsFound (its board count).
+ */
+function improvePlanExactly(plan, roughPieces, stockBoards, sawProfile, options, goal) {
+  const pieces = expandCutPieces(roughPieces).map(piece => ({
+    ...piece,
+    effectiveLength: piece.length,
+    effectiveWidth: piece.width
+  }))
+  const packing = { endTrim: plan.milling.endTrim, guillotine: plan.guillotine }
+  // The caller's deadline can only shorten the search, never extend it
+  const deadline = Math.min(options.deadline ?? Infinity, Date.now() + EXACT_SEARCH_TIME_MS)
+  const stock = expandStockBoards([...remnantsToStock(options.remnants), ...stockBoards])
+  const resawnIds = new Set((plan.resawnBoards || []).map(r => r.physicalBoardId))
+  const exact = { optimal: true, searchComplete: true, lowerBound: 0, improved: false, groupsSkipped: 0 }
+
+  const assignmentsByGroup = new Map()
+  plan.assignments.forEach(a => {
+    const key = makeGroupKey(a.thickness, a.species)
+    if (!assignmentsByGroup.has(key)) assignmentsByGroup.set(key, [])
+    assignmentsByGroup.get(key).push(a)
+  })
+
+  const replaced = new Map()
+  let boardsFound = 0
+  for (const [key, groupAssignments] of assignmentsByGroup) {
+    const groupStock = stock.filter(b => makeGroupKey(b.thickness, b.species) === key)
+    const groupPieces = pieces.filter(p => makeGroupKey(p.thickness, p.species) === key)
+    const cuts = groupAssignments.flatMap(a => a.cuts)
+    const eligible = cuts.length === groupPieces.length &&
+      !groupAssignments.some(a => a.resaw) &&
+      !groupStock.some(b => resawnIds.has(b.uniqueId)) &&
+      !cuts.some(cut => cut.locked || cut.panelStrip || cut.matchGroup || cut.substitutedFrom) &&
+      !plan.unplacedPieces.some(p => makeGroupKey(p.thickness, p.species) === key)
+    const boardsUsed = new Set(groupAssignments.map(a => a.uniqueId)).size
+    if (!eligible) {
+      exact.optimal = false
+      exact.groupsSkipped++
+      boardsFound += boardsUsed
+      continue
+    }
+
+    const result = searchFewestBoards(groupPieces, groupStock, sawProfile, packing, boardsUsed, deadline)
+    exact.optimal = exact.optimal && result.optimal
+    exact.searchComplete = exact.searchComplete && result.searchComplete
+    exact.lowerBound += result.lowerBound
+    boardsFound += result.bins ? result.bins.length : boardsUsed
+    if (result.bins) {
+      replaced.set(key, result.bins.map(({ board, pieces: binPieces, packing: binPacking }) => {
+        const { strips, freeRects } = createStripsForBoard(board, binPieces, sawProfile, binPacking)
+        return makeAssignment(board, strips, freeRects)
+      }))
+    }
+  }
+
+  if (replaced.size === 0) return { plan, exact }
+
+  // Repacked groups take the place of their old boards, in the plan's group order
+  const assignments = []
+  const added = new Set()
+  plan.assignments.forEach(a => {
+    const key = makeGroupKey(a.thickness, a.species)
+    if (!replaced.has(key)) {
+      assignments.push(a)
+    } else if (!added.has(key)) {
+      added.add(key)
+      assignments.push(...replaced.get(key))
+    }
+  })
+  const totals = summarizePlanTotals(assignments, plan.unplacedPieces.length, sawProfile, plan.milling, options.priceList)
+  if (compareRanks(rankPlanScore(totals.score, goal), rankPlanScore(plan.score, goal)) >= 0) {
+    // The proof is about the fewer-board layout, not the plan kept
+    return { plan, exact: { ...exact, optimal: false, fewerBoardsFound: true, boardsFound } }
+  }
+  return { plan: { ...plan, assignments, ...totals }, exact: { ...exact, improved: true } }
+}
+
+/**
+ * Main optimization function
+ * kerf may be a single number or a saw profile { ripKerf, crosscutKerf, edgeTrim }
+ * options.milling: milling allowances applied to the (finished-size) cut pieces
+ * options.piecesPrepared: cut pieces are already at rough size (see prepareCutPieces)
+ * options.resaw: resaw settings; when enabled, parts whose thickness isn't stocked are
+ *   cut from slices of thicker boards of the same species
+ * options.remnants: offcuts from the shop's remnant inventory, used before new stock
+ * options.substitutions: project substitution rules (see resolveSubstitutes); pieces
+ *   their own species can't supply are cut from a substitute and listed in plan.substitutions
+ * options.goal: objective to optimize for (see OPTIMIZATION_GOALS); every packing
+ *   strategy is tried and the best plan for the goal is returned with its runner-ups
+ * options.guillotine: strict guillotine mode, so every layout can be cut with through cuts
+ * options.priceList: the project's supplier price list, for plan costs (see getPricePerBF)
+ * options.strategy: pack once with this strategy instead of searching
+ * options.onProgress: called with { stage: 'packing', strategiesTried, strategiesTotal }
+ * options.deadline: time (ms since epoch) to stop searching and keep the best plan so far
+ * options.exact: false to skip the exact search run on cut lists of up to
+ *   EXACT_SEARCH_MAX_PARTS parts; the plan reports its outcome as plan.exact
+ * The plan carries plan.inputs, a fingerprint of what it was made from (see
+ * fingerprintPlanInputs)
+ */
+export function optimizeCuts(stockBoards, cutPieces, kerf = DEFAULT_KERF, options = {}) {
+  const sawProfile = normalizeSawProfile(kerf)
+  const goal = OPTIMIZATION_GOALS[options.goal] ? options.goal : DEFAULT_OPTIMIZATION_GOAL
+
+  if (options.strategy) {
+    return { ...packPlan(stockBoards, cutPieces, sawProfile, options, options.strategy), goal }
+  }
+
+  // Prepare the pieces once for all the strategies
+  const roughPieces = options.piecesPrepared ? cutPieces : prepareCutPieces(cutPieces, stockBoards, options)
+  const searchOptions = { ...options, piecesPrepared: true }
+  const strategies = PACKING_HEURISTICS.flatMap(heuristic =>
+    PIECE_ORDERS.flatMap(pieceOrder =>
+      BOARD_ORDERS.map(boardOrder => ({ heuristic, pieceOrder, boardOrder }))
+    )
+  )
+  const plans = []
+  for (const strategy of strategies) {
+    // Out of time: settle for the best plan so far (the default strategy always runs)
+    if (plans.length > 0 && isPastDeadline(options)) break
+    plans.push(packPlan(stockBoards, roughPieces, sawProfile, searchOptions, strategy))
+    reportProgress(options, { stage: 'packing', strategiesTried: plans.length, strategiesTotal: strategies.length })
+  }
+  plans.sort((a, b) => compareRanks(rankPlanScore(a.score, goal), rankPlanScore(b.score, goal)))
+
+  // Many strategies land on the same plan; report distinct runner-ups only
+  const [best, ...rest] = plans
+  const seen = new Set([JSON.stringify(rankPlanScore(best.score, goal))])
+  const alternatives = []
+  for (const plan of rest) {
+    const signature = JSON.stringify(rankPlanScore(plan.score, goal))
+    if (seen.has(signature)) continue
+    seen.add(signature)
+    alternatives.push({ strategy: plan.strategy, score: plan.score })
+    if (alternatives.length === MAX_ALTERNATIVES) break
+  }
+
+  const warnings = plans.length < strategies.length
+    ? [...best.warnings, `Time budget reached after trying ${plans.length} of ${strategies.length} packing strategies; a better plan may exist`]
+    : best.warnings
+
+  // Small cut lists: search for the fewest boards, and say whether that's proven
+  const partCount = roughPieces.reduce((sum, piece) => sum + (piece.quantity || 1), 0)
+  const inputs = fingerprintPlanInputs(stockBoards, roughPieces, sawProfile, searchOptions)
+  if (options.exact === false || partCount > EXACT_SEARCH_MAX_PARTS) {
+    return { ...best, warnings, goal, alternatives, inputs }
+  }
+  reportProgress(options, { stage: 'exact', partCount })
+  const { plan, exact } = improvePlanExactly(best, roughPieces, stockBoards, sawProfile, options, goal)
+  return { ...plan, warnings, goal, alternatives, exact, inputs }
+}
+
+/**
+ * Rebuild a cut plan after parts were moved by hand
+ * Every cut stays exactly where it is; offcuts, board feet and the plan totals are
+ * worked out again from the new layout. Boards left with no cuts drop out of the plan.
+ * @param {Object} cutPlan - The plan that was edited
+ * @param {Array} assignments - Its assignments with the cuts in their new positions
+ * @param {Array} stockBoards - Project boards, for the defects offcuts must avoid
+ * @param {Object} priceList - The project's supplier price list, for the plan's cost
+ */
+export function rebuildCutPlan(cutPlan, assignments, stockBoards = [], priceList = null) {
+  const sawProfile = normalizeSawProfile(cutPlan.sawProfile)
+  const milling = normalizeMillingAllowances(cutPlan.milling)
+  const packing = { endTrim: milling.endTrim, guillotine: Boolean(cutPlan.guillotine) }
+
+  const rebuilt = assignments
+    .filter(a => a.cuts.length > 0)
+    .map(a => {
+      // Resawn slices aren't editable, so they're kept as they are
+      if (a.resaw) return a
+
+      const stockBoard = stockBoards.find(b => b.id === a.stockBoardId)
+      const board = {
+        ...(a.remnantId !== undefined && { remnantId: a.remnantId }),
+        originalId: a.stockBoardId,
+        name: a.stockBoardName,
+        instanceIndex: a.stockBoardIndex,
+        uniqueId: a.uniqueId,
+        thickness: a.thickness,
+        species: a.species,
+        length: a.length,
+        width: a.width,
+        defects: stockBoard?.defects,
+        preplaced: a.cuts.map(cut => ({
+          originalId: cut.cutPieceId,
+          name: cut.cutPieceName,
+          instanceIndex: cut.cutPieceIndex,
+          uniqueId: `${cut.cutPieceId}-${cut.cutPieceIndex}`,
+          species: cut.species,
+          x: cut.x,
+          y: cut.y,
+          length: cut.rotated ? cut.width : cut.length,
+          width: cut.rotated ? cut.length : cut.width,
+          placedLength: cut.length,
+          placedWidth: cut.width,
+          rotated: cut.rotated,
+          finishedLength: cut.finishedLength,
+          finishedWidth: cut.finishedWidth,
+          finishedThickness: cut.finishedThickness,
+          grainDirection: cut.grainDirection,
+          locked: cut.locked,
+          panelStrip: cut.panelStrip,
+          laminationLayer: cut.laminationLayer,
+          substitutedFrom: cut.substitutedFrom,
+          matchGroup: cut.matchGroup,
+          matchSequence: cut.matchSequence
+        }))
+      }
+      const { strips, freeRects } = createStripsForBoard(board, [], sawProfile, packing)
+      return makeAssignment(board, strips, freeRects)
+    })
+
+  return {
+    ...cutPlan,
+    assignments: rebuilt,
+    ...summarizePlanTotals(rebuilt, (cutPlan.unplacedPieces || []).length, sawProfile, milling, priceList),
+    editedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Stable JSON for fingerprints: keys sorted and empty values left out, so a board
+ * loaded back from the database matches the one that was saved
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    const isEmpty = v => v === null || v === undefined || v === '' || (Array.isArray(v) && v.length === 0)
+    return `{${Object.keys(value).sort()
+      .filter(key => !isEmpty(value[key]) && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, as 8 hex digits
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * Fingerprint of the inputs a cut plan is made from
+ * Stock boards and cut pieces (already multiplied by the project quantity) are hashed
+ * per thickness+species group, so a re-plan can tell which groups changed. Board ids
+ * are left out, since boards sized by calculateStockNeeded get new ids when saved.
+ * The saw profile and the plan settings that change layouts are hashed as settings;
+ * the goal and locked placements aren't, since the plan page handles those itself.
+ * Returns { settings, groups: { [groupKey]: hash } }
+ */
+export function fingerprintPlanInputs(stockBoards, cutPieces, kerf = DEFAULT_KERF, options = {}) {
+  const roughPieces = options.piecesPrepared ? cutPieces : prepareCutPieces(cutPieces, stockBoards, options)
+  const entriesByGroup = {}
+  const addEntry = (key, entry) => {
+    if (!entriesByGroup[key]) entriesByGroup[key] = []
+    entriesByGroup[key].push(entry)
+  }
+  stockBoards.forEach(board => {
+    addEntry(makeGroupKey(board.thickness, board.species), {
+      name: board.name,
+      length: Number(board.length),
+      width: Number(board.width),
+      quantity: board.quantity || 1,
+      defects: board.defects
+    })
+  })
+  roughPieces.forEach(piece => addEntry(makeGroupKey(piece.thickness, piece.species), piece))
+
+  const groups = {}
+  Object.entries(entriesByGroup).forEach(([key, entries]) => {
+    groups[key] = hashString(stableStringify(entries))
+  })
+  const settings = hashString(stableStringify({
+    sawProfile: normalizeSawProfile(kerf),
+    milling: normalizeMillingAllowances(options.milling),
+    resaw: normalizeResawSettings(options.resaw),
+    guillotine: Boolean(options.guillotine),
+    substitutions: normalizeSubstitutionRules(options.substitutions)
+  }))
+  return { settings, groups }
+}
+
+/**
+ * What changed since a plan was made, from its fingerprint
+ * Returns { stale, settingsChanged, changedGroups: [{ key, thickness, species }] };
+ * plans saved without a fingerprint never count as stale here
+ */
+export function findChangedPlanGroups(cutPlan, stockBoards, cutPieces, kerf = DEFAULT_KERF, options = {}) {
+  if (!cutPlan?.inputs) return { stale: false, settingsChanged: false, changedGroups: [] }
+
+  const current = fingerprintPlanInputs(stockBoards, cutPieces, kerf, options)
+  const previous = cutPlan.inputs
+  const settingsChanged = current.settings !== previous.settings
+  const changedGroups = [...new Set([...Object.keys(previous.groups), ...Object.keys(current.groups)])]
+    .filter(key => previous.groups[key] !== current.groups[key])
+    .map(key => ({ key, ...parseGroupKey(key) }))
+  return { stale: settingsChanged || changedGroups.length > 0, settingsChanged, changedGroups }
+}
+
+/**
+ * Re-plan only the groups whose inputs changed since a plan was made
+ * Boards in unchanged thickness+species groups keep their layouts, hand edits
+ * included; the changed groups are packed again from their current boards and parts.
+ * The whole plan is made again when the saw profile or plan settings changed, the
+ * plan has no fingerprint, or parts can move between groups (resawing or substitutes).
+ * options.previousPlan: the stored plan; the other options are as for optimizeCuts
+ * Returns the plan, with replannedGroups listing the group keys packed again when
+ * the rest were kept
+ */
+export function replanCutPlan(stockBoards, cutPieces, kerf = DEFAULT_KERF, options = {}) {
+  const { previousPlan, ...planOptions } = options
+  const roughPieces = prepareCutPieces(cutPieces, stockBoards, planOptions)
+  const changes = findChangedPlanGroups(previousPlan, stockBoards, cutPieces, kerf, planOptions)
+  const crossesGroups = normalizeResawSettings(planOptions.resaw).enabled || roughPieces.some(piece => piece.substitutes)
+  if (!previousPlan?.inputs || changes.settingsChanged || crossesGroups) {
+    return optimizeCuts(stockBoards, roughPieces, kerf, { ...planOptions, piecesPrepared: true })
+  }
+  if (changes.changedGroups.length === 0) return previousPlan
+
+  const changedKeys = new Set(changes.changedGroups.map(group => group.key))
+  const inChangedGroup = item => changedKeys.has(makeGroupKey(item.thickness, item.species))
+  // The exact search would only speak for the changed groups, so it's skipped
+  const partial = optimizeCuts(
+    stockBoards.filter(inChangedGroup),
+    roughPieces.filter(inChangedGroup),
+    kerf,
+    { ...planOptions, piecesPrepared: true, exact: false, remnants: (planOptions.remnants || []).filter(inChangedGroup) }
+  )
+
+  const sawProfile = normalizeSawProfile(kerf)
+  const milling = normalizeMillingAllowances(planOptions.milling)
+  const keptUnplaced = (previousPlan.unplacedPieces || []).filter(piece => !inChangedGroup(piece))
+  const assignments = [...previousPlan.assignments.filter(a => !inChangedGroup(a)), ...partial.assignments]
+  const unplacedPieces = [...keptUnplaced, ...partial.unplacedPieces]
+  const keptWarnings = keptUnplaced.map(p => {
+    const speciesLabel = p.species ? ` (${p.species})` : ''
+    return `Could not fit "${p.name}" (${p.length}" × ${p.width}") on any ${p.thickness}${speciesLabel} stock`
+  })
+
+  return {
+    ...partial,
+    assignments,
+    ...summarizePlanTotals(assignments, unplacedPieces.length, sawProfile, milling, planOptions.priceList),
+    warnings: [...keptWarnings, ...partial.warnings],
+    unplacedPieces,
+    totalStockBoards: expandStockBoards([...remnantsToStock(planOptions.remnants), ...stockBoards]).length,
+    // Runner-up strategies were scored on the changed groups alone
+    alternatives: [],
+    inputs: fingerprintPlanInputs(stockBoards, roughPieces, sawProfile, { ...planOptions, piecesPrepared: true }),
+    replannedGroups: [...changedKeys]
+  }
+}
+
+/**
+ * Pass progress to the caller's onProgress, if any
+ */
+function reportProgress(options, progress) {
+  if (options.onProgress) options.onProgress(progress)
+}
+
+/**
+ * Whether the caller's time budget (options.deadline) has run out
+ */
+function isPastDeadline(options) {
+  return options.deadline !== undefined && Date.now() > options.deadline
+}
+
+/**
+ * Count the stock boards a sizing trial packed onto, for progress reporting
+ */
+function recordTrial(options, boardCount) {
+  if (options.onTrial) options.onTrial(boardCount)
+}
+
+/**
+ * Total area of a set of pieces
+ */
+function piecesArea(pieces) {
+  return pieces.reduce((sum, piece) => sum + piece.length * piece.width, 0)
+}
+
+/**
+ * Pack pieces onto a run of boards next to each other in the stock order
+ * Fills boards from start onward until every piece is placed. Returns the run as
+ * [{ board, result }], or null if the pieces don't all fit or a board in the run
+ * takes none (the run would no longer be unbroken).
+ */
+function packRunOfBoards(pieces, boards, start, sawProfile, packing) {
+  const run = []
+  let remaining = pieces
+  for (let i = start; i < boards.length && remaining.length > 0; i++) {
+    const result = createStripsForBoard(boards[i], remaining, sawProfile, packing)
+    if (result.unplacedPieces.length === remaining.length) return null
+    run.push({ board: boards[i], result })
+    remaining = result.unplacedPieces
+  }
+  return remaining.length === 0 ? run : null
+}
+
+/**
+ * Make a packed run's parts the preplaced parts of its boards
+ */
+function placeRun(run) {
+  run.forEach(({ board, result }) => {
+    board.preplaced = result.strips.flatMap(strip => strip.pieces)
+  })
+}
+
+/**
+ * Pack the strips of each glue-up panel as a unit, before the other pieces
+ * A panel's strips all go on one board, or on a run of boards next to each other in
+ * the stock order, so its color and figure match. Placed strips become the boards'
+ * preplaced parts; returns the strips that couldn't be kept together.
+ */
+function packPanelStrips(strips, boards, sawProfile, packing) {
+  const panels = new Map()
+  strips.forEach(strip => {
+    const key = `${strip.panelStrip.panelId}-${strip.panelStrip.panelInstance}`
+    if (!panels.has(key)) panels.set(key, [])
+    panels.get(key).push(strip)
+  })
+
+  const leftOver = []
+  const largestFirst = [...panels.values()].sort((a, b) => piecesArea(b) - piecesArea(a))
+  for (const panelStrips of largestFirst) {
+    let run = null
+    for (let i = 0; i < boards.length && !run; i++) {
+      run = packRunOfBoards(panelStrips, boards, i, sawProfile, packing)
+    }
+    if (run) {
+      placeRun(run)
+    } else {
+      leftOver.push(...panelStrips)
+    }
+  }
+  return leftOver
+}
+
+/**
+ * Place a match group's members end to end along one board, in cut list order
+ * The members are packed as a single blank (their lengths plus a crosscut kerf
+ * between each), so the grain runs on from one part to the next. Returns the board
+ * and its members' placements, numbered by matchSequence, or null if no board fits.
+ */
+function placeMatchSequence(members, boards, sawProfile, packing) {
+  const oriented = members.map(member => {
+    const turned = member.grainDirection === 'width'
+    return {
+      member,
+      placedLength: turned ? member.width : member.length,
+      placedWidth: turned ? member.length : member.width,
+      rotated: turned
+    }
+  })
+  const length = oriented.reduce((sum, o) => sum + o.placedLength, 0) + sawProfile.crosscutKerf * (members.length - 1)
+  const width = Math.max(...oriented.map(o => o.placedWidth))
+  const blank = {
+    uniqueId: `match-${members[0].matchGroup}`,
+    length,
+    width,
+    effectiveLength: length,
+    effectiveWidth: width,
+    grainDirection: 'length'
+  }
+
+  for (const board of boards) {
+    const result = createStripsForBoard(board, [blank], sawProfile, packing)
+    const placed = result.strips.flatMap(strip => strip.pieces).find(p => p.uniqueId === blank.uniqueId)
+    if (!placed) continue
+
+    let x = placed.x
+    const placements = oriented.map((o, matchSequence) => {
+      const placement = { ...o.member, x, y: placed.y, placedLength: o.placedLength, placedWidth: o.placedWidth, rotated: o.rotated, matchSequence }
+      x += o.placedLength + sawProfile.crosscutKerf
+      return placement
+    })
+    return { board, placements }
+  }
+  return null
+}
+
+/**
+ * Pack the members of each match group together, before the other pieces
+ * Members are placed end to end along one board where they fit, else anywhere on one
+ * board, else on a run of boards next to each other in the stock order (with a
+ * warning). Placed members become the boards' preplaced parts.
+ * Returns { leftOver, warnings }; leftOver members are packed like other pieces.
+ */
+function packMatchGroups(pieces, boards, sawProfile, packing) {
+  const groups = new Map()
+  pieces.forEach(piece => {
+    if (!groups.has(piece.matchGroup)) groups.set(piece.matchGroup, [])
+    groups.get(piece.matchGroup).push(piece)
+  })
+
+  const leftOver = []
+  const warnings = []
+  const largestFirst = [...groups.entries()].sort((a, b) => piecesArea(b[1]) - piecesArea(a[1]))
+  for (const [name, members] of largestFirst) {
+    const sequence = placeMatchSequence(members, boards, sawProfile, packing)
+    if (sequence) {
+      sequence.board.preplaced = [...(sequence.board.preplaced || []), ...sequence.placements]
+      continue
+    }
+
+    let oneBoard = null
+    for (const board of boards) {
+      const result = createStripsForBoard(board, members, sawProfile, packing)
+      if (result.unplacedPieces.length === 0) {
+        oneBoard = { board, result }
+        break
+      }
+    }
+    if (oneBoard) {
+      placeRun([oneBoard])
       continue
     }
 
+    let run = null
+    for (let i = 0; i < boards.length && !run; i++) {
+      run = packRunOfBoards(members, boards, i, sawProfile, packing)
+    }
+    if (run) {
+      placeRun(run)
+      warnings.push(`Match group "${name}" doesn't fit on one board; it is spread over ${run.length} boards next to each other`)
+    } else {
+      leftOver.push(...members)
+      warnings.push(`Could not keep match group "${name}" together; its parts were packed separately`)
+    }
+  }
+  return { leftOver, warnings }
+}
+
+/**
+ * Place pieces their own stock couldn't take on boards of their substitute species
+ * Substitutes are tried in order of preference. Pieces fill the offcuts of boards
+ * already in the plan before starting unused boards; a board already in the plan is
+ * packed again with its parts kept where they are, and its assignment replaced.
+ * Placed pieces take the board's species and keep their own as substitutedFrom.
+ * Returns the pieces that couldn't be placed.
+ */
+function packSubstitutes(pieces, stockByGroup, assignments, sawProfile, packing) {
+  const unplaced = []
+  let remaining = pieces
+  for (let rank = 0; remaining.length > 0; rank++) {
+    // Each piece's substitute at this rank, grouped by the stock it would come from
+    const piecesByGroup = {}
+    const next = []
+    remaining.forEach(piece => {
+      const species = piece.substitutes[rank]
+      if (!species) {
+        unplaced.push(piece)
+        return
+      }
+      const key = makeGroupKey(piece.thickness, species)
+      if (!(stockByGroup[key] || []).length) {
+        next.push(piece)
+        return
+      }
+      if (!piecesByGroup[key]) piecesByGroup[key] = []
+      piecesByGroup[key].push({ ...piece, species, substitutedFrom: piece.species })
+    })
+
+    for (const key in piecesByGroup) {
+      let toPlace = piecesByGroup[key]
+      for (const board of stockByGroup[key]) {
+        if (toPlace.length === 0) break
+        // Resawn boards are spoken for
+        if (board.used && board.assignmentIndex === undefined) continue
+
+        const existing = board.used ? assignments[board.assignmentIndex] : null
+        const packedBoard = existing
+          ? { ...board, preplaced: existing.strips.flatMap(strip => strip.pieces) }
+          : board
+        const { strips, unplacedPieces, freeRects } = createStripsForBoard(packedBoard, toPlace, sawProfile, packing)
+        if (unplacedPieces.length === toPlace.length) continue
+
+        const assignment = makeAssignment(packedBoard, strips, freeRects)
+        if (existing) {
+          assignments[board.assignmentIndex] = assignment
+        } else {
+          board.used = true
+          board.assignmentIndex = assignments.length
+          assignments.push(assignment)
+        }
+        toPlace = unplacedPieces
+      }
+      next.push(...toPlace.map(p => ({ ...p, species: p.substitutedFrom, substitutedFrom: undefined })))
+    }
+    remaining = next
+  }
+  return unplaced
+}
+
+/**
+ * Put locked parts on their boards before packing
+ * Each lock ({ cutPieceId, cutPieceIndex, stockBoardId, stockBoardIndex, x, y, rotated })
+ * takes its piece out of the pieces to pack and adds it to the board's preplaced parts.
+ * Locks whose piece or board is gone, or that no longer fit, are skipped with a warning
+ * and the piece is packed normally.
+ */
+function applyLockedPlacements(lockedPlacements, cutsByGroup, stockByGroup, sawProfile) {
+  const warnings = []
+  const locks = lockedPlacements || []
+  locks.forEach(lock => {
+    const groupKey = Object.keys(cutsByGroup).find(key =>
+      cutsByGroup[key].some(p => p.originalId === lock.cutPieceId && p.instanceIndex === lock.cutPieceIndex)
+    )
+    if (!groupKey) return
+
+    const pieces = cutsByGroup[groupKey]
+    const pieceIdx = pieces.findIndex(p => p.originalId === lock.cutPieceId && p.instanceIndex === lock.cutPieceIndex)
+    const piece = pieces[pieceIdx]
+    const label = piece.instanceIndex > 0 ? `${piece.name} #${piece.instanceIndex + 1}` : piece.name
+    // The part may have been cut from a substitute species
+    const boardKeys = [groupKey, ...(piece.substitutes || []).map(species => makeGroupKey(piece.thickness, species))]
+    const board = boardKeys.flatMap(key => stockByGroup[key] || []).find(b =>
+      b.originalId === lock.stockBoardId && b.instanceIndex === lock.stockBoardIndex
+    )
+    if (!board) {
+      warnings.push(`Locked "${label}" is no longer on a matching board; it was packed normally`)
+      return
+    }
+
+    const placedLength = lock.rotated ? piece.width : piece.length
+    const placedWidth = lock.rotated ? piece.length : piece.width
+    const fitsBoard = lock.x >= -0.001 && lock.y >= -0.001 &&
+      lock.x + placedLength <= board.length + 0.001 && lock.y + placedWidth <= board.width + 0.001
+    const overlapsLocked = (board.preplaced || []).some(other =>
+      lock.x < other.x + other.placedLength + sawProfile.crosscutKerf - 0.001 &&
+      other.x < lock.x + placedLength + sawProfile.crosscutKerf - 0.001 &&
+      lock.y < other.y + other.placedWidth + sawProfile.ripKerf - 0.001 &&
+      other.y < lock.y + placedWidth + sawProfile.ripKerf - 0.001
+    )
+    if (!fitsBoard || overlapsLocked) {
+      warnings.push(`Locked "${label}" no longer fits where it was placed; it was packed normally`)
+      return
+    }
+
+    board.preplaced = [
+      ...(board.preplaced || []),
+      {
+        ...piece,
+        ...(board.species !== piece.species && { species: board.species, substitutedFrom: piece.species }),
+        x: lock.x,
+        y: lock.y,
+        placedLength,
+        placedWidth,
+        rotated: Boolean(lock.rotated),
+        locked: true
+      }
+    ]
+    pieces.splice(pieceIdx, 1)
+  })
+  return warnings
+}
+
+/**
+ * Pack the cut pieces onto the stock boards with one packing strategy
+ */
+function packPlan(stockBoards, cutPieces, sawProfile, options, strategy) {
+  const milling = normalizeMillingAllowances(options.milling)
+  const resaw = normalizeResawSettings(options.resaw)
+  const packing = {
+    endTrim: milling.endTrim,
+    heuristic: strategy.heuristic,
+    pieceOrder: strategy.pieceOrder,
+    guillotine: Boolean(options.guillotine)
+  }
+  const warnings = []
+  const assignments = []
+  const resawnBoards = []
+
+  // Group stock boards by thickness AND species, remnants first so they're used before new stock
+  const stockByGroup = {}
+  expandStockBoards([...remnantsToStock(options.remnants), ...stockBoards]).forEach(board => {
+    const key = makeGroupKey(board.thickness, board.species)
+    if (!stockByGroup[key]) {
+      stockByGroup[key] = []
+    }
+    stockByGroup[key].push({
+      ...board,
+      used: false
+    })
+  })
+  for (const key in stockByGroup) {
+    stockByGroup[key] = orderStockBoards(stockByGroup[key], strategy.boardOrder)
+  }
+
+  // Expand cut pieces and group by thickness AND species
+  const roughPieces = options.piecesPrepared ? cutPieces : prepareCutPieces(cutPieces, stockBoards, options)
+  const expandedCuts = expandCutPieces(roughPieces)
+  const cutsByGroup = {}
+  expandedCuts.forEach(piece => {
+    const key = makeGroupKey(piece.thickness, piece.species)
+    if (!cutsByGroup[key]) {
+      cutsByGroup[key] = []
+    }
+    // Add effective dimensions (allowing for rotation consideration)
+    cutsByGroup[key].push({
+      ...piece,
+      effectiveWidth: piece.width,
+      effectiveLength: piece.length
+    })
+  })
+
+  // Panels whose strips came out narrower than the minimum (the range is too tight to split)
+  const narrowPanels = new Set(expandedCuts
+    .filter(p => p.panelStrip && p.panelStrip.stripWidth < p.panelStrip.minStripWidth - 0.001)
+    .map(p => p.panelStrip.panelName))
+  narrowPanels.forEach(name => {
+    warnings.push(`Panel "${name}" can't be split into strips within its minimum and maximum strip width; its strips are narrower than the minimum`)
+  })
+
+  // Parts moved by hand in the plan editor go back exactly where they were put
+  warnings.push(...applyLockedPlacements(options.lockedPlacements, cutsByGroup, stockByGroup, sawProfile))
+
+  // Track all unplaced pieces
+  let allUnplacedPieces = []
+
+  // Groups with stock of their own go first, so resawing only takes boards they left unused.
+  // Stock holding only locked substitute parts is packed too, so those boards stay in the plan.
+  const groupKeys = Object.keys(cutsByGroup)
+  const stockedKeys = [
+    ...groupKeys.filter(key => (stockByGroup[key] || []).length > 0),
+    ...Object.keys(stockByGroup).filter(key => !cutsByGroup[key] && stockByGroup[key].some(b => b.preplaced))
+  ]
+  const unstockedKeys = groupKeys.filter(key => (stockByGroup[key] || []).length === 0)
+  // Pieces that may be cut from other species, tried once their own stock is used up
+  const substitutionCandidates = []
+
+  // Process each thickness+species group
+  for (const groupKey of stockedKeys) {
+    const { thickness, species } = parseGroupKey(groupKey)
+    const piecesForGroup = cutsByGroup[groupKey] || []
+    const availableStock = stockByGroup[groupKey]
+
     // Sort pieces by area (largest first) for better packing
-    piecesForGroup.sort((a, b) => (b.length * b.width) - (a.length * a.width))
+    piecesForGroup.sort(comparePiecesForPacking(strategy.pieceOrder))
+
+    // Glue-up panel strips go first, kept together; any that can't be are packed like other pieces
+    const panelStrips = piecesForGroup.filter(p => p.panelStrip)
+    const scatteredStrips = packPanelStrips(panelStrips, availableStock, sawProfile, packing)
+    new Set(scatteredStrips.map(p => p.panelStrip.panelName)).forEach(name => {
+      warnings.push(`Could not keep the strips of panel "${name}" on one board or a run of adjacent boards`)
+    })
+
+    // Then match groups, so related parts come from the same board
+    const matchResult = packMatchGroups(
+      piecesForGroup.filter(p => p.matchGroup && !p.panelStrip),
+      availableStock, sawProfile, packing
+    )
+    warnings.push(...matchResult.warnings)
 
-    let remainingPieces = [...piecesForGroup]
+    let remainingPieces = [
+      ...piecesForGroup.filter(p => !p.panelStrip && !p.matchGroup),
+      ...scatteredStrips,
+      ...matchResult.leftOver
+    ].sort(comparePiecesForPacking(strategy.pieceOrder))
 
     // Try to fit pieces on each available board
     for (const board of availableStock) {
-      if (remainingPieces.length === 0) break
+      // Boards holding locked parts are kept in the plan even with nothing else to pack
+      if (remainingPieces.length === 0 && !board.preplaced) continue
 
-      const { strips, unplacedPieces, placedPieceIds } = createStripsForBoard(board, remainingPieces, kerf)
+      const { strips, unplacedPieces, placedPieceIds, freeRects } = createStripsForBoard(board, remainingPieces, sawProfile, packing)
 
       if (strips.length > 0 && strips.some(s => s.pieces.length > 0)) {
         board.used = true
-
-        const cuts = flattenStrips(strips)
-        const boardArea = board.length * board.width
-        const cutsArea = cuts.reduce((sum, cut) => sum + (cut.length * cut.width), 0)
-
-        assignments.push({
-          stockBoardId: board.originalId,
-          stockBoardName: board.name,
-          stockBoardIndex: board.instanceIndex,
-          uniqueId: board.uniqueId,
-          thickness: board.thickness,
-          species: board.species,
-          length: board.length,
-          width: board.width,
-          cuts,
-          strips, // Include strip info for visualization
-          boardArea,
-          cutsArea
-        })
-
+        board.assignmentIndex = assignments.length
+        assignments.push(makeAssignment(board, strips, freeRects))
         remainingPieces = unplacedPieces
       }
     }
 
+    substitutionCandidates.push(...remainingPieces.filter(p => p.substitutes))
+    remainingPieces = remainingPieces.filter(p => !p.substitutes)
+
     // Any remaining pieces couldn't be placed
     if (remainingPieces.length > 0) {
       const speciesLabel = species ? ` (${species})` : ''
@@ -585,36 +2422,63 @@ export function optimizeCuts(stockBoards, cutPieces, kerf = DEFAULT_KERF) {
     }
   }
 
-  // Calculate totals
-  let totalStockUsed = 0
-  let totalCutArea = 0
-
-  assignments.forEach(a => {
-    totalStockUsed += a.boardArea
-    totalCutArea += a.cutsArea
+  // Pieces without stock of their own try their substitutes before resawing
+  unstockedKeys.forEach(key => {
+    substitutionCandidates.push(...cutsByGroup[key].filter(p => p.substitutes))
+    cutsByGroup[key] = cutsByGroup[key].filter(p => !p.substitutes)
+  })
+  const unsubstituted = packSubstitutes(substitutionCandidates, stockByGroup, assignments, sawProfile, packing)
+  unsubstituted.forEach(p => {
+    const key = makeGroupKey(p.thickness, p.species)
+    if (unstockedKeys.includes(key)) {
+      cutsByGroup[key].push(p)
+      return
+    }
+    const speciesLabel = p.species ? ` (${p.species})` : ''
+    warnings.push(`Could not fit "${p.name}" (${p.length}" × ${p.width}") on any ${p.thickness}${speciesLabel} stock or its substitutes (${p.substitutes.join(', ')})`)
+    allUnplacedPieces.push(p)
   })
 
-  const thicknessInches = stockBoards.length > 0
-    ? parseThickness(stockBoards[0].thickness) || 1
-    : 1
+  // Groups without stock: resaw thicker boards of the same species when enabled
+  for (const groupKey of unstockedKeys) {
+    const { thickness, species } = parseGroupKey(groupKey)
+    const piecesForGroup = cutsByGroup[groupKey]
+    if (piecesForGroup.length === 0) continue
+    const speciesLabel = species ? ` (${species})` : ''
 
-  const totalStockBF = (totalStockUsed * thicknessInches) / 144
-  const totalCutBF = (totalCutArea * thicknessInches) / 144
-  const waste = totalStockBF - totalCutBF
-  const efficiency = totalStockUsed > 0 ? (totalCutArea / totalStockUsed) * 100 : 0
+    if (!resaw.enabled) {
+      warnings.push(`No stock boards with thickness ${thickness}${speciesLabel} available`)
+      allUnplacedPieces = allUnplacedPieces.concat(piecesForGroup)
+      continue
+    }
+
+    piecesForGroup.sort(comparePiecesForPacking(strategy.pieceOrder))
+    const result = resawForGroup(piecesForGroup, species, stockByGroup, sawProfile, packing, resaw)
+    assignments.push(...result.assignments)
+    resawnBoards.push(...result.resawnBoards)
+
+    if (result.unplacedPieces.length > 0) {
+      result.unplacedPieces.forEach(p => {
+        warnings.push(`Could not fit "${p.name}" (${p.length}" × ${p.width}") on any ${thickness}${speciesLabel} stock or unused thicker stock to resaw`)
+      })
+      allUnplacedPieces = allUnplacedPieces.concat(result.unplacedPieces)
+    }
+  }
 
-  // Count boards
-  const boardsUsed = assignments.length
   const totalStockBoards = Object.values(stockByGroup).flat().length
 
   return {
     assignments,
-    waste: Math.max(0, waste),
-    efficiency: Math.min(100, efficiency),
+    guillotine: packing.guillotine,
+    ...summarizePlanTotals(assignments, allUnplacedPieces.length, sawProfile, milling, options.priceList),
     warnings,
     unplacedPieces: allUnplacedPieces,
-    boardsUsed,
     totalStockBoards,
+    resawnBoards,
+    sawProfile,
+    milling,
+    resaw,
+    strategy,
     generatedAt: new Date().toISOString()
   }
 }
@@ -652,11 +2516,15 @@ export function getCutPieceThicknesses(pieces) {
  * Groups by both thickness AND species
  *
  * @param {Array} cutPieces - Array of cut pieces needed
- * @param {Array} stockTemplates - Array of templates { length, width, thickness, species, name }
- * @param {number} kerf - Saw blade kerf (default 1/8")
+ * @param {Array} stockTemplates - Array of templates { length, width, thickness, species, name },
+ *   or random width/length lots { name, thickness, species, randomLot } (see calculateStockForRandomLot)
+ * @param {number|Object} kerf - Saw blade kerf (default 1/8") or saw profile { ripKerf, crosscutKerf, edgeTrim }
+ * @param {Object} options - Optimizer options (e.g. { milling }); options.onProgress also gets
+ *   { stage: 'sizing', groupsDone, groupsTotal, boardsTried } while board counts are worked out
  * @returns {Object} - { boardsNeeded, boards, cutPlan, boardsByTemplate }
  */
-export function calculateStockNeeded(cutPieces, stockTemplates, kerf = DEFAULT_KERF) {
+export function calculateStockNeeded(cutPieces, stockTemplates, kerf = DEFAULT_KERF, options = {}) {
+  const sawProfile = normalizeSawProfile(kerf)
   if (!cutPieces || cutPieces.length === 0) {
     return { boardsNeeded: 0, boards: [], cutPlan: null, boardsByTemplate: [] }
   }
@@ -668,6 +2536,28 @@ export function calculateStockNeeded(cutPieces, stockTemplates, kerf = DEFAULT_K
     return { boardsNeeded: 0, boards: [], cutPlan: null, boardsByTemplate: [] }
   }
 
+  // Work in rough sizes from here on; the optimizer calls below skip preparation
+  const roughPieces = prepareCutPieces(cutPieces, templates.map(t => ({ ...t, thickness: t.thickness || '4/4' })), options)
+  // Locked placements belong to an existing plan's boards, so new stock is sized without them
+  const packOptions = { ...options, piecesPrepared: true, lockedPlacements: undefined }
+  // Board counts are sized for what the remnant inventory can't cover, packing each
+  // trial once; only the final plan searches every strategy
+  const progress = { stage: 'sizing', groupsDone: 0, groupsTotal: 0, boardsTried: 0 }
+  const sizingOptions = {
+    ...packOptions,
+    remnants: [],
+    strategy: DEFAULT_STRATEGY,
+    onTrial: (boardCount) => {
+      progress.boardsTried += boardCount
+      reportProgress(options, { ...progress })
+    }
+  }
+  let piecesToBuyFor = roughPieces
+  if (options.remnants && options.remnants.length > 0) {
+    const remnantPlan = optimizeCuts([], roughPieces, sawProfile, { ...packOptions, strategy: DEFAULT_STRATEGY })
+    piecesToBuyFor = remnantPlan.unplacedPieces.map(p => ({ ...p, id: p.uniqueId, quantity: 1 }))
+  }
+
   // Group templates by thickness + species
   const templatesByGroup = {}
   templates.forEach(t => {
@@ -678,10 +2568,15 @@ export function calculateStockNeeded(cutPieces, stockTemplates, kerf = DEFAULT_K
     templatesByGroup[key].push(t)
   })
 
-  // Group cut pieces by thickness + species
+  // Group cut pieces by thickness + species; pieces whose species isn't offered are
+  // bought in their first substitute that is
   const piecesByGroup = {}
-  cutPieces.forEach(piece => {
-    const key = makeGroupKey(piece.thickness || '4/4', piece.species)
+  piecesToBuyFor.forEach(piece => {
+    const thickness = piece.thickness || '4/4'
+    const substitute = templatesByGroup[makeGroupKey(thickness, piece.species)]
+      ? null
+      : (piece.substitutes || []).find(species => templatesByGroup[makeGroupKey(thickness, species)])
+    const key = makeGroupKey(thickness, substitute || piece.species)
     if (!piecesByGroup[key]) {
       piecesByGroup[key] = []
     }
@@ -691,26 +2586,50 @@ export function calculateStockNeeded(cutPieces, stockTemplates, kerf = DEFAULT_K
   // Calculate stock needed for each thickness+species group separately
   const allBoards = []
   const allBoardsByTemplate = []
+  const sizingWarnings = []
   let boardIdCounter = Date.now()
 
-  for (const groupKey in piecesByGroup) {
+  const groupKeys = Object.keys(piecesByGroup)
+  progress.groupsTotal = groupKeys.length
+  for (const [groupIndex, groupKey] of groupKeys.entries()) {
+    progress.groupsDone = groupIndex
+    reportProgress(options, { ...progress })
     const { thickness, species } = parseGroupKey(groupKey)
     const piecesForGroup = piecesByGroup[groupKey]
     const templatesForGroup = templatesByGroup[groupKey] || []
 
     if (templatesForGroup.length === 0) {
-      // No templates for this group - will show as warning in the cut plan
+      // No templates for this group - buy thicker stock to resaw if enabled,
+      // otherwise it will show as warning in the cut plan
+      const resawTemplate = findResawTemplate(piecesForGroup, species, templates, sizingOptions)
+      if (resawTemplate) {
+        // The optimizer resaws these boards for the group, so only as many as the slices need
+        const result = calculateStockForSingleTemplate(piecesForGroup, resawTemplate, sawProfile, sizingOptions)
+        result.boards.forEach(board => {
+          board.id = boardIdCounter++
+          board.species = species
+          allBoards.push(board)
+        })
+        if (result.boardsByTemplate) {
+          allBoardsByTemplate.push(...result.boardsByTemplate)
+        }
+      }
       continue
     }
 
     // Calculate for this group
     let result
-    if (templatesForGroup.length === 1) {
-      result = calculateStockForSingleTemplate(piecesForGroup, templatesForGroup[0], kerf)
+    const randomLot = templatesForGroup.find(t => t.randomLot)
+    if (randomLot) {
+      // Random width/length lumber is estimated in board feet, not counted in fixed boards
+      result = calculateStockForRandomLot(piecesForGroup, randomLot, sawProfile, sizingOptions)
+    } else if (templatesForGroup.length === 1) {
+      result = calculateStockForSingleTemplate(piecesForGroup, templatesForGroup[0], sawProfile, sizingOptions)
     } else {
-      result = calculateStockForMultipleTemplates(piecesForGroup, templatesForGroup, kerf)
+      result = calculateStockForMultipleTemplates(piecesForGroup, templatesForGroup, sawProfile, sizingOptions)
     }
 
+    if (result?.warning) sizingWarnings.push(result.warning)
     if (result && result.boards) {
       // Add unique IDs and species to boards
       result.boards.forEach(board => {
@@ -725,36 +2644,230 @@ export function calculateStockNeeded(cutPieces, stockTemplates, kerf = DEFAULT_K
     }
   }
 
+  progress.groupsDone = groupKeys.length
+  reportProgress(options, { ...progress })
+  const sizingTimedOut = isPastDeadline(options)
+
   // Generate final cut plan with all individual boards (optimizer needs them expanded)
-  const finalCutPlan = optimizeCuts(allBoards, cutPieces, kerf)
+  const finalCutPlan = optimizeCuts(allBoards, roughPieces, sawProfile, packOptions)
+  finalCutPlan.warnings.push(...sizingWarnings)
+  if (sizingTimedOut) {
+    finalCutPlan.warnings.push('Time budget reached while sizing stock; fewer boards may be enough')
+  }
 
   // Consolidate identical boards into single entries with quantity
   const consolidatedBoards = []
   const boardMap = new Map()
+  const consolidatedIds = new Map()
   allBoards.forEach(board => {
     const key = `${board.length}|${board.width}|${board.thickness}|${board.species || ''}`
     if (boardMap.has(key)) {
-      boardMap.get(key).quantity += 1
-      boardMap.get(key).boardFeet += board.boardFeet
+      const consolidated = boardMap.get(key)
+      consolidatedIds.set(board.id, { id: consolidated.id, instanceIndex: consolidated.quantity })
+      consolidated.quantity += 1
+      consolidated.boardFeet += board.boardFeet
     } else {
       const consolidated = { ...board, quantity: 1, boardFeetPerPiece: board.boardFeet }
       boardMap.set(key, consolidated)
       consolidatedBoards.push(consolidated)
+      consolidatedIds.set(board.id, { id: board.id, instanceIndex: 0 })
     }
   })
 
   return {
     boardsNeeded: consolidatedBoards.reduce((sum, b) => sum + b.quantity, 0),
     boards: consolidatedBoards,
-    cutPlan: finalCutPlan,
+    // Plan references the consolidated boards, as if optimized against them
+    cutPlan: {
+      ...remapPlanBoardIds(finalCutPlan, consolidatedIds),
+      inputs: fingerprintPlanInputs(consolidatedBoards, cutPieces, sawProfile, options)
+    },
+    remnantsUsed: finalCutPlan.remnantsUsed,
     boardsByTemplate: allBoardsByTemplate
   }
 }
 
+// Number of simulated yard trips used to estimate a random width/length purchase
+const RANDOM_LOT_TRIALS = 40
+// Boards picked in one trip before it gives up on the pieces left
+const RANDOM_LOT_MAX_PICKS = 500
+// Finished trips below which the estimate is flagged as unreliable
+const RANDOM_LOT_MIN_TRIALS = 10
+
+/**
+ * Small seeded random number generator (mulberry32), so estimates are repeatable
+ */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Board sizes a random lot can supply
+ * lot.mode 'range': widths from minWidth to maxWidth in 1/2" steps, lengths from
+ *   minLength to maxLength in whole feet (all in inches)
+ * lot.mode 'tally': boards measured at the yard [{ length, width, count }]
+ * Returns [{ length, width, weight }]
+ */
+function getRandomLotSizes(lot) {
+  if (lot.mode === 'tally') {
+    return (lot.tally || [])
+      .filter(b => b.length > 0 && b.width > 0)
+      .map(b => ({ length: b.length, width: b.width, weight: b.count || 1 }))
+  }
+
+  const sizes = []
+  const minWidth = Math.min(lot.minWidth, lot.maxWidth)
+  const maxWidth = Math.max(lot.minWidth, lot.maxWidth)
+  const minLength = Math.min(lot.minLength, lot.maxLength)
+  const maxLength = Math.max(lot.minLength, lot.maxLength)
+  for (let width = minWidth; width <= maxWidth + 0.001; width += 0.5) {
+    for (let length = minLength; length <= maxLength + 0.001; length += 12) {
+      sizes.push({ length, width, weight: 1 })
+    }
+  }
+  return sizes.filter(b => b.length > 0 && b.width > 0)
+}
+
+/**
+ * Estimate how much random width/length lumber to buy for one thickness+species group
+ * Simulates picking boards at random from the lot until every piece fits (skipping boards
+ * nothing fits on, as you would at the yard), many times over. The board feet to buy is
+ * taken at the lot's confidence level (e.g. 0.9 = enough in 90% of trips).
+ * Trips that give up or run out of time with pieces left aren't counted; the result
+ * carries a warning when fewer than RANDOM_LOT_MIN_TRIALS trips finished.
+ */
+function calculateStockForRandomLot(cutPieces, stockTemplate, sawProfile, options) {
+  const lot = stockTemplate.randomLot
+  const sizes = getRandomLotSizes(lot)
+  const confidence = Math.min(0.99, Math.max(0.5, parseFloat(lot.confidence) || 0.9))
+  if (!cutPieces || cutPieces.length === 0 || sizes.length === 0) {
+    return { boardsNeeded: 0, boards: [], cutPlan: null }
+  }
+
+  const templateThickness = parseThickness(stockTemplate.thickness) || 1
+  const totalWeight = sizes.reduce((sum, size) => sum + size.weight, 0)
+  const random = createRandom(1)
+  const pickSize = () => {
+    let roll = random() * totalWeight
+    for (const size of sizes) {
+      roll -= size.weight
+      if (roll <= 0) return size
+    }
+    return sizes[sizes.length - 1]
+  }
+
+  const makeBoard = (size, i) => ({
+    id: i + 1,
+    name: `${stockTemplate.name || 'Random'} ${i + 1}`,
+    length: size.length,
+    width: size.width,
+    thickness: stockTemplate.thickness,
+    thicknessInches: templateThickness,
+    species: stockTemplate.species,
+    quantity: 1,
+    boardFeet: (size.length * size.width * templateThickness) / 144
+  })
+
+  // Pieces no board in the lot can hold are left for the cut plan to warn about
+  const largestBoard = sizes.reduce((best, size) => size.length * size.width > best.length * best.width ? size : best, sizes[0])
+  const fittablePieces = cutPieces.filter(piece => {
+    const plan = optimizeCuts([makeBoard(largestBoard, 0)], [{ ...piece, quantity: 1 }], sawProfile, options)
+    return plan.unplacedPieces.length === 0
+  })
+  if (fittablePieces.length === 0) {
+    return { boardsNeeded: 0, boards: [], cutPlan: null }
+  }
+
+  const trials = []
+  let tripsTried = 0
+  for (let trial = 0; trial < RANDOM_LOT_TRIALS; trial++) {
+    // Out of time: estimate from the trips simulated so far
+    if (isPastDeadline(options)) break
+    tripsTried++
+    const boards = []
+    let remaining = fittablePieces
+    // A lot of small boards can take a while to cover large pieces; give up eventually
+    for (let picks = 0; remaining.length > 0 && picks < RANDOM_LOT_MAX_PICKS; picks++) {
+      if (isPastDeadline(options)) break
+      const board = makeBoard(pickSize(), boards.length)
+      const plan = optimizeCuts([board], remaining, sawProfile, options)
+      recordTrial(options, 1)
+      if (plan.assignments.length === 0) continue
+      boards.push(board)
+      remaining = plan.unplacedPieces.map(p => ({ ...p, id: p.uniqueId, quantity: 1 }))
+    }
+    if (remaining.length > 0) continue
+    trials.push({
+      boards,
+      boardFeet: boards.reduce((sum, board) => sum + board.boardFeet, 0)
+    })
+  }
+
+  const lotName = stockTemplate.name || 'Random width lot'
+  if (trials.length === 0) {
+    return {
+      boardsNeeded: 0,
+      boards: [],
+      cutPlan: null,
+      warning: `${lotName}: no simulated trip found boards for every part; add more boards that fit the largest parts`
+    }
+  }
+
+  trials.sort((a, b) => a.boardFeet - b.boardFeet)
+  const chosen = trials[Math.ceil(confidence * trials.length) - 1]
+  const estimate = {
+    boardFeet: chosen.boardFeet,
+    medianBoardFeet: trials[Math.floor(trials.length / 2)].boardFeet,
+    minBoardFeet: trials[0].boardFeet,
+    maxBoardFeet: trials[trials.length - 1].boardFeet,
+    cutBoardFeet: calculateCutPiecesBF(fittablePieces),
+    confidence,
+    trials: trials.length,
+    unfinishedTrials: tripsTried - trials.length
+  }
+
+  return {
+    boardsNeeded: chosen.boards.length,
+    boards: chosen.boards,
+    cutPlan: null,
+    boardsByTemplate: [{ template: stockTemplate, count: chosen.boards.length, estimate }],
+    warning: trials.length < RANDOM_LOT_MIN_TRIALS
+      ? `${lotName}: only ${trials.length} of ${tripsTried} simulated trips found boards for every part; the estimate may be off`
+      : null
+  }
+}
+
+/**
+ * Pick the stock template to buy for resawing a thickness group that has none
+ * Uses the same-species template whose slices waste the least thickness
+ */
+function findResawTemplate(pieces, species, templates, options) {
+  const resaw = normalizeResawSettings(options.resaw)
+  if (!resaw.enabled) return null
+
+  const requiredThickness = Math.max(...pieces.map(p => requiredSliceThickness(p, resaw)))
+  let best = null
+  templates.forEach(template => {
+    if (template.randomLot || (template.species || null) !== species) return
+    const slices = planResawSlices(parseThickness(template.thickness || '4/4') || 0, requiredThickness, resaw)
+    if (slices && (!best || slices.sliceThickness < best.sliceThickness)) {
+      best = { template, sliceThickness: slices.sliceThickness }
+    }
+  })
+  return best ? best.template : null
+}
+
 /**
  * Calculate stock for multiple templates of the same thickness
  */
-function calculateStockForMultipleTemplates(cutPieces, templates, kerf) {
+function calculateStockForMultipleTemplates(cutPieces, templates, sawProfile, options) {
   const templateThickness = parseThickness(templates[0].thickness) || 1
 
   // Calculate estimated boards needed
@@ -766,27 +2879,27 @@ function calculateStockForMultipleTemplates(cutPieces, templates, kerf) {
 
   // Find minimum boards needed by testing incrementally
   for (let totalBoards = 1; totalBoards <= estimatedBoards * 3; totalBoards++) {
-    const result = tryBoardDistribution(cutPieces, templates, totalBoards, kerf)
+    if (isPastDeadline(options)) break
+    const result = tryBoardDistribution(cutPieces, templates, totalBoards, sawProfile, options)
     if (result) {
       return result
     }
   }
 
   // Fallback: use first template only
-  return calculateStockForSingleTemplate(cutPieces, templates[0], kerf)
+  return calculateStockForSingleTemplate(cutPieces, templates[0], sawProfile, options)
 }
 
 /**
  * Try different distributions of boards across templates for a given total
  */
-function tryBoardDistribution(cutPieces, templates, totalBoards, kerf) {
-  // Generate all possible distributions of totalBoards across templates
-  const distributions = generateDistributions(templates.length, totalBoards)
-
+function tryBoardDistribution(cutPieces, templates, totalBoards, sawProfile, options) {
   let bestResult = null
-  let bestEfficiency = 0
 
-  for (const dist of distributions) {
+  // Try every distribution of totalBoards across templates, unless time runs out
+  for (const dist of generateDistributions(templates.length, totalBoards)) {
+    if (isPastDeadline(options)) break
+
     // Build test boards array
     const testBoards = []
     const boardsByTemplate = []
@@ -817,12 +2930,12 @@ function tryBoardDistribution(cutPieces, templates, totalBoards, kerf) {
     if (testBoards.length === 0) continue
 
     // Test this distribution
-    const cutPlan = optimizeCuts(testBoards, fittablePieces, kerf)
+    const cutPlan = optimizeCuts(testBoards, cutPieces, sawProfile, options)
+    recordTrial(options, testBoards.length)
 
     if (cutPlan.unplacedPieces.length === 0) {
-      // All pieces fit - check if this is better than previous results
-      if (cutPlan.efficiency > bestEfficiency) {
-        bestEfficiency = cutPlan.efficiency
+      // All pieces fit - check if this is better for the goal than previous results
+      if (!bestResult || compareRanks(rankPlanScore(cutPlan.score, cutPlan.goal), rankPlanScore(bestResult.cutPlan.score, cutPlan.goal)) < 0) {
         bestResult = {
           boardsNeeded: testBoards.length,
           boards: testBoards,
@@ -838,40 +2951,41 @@ function tryBoardDistribution(cutPieces, templates, totalBoards, kerf) {
 
 /**
  * Generate all distributions of n items across k buckets
+ * Yields them one at a time; there are a great many for large counts
  */
-function generateDistributions(numTemplates, total) {
-  const results = []
+function* generateDistributions(numTemplates, total) {
+  const buckets = new Array(numTemplates).fill(0)
 
-  function generate(remaining, buckets, index) {
+  function* generate(remaining, index) {
     if (index === numTemplates - 1) {
       buckets[index] = remaining
-      results.push([...buckets])
+      yield [...buckets]
       return
     }
 
     for (let i = 0; i <= remaining; i++) {
       buckets[index] = i
-      generate(remaining - i, buckets, index + 1)
+      yield* generate(remaining - i, index + 1)
     }
   }
 
-  generate(total, new Array(numTemplates).fill(0), 0)
-  return results
+  yield* generate(total, 0)
 }
 
 /**
  * Helper function for single template calculation
  */
-function calculateStockForSingleTemplate(cutPieces, stockTemplate, kerf) {
+function calculateStockForSingleTemplate(cutPieces, stockTemplate, sawProfile, options) {
   if (!cutPieces || cutPieces.length === 0) {
     return { boardsNeeded: 0, boards: [], cutPlan: null }
   }
 
   // Filter out pieces that can physically never fit on this template
   // A piece fits if it can be placed in either orientation within the board dimensions
-  // (accounting for edge kerf on two sides)
-  const usableLength = stockTemplate.length - kerf
-  const usableWidth = stockTemplate.width - kerf
+  // (accounting for edge trim on two sides and end-check trim on both ends)
+  const endTrim = normalizeMillingAllowances(options.milling).endTrim
+  const usableLength = stockTemplate.length - sawProfile.edgeTrim - 2 * endTrim
+  const usableWidth = stockTemplate.width - sawProfile.edgeTrim
   const fittablePieces = cutPieces.filter(piece => {
     const pl = piece.length
     const pw = piece.width
@@ -913,7 +3027,8 @@ function calculateStockForSingleTemplate(cutPieces, stockTemplate, kerf) {
       })
     }
 
-    const cutPlan = optimizeCuts(testBoards, fittablePieces, kerf)
+    const cutPlan = optimizeCuts(testBoards, fittablePieces, sawProfile, options)
+    recordTrial(options, testBoards.length)
 
     if (cutPlan.unplacedPieces.length === 0) {
       result = {
@@ -943,7 +3058,7 @@ function calculateStockForSingleTemplate(cutPieces, stockTemplate, kerf) {
         boardFeet: templateBF
       })
     }
-    const cutPlan = optimizeCuts(testBoards, fittablePieces, kerf)
+    const cutPlan = optimizeCuts(testBoards, fittablePieces, sawProfile, options)
     result = {
       boardsNeeded: high + 1,
       boards: testBoards,
@@ -0,0 +1,148 @@
+/**
+ * Cut Sequence Generator
+ * Works out the order of saw cuts that frees each part from a board layout
+ *
+ * Every cut runs all the way across the piece being cut (a guillotine cut), as on a
+ * table saw: rips run along the board's length, crosscuts across it. Fence settings
+ * are measured from the jointed edge or squared end riding against the fence or stop.
+ * Rips are made before crosscuts wherever a rip can go all the way through, or
+ * crosscuts before rips when breaking a sheet down with a track saw.
+ */
+
+import { formatInches } from './units'
+
+// Positions closer than this (inches) are treated as the same line
+const TOLERANCE = 0.01
+
+/**
+ * Generate the saw steps for one board of a cut plan
+ * @param {Object} assignment - A cut plan assignment ({ length, width, cuts })
+ * @param {Object} sawProfile - { ripKerf, crosscutKerf, edgeTrim } the plan was made with
+ * @param {Object} milling - Milling allowances the plan was made with (for the end-check trim)
+ * @param {Object} options - { crosscutFirst } to prefer crosscuts over rips
+ * @returns {Object} - { steps, guillotine }; guillotine is false when some parts can only
+ *   be freed with a stopped cut
+ *
+ * Steps are numbered in cutting order:
+ * { number, type: 'rip' | 'crosscut' | 'stopped', fence, at, from, to, boardLevel, parts }
+ * - fence: distance from the reference edge to the blade
+ * - at: center of the kerf (y for rips, x for crosscuts), from/to: the cut's extent
+ * - boardLevel: the rip runs the full length of the board
+ * - parts: parts that come free with this cut
+ */
+export function generateCutSequence(assignment, sawProfile = {}, milling = {}, options = {}) {
+  const ripKerf = sawProfile?.ripKerf ?? 0.125
+  const crosscutKerf = sawProfile?.crosscutKerf ?? 0.125
+  const edgeTrim = sawProfile?.edgeTrim || 0
+  const endTrim = milling?.endTrim || 0
+  const steps = []
+  let guillotine = true
+
+  const parts = (assignment.cuts || []).map(cut => ({
+    x: cut.x,
+    y: cut.y,
+    x2: cut.x + cut.length,
+    y2: cut.y + cut.width,
+    label: cut.cutPieceIndex > 0 ? `${cut.cutPieceName} #${cut.cutPieceIndex + 1}` : cut.cutPieceName
+  }))
+
+  // First through cut in a region along one axis: the lowest cut along a part's edge
+  // that crosses no part and isn't just the region's own (already cut) edge.
+  // The kerf goes on the waste side: above a part's far edge, below its near edge.
+  const findThroughCut = (region, pieces, axis) => {
+    const lo = axis === 'y' ? 'y' : 'x'
+    const hi = axis === 'y' ? 'y2' : 'x2'
+    const regionLo = axis === 'y' ? region.y : region.x
+    const regionHi = axis === 'y' ? region.y2 : region.x2
+    const kerf = axis === 'y' ? ripKerf : crosscutKerf
+    // The board's own rough edge and ends are trimmed before the first cut
+    const reference = regionLo + (regionLo < TOLERANCE ? (axis === 'y' ? edgeTrim : endTrim + edgeTrim) : 0)
+
+    const cuts = pieces
+      .flatMap(p => [{ start: p[lo] - kerf, end: p[lo] }, { start: p[hi], end: p[hi] + kerf }])
+      .filter(cut => cut.start > reference + TOLERANCE && cut.end < regionHi - TOLERANCE)
+      .filter(cut => !pieces.some(p => p[lo] < cut.end - TOLERANCE && p[hi] > cut.start + TOLERANCE))
+      .sort((a, b) => a.start - b.start)
+
+    return cuts.length > 0 ? { ...cuts[0], reference } : null
+  }
+
+  const cutRegion = (region, pieces, freedBy) => {
+    if (pieces.length === 0) return
+
+    let rip = null
+    let crosscut = null
+    if (options.crosscutFirst) {
+      crosscut = findThroughCut(region, pieces, 'x')
+      rip = crosscut ? null : findThroughCut(region, pieces, 'y')
+    } else {
+      rip = findThroughCut(region, pieces, 'y')
+      crosscut = rip ? null : findThroughCut(region, pieces, 'x')
+    }
+
+    if (!rip && !crosscut) {
+      if (pieces.length === 1) {
+        // Nothing left to cut away: the part came free with the last cut
+        if (freedBy) freedBy.parts.push(pieces[0].label)
+        return
+      }
+      guillotine = false
+      steps.push({ type: 'stopped', parts: pieces.map(p => p.label) })
+      return
+    }
+
+    const axis = rip ? 'y' : 'x'
+    const { start, end, reference } = rip || crosscut
+    const lo = axis === 'y' ? 'y' : 'x'
+    const hi = axis === 'y' ? 'y2' : 'x2'
+
+    const step = rip
+      ? {
+          type: 'rip',
+          fence: start - reference,
+          at: (start + end) / 2,
+          from: region.x,
+          to: region.x2,
+          boardLevel: region.x < TOLERANCE && region.x2 > assignment.length - TOLERANCE,
+          parts: []
+        }
+      : {
+          type: 'crosscut',
+          fence: start - reference,
+          at: (start + end) / 2,
+          from: region.y,
+          to: region.y2,
+          boardLevel: false,
+          parts: []
+        }
+    steps.push(step)
+
+    // The side against the fence is cut first, then the rest of the piece
+    const lowRegion = { ...region, [hi]: start }
+    const highRegion = { ...region, [lo]: end }
+    cutRegion(lowRegion, pieces.filter(p => p[hi] <= start + TOLERANCE), step)
+    cutRegion(highRegion, pieces.filter(p => p[lo] >= end - TOLERANCE), step)
+  }
+
+  cutRegion({ x: 0, y: 0, x2: assignment.length, y2: assignment.width }, parts, null)
+
+  steps.forEach((step, idx) => {
+    step.number = idx + 1
+  })
+  return { steps, guillotine }
+}
+
+/**
+ * One-line description of a saw step, e.g. "Rip board to 3-1/2" wide"
+ */
+export function describeCutStep(step) {
+  let text
+  if (step.type === 'rip') {
+    text = `${step.boardLevel ? 'Rip board' : 'Rip'} to ${formatInches(step.fence)} wide`
+  } else if (step.type === 'crosscut') {
+    text = `Crosscut at ${formatInches(step.fence)}`
+  } else {
+    return `Stopped cut needed to free ${step.parts.join(', ')} (not a through cut)`
+  }
+  return step.parts.length > 0 ? `${text} — frees ${step.parts.join(', ')}` : text
+}
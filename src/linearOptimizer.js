@@ -0,0 +1,341 @@
+/**
+ * Linear Cut Optimizer
+ * 1D cutting for stock where only length matters: dimensional lumber, S4S boards,
+ * moulding and trim
+ *
+ * Strategy:
+ * 1. Group sticks and parts by profile (e.g. "2x4", "1x6 S4S", "Casing")
+ * 2. Best fit decreasing: longest parts first, each into the open stick it leaves the
+ *    least over in, opening the longest unused stick when none has room
+ * 3. Swap each stick for the shortest unused one that still holds its parts
+ *
+ * Lengths are in inches. Each cut takes a kerf, and each stick loses the end trim at
+ * both ends (squaring off factory ends, splits and damaged ends).
+ */
+
+import { normalizeSawProfile } from './cutOptimizer'
+
+/**
+ * Default linear stock settings
+ * - endTrim: length cut off each end of a stick before parts are cut (inches)
+ */
+export const DEFAULT_LINEAR_SETTINGS = {
+  endTrim: 0.25
+}
+
+// Stock lengths sold at most yards (inches)
+export const LINEAR_STOCK_LENGTHS = [96, 120, 144, 168, 192]
+
+const TOLERANCE = 0.001
+
+/**
+ * Normalize linear stock settings, filling in defaults for missing values
+ */
+export function normalizeLinearSettings(settings) {
+  const normalized = { ...DEFAULT_LINEAR_SETTINGS }
+  if (settings && typeof settings === 'object') {
+    const endTrim = parseFloat(settings.endTrim)
+    if (!isNaN(endTrim) && endTrim >= 0) normalized.endTrim = endTrim
+  }
+  return normalized
+}
+
+/**
+ * Expand sticks and parts with quantity > 1 into individual instances
+ */
+function expandByQuantity(items) {
+  return items.flatMap(item =>
+    Array.from({ length: item.quantity || 1 }, (_, i) => ({
+      ...item,
+      instanceIndex: i,
+      originalId: item.id,
+      uniqueId: `${item.id}-${i}`
+    }))
+  )
+}
+
+/**
+ * Length of a stick's parts with the kerfs between them, from the first part's start
+ */
+function usedLength(parts, kerf) {
+  if (parts.length === 0) return 0
+  return parts.reduce((sum, part) => sum + part.length, 0) + kerf * (parts.length - 1)
+}
+
+/**
+ * Whether a part fits on a stick with the given parts already on it
+ */
+function fitsStick(stickLength, parts, part, kerf, endTrim) {
+  const gap = parts.length > 0 ? kerf : 0
+  return usedLength(parts, kerf) + gap + part.length <= stickLength - 2 * endTrim + TOLERANCE
+}
+
+/**
+ * Best fit decreasing for one profile
+ * openStick(part) returns a new stick for a part that fits no open stick, or null if
+ * there is none. Returns { sticks: [{ stick, parts }], unplaced }.
+ */
+function packProfile(parts, kerf, endTrim, openStick) {
+  const sticks = []
+  const unplaced = []
+  const longestFirst = [...parts].sort((a, b) => b.length - a.length)
+
+  for (const part of longestFirst) {
+    let best = null
+    let bestLeftover = Infinity
+    for (const entry of sticks) {
+      if (!fitsStick(entry.stick.length, entry.parts, part, kerf, endTrim)) continue
+      const leftover = entry.stick.length - 2 * endTrim - usedLength([...entry.parts, part], kerf)
+      if (leftover < bestLeftover) {
+        best = entry
+        bestLeftover = leftover
+      }
+    }
+
+    if (!best) {
+      const stick = openStick(part)
+      if (!stick) {
+        unplaced.push(part)
+        continue
+      }
+      best = { stick, parts: [] }
+      sticks.push(best)
+    }
+    best.parts.push(part)
+  }
+
+  return { sticks, unplaced }
+}
+
+/**
+ * Build a plan assignment for a packed stick
+ * Parts are laid out from the trimmed end, longest first, a kerf apart
+ */
+function makeLinearAssignment(stick, parts, kerf, endTrim) {
+  let x = endTrim
+  const cuts = parts.map(part => {
+    const cut = {
+      cutPieceId: part.originalId,
+      cutPieceName: part.name,
+      cutPieceIndex: part.instanceIndex,
+      x,
+      length: part.length
+    }
+    x += part.length + kerf
+    return cut
+  })
+  const cutLength = parts.reduce((sum, part) => sum + part.length, 0)
+  const used = usedLength(parts, kerf)
+  const pricePerFoot = stick.pricePerFoot || null
+
+  return {
+    stockId: stick.originalId,
+    stockName: stick.name,
+    stockIndex: stick.instanceIndex,
+    uniqueId: stick.uniqueId,
+    profile: stick.profile,
+    length: stick.length,
+    cuts,
+    cutLength,
+    // Offcut past the last part's kerf, before the far end trim
+    offcutLength: Math.max(0, stick.length - 2 * endTrim - used - (parts.length > 0 ? kerf : 0)),
+    pricePerFoot,
+    cost: pricePerFoot ? (stick.length / 12) * pricePerFoot : 0
+  }
+}
+
+/**
+ * Totals, per-profile breakdown and cost for a linear plan's assignments
+ */
+function summarizeLinearPlan(assignments) {
+  const byProfile = new Map()
+  assignments.forEach(a => {
+    if (!byProfile.has(a.profile)) {
+      byProfile.set(a.profile, { profile: a.profile, sticksUsed: 0, stockLength: 0, cutLength: 0 })
+    }
+    const group = byProfile.get(a.profile)
+    group.sticksUsed += 1
+    group.stockLength += a.length
+    group.cutLength += a.cutLength
+  })
+
+  const profiles = [...byProfile.values()].map(group => ({
+    ...group,
+    wasteLength: group.stockLength - group.cutLength,
+    efficiency: group.stockLength > 0 ? (group.cutLength / group.stockLength) * 100 : 0
+  }))
+  const totalStockLength = profiles.reduce((sum, p) => sum + p.stockLength, 0)
+  const totalCutLength = profiles.reduce((sum, p) => sum + p.cutLength, 0)
+
+  return {
+    profiles,
+    sticksUsed: assignments.length,
+    totalStockLength,
+    totalCutLength,
+    wasteLength: totalStockLength - totalCutLength,
+    efficiency: totalStockLength > 0 ? (totalCutLength / totalStockLength) * 100 : 0,
+    cost: assignments.reduce((sum, a) => sum + a.cost, 0)
+  }
+}
+
+/**
+ * Group items by profile
+ */
+function groupByProfile(items) {
+  const groups = {}
+  items.forEach(item => {
+    const key = item.profile || 'Unspecified'
+    if (!groups[key]) groups[key] = []
+    groups[key].push(item)
+  })
+  return groups
+}
+
+/**
+ * Cut parts from the sticks on hand
+ * @param {Array} stock - Sticks { id, name, profile, length, quantity, pricePerFoot }
+ * @param {Array} cutPieces - Parts { id, name, profile, length, quantity }
+ * @param {number|Object} kerf - Saw kerf, or saw profile (its crosscut kerf is used)
+ * @param {Object} options - { linear: { endTrim } }
+ * @returns {Object} - Plan with assignments (one per stick used), totals and warnings
+ */
+export function optimizeLinearCuts(stock, cutPieces, kerf, options = {}) {
+  const sawKerf = normalizeSawProfile(kerf).crosscutKerf
+  const { endTrim } = normalizeLinearSettings(options.linear)
+  const sticksByProfile = groupByProfile(expandByQuantity(stock))
+  const partsByProfile = groupByProfile(expandByQuantity(cutPieces))
+  const assignments = []
+  const warnings = []
+  let unplacedPieces = []
+
+  for (const profile in partsByProfile) {
+    const available = [...(sticksByProfile[profile] || [])].sort((a, b) => b.length - a.length)
+    if (available.length === 0) {
+      warnings.push(`No ${profile} stock available`)
+      unplacedPieces = unplacedPieces.concat(partsByProfile[profile])
+      continue
+    }
+
+    // Longest unused stick the part fits on
+    const openStick = (part) => {
+      const idx = available.findIndex(stick => fitsStick(stick.length, [], part, sawKerf, endTrim))
+      return idx === -1 ? null : available.splice(idx, 1)[0]
+    }
+    const { sticks, unplaced } = packProfile(partsByProfile[profile], sawKerf, endTrim, openStick)
+
+    // Trade each stick for the shortest unused one that still holds its parts
+    sticks.forEach(entry => {
+      const shorter = available
+        .filter(stick => stick.length < entry.stick.length &&
+          usedLength(entry.parts, sawKerf) <= stick.length - 2 * endTrim + TOLERANCE)
+        .sort((a, b) => a.length - b.length)[0]
+      if (shorter) {
+        available.splice(available.indexOf(shorter), 1, entry.stick)
+        entry.stick = shorter
+      }
+      assignments.push(makeLinearAssignment(entry.stick, entry.parts, sawKerf, endTrim))
+    })
+
+    unplaced.forEach(part => {
+      warnings.push(`Could not fit "${part.name}" (${part.length}") on any ${profile} stock`)
+    })
+    unplacedPieces = unplacedPieces.concat(unplaced)
+  }
+
+  return {
+    materialType: 'linear',
+    assignments,
+    ...summarizeLinearPlan(assignments),
+    warnings,
+    unplacedPieces,
+    kerf: sawKerf,
+    endTrim,
+    generatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Work out which sticks to buy for a cut list
+ * Each profile is packed onto as many sticks of its longest available length as it
+ * needs, then each stick is bought at the shortest available length that holds it.
+ * @param {Array} cutPieces - Parts { id, name, profile, length, quantity }
+ * @param {Array} templates - What the yard sells: { profile, length, pricePerFoot }
+ * @param {number|Object} kerf - Saw kerf, or saw profile (its crosscut kerf is used)
+ * @param {Object} options - { linear: { endTrim } }
+ * @returns {Object} - { stock, shoppingList, cutPlan }; stock is ready to save as the project's sticks
+ */
+export function calculateLinearStockNeeded(cutPieces, templates, kerf, options = {}) {
+  const sawKerf = normalizeSawProfile(kerf).crosscutKerf
+  const { endTrim } = normalizeLinearSettings(options.linear)
+  const partsByProfile = groupByProfile(expandByQuantity(cutPieces))
+  const templatesByProfile = groupByProfile(templates)
+  const stock = []
+  let stickId = Date.now()
+
+  for (const profile in partsByProfile) {
+    const lengths = (templatesByProfile[profile] || []).sort((a, b) => a.length - b.length)
+    if (lengths.length === 0) continue
+    const longest = lengths[lengths.length - 1]
+
+    const { sticks } = packProfile(partsByProfile[profile], sawKerf, endTrim, (part) =>
+      fitsStick(longest.length, [], part, sawKerf, endTrim) ? { ...longest } : null
+    )
+
+    // Buy each stick at the shortest length that holds its parts
+    const counts = new Map()
+    sticks.forEach(entry => {
+      const used = usedLength(entry.parts, sawKerf)
+      const template = lengths.find(t => used <= t.length - 2 * endTrim + TOLERANCE)
+      counts.set(template, (counts.get(template) || 0) + 1)
+    })
+    lengths.forEach(template => {
+      const quantity = counts.get(template)
+      if (!quantity) return
+      stock.push({
+        id: stickId++,
+        name: `${profile} × ${formatStockLength(template.length)}`,
+        profile,
+        length: template.length,
+        quantity,
+        pricePerFoot: template.pricePerFoot || null
+      })
+    })
+  }
+
+  const cutPlan = optimizeLinearCuts(stock, cutPieces, kerf, options)
+  return {
+    stock,
+    shoppingList: summarizeLinearShoppingList(cutPlan),
+    cutPlan
+  }
+}
+
+/**
+ * Sticks to buy for a linear plan, one line per profile and length
+ * Returns [{ profile, length, quantity, linearFeet, pricePerFoot, cost }]
+ */
+export function summarizeLinearShoppingList(cutPlan) {
+  const lines = new Map()
+  const assignments = cutPlan?.assignments || []
+  assignments.forEach(a => {
+    const key = `${a.profile}|${a.length}`
+    if (!lines.has(key)) {
+      lines.set(key, { profile: a.profile, length: a.length, quantity: 0, linearFeet: 0, pricePerFoot: a.pricePerFoot, cost: 0 })
+    }
+    const line = lines.get(key)
+    line.quantity += 1
+    line.linearFeet += a.length / 12
+    line.cost += a.cost
+  })
+  return [...lines.values()].sort((a, b) => a.profile.localeCompare(b.profile) || a.length - b.length)
+}
+
+/**
+ * Stick length in feet and inches, e.g. 8' or 10' 6"
+ */
+export function formatStockLength(inches) {
+  const feet = Math.floor((inches + TOLERANCE) / 12)
+  const rest = Math.round((inches - feet * 12) * 100) / 100
+  if (feet === 0) return `${rest}"`
+  return rest > 0 ? `${feet}' ${rest}"` : `${feet}'`
+}
@@ -1,8 +1,11 @@
 /**
  * Lumber Price Database
- * Prices from Capital Hardwood and Supply, Madison WI
+ * Bundled default prices from Capital Hardwood and Supply, Madison WI
  * https://capitalhardwood.com/pages/in-store-price-list
  *
+ * Users keep their own supplier price lists in Supabase; a project priced from one
+ * of those falls back to these defaults for species and thicknesses it doesn't list.
+ *
  * NOTE: These prices are estimates and subject to change.
  * Contact your supplier for actual costs.
  */
@@ -83,31 +86,91 @@ export const sheetGoodsPrices = {
   'MDF 4x8': { '1/2': 34.95, '3/4': 49.95, '1': 69.95, grade: 'Ultra-Light' },
 }
 
+// Price tables built from supplier price lists, by list
+const priceTableCache = new WeakMap()
+
+/**
+ * Price table for a supplier price list, shaped like lumberPrices
+ * Entries dated after today aren't in effect yet; where a species and thickness has
+ * several entries, the latest effective date wins.
+ * @param {Object} priceList - { name, entries: [{ species, thickness, grade, pricePerBF, effectiveDate }] }
+ */
+function getPriceTable(priceList) {
+  if (priceTableCache.has(priceList)) return priceTableCache.get(priceList)
+
+  const today = new Date().toISOString().slice(0, 10)
+  const table = {}
+  const dates = {}
+  ;(priceList.entries || []).forEach(entry => {
+    const price = parseFloat(entry.pricePerBF)
+    const effectiveDate = entry.effectiveDate || ''
+    if (!entry.species || !entry.thickness || isNaN(price) || effectiveDate > today) return
+    const key = `${entry.species}|${entry.thickness}`
+    if (dates[key] !== undefined && dates[key] > effectiveDate) return
+    dates[key] = effectiveDate
+    if (!table[entry.species]) table[entry.species] = {}
+    table[entry.species][entry.thickness] = price
+    if (entry.grade) table[entry.species].grade = entry.grade
+  })
+  priceTableCache.set(priceList, table)
+  return table
+}
+
 /**
  * Get price per board foot for a species and thickness
+ * A supplier price list is tried first (exact or partial species match at that
+ * thickness), then the bundled defaults, where the closest thickness will also do.
  * @param {string} species - The wood species
  * @param {string} thickness - Thickness in lumber notation (e.g., '4/4', '8/4')
+ * @param {Object} [priceList] - The project's supplier price list, if it has one
  * @returns {number|null} Price per board foot, or null if not found
  */
-export function getPricePerBF(species, thickness) {
+export function getPricePerBF(species, thickness, priceList = null) {
+  if (priceList) {
+    const price = getListPricePerBF(species, thickness, priceList)
+    if (price !== null) return price
+  }
+  return findPrice(lumberPrices, species, thickness, true)
+}
+
+/**
+ * Get the price per board foot a supplier price list itself has, without falling
+ * back to the bundled defaults (for comparing one supplier against another)
+ * @param {string} species - The wood species
+ * @param {string} thickness - Thickness in lumber notation (e.g., '4/4', '8/4')
+ * @param {Object} priceList - A supplier price list
+ * @returns {number|null} Price per board foot, or null if the list doesn't have it
+ */
+export function getListPricePerBF(species, thickness, priceList) {
+  return findPrice(getPriceTable(priceList), species, thickness, false)
+}
+
+/**
+ * Look up a price in a price table
+ * @param {boolean} closestThickness - Whether the closest thickness priced will do
+ */
+function findPrice(prices, species, thickness, closestThickness) {
+  // A blank species would partially match every key
+  if (!species) return null
+
   // Direct match
-  if (lumberPrices[species] && lumberPrices[species][thickness]) {
-    return lumberPrices[species][thickness]
+  if (prices[species] && prices[species][thickness]) {
+    return prices[species][thickness]
   }
 
   // Try to find a partial match (e.g., "Cherry" matches "Cherry" or "Cherry - Select")
   const speciesLower = species.toLowerCase()
-  for (const [key, prices] of Object.entries(lumberPrices)) {
+  for (const [key, speciesPrices] of Object.entries(prices)) {
     if (key.toLowerCase().includes(speciesLower) || speciesLower.includes(key.toLowerCase())) {
-      if (prices[thickness]) {
-        return prices[thickness]
+      if (speciesPrices[thickness]) {
+        return speciesPrices[thickness]
       }
     }
   }
 
   // If exact thickness not found, try to find closest available thickness
-  const speciesData = lumberPrices[species]
-  if (speciesData) {
+  const speciesData = prices[species]
+  if (closestThickness && speciesData) {
     // Parse requested thickness to quarters
     const requestedQuarters = parseThicknessToQuarters(thickness)
     if (requestedQuarters) {
@@ -167,15 +230,28 @@ export function getAvailableSpecies() {
   })
 }
 
+/**
+ * Bundled default prices as price list entries, to start a supplier list from
+ * @returns {Array} Array of { species, thickness, grade, pricePerBF }
+ */
+export function getBundledPriceEntries() {
+  return Object.entries(lumberPrices).flatMap(([species, data]) =>
+    Object.keys(data)
+      .filter(k => k !== 'category' && k !== 'grade')
+      .map(thickness => ({ species, thickness, grade: data.grade || '', pricePerBF: data[thickness] }))
+  )
+}
+
 /**
  * Calculate estimated cost for a board
  * @param {number} boardFeet - Total board feet
  * @param {string} species - Wood species
  * @param {string} thickness - Thickness notation
+ * @param {Object} [priceList] - Supplier price list to price from
  * @returns {{ cost: number|null, pricePerBF: number|null, found: boolean }}
  */
-export function calculateBoardCost(boardFeet, species, thickness) {
-  const pricePerBF = getPricePerBF(species, thickness)
+export function calculateBoardCost(boardFeet, species, thickness, priceList = null) {
+  const pricePerBF = getPricePerBF(species, thickness, priceList)
   if (pricePerBF !== null) {
     return {
       cost: boardFeet * pricePerBF,
@@ -189,15 +265,16 @@ export function calculateBoardCost(boardFeet, species, thickness) {
 /**
  * Calculate total estimated cost for multiple boards
  * @param {Array} boards - Array of { boardFeet, species, thickness }
+ * @param {Object} [priceList] - Supplier price list to price from
  * @returns {{ totalCost: number, itemizedCosts: Array, missingPrices: Array }}
  */
-export function calculateTotalCost(boards) {
+export function calculateTotalCost(boards, priceList = null) {
   let totalCost = 0
   const itemizedCosts = []
   const missingPrices = []
 
   for (const board of boards) {
-    const result = calculateBoardCost(board.boardFeet, board.species, board.thickness)
+    const result = calculateBoardCost(board.boardFeet, board.species, board.thickness, priceList)
     if (result.found) {
       totalCost += result.cost
       itemizedCosts.push({
@@ -0,0 +1,72 @@
+/**
+ * Optimizer Client
+ * Runs optimizer tasks in a Web Worker (see optimizerWorker.js) with progress and cancellation
+ */
+
+// How long the optimizer may search before settling for the best plan so far
+export const OPTIMIZER_TIME_BUDGET_MS = 20000
+
+let worker = null
+let nextTaskId = 1
+const pendingTasks = new Map()
+
+function getWorker() {
+  if (worker) return worker
+
+  worker = new Worker(new URL('./optimizerWorker.js', import.meta.url), { type: 'module' })
+
+  worker.onmessage = (event) => {
+    const { id, type } = event.data
+    const task = pendingTasks.get(id)
+    if (!task) return
+
+    if (type === 'progress') {
+      if (task.onProgress) task.onProgress(event.data.progress)
+    } else if (type === 'result') {
+      pendingTasks.delete(id)
+      task.resolve(event.data.result)
+    } else if (type === 'error') {
+      pendingTasks.delete(id)
+      task.reject(new Error(event.data.message))
+    }
+  }
+
+  // A worker that fails to load or crashes takes its tasks with it
+  worker.onerror = (event) => {
+    const error = new Error(event.message || 'Optimizer worker failed')
+    pendingTasks.forEach(task => task.reject(error))
+    pendingTasks.clear()
+    worker.terminate()
+    worker = null
+  }
+
+  return worker
+}
+
+/**
+ * Run an optimizer task in the worker
+ * @param {string} task - 'optimizeCuts' or 'calculateStockNeeded'
+ * @param {Array} args - The function's arguments (must be serializable; no callbacks)
+ * @param {Object} options - { onProgress, timeBudget } (timeBudget in ms)
+ * @returns {Object} - { promise, cancel }; the promise resolves to null if cancelled
+ */
+export function runOptimizerTask(task, args, { onProgress, timeBudget = OPTIMIZER_TIME_BUDGET_MS } = {}) {
+  const id = nextTaskId++
+
+  const promise = new Promise((resolve, reject) => {
+    pendingTasks.set(id, { resolve, reject, onProgress })
+    getWorker().postMessage({ id, task, args, timeBudget })
+  })
+
+  const cancel = () => {
+    if (!pendingTasks.has(id) || !worker) return
+    // The task can't be interrupted inside the worker, so stop the worker itself;
+    // any other task it was running is cancelled with it
+    worker.terminate()
+    worker = null
+    pendingTasks.forEach(pending => pending.resolve(null))
+    pendingTasks.clear()
+  }
+
+  return { promise, cancel }
+}
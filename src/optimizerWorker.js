@@ -0,0 +1,61 @@
+/**
+ * Optimizer Web Worker
+ * Runs the cut optimizer off the main thread so large cut lists don't freeze the page
+ *
+ * Messages in:  { id, task: 'optimizeCuts' | 'replanCutPlan' | 'calculateStockNeeded' |
+ *                  'optimizeLinearCuts' | 'calculateLinearStockNeeded' | 'optimizeSheetCuts',
+ *                  args, timeBudget }
+ * Messages out: { id, type: 'progress', progress }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ *
+ * The optimizer runs synchronously, so cancelling a task terminates the worker
+ * (see optimizerClient.js)
+ */
+
+import { optimizeCuts, calculateStockNeeded, replanCutPlan } from './cutOptimizer'
+import { optimizeLinearCuts, calculateLinearStockNeeded } from './linearOptimizer'
+import { optimizeSheetCuts } from './sheetOptimizer'
+
+const TASKS = {
+  optimizeCuts,
+  replanCutPlan,
+  calculateStockNeeded,
+  optimizeLinearCuts,
+  calculateLinearStockNeeded,
+  optimizeSheetCuts
+}
+
+// Progress messages are throttled; sizing stock can try thousands of boards
+const PROGRESS_INTERVAL_MS = 100
+
+self.onmessage = (event) => {
+  const { id, task, args, timeBudget } = event.data
+  const [stock, cutPieces, kerf, options = {}] = args
+
+  // An update dropped by the throttle is kept, so the last one is still sent
+  let lastProgressAt = 0
+  let pendingProgress = null
+  const onProgress = (progress) => {
+    const now = Date.now()
+    if (now - lastProgressAt < PROGRESS_INTERVAL_MS) {
+      pendingProgress = progress
+      return
+    }
+    lastProgressAt = now
+    pendingProgress = null
+    self.postMessage({ id, type: 'progress', progress })
+  }
+
+  try {
+    const result = TASKS[task](stock, cutPieces, kerf, {
+      ...options,
+      onProgress,
+      deadline: timeBudget ? Date.now() + timeBudget : undefined
+    })
+    if (pendingProgress) self.postMessage({ id, type: 'progress', progress: pendingProgress })
+    self.postMessage({ id, type: 'result', result })
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message })
+  }
+}
@@ -1,4 +1,8 @@
 import { jsPDF } from 'jspdf'
+import { generateCutSequence, describeCutStep } from './cutSequence'
+import { planLaminationLayers, describeSawProfile } from './cutOptimizer'
+import { SHEET_STRATEGIES } from './sheetGoods'
+import { formatInches } from './units'
 
 // Brand colors
 const COLORS = {
@@ -8,7 +12,8 @@ const COLORS = {
   deepNavy: [10, 17, 42],
   charcoal: [44, 44, 44],
   workshopCream: [245, 241, 232],
-  white: [255, 255, 255]
+  white: [255, 255, 255],
+  defectRed: [192, 57, 43]
 }
 
 // Fallback cut piece colors for pieces without species
@@ -125,10 +130,24 @@ function calculateBoardFeet(thickness, width, length) {
   return (thickness * width * length) / 144
 }
 
+/**
+ * One-line milling allowance description (null when none apply)
+ */
+function describeMillingAllowances(milling) {
+  if (!milling) return null
+  const parts = []
+  if (milling.lengthOversize > 0) parts.push(`+${formatInches(milling.lengthOversize)} length`)
+  if (milling.widthOversize > 0) parts.push(`+${formatInches(milling.widthOversize)} width`)
+  if (milling.endTrim > 0) parts.push(`${formatInches(milling.endTrim)} end trim per board end`)
+  return parts.length > 0 ? `Milling allowances (diagrams show rough sizes): ${parts.join(', ')}` : null
+}
+
 /**
  * Export project to PDF
+ * @param {Object} project - The project, with its boards, cut list and plans
+ * @param {Object} [options] - { costEstimate }: line-itemized estimate from estimateProjectCost
  */
-export function exportProjectToPDF(project) {
+export function exportProjectToPDF(project, { costEstimate = null } = {}) {
   const doc = new jsPDF({
     orientation: 'portrait',
     unit: 'pt',
@@ -287,10 +306,23 @@ export function exportProjectToPDF(project) {
       doc.setTextColor(...COLORS.charcoal)
       doc.text(piece.name || 'Unnamed', cutCols[0], y + 12)
       doc.text(`${piece.length}" × ${piece.width}"`, cutCols[1], y + 12)
-      doc.text(piece.thickness, cutCols[2], y + 12)
+      doc.text(piece.finishedThickness ? `${piece.thickness} → ${formatInches(piece.finishedThickness)}` : piece.thickness, cutCols[2], y + 12)
       doc.text(qty.toString(), cutCols[3], y + 12)
       doc.text(bf.toFixed(2), cutCols[4], y + 12)
       y += 18
+
+      // Laminated pieces list the layer blanks they're glued up from
+      const layers = piece.lamination ? planLaminationLayers(piece, project.planSettings?.milling) : null
+      if (layers && layers.layerCount > 1) {
+        doc.setFontSize(9)
+        for (let layer = 0; layer < layers.layerCount; layer++) {
+          checkPageBreak(14)
+          doc.text(`${piece.name || 'Unnamed'} — layer ${layer + 1} of ${layers.layerCount}`, cutCols[0] + 10, y + 10)
+          doc.text(layers.layerThickness, cutCols[2], y + 10)
+          y += 14
+        }
+        doc.setFontSize(10)
+      }
     })
 
     // Totals row
@@ -340,6 +372,113 @@ export function exportProjectToPDF(project) {
     doc.text('BOARDS USED', margin + statWidth * 2.5, y + 28, { align: 'center' })
     y += 50
 
+    // Per thickness/species breakdown when the plan mixes stock
+    if (cutPlan.groups && cutPlan.groups.length > 1) {
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      cutPlan.groups.forEach(group => {
+        checkPageBreak(15)
+        const label = `${group.thickness}${group.species ? ` ${group.species}` : ''}`
+        doc.text(`${label}: ${group.boardsUsed} board${group.boardsUsed === 1 ? '' : 's'}, ${group.stockBF.toFixed(2)} BF stock, ${group.partBF.toFixed(2)} BF parts, ${group.wasteBF.toFixed(2)} BF waste (${group.efficiency.toFixed(1)}%)`, margin, y - 5)
+        y += 12
+      })
+      y += 4
+    }
+
+    if (cutPlan.sawProfile) {
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      doc.text(`Saw profile: ${describeSawProfile(cutPlan.sawProfile)}`, margin, y - 5)
+      y += 12
+    }
+
+    const millingText = describeMillingAllowances(cutPlan.milling)
+    if (millingText) {
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      doc.text(millingText, margin, y - 5)
+      y += 12
+    }
+
+    // Boards resawn into thinner slices
+    if (cutPlan.resawnBoards && cutPlan.resawnBoards.length > 0) {
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      doc.text(`Resaw: bandsaw kerf ${formatInches(cutPlan.resaw.kerf)}, planing loss ${formatInches(cutPlan.resaw.planingLoss)} per slice`, margin, y - 5)
+      y += 12
+      cutPlan.resawnBoards.forEach(board => {
+        checkPageBreak(15)
+        let label = board.stockBoardName
+        if (board.stockBoardIndex > 0) {
+          label += ` (#${board.stockBoardIndex + 1})`
+        }
+        doc.text(`  ${label} (${board.thickness}) - ${board.sliceCount} × ${formatInches(board.sliceThickness)} slices, ${board.slicesUsed} used`, margin, y - 5)
+        y += 12
+      })
+    }
+
+    // Match groups: where each group's parts come from
+    if (cutPlan.matchGroups && cutPlan.matchGroups.length > 0) {
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      cutPlan.matchGroups.forEach(group => {
+        checkPageBreak(15)
+        const boards = [...new Set(group.parts.map(part =>
+          part.stockBoardIndex > 0 ? `${part.stockBoardName} (#${part.stockBoardIndex + 1})` : part.stockBoardName
+        ))]
+        const where = group.inSequence ? `end to end on ${boards[0]}` : `from ${boards.join(', ')}`
+        doc.text(`Match group ${group.name}: ${where}`, margin, y - 5)
+        y += 12
+      })
+    }
+
+    // Parts cut from a substitute species
+    if (cutPlan.substitutions && cutPlan.substitutions.length > 0) {
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      cutPlan.substitutions.forEach(sub => {
+        checkPageBreak(15)
+        const name = sub.cutPieceIndex > 0 ? `${sub.name} #${sub.cutPieceIndex + 1}` : sub.name
+        const board = sub.stockBoardIndex > 0 ? `${sub.stockBoardName} (#${sub.stockBoardIndex + 1})` : sub.stockBoardName
+        doc.text(`Substitution ${name}: ${sub.toSpecies} instead of ${sub.fromSpecies}, from ${board}`, margin, y - 5)
+        y += 12
+      })
+    }
+
+        // Laminated parts: which board each layer comes from
+    if (cutPlan.laminations && cutPlan.laminations.length > 0) {
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      cutPlan.laminations.forEach(lamination => {
+        checkPageBreak(15 + lamination.layers.length * 12)
+        const name = lamination.pieceInstance > 0 ? `${lamination.name} #${lamination.pieceInstance + 1}` : lamination.name
+        doc.text(`Lamination ${name}: ${lamination.layerCount} layers of ${lamination.layerThickness}`, margin, y - 5)
+        y += 12
+        lamination.layers.forEach(layer => {
+          const board = layer.stockBoardIndex > 0 ? `${layer.stockBoardName} (#${layer.stockBoardIndex + 1})` : layer.stockBoardName
+          doc.text(`  Layer ${layer.layerIndex + 1} of ${lamination.layerCount}: ${board}`, margin, y - 5)
+          y += 12
+        })
+      })
+    }
+
+    // Glue-up panels: which board each strip comes from, in glue-up order
+    if (cutPlan.panels && cutPlan.panels.length > 0) {
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      cutPlan.panels.forEach(panel => {
+        checkPageBreak(15 + panel.strips.length * 12)
+        const name = panel.panelInstance > 0 ? `${panel.name} #${panel.panelInstance + 1}` : panel.name
+        doc.text(`Panel ${name}: ${panel.length}" × ${panel.width}" from ${panel.stripCount} strips of ${formatInches(panel.stripWidth)}, ${formatInches(panel.jointAllowance)} jointed per glue line`, margin, y - 5)
+        y += 12
+        panel.strips.forEach(strip => {
+          const board = strip.stockBoardIndex > 0 ? `${strip.stockBoardName} (#${strip.stockBoardIndex + 1})` : strip.stockBoardName
+          doc.text(`  Strip ${strip.stripIndex + 1}: ${board}`, margin, y - 5)
+          y += 12
+        })
+      })
+    }
+
     // Warnings
     if (cutPlan.warnings && cutPlan.warnings.length > 0) {
       cutPlan.warnings.forEach(warning => {
@@ -382,6 +521,14 @@ export function exportProjectToPDF(project) {
       doc.setFont('helvetica', 'normal')
       doc.setTextColor(...COLORS.charcoal)
       let dimsText = ` - ${assignment.length}" × ${assignment.width}" × ${assignment.thickness}`
+      if (assignment.remnantId !== undefined) {
+        dimsText += ' (from remnant inventory)'
+      }
+      if (assignment.resaw) {
+        dimsText += assignment.resaw.sliceCount > 1
+          ? `, slice ${assignment.resaw.sliceIndex + 1} of ${assignment.resaw.sliceCount} (${formatInches(assignment.resaw.sliceThickness)})`
+          : `, planed to ${formatInches(assignment.resaw.sliceThickness)}`
+      }
       doc.text(dimsText, margin + doc.getTextWidth(boardLabel), y + 12)
 
       // Add species with color dot if available
@@ -440,7 +587,65 @@ export function exportProjectToPDF(project) {
         }
       })
 
+      // Draw defect zones marked on this board (red box with a cross)
+      const stockBoard = (project.boards || []).find(b => b.id === assignment.stockBoardId)
+      const defects = (stockBoard?.defects || []).filter(d =>
+        (d.instanceIndex || 0) === (assignment.stockBoardIndex || 0)
+      )
+      if (defects.length > 0) {
+        doc.setDrawColor(...COLORS.defectRed)
+        doc.setLineWidth(1)
+        defects.forEach(defect => {
+          const defectX = diagramX + defect.x * scale
+          const defectY = y + defect.y * scale
+          const defectWidth = defect.length * scale
+          const defectHeight = defect.width * scale
+          doc.rect(defectX, defectY, defectWidth, defectHeight, 'S')
+          doc.line(defectX, defectY, defectX + defectWidth, defectY + defectHeight)
+          doc.line(defectX, defectY + defectHeight, defectX + defectWidth, defectY)
+        })
+        doc.setLineWidth(0.2)
+
+        doc.setTextColor(...COLORS.defectRed)
+        doc.setFontSize(8)
+        doc.setFont('helvetica', 'normal')
+        doc.text(`Defects: ${defects.map(d => `${d.type || 'defect'} ${d.length}" × ${d.width}" at ${d.x}"`).join(', ')}`, diagramX, y + diagramHeight + 10)
+        y += 12
+      }
+
+      // Numbered saw steps: cut lines on the diagram, then the step-by-step list
+      const { steps } = generateCutSequence(assignment, cutPlan.sawProfile, cutPlan.milling)
+      doc.setDrawColor(...COLORS.defectRed)
+      doc.setFontSize(6)
+      doc.setFont('helvetica', 'bold')
+      steps.filter(step => step.type !== 'stopped').forEach(step => {
+        const isRip = step.type === 'rip'
+        const x1 = diagramX + (isRip ? step.from : step.at) * scale
+        const y1 = y + (isRip ? step.at : step.from) * scale
+        const x2 = diagramX + (isRip ? step.to : step.at) * scale
+        const y2 = y + (isRip ? step.at : step.to) * scale
+        doc.setLineDashPattern([3, 2], 0)
+        doc.line(x1, y1, x2, y2)
+        doc.setLineDashPattern([], 0)
+        doc.setFillColor(...COLORS.defectRed)
+        doc.circle(x1 + (isRip ? 5 : 0), y1 + (isRip ? 0 : 5), 4, 'F')
+        doc.setTextColor(...COLORS.white)
+        doc.text(String(step.number), x1 + (isRip ? 5 : 0), y1 + (isRip ? 2 : 7), { align: 'center' })
+      })
+
       y += diagramHeight + 20
+
+      if (steps.length > 0) {
+        doc.setTextColor(...COLORS.charcoal)
+        doc.setFontSize(8)
+        doc.setFont('helvetica', 'normal')
+        steps.forEach(step => {
+          checkPageBreak(12)
+          doc.text(`${step.number}. ${describeCutStep(step)}`, margin + 10, y - 5)
+          y += 10
+        })
+        y += 10
+      }
     })
   }
 
@@ -595,8 +800,8 @@ export function exportProjectToPDF(project) {
       doc.setFont('helvetica', 'bold')
 
       doc.text(`${sheetCutPlan.efficiency.toFixed(1)}%`, margin + statWidth * 0.5, y + 15, { align: 'center' })
-      doc.text(`${sheetCutPlan.waste.toFixed(2)} sq ft`, margin + statWidth * 1.5, y + 15, { align: 'center' })
-      doc.text(`${sheetCutPlan.boardsUsed}/${sheetCutPlan.totalStockBoards}`, margin + statWidth * 2.5, y + 15, { align: 'center' })
+      doc.text(`${sheetCutPlan.wasteArea.toFixed(1)} sq ft`, margin + statWidth * 1.5, y + 15, { align: 'center' })
+      doc.text(`${sheetCutPlan.sheetsUsed}/${sheetCutPlan.totalSheets}`, margin + statWidth * 2.5, y + 15, { align: 'center' })
 
       doc.setFontSize(8)
       doc.setFont('helvetica', 'normal')
@@ -605,6 +810,12 @@ export function exportProjectToPDF(project) {
       doc.text('SHEETS USED', margin + statWidth * 2.5, y + 28, { align: 'center' })
       y += 50
 
+      doc.setTextColor(...COLORS.charcoal)
+      doc.setFontSize(9)
+      const strategyLabel = SHEET_STRATEGIES[sheetCutPlan.strategy]?.label
+      doc.text(`${strategyLabel ? `${strategyLabel} • ` : ''}Saw profile: ${describeSawProfile(sheetCutPlan.sawProfile)}`, margin, y - 5)
+      y += 12
+
       // Warnings
       if (sheetCutPlan.warnings && sheetCutPlan.warnings.length > 0) {
         sheetCutPlan.warnings.forEach(warning => {
@@ -637,9 +848,9 @@ export function exportProjectToPDF(project) {
         doc.setTextColor(...COLORS.deepNavy)
         doc.setFontSize(11)
         doc.setFont('helvetica', 'bold')
-        let sheetLabel = assignment.stockBoardName || 'Sheet'
-        if (assignment.stockBoardIndex > 0) {
-          sheetLabel += ` (#${assignment.stockBoardIndex + 1})`
+        let sheetLabel = assignment.sheetName || 'Sheet'
+        if (assignment.sheetIndex > 0) {
+          sheetLabel += ` (#${assignment.sheetIndex + 1})`
         }
         doc.text(sheetLabel, margin, y + 12)
 
@@ -648,10 +859,10 @@ export function exportProjectToPDF(project) {
         let sheetDims = ` - ${assignment.length}" × ${assignment.width}" × ${assignment.thickness}`
         doc.text(sheetDims, margin + doc.getTextWidth(sheetLabel), y + 12)
 
-        if (assignment.species) {
-          const speciesX = margin + doc.getTextWidth(sheetLabel) + doc.getTextWidth(sheetDims) + 10
+        if (assignment.product) {
+          const productX = margin + doc.getTextWidth(sheetLabel) + doc.getTextWidth(sheetDims) + 10
           doc.setTextColor(...COLORS.charcoal)
-          doc.text(` ${assignment.species}`, speciesX, y + 12)
+          doc.text(` ${assignment.product}`, productX, y + 12)
         }
         y += 20
 
@@ -661,6 +872,16 @@ export function exportProjectToPDF(project) {
         doc.setDrawColor(...COLORS.charcoal)
         doc.rect(diagramX, y, diagramWidth, diagramHeight, 'FD')
 
+        // Factory edge trim along the sheet's sides
+        if (assignment.trim) {
+          const { left = 0, right = 0, bottom = 0, top = 0 } = assignment.trim
+          doc.setFillColor(200, 200, 200)
+          if (left > 0) doc.rect(diagramX, y, left * scale, diagramHeight, 'F')
+          if (right > 0) doc.rect(diagramX + diagramWidth - right * scale, y, right * scale, diagramHeight, 'F')
+          if (bottom > 0) doc.rect(diagramX, y, diagramWidth, bottom * scale, 'F')
+          if (top > 0) doc.rect(diagramX, y + diagramHeight - top * scale, diagramWidth, top * scale, 'F')
+        }
+
         // Draw cuts
         assignment.cuts.forEach((cut, cutIdx) => {
           const cutX = diagramX + cut.x * scale
@@ -672,7 +893,17 @@ export function exportProjectToPDF(project) {
           const textColor = getContrastColor(color)
           doc.setFillColor(...color)
           doc.setDrawColor(...COLORS.deepNavy)
-          doc.rect(cutX, cutY, cutWidth, cutHeight, 'FD')
+          if (cut.outline) {
+            // Shaped parts: their real outline, as segments relative to the previous point
+            const [first, ...rest] = cut.outline
+            const segments = [...rest, first].map((point, i) => {
+              const from = i === 0 ? first : rest[i - 1]
+              return [(point[0] - from[0]) * scale, (point[1] - from[1]) * scale]
+            })
+            doc.lines(segments, cutX + first[0] * scale, cutY + first[1] * scale, [1, 1], 'FD', true)
+          } else {
+            doc.rect(cutX, cutY, cutWidth, cutHeight, 'FD')
+          }
 
           if (cutWidth > 30 && cutHeight > 12) {
             doc.setTextColor(...textColor)
@@ -695,9 +926,77 @@ export function exportProjectToPDF(project) {
 
         y += diagramHeight + 20
       })
+
+      // Edge banding to buy
+      const edgeBanding = sheetCutPlan.edgeBanding || []
+      if (edgeBanding.length > 0) {
+        checkPageBreak(60 + edgeBanding.length * 18)
+        doc.setTextColor(...COLORS.slateBlue)
+        doc.setFontSize(14)
+        doc.setFont('helvetica', 'bold')
+        doc.text('Edge Banding', margin, y)
+        y += 15
+
+        doc.setFillColor(...COLORS.skyBlue)
+        doc.rect(margin, y, contentWidth, 20, 'F')
+        doc.setTextColor(...COLORS.deepNavy)
+        doc.setFontSize(10)
+        const bandCols = [margin + 5, margin + 250, margin + 340, margin + 420]
+        doc.text('Material', bandCols[0], y + 14)
+        doc.text('Thickness', bandCols[1], y + 14)
+        doc.text('Edges', bandCols[2], y + 14)
+        doc.text('Linear Ft', bandCols[3], y + 14)
+        y += 20
+
+        doc.setFont('helvetica', 'normal')
+        edgeBanding.forEach((line, idx) => {
+          if (idx % 2 === 0) {
+            doc.setFillColor(250, 250, 250)
+            doc.rect(margin, y, contentWidth, 18, 'F')
+          }
+          doc.setTextColor(...COLORS.charcoal)
+          doc.text(line.material, bandCols[0], y + 12)
+          doc.text(formatInches(line.thickness), bandCols[1], y + 12)
+          doc.text(line.edges.toString(), bandCols[2], y + 12)
+          doc.text(line.linearFeet.toFixed(1), bandCols[3], y + 12)
+          y += 18
+        })
+        y += 15
+      }
     }
   }
 
+  // Cost Estimate Section
+  if (costEstimate) {
+    checkPageBreak(60 + costEstimate.lines.length * 18)
+    doc.setTextColor(...COLORS.slateBlue)
+    doc.setFontSize(16)
+    doc.setFont('helvetica', 'bold')
+    doc.text('Cost Estimate', margin, y)
+    y += 20
+
+    doc.setFontSize(10)
+    doc.setFont('helvetica', 'normal')
+    costEstimate.lines.forEach((line, idx) => {
+      if (idx % 2 === 0) {
+        doc.setFillColor(250, 250, 250)
+        doc.rect(margin, y, contentWidth, 18, 'F')
+      }
+      doc.setTextColor(...COLORS.charcoal)
+      doc.text(line.detail ? `${line.label} (${line.detail})` : line.label, margin + 5, y + 12)
+      doc.text(`$${line.amount.toFixed(2)}`, margin + contentWidth - 5, y + 12, { align: 'right' })
+      y += 18
+    })
+
+    doc.setFillColor(...COLORS.craftsmanOrange)
+    doc.rect(margin, y, contentWidth, 22, 'F')
+    doc.setTextColor(...COLORS.white)
+    doc.setFont('helvetica', 'bold')
+    doc.text('ESTIMATE TOTAL', margin + 5, y + 15)
+    doc.text(`$${costEstimate.total.toFixed(2)}`, margin + contentWidth - 5, y + 15, { align: 'right' })
+    y += 35
+  }
+
   // Footer on last page
   const footerY = pageHeight - 25
   doc.setTextColor(...COLORS.charcoal)
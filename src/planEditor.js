@@ -0,0 +1,201 @@
+/**
+ * Cut Plan Editor
+ * Helpers for rearranging a lumber cut plan by hand: snapping parts against kerf
+ * spacing, live overlap and bounds checks, and the locks the optimizer keeps fixed
+ *
+ * Positions use the cut plan's coordinates: x along the board's length, y across its
+ * width, both in inches from the board's bottom-left corner.
+ */
+
+// Edges within this distance (inches) pull a dragged part against them
+const SNAP_DISTANCE = 1
+// Off the snap lines, positions round to 1/16"
+const GRID = 1 / 16
+const TOLERANCE = 0.001
+
+/**
+ * Area of a board parts may be placed in
+ * The first edge and end are jointed and squared (edge trim) and end checks are cut
+ * off both ends (end trim), as the optimizer allows for when packing
+ */
+export function getUsableArea(assignment, sawProfile = {}, milling = {}) {
+  const edgeTrim = sawProfile?.edgeTrim || 0
+  const endTrim = milling?.endTrim || 0
+  return {
+    minX: endTrim + edgeTrim,
+    maxX: assignment.length - endTrim,
+    minY: edgeTrim,
+    maxY: assignment.width
+  }
+}
+
+/**
+ * Label for a cut, e.g. "Leg #2"
+ */
+function cutLabel(cut) {
+  return cut.cutPieceIndex > 0 ? `${cut.cutPieceName} #${cut.cutPieceIndex + 1}` : cut.cutPieceName
+}
+
+/**
+ * Snap a part's position against the board's usable edges, the other parts
+ * (one kerf away) and defects; otherwise round it to 1/16"
+ * @param {Object} assignment - Board the part is placed on
+ * @param {Object} rect - { x, y, length, width } of the part being placed
+ * @param {Object} options - { sawProfile, milling, defects, ignoreCutIndex }
+ * @returns {Object} - { x, y }
+ */
+export function snapPlacement(assignment, rect, options = {}) {
+  const { sawProfile = {}, milling = {}, defects = [], ignoreCutIndex = -1 } = options
+  const ripKerf = sawProfile.ripKerf ?? 0.125
+  const crosscutKerf = sawProfile.crosscutKerf ?? 0.125
+  const area = getUsableArea(assignment, sawProfile, milling)
+  const obstacles = [
+    ...assignment.cuts.filter((cut, idx) => idx !== ignoreCutIndex),
+    ...defects
+  ]
+
+  // Crosscuts separate parts along the length, rips across the width
+  const xLines = [
+    area.minX,
+    area.maxX - rect.length,
+    ...obstacles.flatMap(o => [o.x + o.length + crosscutKerf, o.x - crosscutKerf - rect.length])
+  ]
+  const yLines = [
+    area.minY,
+    area.maxY - rect.width,
+    ...obstacles.flatMap(o => [o.y + o.width + ripKerf, o.y - ripKerf - rect.width])
+  ]
+
+  const snap = (value, lines) => {
+    const nearest = lines.reduce((best, line) =>
+      Math.abs(line - value) < Math.abs(best - value) ? line : best, Infinity)
+    return Math.abs(nearest - value) <= SNAP_DISTANCE ? nearest : Math.round(value / GRID) * GRID
+  }
+
+  return { x: snap(rect.x, xLines), y: snap(rect.y, yLines) }
+}
+
+/**
+ * Problems with placing a part at rect on a board
+ * Parts need a kerf between them and around defects; parts can't run past the usable area
+ * @param {Object} assignment - Board the part is placed on
+ * @param {Object} rect - { x, y, length, width } of the part being placed
+ * @param {Object} options - { sawProfile, milling, defects, ignoreCutIndex }
+ * @returns {Array} - Messages; empty when the placement is valid
+ */
+export function findPlacementConflicts(assignment, rect, options = {}) {
+  const { sawProfile = {}, milling = {}, defects = [], ignoreCutIndex = -1 } = options
+  const ripKerf = sawProfile.ripKerf ?? 0.125
+  const crosscutKerf = sawProfile.crosscutKerf ?? 0.125
+  const area = getUsableArea(assignment, sawProfile, milling)
+  const conflicts = []
+
+  if (rect.x < area.minX - TOLERANCE || rect.y < area.minY - TOLERANCE ||
+      rect.x + rect.length > area.maxX + TOLERANCE || rect.y + rect.width > area.maxY + TOLERANCE) {
+    conflicts.push('Outside the usable board (after edge and end trim)')
+  }
+
+  assignment.cuts.forEach((cut, idx) => {
+    if (idx === ignoreCutIndex) return
+    const tooClose = rect.x < cut.x + cut.length + crosscutKerf - TOLERANCE &&
+      cut.x < rect.x + rect.length + crosscutKerf - TOLERANCE &&
+      rect.y < cut.y + cut.width + ripKerf - TOLERANCE &&
+      cut.y < rect.y + rect.width + ripKerf - TOLERANCE
+    if (tooClose) conflicts.push(`Overlaps ${cutLabel(cut)} (parts need a kerf between them)`)
+  })
+
+  // The optimizer leaves a kerf around defects too, so the blade has room to cut the part free
+  defects.forEach(defect => {
+    const tooClose = rect.x < defect.x + defect.length + crosscutKerf - TOLERANCE &&
+      defect.x < rect.x + rect.length + crosscutKerf - TOLERANCE &&
+      rect.y < defect.y + defect.width + ripKerf - TOLERANCE &&
+      defect.y < rect.y + rect.width + ripKerf - TOLERANCE
+    if (tooClose) conflicts.push('Over a marked defect (parts need a kerf clear of it)')
+  })
+
+  return conflicts
+}
+
+/**
+ * Whether a part may be turned 90° on the board
+ * Parts with a grain direction must keep it
+ */
+export function canRotateCut(cut) {
+  return (cut.grainDirection || 'any') === 'any'
+}
+
+/**
+ * Whether parts can move from one board of a plan to another
+ * Boards must share thickness and species; resawn slices can't be edited
+ */
+export function canMoveBetween(source, target) {
+  return !source.resaw && !target.resaw &&
+    source.thickness === target.thickness &&
+    (source.species || null) === (target.species || null)
+}
+
+/**
+ * Move a part to a new position, board or orientation
+ * The moved part is locked, so the next optimizer run keeps it where it was put.
+ * @param {Array} assignments - The plan's assignments
+ * @param {Object} from - { assignmentIndex, cutIndex }
+ * @param {Object} to - { assignmentIndex, x, y, rotated }
+ * @returns {Array} - New assignments
+ */
+export function moveCut(assignments, from, to) {
+  const cut = assignments[from.assignmentIndex].cuts[from.cutIndex]
+  const turned = Boolean(to.rotated) !== Boolean(cut.rotated)
+  const moved = {
+    ...cut,
+    x: to.x,
+    y: to.y,
+    length: turned ? cut.width : cut.length,
+    width: turned ? cut.length : cut.width,
+    rotated: Boolean(to.rotated),
+    locked: true
+  }
+
+  return assignments.map((assignment, idx) => {
+    let cuts = assignment.cuts
+    if (idx === from.assignmentIndex) cuts = cuts.filter((c, cutIdx) => cutIdx !== from.cutIndex)
+    if (idx === to.assignmentIndex) cuts = [...cuts, moved]
+    return cuts === assignment.cuts ? assignment : { ...assignment, cuts }
+  })
+}
+
+/**
+ * Unlock parts so the optimizer is free to move them again
+ * @param {Array} assignments - The plan's assignments
+ * @param {Object} [only] - { assignmentIndex, cutIndex } to unlock one part; all parts otherwise
+ * @returns {Array} - New assignments
+ */
+export function unlockCuts(assignments, only) {
+  return assignments.map((assignment, idx) => {
+    if (only && idx !== only.assignmentIndex) return assignment
+    return {
+      ...assignment,
+      cuts: assignment.cuts.map((cut, cutIdx) => {
+        if (!cut.locked || (only && cutIdx !== only.cutIndex)) return cut
+        return { ...cut, locked: false }
+      })
+    }
+  })
+}
+
+/**
+ * Locked parts of a plan, in the form the optimizer takes as options.lockedPlacements
+ * Returns [{ cutPieceId, cutPieceIndex, stockBoardId, stockBoardIndex, x, y, rotated }]
+ */
+export function getLockedPlacements(assignments) {
+  return assignments.flatMap(assignment =>
+    assignment.resaw ? [] : assignment.cuts.filter(cut => cut.locked).map(cut => ({
+      cutPieceId: cut.cutPieceId,
+      cutPieceIndex: cut.cutPieceIndex,
+      stockBoardId: assignment.stockBoardId,
+      stockBoardIndex: assignment.stockBoardIndex,
+      x: cut.x,
+      y: cut.y,
+      rotated: Boolean(cut.rotated)
+    }))
+  )
+}
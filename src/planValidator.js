@@ -0,0 +1,195 @@
+/**
+ * Cut Plan Validator
+ * Checks a stored lumber cut plan against its own layout and the project's current
+ * boards and cut list. Plans are saved with the project, so they go stale when boards
+ * or parts are edited afterwards; hand edits and older optimizer versions can also
+ * leave layouts the saw can't cut.
+ *
+ * Issues are grouped as:
+ * - stale: the project changed since the plan was made (boards removed or resized,
+ *   parts added, removed or resized)
+ * - invalid: the layout itself is wrong (overlaps, parts off the board, missing
+ *   kerfs, parts turned against their grain, parts placed twice)
+ */
+
+import { normalizeSawProfile, normalizeMillingAllowances, prepareCutPieces } from './cutOptimizer'
+import { getUsableArea } from './planEditor'
+
+const TOLERANCE = 0.001
+
+// Issue types that mean the project changed rather than the layout being wrong
+const STALE_TYPES = ['missingBoard', 'boardChanged', 'notPlaced', 'removedPart', 'partChanged']
+
+/**
+ * Label for a cut, e.g. "Leg #2"
+ */
+function cutLabel(cut) {
+  return cut.cutPieceIndex > 0 ? `${cut.cutPieceName} #${cut.cutPieceIndex + 1}` : cut.cutPieceName
+}
+
+/**
+ * Label for a board in the plan, e.g. "Walnut 8/4 #2"
+ */
+function boardLabel(assignment) {
+  return `${assignment.stockBoardName} #${assignment.stockBoardIndex + 1}`
+}
+
+/**
+ * How far apart two cuts are along each axis; negative when they overlap on it
+ */
+function cutGaps(a, b) {
+  return {
+    x: Math.max(b.x - (a.x + a.length), a.x - (b.x + b.length)),
+    y: Math.max(b.y - (a.y + a.width), a.y - (b.y + b.width))
+  }
+}
+
+/**
+ * Layout problems on one board: parts off the usable area, overlapping parts and
+ * parts closer together than a kerf
+ */
+function checkBoardLayout(assignment, assignmentIndex, sawProfile, milling) {
+  const issues = []
+  const area = getUsableArea(assignment, sawProfile, milling)
+  const board = boardLabel(assignment)
+
+  assignment.cuts.forEach((cut, cutIndex) => {
+    if (cut.x < area.minX - TOLERANCE || cut.y < area.minY - TOLERANCE ||
+        cut.x + cut.length > area.maxX + TOLERANCE || cut.y + cut.width > area.maxY + TOLERANCE) {
+      issues.push({
+        type: 'outOfBounds',
+        assignmentIndex,
+        cutIndex,
+        message: `${cutLabel(cut)} runs past the usable area of ${board}`
+      })
+    }
+
+    for (let otherIndex = cutIndex + 1; otherIndex < assignment.cuts.length; otherIndex++) {
+      const other = assignment.cuts[otherIndex]
+      const gaps = cutGaps(cut, other)
+      if (gaps.x < -TOLERANCE && gaps.y < -TOLERANCE) {
+        issues.push({
+          type: 'overlap',
+          assignmentIndex,
+          cutIndex,
+          message: `${cutLabel(cut)} overlaps ${cutLabel(other)} on ${board}`
+        })
+      } else if (gaps.x < sawProfile.crosscutKerf - TOLERANCE && gaps.y < sawProfile.ripKerf - TOLERANCE) {
+        issues.push({
+          type: 'kerf',
+          assignmentIndex,
+          cutIndex,
+          message: `${cutLabel(cut)} and ${cutLabel(other)} on ${board} are closer than a kerf`
+        })
+      }
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Validate a lumber cut plan
+ * @param {Object} plan - Cut plan from optimizeCuts
+ * @param {Array} boards - The project's stock boards as they are now
+ * @param {Array} pieces - The cut list as it is now, multiplied by the project quantity
+ * @param {number|Object} kerf - Saw kerf or saw profile; defaults to the plan's own
+ * @returns {Object} - { valid, stale, invalid, issues: [{ type, message, assignmentIndex?, cutIndex? }] }
+ */
+export function validateCutPlan(plan, boards = [], pieces = [], kerf = plan?.sawProfile) {
+  if (!plan?.assignments) return { valid: true, stale: false, invalid: false, issues: [] }
+
+  const sawProfile = normalizeSawProfile(kerf)
+  const milling = normalizeMillingAllowances(plan.milling)
+  const issues = []
+
+  // Boards: every board the plan cuts from must still be in the project at that size.
+  // Shop remnants aren't project boards, so they're left alone.
+  const boardsById = new Map(boards.map(board => [board.id, board]))
+  plan.assignments.forEach((assignment, assignmentIndex) => {
+    if (assignment.remnantId !== undefined) return
+    const board = boardsById.get(assignment.stockBoardId)
+    if (!board || assignment.stockBoardIndex >= (board.quantity || 1)) {
+      issues.push({
+        type: 'missingBoard',
+        assignmentIndex,
+        message: `${boardLabel(assignment)} is no longer in the project's stock`
+      })
+      return
+    }
+    // Resawn slices are thinner and narrower than the board they came from
+    const resized = assignment.resaw
+      ? Math.abs(board.length - assignment.length) > TOLERANCE
+      : Math.abs(board.length - assignment.length) > TOLERANCE ||
+        Math.abs(board.width - assignment.width) > TOLERANCE ||
+        board.thickness !== assignment.thickness
+    if (resized) {
+      issues.push({
+        type: 'boardChanged',
+        assignmentIndex,
+        message: `${boardLabel(assignment)} has changed size since the plan was made`
+      })
+    }
+  })
+
+  // Layout on each board
+  plan.assignments.forEach((assignment, assignmentIndex) => {
+    issues.push(...checkBoardLayout(assignment, assignmentIndex, sawProfile, milling))
+  })
+
+  // Parts as the optimizer would cut them now: panels split into strips and laminated
+  // parts into layers, one entry per instance
+  const expected = new Map()
+  prepareCutPieces(pieces, boards, { milling: plan.milling, resaw: plan.resaw }).forEach(piece => {
+    for (let i = 0; i < (piece.quantity || 1); i++) {
+      expected.set(`${piece.id}-${i}`, { piece, instanceIndex: i })
+    }
+  })
+
+  // Grain, duplicates and parts that have left the cut list
+  const placed = new Set()
+  plan.assignments.forEach((assignment, assignmentIndex) => {
+    assignment.cuts.forEach((cut, cutIndex) => {
+      const key = `${cut.cutPieceId}-${cut.cutPieceIndex}`
+      const piece = expected.get(key)?.piece
+      const label = cutLabel(cut)
+
+      if (placed.has(key)) {
+        issues.push({ type: 'duplicate', assignmentIndex, cutIndex, message: `${label} is placed more than once` })
+      }
+      placed.add(key)
+
+      if (!piece) {
+        issues.push({ type: 'removedPart', assignmentIndex, cutIndex, message: `${label} is no longer in the cut list` })
+        return
+      }
+      if (Math.abs(piece.finishedLength - cut.finishedLength) > TOLERANCE ||
+          Math.abs(piece.finishedWidth - cut.finishedWidth) > TOLERANCE) {
+        issues.push({ type: 'partChanged', assignmentIndex, cutIndex, message: `${label} has changed size since the plan was made` })
+      }
+
+      const grainDirection = piece.grainDirection || 'any'
+      if ((grainDirection === 'length' && cut.rotated) || (grainDirection === 'width' && !cut.rotated)) {
+        issues.push({
+          type: 'grain',
+          assignmentIndex,
+          cutIndex,
+          message: `${label} is turned against its grain direction`
+        })
+      }
+    })
+  })
+
+  // Parts the plan neither places nor lists as unplaced
+  const unplaced = new Set((plan.unplacedPieces || []).map(piece =>
+    piece.uniqueId ?? `${piece.originalId ?? piece.id}-${piece.instanceIndex ?? 0}`))
+  expected.forEach(({ piece, instanceIndex }, key) => {
+    if (placed.has(key) || unplaced.has(key)) return
+    const label = instanceIndex > 0 ? `${piece.name} #${instanceIndex + 1}` : piece.name
+    issues.push({ type: 'notPlaced', message: `${label} is in the cut list but not in the plan` })
+  })
+
+  const stale = issues.some(issue => STALE_TYPES.includes(issue.type))
+  const invalid = issues.some(issue => !STALE_TYPES.includes(issue.type))
+  return { valid: issues.length === 0, stale, invalid, issues }
+}
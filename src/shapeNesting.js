@@ -0,0 +1,635 @@
+/**
+ * Shape Nesting
+ * Part shapes for sheet goods (rectangles, circles, polygons and SVG paths) and a nester
+ * that packs them on a sheet by their real outlines
+ *
+ * Strategy:
+ * 1. Every shape becomes a polygon outline in inches, with its bounding box at the origin
+ * 2. Parts are placed largest first; each rotation the grain direction allows is tried at
+ *    candidate spots beside the parts already on the sheet
+ * 3. A part that fits is slid toward the sheet's squared end and reference edge until it
+ *    is a kerf from its neighbours, so outlines nest into each other's hollows
+ *
+ * Two rectangles are checked against each other by their bounding boxes alone (the fast
+ * path); any other pair by the distance between their outline edges.
+ */
+
+import { normalizeSheetTrim } from './sheetGoods'
+
+// Shapes a sheet cut piece can have
+export const PART_SHAPES = {
+  rectangle: 'Rectangle',
+  circle: 'Circle',
+  polygon: 'Polygon',
+  path: 'SVG Path'
+}
+
+const TOLERANCE = 0.001
+
+// Segments used to approximate a full circle
+const CIRCLE_SEGMENTS = 48
+
+// Segments used to approximate each Bézier curve in an SVG path
+const CURVE_SEGMENTS = 12
+
+// Steps (inches) a placed part is slid by, coarse to fine
+const SLIDE_STEPS = [8, 4, 2, 1, 0.5, 0.25, 0.125, 0.0625]
+
+// Placements that fit are slid and compared; past this many per rotation the search stops
+const MAX_FITTING_CANDIDATES = 8
+
+/**
+ * Normalize a part shape, falling back to a rectangle when it's missing or invalid
+ * Shapes: { type: 'rectangle' }, { type: 'circle', diameter },
+ * { type: 'polygon', points: [[x, y], ...] }, { type: 'path', path } (SVG path data)
+ */
+export function normalizePartShape(shape) {
+  if (!shape || typeof shape !== 'object') return { type: 'rectangle' }
+
+  if (shape.type === 'circle') {
+    const diameter = parseFloat(shape.diameter)
+    if (diameter > 0) return { type: 'circle', diameter }
+  }
+  if (shape.type === 'polygon' && Array.isArray(shape.points)) {
+    const points = shape.points
+      .map(point => [parseFloat(point[0]), parseFloat(point[1])])
+      .filter(([x, y]) => !isNaN(x) && !isNaN(y))
+    if (points.length >= 3 && Math.abs(polygonArea(points)) > TOLERANCE) return { type: 'polygon', points }
+  }
+  if (shape.type === 'path' && typeof shape.path === 'string' && shape.path.trim()) {
+    const path = shape.path.trim()
+    if (outlineFromPath(path)) return { type: 'path', path }
+  }
+  return { type: 'rectangle' }
+}
+
+/**
+ * Whether a piece has a shape other than a rectangle (or, once placed, an outline)
+ */
+export function isShapedPart(piece) {
+  return Boolean(piece?.outline) || normalizePartShape(piece?.shape).type !== 'rectangle'
+}
+
+/**
+ * Outline of a shape as polygon points, with its bounding box at the origin
+ * Rectangles use the piece's length and width; other shapes carry their own size.
+ */
+export function getShapeOutline(shape, length, width) {
+  const normalized = normalizePartShape(shape)
+  switch (normalized.type) {
+    case 'circle': {
+      const r = normalized.diameter / 2
+      return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+        const angle = (i / CIRCLE_SEGMENTS) * 2 * Math.PI
+        return [r + r * Math.cos(angle), r + r * Math.sin(angle)]
+      })
+    }
+    case 'polygon':
+      return toOrigin(normalized.points)
+    case 'path':
+      return toOrigin(outlineFromPath(normalized.path))
+    default:
+      return [[0, 0], [length, 0], [length, width], [0, width]]
+  }
+}
+
+/**
+ * Bounding box size of a shape: { length, width }, or null for rectangles (which are
+ * sized by the piece)
+ */
+export function getShapeSize(shape) {
+  const normalized = normalizePartShape(shape)
+  if (normalized.type === 'rectangle') return null
+  const bounds = getBounds(getShapeOutline(normalized))
+  return { length: roundSize(bounds.maxX), width: roundSize(bounds.maxY) }
+}
+
+/**
+ * Round a size to a thousandth of an inch, dropping floating point noise from curves
+ */
+function roundSize(value) {
+  return Math.round(value * 1000) / 1000
+}
+
+/**
+ * Area of a polygon (positive, square inches)
+ */
+export function polygonArea(points) {
+  let sum = 0
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length]
+    sum += x1 * y2 - x2 * y1
+  })
+  return Math.abs(sum) / 2
+}
+
+/**
+ * Parse polygon coordinates typed as "x,y" pairs, separated by spaces, new lines or semicolons
+ * Returns [[x, y], ...] or null if any pair can't be read
+ */
+export function parsePolygonPoints(text) {
+  const pairs = (text || '').split(/[\s;]+/).filter(Boolean)
+  const points = pairs.map(pair => pair.split(',').map(parseFloat))
+  if (points.some(point => point.length !== 2 || point.some(isNaN))) return null
+  return points
+}
+
+/**
+ * Path data of the first <path> in an SVG file, or null if there is none
+ */
+export function extractSvgPath(svgText) {
+  const match = /<path\b[^>]*\sd\s*=\s*("([^"]*)"|'([^']*)')/i.exec(svgText || '')
+  return match ? (match[2] ?? match[3]).trim() : null
+}
+
+/**
+ * Bounding box of a list of points
+ */
+function getBounds(points) {
+  return {
+    minX: Math.min(...points.map(p => p[0])),
+    minY: Math.min(...points.map(p => p[1])),
+    maxX: Math.max(...points.map(p => p[0])),
+    maxY: Math.max(...points.map(p => p[1]))
+  }
+}
+
+/**
+ * Move points so their bounding box starts at the origin
+ */
+function toOrigin(points) {
+  const { minX, minY } = getBounds(points)
+  return points.map(([x, y]) => [x - minX, y - minY])
+}
+
+/**
+ * Outline of a shape turned by a multiple of 90°, bounding box at the origin
+ */
+export function getPlacedOutline(shape, length, width, rotation = 0) {
+  return rotateOutline(getShapeOutline(shape, length, width), rotation)
+}
+
+/**
+ * Turn an outline by a multiple of 90°, keeping its bounding box at the origin
+ */
+function rotateOutline(outline, rotation) {
+  const turned = outline.map(([x, y]) => {
+    switch (rotation) {
+      case 90: return [-y, x]
+      case 180: return [-x, -y]
+      case 270: return [y, -x]
+      default: return [x, y]
+    }
+  })
+  return toOrigin(turned)
+}
+
+/**
+ * Outline of SVG path data: the subpath enclosing the most area, curves flattened
+ * Supports M, L, H, V, C, S, Q, T, A and Z, absolute and relative. Returns null if the
+ * path has no closed area.
+ */
+function outlineFromPath(d) {
+  const subpaths = []
+  let current = []
+  let x = 0
+  let y = 0
+  let startX = 0
+  let startY = 0
+  let lastControl = null
+  let lastCommand = ''
+  let i = 0
+
+  const skipSeparators = () => {
+    while (i < d.length && /[\s,]/.test(d[i])) i++
+  }
+  const readNumber = () => {
+    skipSeparators()
+    const match = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(d.slice(i))
+    if (!match) throw new Error('Invalid path number')
+    i += match[0].length
+    return parseFloat(match[0])
+  }
+  // Arc flags may be written without separators ("a5 5 0 01 10 0")
+  const readFlag = () => {
+    skipSeparators()
+    const flag = d[i]
+    if (flag !== '0' && flag !== '1') throw new Error('Invalid arc flag')
+    i++
+    return flag === '1'
+  }
+  const hasNumber = () => {
+    skipSeparators()
+    return i < d.length && /[\d.+-]/.test(d[i])
+  }
+  const lineTo = (nx, ny) => {
+    x = nx
+    y = ny
+    current.push([x, y])
+  }
+  const closeSubpath = () => {
+    if (current.length >= 3) subpaths.push(current)
+    current = []
+  }
+
+  try {
+    while (i < d.length) {
+      skipSeparators()
+      if (i >= d.length) break
+      let command = d[i]
+      if (/[MmLlHhVvCcSsQqTtAaZz]/.test(command)) {
+        i++
+      } else if (lastCommand && hasNumber()) {
+        // Repeated parameters repeat the last command (a moveto repeats as lineto)
+        command = lastCommand === 'M' ? 'L' : lastCommand === 'm' ? 'l' : lastCommand
+      } else {
+        return null
+      }
+      const relative = command === command.toLowerCase()
+      const ox = relative ? x : 0
+      const oy = relative ? y : 0
+
+      switch (command.toUpperCase()) {
+        case 'M': {
+          closeSubpath()
+          const nx = ox + readNumber()
+          const ny = oy + readNumber()
+          startX = nx
+          startY = ny
+          lineTo(nx, ny)
+          lastControl = null
+          break
+        }
+        case 'L':
+          lineTo(ox + readNumber(), oy + readNumber())
+          lastControl = null
+          break
+        case 'H':
+          lineTo(ox + readNumber(), y)
+          lastControl = null
+          break
+        case 'V':
+          lineTo(x, oy + readNumber())
+          lastControl = null
+          break
+        case 'C':
+        case 'S': {
+          const smooth = command.toUpperCase() === 'S'
+          const [x0, y0] = [x, y]
+          const c1 = smooth
+            ? (lastControl && /[CcSs]/.test(lastCommand) ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y])
+            : [ox + readNumber(), oy + readNumber()]
+          const c2 = [ox + readNumber(), oy + readNumber()]
+          const end = [ox + readNumber(), oy + readNumber()]
+          for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+            const t = s / CURVE_SEGMENTS
+            const mt = 1 - t
+            lineTo(
+              mt * mt * mt * x0 + 3 * mt * mt * t * c1[0] + 3 * mt * t * t * c2[0] + t * t * t * end[0],
+              mt * mt * mt * y0 + 3 * mt * mt * t * c1[1] + 3 * mt * t * t * c2[1] + t * t * t * end[1]
+            )
+          }
+          lastControl = c2
+          break
+        }
+        case 'Q':
+        case 'T': {
+          const smooth = command.toUpperCase() === 'T'
+          const [x0, y0] = [x, y]
+          const c = smooth
+            ? (lastControl && /[QqTt]/.test(lastCommand) ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y])
+            : [ox + readNumber(), oy + readNumber()]
+          const end = [ox + readNumber(), oy + readNumber()]
+          for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+            const t = s / CURVE_SEGMENTS
+            const mt = 1 - t
+            lineTo(
+              mt * mt * x0 + 2 * mt * t * c[0] + t * t * end[0],
+              mt * mt * y0 + 2 * mt * t * c[1] + t * t * end[1]
+            )
+          }
+          lastControl = c
+          break
+        }
+        case 'A': {
+          const rx = readNumber()
+          const ry = readNumber()
+          const rotation = readNumber()
+          const largeArc = readFlag()
+          const sweep = readFlag()
+          const end = [ox + readNumber(), oy + readNumber()]
+          arcPoints(x, y, rx, ry, rotation, largeArc, sweep, end[0], end[1]).forEach(([px, py]) => lineTo(px, py))
+          lastControl = null
+          break
+        }
+        case 'Z':
+          x = startX
+          y = startY
+          closeSubpath()
+          lastControl = null
+          break
+      }
+      lastCommand = command
+    }
+  } catch {
+    return null
+  }
+  closeSubpath()
+
+  // Drop repeated points (a closing point equal to the start included)
+  const cleaned = subpaths
+    .map(points => points.filter((point, idx) => {
+      const next = points[(idx + 1) % points.length]
+      return Math.abs(point[0] - next[0]) > TOLERANCE || Math.abs(point[1] - next[1]) > TOLERANCE
+    }))
+    .filter(points => points.length >= 3)
+  if (cleaned.length === 0) return null
+
+  const outline = cleaned.reduce((best, points) => polygonArea(points) > polygonArea(best) ? points : best)
+  return polygonArea(outline) > TOLERANCE ? outline : null
+}
+
+/**
+ * Points along an SVG elliptical arc (endpoint parameterization, SVG spec F.6.5),
+ * excluding the start point
+ */
+function arcPoints(x1, y1, rx, ry, rotationDegrees, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [[x2, y2]]
+  rx = Math.abs(rx)
+  ry = Math.abs(ry)
+  const phi = (rotationDegrees * Math.PI) / 180
+  const cos = Math.cos(phi)
+  const sin = Math.sin(phi)
+  const dx = (x1 - x2) / 2
+  const dy = (y1 - y2) / 2
+  const x1p = cos * dx + sin * dy
+  const y1p = -sin * dx + cos * dy
+
+  // Radii too small to reach the end point are scaled up
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry)
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda)
+    ry *= Math.sqrt(lambda)
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p
+  let coef = denominator > 0 ? Math.sqrt(Math.max(0, numerator / denominator)) : 0
+  if (largeArc === sweep) coef = -coef
+  const cxp = (coef * rx * y1p) / ry
+  const cyp = (-coef * ry * x1p) / rx
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy)
+  const startAngle = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry)
+  let sweepAngle = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry)
+  if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI
+  if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI
+
+  const segments = Math.max(4, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 24)))
+  return Array.from({ length: segments }, (_, s) => {
+    const t = startAngle + (sweepAngle * (s + 1)) / segments
+    return [
+      cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+      cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+    ]
+  })
+}
+
+/**
+ * Shortest distance from point p to segment ab
+ */
+function pointToSegment(p, a, b) {
+  const dx = b[0] - a[0]
+  const dy = b[1] - a[1]
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq)) : 0
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy))
+}
+
+/**
+ * Whether segments ab and cd cross
+ */
+function segmentsCross(a, b, c, d) {
+  const side = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0])
+  const d1 = side(c, d, a)
+  const d2 = side(c, d, b)
+  const d3 = side(a, b, c)
+  const d4 = side(a, b, d)
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))
+}
+
+/**
+ * Whether a point is inside a polygon (ray casting)
+ */
+function pointInPolygon([px, py], polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i]
+    const [xj, yj] = polygon[j]
+    if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * A part outline placed at (x, y), with its bounding box and edges for collision checks
+ */
+function placeOutline(outline, x, y, isRect) {
+  const points = outline.map(([px, py]) => [px + x, py + y])
+  const edges = points.map((a, i) => {
+    const b = points[(i + 1) % points.length]
+    return {
+      a,
+      b,
+      minX: Math.min(a[0], b[0]),
+      maxX: Math.max(a[0], b[0]),
+      minY: Math.min(a[1], b[1]),
+      maxY: Math.max(a[1], b[1])
+    }
+  })
+  return { points, edges, isRect, ...getBounds(points) }
+}
+
+/**
+ * Whether two placed outlines are closer than the gap (overlapping counts as closer)
+ */
+function tooClose(a, b, gap) {
+  const limit = gap - TOLERANCE
+  if (a.minX >= b.maxX + limit || b.minX >= a.maxX + limit ||
+      a.minY >= b.maxY + limit || b.minY >= a.maxY + limit) {
+    return false
+  }
+  // Fast path: rectangles are their bounding boxes
+  if (a.isRect && b.isRect) return true
+
+  for (const ea of a.edges) {
+    for (const eb of b.edges) {
+      if (ea.minX >= eb.maxX + limit || eb.minX >= ea.maxX + limit ||
+          ea.minY >= eb.maxY + limit || eb.minY >= ea.maxY + limit) {
+        continue
+      }
+      if (segmentsCross(ea.a, ea.b, eb.a, eb.b)) return true
+      const distance = Math.min(
+        pointToSegment(ea.a, eb.a, eb.b),
+        pointToSegment(ea.b, eb.a, eb.b),
+        pointToSegment(eb.a, ea.a, ea.b),
+        pointToSegment(eb.b, ea.a, ea.b)
+      )
+      if (distance < limit) return true
+    }
+  }
+  // One inside the other without any edges meeting
+  return pointInPolygon(a.points[0], b.points) || pointInPolygon(b.points[0], a.points)
+}
+
+/**
+ * Rotations (degrees) a part may be placed at
+ * grainDirection 'length' keeps the part's length along the sheet, 'width' turns it
+ * across; turning end for end (180°) keeps the grain where it was.
+ */
+function allowedRotations(piece, shapeType) {
+  if (shapeType === 'circle') return [0]
+  const rotations = shapeType === 'rectangle' ? [[0], [90]] : [[0, 180], [90, 270]]
+  if (piece.grainDirection === 'length') return rotations[0]
+  if (piece.grainDirection === 'width') return rotations[1]
+  return rotations.flat()
+}
+
+/**
+ * Nest parts on one sheet by their outlines
+ * Pieces may carry a shape (see normalizePartShape); rectangles are nested too, so they
+ * fill the space around shaped parts. Parts already on the board (board.preplaced) stay
+ * where they are. Returns the placements in the packer's strip format, as one strip
+ * covering the sheet, so they go into a plan assignment like any other board:
+ * { strips, unplacedPieces, placedPieceIds, freeRects }
+ * Placed parts carry x, y, placedLength, placedWidth, rotated, rotation, outline (points
+ * relative to x, y) and shapeArea.
+ */
+export function nestPartsOnBoard(board, pieces, sawProfile, packing = {}) {
+  const gap = Math.max(sawProfile.ripKerf, sawProfile.crosscutKerf)
+  const endTrim = Math.min(packing.endTrim || 0, board.length / 2)
+  const trim = normalizeSheetTrim(board.trim)
+  // Usable area: end trim at both ends and factory edge trim on each side, then the
+  // squared end and reference edge trimmed
+  const area = {
+    minX: endTrim + trim.left + sawProfile.edgeTrim,
+    minY: trim.bottom + sawProfile.edgeTrim,
+    maxX: board.length - endTrim - trim.right,
+    maxY: board.width - trim.top
+  }
+
+  const placedParts = []
+  const occupied = []
+  ;(board.preplaced || []).forEach(part => {
+    const isRect = !isShapedPart(part)
+    const outline = part.outline || (isRect
+      ? [[0, 0], [part.placedLength, 0], [part.placedLength, part.placedWidth], [0, part.placedWidth]]
+      : rotateOutline(getShapeOutline(part.shape, part.length, part.width), part.rotation || 0))
+    occupied.push(placeOutline(outline, part.x, part.y, isRect))
+    placedParts.push({
+      ...part,
+      ...(!isRect && { outline, shapeArea: part.shapeArea ?? polygonArea(outline) })
+    })
+  })
+
+  const prepared = pieces.map(piece => {
+    const shape = normalizePartShape(piece.shape)
+    const outline = getShapeOutline(shape, piece.length, piece.width)
+    return { piece, shapeType: shape.type, outline, shapeArea: polygonArea(outline) }
+  }).sort((a, b) => b.shapeArea - a.shapeArea)
+
+  const unplacedPieces = []
+  for (const { piece, shapeType, outline, shapeArea } of prepared) {
+    const isRect = shapeType === 'rectangle'
+    let best = null
+
+    for (const rotation of allowedRotations(piece, shapeType)) {
+      const turned = rotateOutline(outline, rotation)
+      const w = roundSize(getBounds(turned).maxX)
+      const h = roundSize(getBounds(turned).maxY)
+      if (w > area.maxX - area.minX + TOLERANCE || h > area.maxY - area.minY + TOLERANCE) continue
+
+      const fits = (x, y) => {
+        if (x < area.minX - TOLERANCE || y < area.minY - TOLERANCE ||
+            x + w > area.maxX + TOLERANCE || y + h > area.maxY + TOLERANCE) {
+          return false
+        }
+        const candidate = placeOutline(turned, x, y, isRect)
+        return !occupied.some(other => tooClose(candidate, other, gap))
+      }
+
+      // Slide toward the squared end, then the reference edge, until nothing moves
+      const slide = (x, y) => {
+        let moved = true
+        while (moved) {
+          moved = false
+          if (x > area.minX + TOLERANCE && fits(area.minX, y)) {
+            x = area.minX
+            moved = true
+          }
+          for (const step of SLIDE_STEPS) {
+            while (fits(x - step, y)) {
+              x -= step
+              moved = true
+            }
+          }
+          if (y > area.minY + TOLERANCE && fits(x, area.minY)) {
+            y = area.minY
+            moved = true
+          }
+          for (const step of SLIDE_STEPS) {
+            while (fits(x, y - step)) {
+              y -= step
+              moved = true
+            }
+          }
+        }
+        return [x, y]
+      }
+
+      // Candidate spots: the usable area's corner, and beside each part already placed
+      const xs = [...new Set([area.minX, ...occupied.map(o => o.maxX + gap)])].sort((a, b) => a - b)
+      const ys = [...new Set([area.minY, ...occupied.map(o => o.maxY + gap)])].sort((a, b) => a - b)
+      let fitting = 0
+      for (const x of xs) {
+        if (fitting >= MAX_FITTING_CANDIDATES) break
+        for (const y of ys) {
+          if (!fits(x, y)) continue
+          const [sx, sy] = slide(x, y)
+          if (!best || sx < best.x - TOLERANCE || (Math.abs(sx - best.x) <= TOLERANCE && sy < best.y - TOLERANCE)) {
+            best = { x: sx, y: sy, rotation, outline: turned, w, h }
+          }
+          if (++fitting >= MAX_FITTING_CANDIDATES) break
+        }
+      }
+    }
+
+    if (!best) {
+      unplacedPieces.push(piece)
+      continue
+    }
+    occupied.push(placeOutline(best.outline, best.x, best.y, isRect))
+    placedParts.push({
+      ...piece,
+      x: best.x,
+      y: best.y,
+      placedLength: best.w,
+      placedWidth: best.h,
+      rotated: best.rotation === 90 || best.rotation === 270,
+      ...(!isRect && { rotation: best.rotation, outline: best.outline, shapeArea })
+    })
+  }
+
+  return {
+    strips: placedParts.length > 0
+      ? [{ y: 0, width: board.width, length: board.length, pieces: placedParts }]
+      : [],
+    unplacedPieces,
+    placedPieceIds: new Set(placedParts.map(p => p.uniqueId)),
+    freeRects: []
+  }
+}
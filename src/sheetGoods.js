@@ -0,0 +1,160 @@
+/**
+ * Sheet Goods
+ * Factory edge trim for sheet products and edge banding for sheet parts
+ *
+ * Sides follow the cut plan diagram: left and right are the sheet's ends (along its
+ * length), bottom and top its edges (across its width), with the bottom edge against
+ * the fence. Part edges: L1/L2 run along the part's length, W1/W2 along its width.
+ * Measurements are in inches.
+ */
+
+// How the sheets are cut, matching the equipment
+export const SHEET_STRATEGIES = {
+  panelSaw: {
+    label: 'Panel Saw',
+    description: 'Full-length rips first, then crosscuts (panel saw or table saw)'
+  },
+  trackSaw: {
+    label: 'Track Saw',
+    description: 'Crosscuts first to break the sheet down on the floor, then rips'
+  },
+  cnc: {
+    label: 'CNC',
+    description: 'Parts nested anywhere on the sheet by their outlines; no through cuts needed'
+  }
+}
+
+export const DEFAULT_SHEET_STRATEGY = 'panelSaw'
+
+// Factory edge trim on each side of a sheet (inches)
+export const DEFAULT_SHEET_TRIM = {
+  left: 0,
+  right: 0,
+  bottom: 0,
+  top: 0
+}
+
+export const SHEET_TRIM_SIDES = [
+  { key: 'left', label: 'Left End' },
+  { key: 'right', label: 'Right End' },
+  { key: 'bottom', label: 'Bottom Edge' },
+  { key: 'top', label: 'Top Edge' }
+]
+
+export const EDGE_BANDING_EDGES = [
+  { key: 'l1', label: 'L1' },
+  { key: 'l2', label: 'L2' },
+  { key: 'w1', label: 'W1' },
+  { key: 'w2', label: 'W2' }
+]
+
+// Common banding thicknesses (inches)
+export const EDGE_BANDING_THICKNESSES = [
+  { value: 0.02, label: '0.5 mm veneer' },
+  { value: 0.04, label: '1 mm PVC' },
+  { value: 0.08, label: '2 mm PVC' },
+  { value: 0.125, label: '1/8" solid wood' },
+  { value: 0.25, label: '1/4" solid wood' }
+]
+
+// Extra banding per edge, trimmed flush after it's applied (inches)
+export const EDGE_BANDING_OVERHANG = 1
+
+/**
+ * Normalize a sheet's factory edge trim, filling in defaults for missing values
+ */
+export function normalizeSheetTrim(trim) {
+  const normalized = { ...DEFAULT_SHEET_TRIM }
+  if (trim && typeof trim === 'object') {
+    SHEET_TRIM_SIDES.forEach(({ key }) => {
+      const value = parseFloat(trim[key])
+      if (!isNaN(value) && value >= 0) normalized[key] = value
+    })
+  }
+  return normalized
+}
+
+/**
+ * Normalize sheet goods settings
+ * - strategy: how the sheets are cut (see SHEET_STRATEGIES)
+ * - productTrim: factory edge trim per sheet product, e.g. { 'MDF': { left: 0.25, ... } }
+ */
+export function normalizeSheetSettings(settings) {
+  const productTrim = {}
+  Object.entries(settings?.productTrim || {}).forEach(([product, trim]) => {
+    productTrim[product] = normalizeSheetTrim(trim)
+  })
+  const strategy = SHEET_STRATEGIES[settings?.strategy] ? settings.strategy : DEFAULT_SHEET_STRATEGY
+  return { strategy, productTrim }
+}
+
+/**
+ * Factory edge trim for a sheet product (no trim when none is set)
+ */
+export function getSheetTrim(settings, product) {
+  return normalizeSheetTrim(settings?.productTrim?.[product])
+}
+
+/**
+ * Normalize a part's edge banding
+ * { l1, l2, w1, w2, thickness, material }; returns null when no edge is banded
+ */
+export function normalizeEdgeBanding(banding) {
+  if (!banding || typeof banding !== 'object') return null
+  const edges = Object.fromEntries(EDGE_BANDING_EDGES.map(({ key }) => [key, Boolean(banding[key])]))
+  if (!Object.values(edges).some(Boolean)) return null
+  const thickness = parseFloat(banding.thickness)
+  return {
+    ...edges,
+    thickness: !isNaN(thickness) && thickness >= 0 ? thickness : EDGE_BANDING_THICKNESSES[0].value,
+    material: (banding.material || '').trim() || 'Edge banding'
+  }
+}
+
+/**
+ * How much banding takes off a part's cut size: { length, width }
+ * Banding on the W edges shortens the part; banding on the L edges narrows it.
+ */
+export function getEdgeBandingAllowance(banding) {
+  const normalized = normalizeEdgeBanding(banding)
+  if (!normalized) return { length: 0, width: 0 }
+  return {
+    length: normalized.thickness * (Number(normalized.w1) + Number(normalized.w2)),
+    width: normalized.thickness * (Number(normalized.l1) + Number(normalized.l2))
+  }
+}
+
+/**
+ * Banded edges as a short label, e.g. "L1, L2, W1"
+ */
+export function describeEdgeBanding(banding) {
+  const normalized = normalizeEdgeBanding(banding)
+  if (!normalized) return ''
+  return EDGE_BANDING_EDGES.filter(({ key }) => normalized[key]).map(({ label }) => label).join(', ')
+}
+
+/**
+ * Banding to buy for a cut list, one line per material and thickness
+ * Each banded edge takes its finished length plus the overhang.
+ * Returns [{ material, thickness, edges, linearFeet }]
+ */
+export function summarizeEdgeBanding(cutPieces) {
+  const lines = new Map()
+  cutPieces.forEach(piece => {
+    const banding = normalizeEdgeBanding(piece.edgeBanding)
+    if (!banding) return
+    const key = `${banding.material}|${banding.thickness}`
+    if (!lines.has(key)) {
+      lines.set(key, { material: banding.material, thickness: banding.thickness, edges: 0, linearFeet: 0 })
+    }
+    const line = lines.get(key)
+    const quantity = piece.quantity || 1
+    EDGE_BANDING_EDGES.forEach(({ key: edge }) => {
+      if (!banding[edge]) return
+      const edgeLength = edge.startsWith('l') ? piece.length : piece.width
+      line.edges += quantity
+      line.linearFeet += ((edgeLength + EDGE_BANDING_OVERHANG) * quantity) / 12
+    })
+  })
+  return [...lines.values()].sort((a, b) => a.material.localeCompare(b.material) || a.thickness - b.thickness)
+}
@@ -0,0 +1,501 @@
+/**
+ * Sheet Goods Optimizer
+ * Lays out parts on plywood, MDF and other sheet goods
+ *
+ * Strategies follow the equipment doing the cutting (see SHEET_STRATEGIES):
+ * - panelSaw: full-length rips break the sheet into strips, crosscuts split each strip
+ *   into columns, and rips free the parts stacked in a column
+ * - trackSaw: the same three stages turned a quarter: crosscuts across the sheet first,
+ *   then rips, then crosscuts
+ * - cnc: parts nested anywhere on the sheet by their outlines (see shapeNesting.js)
+ *
+ * Sheets and parts are grouped by product and thickness. The sheet's grain runs along
+ * its length; the usable area is inside the product's factory edge trim. Lengths are in
+ * inches, areas in the result in square feet.
+ */
+
+import { normalizeSawProfile } from './cutOptimizer'
+import { isShapedPart, nestPartsOnBoard, normalizePartShape, getPlacedOutline, polygonArea } from './shapeNesting'
+import { getEdgeBandingAllowance, getSheetTrim, normalizeSheetSettings, summarizeEdgeBanding } from './sheetGoods'
+
+const TOLERANCE = 0.001
+
+// Smallest offcut worth reporting, on its short side (inches)
+const MIN_OFFCUT_SIZE = 6
+
+// Part orders tried for the guillotine strategies; the best plan is kept
+const PART_ORDERS = {
+  area: (a, b) => b.length * b.width - a.length * a.width,
+  longest: (a, b) => Math.max(b.length, b.width) - Math.max(a.length, a.width),
+  shortest: (a, b) => Math.min(b.length, b.width) - Math.min(a.length, a.width)
+}
+
+/**
+ * Expand sheets and parts with quantity > 1 into individual instances
+ */
+function expandByQuantity(items) {
+  return items.flatMap(item =>
+    Array.from({ length: item.quantity || 1 }, (_, i) => ({
+      ...item,
+      instanceIndex: i,
+      originalId: item.id,
+      uniqueId: `${item.id}-${i}`
+    }))
+  )
+}
+
+/**
+ * Group items by product and thickness
+ */
+function groupByProduct(items) {
+  const groups = {}
+  items.forEach(item => {
+    const key = `${item.product || 'Unspecified'}|${item.thickness || ''}`
+    if (!groups[key]) groups[key] = []
+    groups[key].push(item)
+  })
+  return groups
+}
+
+/**
+ * Parts at their cut size: edge banding comes off the entered (finished) size
+ */
+function prepareParts(cutPieces) {
+  return expandByQuantity(cutPieces).map(part => {
+    const allowance = getEdgeBandingAllowance(part.edgeBanding)
+    return {
+      ...part,
+      finishedLength: part.length,
+      finishedWidth: part.width,
+      length: part.length - allowance.length,
+      width: part.width - allowance.width,
+      grainDirection: part.grainDirection || 'any'
+    }
+  })
+}
+
+/**
+ * Usable area of a sheet inside its factory edge trim
+ */
+function usableArea(sheet) {
+  const trim = sheet.trim
+  return {
+    minX: trim.left,
+    minY: trim.bottom,
+    maxX: sheet.length - trim.right,
+    maxY: sheet.width - trim.top
+  }
+}
+
+/**
+ * Orientations a part may be cut in: rotated turns its length across the sheet
+ */
+function partOrientations(part) {
+  if (part.grainDirection === 'length') return [false]
+  if (part.grainDirection === 'width') return [true]
+  return part.length === part.width ? [false] : [false, true]
+}
+
+/**
+ * Guillotine packing in the strategy's own axes
+ * u runs along a strip, v across the strips: for a panel saw u is the sheet's length
+ * (strips are full-length rips), for a track saw u is its width (strips are crosscuts).
+ * A layout is strips stacked along v, each split along u into columns, each column a
+ * stack of parts along v.
+ */
+function createGuillotineLayout(sheet, axes, kerfs) {
+  const area = usableArea(sheet)
+  const [uMin, uMax, vMin, vMax] = axes.transposed
+    ? [area.minY, area.maxY, area.minX, area.maxX]
+    : [area.minX, area.maxX, area.minY, area.maxY]
+  return { sheet, uMin, uMax, vMin, vMax, kerfs, strips: [], parts: [] }
+}
+
+/**
+ * Part size in a layout's axes
+ */
+function partSize(part, rotated, transposed) {
+  const x = rotated ? part.width : part.length
+  const y = rotated ? part.length : part.width
+  return transposed ? { u: y, v: x } : { u: x, v: y }
+}
+
+/**
+ * Ways to add a part to a layout, best first within each kind
+ * kind 0: stack in a column, 1: new column in a strip, 2: new strip
+ */
+function findPlacements(layout, part, transposed) {
+  const { uMin, uMax, vMin, vMax, kerfs } = layout
+  const placements = []
+
+  partOrientations(part).forEach(rotated => {
+    const { u, v } = partSize(part, rotated, transposed)
+
+    layout.strips.forEach(strip => {
+      strip.columns.forEach(column => {
+        const top = column.used + kerfs.u2
+        if (u <= column.width + TOLERANCE && top + v <= strip.v + strip.height + TOLERANCE) {
+          placements.push({ kind: 0, waste: column.width - u, layout, strip, column, rotated, u, v })
+        }
+      })
+
+      const left = strip.usedU + kerfs.u
+      if (v <= strip.height + TOLERANCE && left + u <= uMax + TOLERANCE) {
+        placements.push({ kind: 1, waste: strip.height - v, layout, strip, rotated, u, v })
+      }
+    })
+
+    const last = layout.strips[layout.strips.length - 1]
+    const start = last ? last.v + last.height + kerfs.v : vMin
+    if (start + v <= vMax + TOLERANCE && uMin + u <= uMax + TOLERANCE) {
+      placements.push({ kind: 2, waste: v, layout, rotated, u, v, start })
+    }
+  })
+
+  return placements
+}
+
+/**
+ * Add a part to a layout at a placement from findPlacements
+ */
+function applyPlacement(placement, part) {
+  const { layout, rotated, u, v } = placement
+  let pu
+  let pv
+
+  if (placement.kind === 0) {
+    const { column } = placement
+    pu = column.u
+    pv = column.used + layout.kerfs.u2
+    column.used = pv + v
+  } else if (placement.kind === 1) {
+    const { strip } = placement
+    pu = strip.usedU + layout.kerfs.u
+    pv = strip.v
+    strip.columns.push({ u: pu, width: u, used: pv + v })
+    strip.usedU = pu + u
+  } else {
+    pu = layout.uMin
+    pv = placement.start
+    layout.strips.push({
+      v: pv,
+      height: v,
+      usedU: pu + u,
+      columns: [{ u: pu, width: u, used: pv + v }]
+    })
+  }
+
+  layout.parts.push({ part, rotated, u: pu, v: pv, uSize: u, vSize: v })
+}
+
+/**
+ * Leftover rectangles big enough to keep, in the layout's axes
+ * The rest of each strip past its last column, the space above each column and
+ * everything past the last strip.
+ */
+function guillotineOffcuts(layout) {
+  const { uMax, vMax, uMin, kerfs } = layout
+  const rects = []
+  layout.strips.forEach(strip => {
+    const stripTop = strip.v + strip.height
+    rects.push({ u: strip.usedU + kerfs.u, v: strip.v, uSize: uMax - strip.usedU - kerfs.u, vSize: strip.height })
+    strip.columns.forEach(column => {
+      rects.push({ u: column.u, v: column.used + kerfs.u2, uSize: column.width, vSize: stripTop - column.used - kerfs.u2 })
+    })
+  })
+  const last = layout.strips[layout.strips.length - 1]
+  if (last) {
+    const start = last.v + last.height + kerfs.v
+    rects.push({ u: uMin, v: start, uSize: uMax - uMin, vSize: vMax - start })
+  }
+  return rects.filter(r => Math.min(r.uSize, r.vSize) >= MIN_OFFCUT_SIZE - TOLERANCE)
+}
+
+/**
+ * Pack one product group with a guillotine strategy, opening sheets in listed order
+ * Returns { sheets: [{ sheet, cuts, offcuts }], unplaced }
+ */
+function packGuillotine(parts, sheets, sawProfile, transposed, order) {
+  // The first stage cuts across v: rips for a panel saw, crosscuts for a track saw
+  const kerfs = transposed
+    ? { v: sawProfile.crosscutKerf, u: sawProfile.ripKerf, u2: sawProfile.crosscutKerf }
+    : { v: sawProfile.ripKerf, u: sawProfile.crosscutKerf, u2: sawProfile.ripKerf }
+  const available = [...sheets]
+  const layouts = []
+  const unplaced = []
+
+  const rank = (p) => [p.kind, p.waste, layouts.indexOf(p.layout)]
+  const better = (a, b) => {
+    const ra = rank(a)
+    const rb = rank(b)
+    for (let i = 0; i < ra.length; i++) {
+      if (ra[i] !== rb[i]) return ra[i] < rb[i]
+    }
+    return false
+  }
+
+  ;[...parts].sort(PART_ORDERS[order]).forEach(part => {
+    let best = null
+    layouts.forEach(layout => {
+      findPlacements(layout, part, transposed).forEach(p => {
+        if (!best || better(p, best)) best = p
+      })
+    })
+
+    if (!best) {
+      // First unused sheet the part fits on
+      for (let i = 0; i < available.length && !best; i++) {
+        const layout = createGuillotineLayout(available[i], { transposed }, kerfs)
+        const placements = findPlacements(layout, part, transposed)
+        if (placements.length === 0) continue
+        available.splice(i, 1)
+        layouts.push(layout)
+        best = placements.reduce((a, b) => (better(b, a) ? b : a))
+      }
+    }
+
+    if (!best) {
+      unplaced.push(part)
+      return
+    }
+    applyPlacement(best, part)
+  })
+
+  const toSheet = (rect) => transposed
+    ? { x: rect.v, y: rect.u, length: rect.vSize, width: rect.uSize }
+    : { x: rect.u, y: rect.v, length: rect.uSize, width: rect.vSize }
+
+  return {
+    sheets: layouts.map(layout => ({
+      sheet: layout.sheet,
+      cuts: layout.parts.map(({ part, rotated, u, v, uSize, vSize }) => ({
+        part,
+        rotated,
+        ...toSheet({ u, v, uSize, vSize })
+      })),
+      offcuts: guillotineOffcuts(layout).map(toSheet)
+    })),
+    unplaced
+  }
+}
+
+/**
+ * Pack one product group on a CNC: each sheet nests as many of the remaining parts
+ * as it holds. The offcut is the sheet's full width past the furthest part.
+ */
+function packNested(parts, sheets, sawProfile) {
+  const gap = { ...sawProfile, edgeTrim: 0 }
+  const results = []
+  let remaining = parts
+
+  for (const sheet of sheets) {
+    if (remaining.length === 0) break
+    const { strips, unplacedPieces } = nestPartsOnBoard(sheet, remaining, gap)
+    const placed = strips.flatMap(strip => strip.pieces)
+    if (placed.length === 0) continue
+
+    const area = usableArea(sheet)
+    const furthest = Math.max(...placed.map(p => p.x + p.placedLength)) + Math.max(gap.ripKerf, gap.crosscutKerf)
+    const offcut = { x: furthest, y: area.minY, length: area.maxX - furthest, width: area.maxY - area.minY }
+
+    results.push({
+      sheet,
+      cuts: placed.map(p => ({
+        part: p,
+        rotated: p.rotated,
+        x: p.x,
+        y: p.y,
+        length: p.placedLength,
+        width: p.placedWidth,
+        rotation: p.rotation,
+        outline: p.outline
+      })),
+      offcuts: Math.min(offcut.length, offcut.width) >= MIN_OFFCUT_SIZE - TOLERANCE ? [offcut] : []
+    })
+    remaining = unplacedPieces
+  }
+
+  return { sheets: results, unplaced: remaining }
+}
+
+/**
+ * A part's material area in square inches (its outline for shaped parts)
+ */
+function partArea(cut) {
+  return cut.area ?? cut.length * cut.width
+}
+
+/**
+ * Build a plan assignment for a packed sheet
+ */
+function makeSheetAssignment({ sheet, cuts, offcuts }) {
+  const hasTrim = Object.values(sheet.trim).some(value => value > 0)
+  const planCuts = cuts.map(({ part, rotated, x, y, length, width, rotation, outline }) => {
+    const shaped = isShapedPart(part)
+    const shape = shaped ? normalizePartShape(part.shape) : null
+    const placedOutline = shaped
+      ? outline || getPlacedOutline(shape, part.length, part.width, rotated ? 90 : 0)
+      : null
+    return {
+      cutPieceId: part.originalId,
+      cutPieceName: part.name,
+      cutPieceIndex: part.instanceIndex,
+      x,
+      y,
+      length,
+      width,
+      rotated,
+      finishedLength: part.finishedLength,
+      finishedWidth: part.finishedWidth,
+      grainDirection: part.grainDirection,
+      ...(part.edgeBanding && { edgeBanding: part.edgeBanding }),
+      ...(shaped && {
+        shape: shape.type,
+        rotation: rotation ?? (rotated ? 90 : 0),
+        outline: placedOutline,
+        area: polygonArea(placedOutline)
+      })
+    }
+  })
+  const sheetArea = sheet.length * sheet.width
+  const pricePerSheet = sheet.pricePerSheet || null
+
+  return {
+    sheetId: sheet.originalId,
+    sheetName: sheet.name || `${sheet.product} ${sheet.thickness}`,
+    sheetIndex: sheet.instanceIndex,
+    uniqueId: sheet.uniqueId,
+    product: sheet.product,
+    thickness: sheet.thickness,
+    length: sheet.length,
+    width: sheet.width,
+    ...(hasTrim && { trim: sheet.trim }),
+    cuts: planCuts,
+    offcuts,
+    sheetArea,
+    partArea: planCuts.reduce((sum, cut) => sum + partArea(cut), 0),
+    pricePerSheet,
+    cost: pricePerSheet || 0
+  }
+}
+
+/**
+ * Totals, per-product breakdown and cost for a sheet plan's assignments (areas in sq ft)
+ */
+function summarizeSheetPlan(assignments) {
+  const byProduct = new Map()
+  assignments.forEach(a => {
+    const key = `${a.product}|${a.thickness}`
+    if (!byProduct.has(key)) {
+      byProduct.set(key, { product: a.product, thickness: a.thickness, sheetsUsed: 0, stockArea: 0, partArea: 0 })
+    }
+    const group = byProduct.get(key)
+    group.sheetsUsed += 1
+    group.stockArea += a.sheetArea / 144
+    group.partArea += a.partArea / 144
+  })
+
+  const products = [...byProduct.values()].map(group => ({
+    ...group,
+    wasteArea: group.stockArea - group.partArea,
+    efficiency: group.stockArea > 0 ? (group.partArea / group.stockArea) * 100 : 0
+  }))
+  const stockArea = products.reduce((sum, p) => sum + p.stockArea, 0)
+  const usedArea = products.reduce((sum, p) => sum + p.partArea, 0)
+
+  return {
+    products,
+    sheetsUsed: assignments.length,
+    stockArea,
+    partArea: usedArea,
+    wasteArea: stockArea - usedArea,
+    offcutArea: assignments.reduce((sum, a) =>
+      sum + a.offcuts.reduce((s, o) => s + o.length * o.width, 0), 0) / 144,
+    efficiency: stockArea > 0 ? (usedArea / stockArea) * 100 : 0,
+    cost: assignments.reduce((sum, a) => sum + a.cost, 0)
+  }
+}
+
+/**
+ * Compare two packings of a group: fewest parts left over, then fewest sheets, then
+ * least sheet area, then the most area kept as offcuts
+ */
+function isBetterPacking(a, b) {
+  const score = (packing) => [
+    packing.unplaced.length,
+    packing.sheets.length,
+    packing.sheets.reduce((sum, s) => sum + s.sheet.length * s.sheet.width, 0),
+    -packing.sheets.reduce((sum, s) => sum + s.offcuts.reduce((o, r) => o + r.length * r.width, 0), 0)
+  ]
+  const sa = score(a)
+  const sb = score(b)
+  for (let i = 0; i < sa.length; i++) {
+    if (Math.abs(sa[i] - sb[i]) > TOLERANCE) return sa[i] < sb[i]
+  }
+  return false
+}
+
+/**
+ * Cut parts from the sheets on hand
+ * @param {Array} sheets - Sheets { id, name, product, thickness, length, width, quantity, pricePerSheet }
+ * @param {Array} cutPieces - Parts { id, name, product, thickness, length, width, quantity,
+ *   grainDirection, shape, edgeBanding }
+ * @param {number|Object} kerf - Saw kerf, or saw profile (its edge trim isn't used; sheets
+ *   come with factory edges, trimmed per product in the sheet settings)
+ * @param {Object} options - { sheet: { strategy, productTrim } }
+ * @returns {Object} - Plan with assignments (one per sheet used), totals, offcuts and warnings
+ */
+export function optimizeSheetCuts(sheets, cutPieces, kerf, options = {}) {
+  const sawProfile = { ...normalizeSawProfile(kerf), edgeTrim: 0 }
+  const settings = normalizeSheetSettings(options.sheet)
+  const { strategy } = settings
+  const sheetsByProduct = groupByProduct(expandByQuantity(sheets).map(sheet => ({
+    ...sheet,
+    trim: getSheetTrim(settings, sheet.product)
+  })))
+  const partsByProduct = groupByProduct(prepareParts(cutPieces))
+  const assignments = []
+  const warnings = []
+  let unplacedPieces = []
+
+  for (const key in partsByProduct) {
+    const parts = partsByProduct[key]
+    const [product, thickness] = key.split('|')
+    const label = `${thickness ? `${thickness} ` : ''}${product}`
+    const available = sheetsByProduct[key] || []
+    if (available.length === 0) {
+      warnings.push(`No ${label} sheets available`)
+      unplacedPieces = unplacedPieces.concat(parts)
+      continue
+    }
+
+    let packing
+    if (strategy === 'cnc') {
+      packing = packNested(parts, available, sawProfile)
+    } else {
+      Object.keys(PART_ORDERS).forEach(order => {
+        const trial = packGuillotine(parts, available, sawProfile, strategy === 'trackSaw', order)
+        if (!packing || isBetterPacking(trial, packing)) packing = trial
+      })
+    }
+
+    packing.sheets.forEach(entry => assignments.push(makeSheetAssignment(entry)))
+    packing.unplaced.forEach(part => {
+      warnings.push(`Could not fit "${part.name}" (${part.length}" × ${part.width}") on any ${label} sheet`)
+    })
+    unplacedPieces = unplacedPieces.concat(packing.unplaced)
+  }
+
+  return {
+    materialType: 'sheet',
+    strategy,
+    assignments,
+    ...summarizeSheetPlan(assignments),
+    totalSheets: sheets.reduce((sum, sheet) => sum + (sheet.quantity || 1), 0),
+    warnings,
+    unplacedPieces,
+    sawProfile,
+    edgeBanding: summarizeEdgeBanding(cutPieces),
+    generatedAt: new Date().toISOString()
+  }
+}
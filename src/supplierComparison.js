@@ -0,0 +1,187 @@
+/**
+ * Supplier Comparison
+ * Prices one lumber shopping list against several supplier price lists and works out
+ * the cheapest way to split the order between suppliers.
+ *
+ * Only prices a list actually has are used; falling back to the bundled estimates
+ * would make a list that's missing a species look cheap. Each supplier can charge a
+ * delivery fee per order and have a minimum order: an order under the minimum is
+ * counted at the minimum, since that's what the yard will bill.
+ */
+
+import { getListPricePerBF } from './lumberPrices'
+
+// Lists tried in combination when splitting an order (2^n combinations)
+const MAX_SPLIT_LISTS = 10
+
+/**
+ * Order fees for a supplier
+ * @param {Object} [supplier] - { deliveryFee, minimumOrder }
+ */
+function getOrderFees(supplier) {
+  return {
+    deliveryFee: Math.max(0, parseFloat(supplier?.deliveryFee) || 0),
+    minimumOrder: Math.max(0, parseFloat(supplier?.minimumOrder) || 0)
+  }
+}
+
+/**
+ * What an order of a given subtotal costs from a supplier
+ * @returns {Object} - { minimumCharge, deliveryFee, total }
+ */
+function priceOrder(subtotal, supplier) {
+  const { deliveryFee, minimumOrder } = getOrderFees(supplier)
+  const minimumCharge = Math.max(0, minimumOrder - subtotal)
+  return { minimumCharge, deliveryFee, total: subtotal + minimumCharge + deliveryFee }
+}
+
+/**
+ * Price a shopping list against each price list
+ * @param {Array} items - Shopping list lines: [{ key, species, thickness, totalBF, ... }]
+ * @param {Array} priceLists - Supplier price lists to compare
+ * @param {Array} suppliers - The user's suppliers, for delivery fees and minimums
+ * @returns {Array} - Per list: { priceList, supplier, lines: [{ key, pricePerBF, cost }],
+ *   subtotal, missingCount, complete, minimumCharge, deliveryFee, total }
+ */
+export function comparePriceLists(items, priceLists, suppliers = []) {
+  return priceLists.map(priceList => {
+    const supplier = suppliers.find(s => s.id === priceList.supplierId) || null
+    let subtotal = 0
+    let missingCount = 0
+    const lines = items.map(item => {
+      const pricePerBF = getListPricePerBF(item.species, item.thickness, priceList)
+      if (pricePerBF === null) {
+        missingCount++
+        return { key: item.key, pricePerBF: null, cost: null }
+      }
+      const cost = item.totalBF * pricePerBF
+      subtotal += cost
+      return { key: item.key, pricePerBF, cost }
+    })
+
+    return {
+      priceList,
+      supplier,
+      lines,
+      subtotal,
+      missingCount,
+      complete: missingCount === 0,
+      ...priceOrder(subtotal, supplier)
+    }
+  })
+}
+
+/**
+ * Recommend how to split an order between suppliers
+ * Every combination of lists is tried: each line goes to the cheapest list in the
+ * combination, lines are grouped into one order per supplier, and the combination
+ * with the lowest total after delivery fees and minimums wins (fewer orders on a tie).
+ * @param {Array} items - Shopping list lines: [{ key, species, thickness, totalBF, ... }]
+ * @param {Array} priceLists - Supplier price lists to choose from
+ * @param {Array} suppliers - The user's suppliers, for delivery fees and minimums
+ * @returns {Object|null} - { orders: [{ supplierId, supplierName, lines, subtotal,
+ *   minimumCharge, deliveryFee, total }], total, unpricedItems, bestSingle, savings },
+ *   or null when no list prices anything on the shopping list
+ */
+export function recommendSplitOrder(items, priceLists, suppliers = []) {
+  const comparison = comparePriceLists(items, priceLists, suppliers)
+
+  // With many lists, keep the ones that are cheapest for the most lines
+  let candidates = comparison
+  if (candidates.length > MAX_SPLIT_LISTS) {
+    const cheapestCounts = new Map(comparison.map(result => [result, 0]))
+    items.forEach((_, itemIndex) => {
+      let cheapest = null
+      comparison.forEach(result => {
+        const cost = result.lines[itemIndex].cost
+        if (cost !== null && (!cheapest || cost < cheapest.lines[itemIndex].cost)) cheapest = result
+      })
+      if (cheapest) cheapestCounts.set(cheapest, cheapestCounts.get(cheapest) + 1)
+    })
+    candidates = [...comparison]
+      .sort((a, b) => cheapestCounts.get(b) - cheapestCounts.get(a) || a.subtotal - b.subtotal)
+      .slice(0, MAX_SPLIT_LISTS)
+  }
+
+  // Lines none of the lists price can't be placed with anyone
+  const pricedItems = []
+  const unpricedItems = []
+  items.forEach((item, itemIndex) => {
+    if (candidates.some(result => result.lines[itemIndex].pricePerBF !== null)) {
+      pricedItems.push({ item, itemIndex })
+    } else {
+      unpricedItems.push(item)
+    }
+  })
+  if (pricedItems.length === 0) return null
+
+  let best = null
+  let bestSingle = null
+  for (let mask = 1; mask < (1 << candidates.length); mask++) {
+    const chosen = candidates.filter((_, idx) => mask & (1 << idx))
+
+    // Cheapest list in the combination for each line
+    const picks = []
+    let covered = true
+    for (const { item, itemIndex } of pricedItems) {
+      let pick = null
+      chosen.forEach(result => {
+        const line = result.lines[itemIndex]
+        if (line.cost !== null && (!pick || line.cost < pick.line.cost)) pick = { result, line }
+      })
+      if (!pick) {
+        covered = false
+        break
+      }
+      picks.push({ item, ...pick })
+    }
+    if (!covered) continue
+    // A list that gets nothing is the same as a smaller combination
+    if (chosen.some(result => !picks.some(pick => pick.result === result))) continue
+
+    // One order per supplier; lists without a supplier are ordered on their own
+    const ordersByKey = new Map()
+    picks.forEach(({ item, result, line }) => {
+      const orderKey = result.supplier ? `supplier-${result.supplier.id}` : `list-${result.priceList.id}`
+      if (!ordersByKey.has(orderKey)) {
+        ordersByKey.set(orderKey, {
+          supplierId: result.supplier?.id ?? null,
+          supplierName: result.supplier?.name || result.priceList.name,
+          supplier: result.supplier,
+          lines: [],
+          subtotal: 0
+        })
+      }
+      const order = ordersByKey.get(orderKey)
+      order.lines.push({
+        ...item,
+        priceListId: result.priceList.id,
+        priceListName: result.priceList.name,
+        pricePerBF: line.pricePerBF,
+        cost: line.cost
+      })
+      order.subtotal += line.cost
+    })
+
+    const orders = [...ordersByKey.values()].map(({ supplier, ...order }) => ({
+      ...order,
+      ...priceOrder(order.subtotal, supplier)
+    }))
+    const total = orders.reduce((sum, order) => sum + order.total, 0)
+
+    if (chosen.length === 1 && (!bestSingle || total < bestSingle.total - 0.005)) {
+      bestSingle = { priceListId: chosen[0].priceList.id, priceListName: chosen[0].priceList.name, total }
+    }
+    if (!best || total < best.total - 0.005 ||
+        (Math.abs(total - best.total) <= 0.005 && orders.length < best.orders.length)) {
+      best = { orders, total }
+    }
+  }
+
+  return {
+    ...best,
+    unpricedItems,
+    bestSingle,
+    savings: bestSingle ? bestSingle.total - best.total : 0
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Units
+ * Formatting of inch measurements, shared by the app, the cut sequence and the PDF
+ */
+
+/**
+ * Format inches as a fraction when it falls on a 1/64" mark (e.g. 0.09375 → 3/32")
+ * Other values are shown as decimals rounded to 0.001"
+ */
+export function formatInches(value) {
+  const sixtyFourths = value * 64
+  if (Math.abs(sixtyFourths - Math.round(sixtyFourths)) > 0.001) {
+    return `${parseFloat(value.toFixed(3))}"`
+  }
+  const whole = Math.floor(Math.round(sixtyFourths) / 64)
+  let numerator = Math.round(sixtyFourths) % 64
+  let denominator = 64
+  while (numerator > 0 && numerator % 2 === 0) {
+    numerator /= 2
+    denominator /= 2
+  }
+  if (numerator === 0) return `${whole}"`
+  return whole > 0 ? `${whole}-${numerator}/${denominator}"` : `${numerator}/${denominator}"`
+}
@@ -0,0 +1,7 @@
+-- Board Defects Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- 1. Defect zones marked on stock boards, stored as JSON
+--    [{ "id": 1, "type": "knot", "instanceIndex": 0, "x": 40, "y": 2, "length": 3, "width": 2 }]
+--    x/y are inches from the board's end and edge; instanceIndex picks the board when quantity > 1
+ALTER TABLE boards ADD COLUMN IF NOT EXISTS defects JSONB;
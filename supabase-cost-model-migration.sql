@@ -0,0 +1,13 @@
+-- Cost Model Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+--
+-- A cost model is stored as JSON:
+-- { "taxRate": 5.5, "deliveryFee": 40, "surfacing": "S2S", "surfacingRates": { "S2S": 0.35, "S3S": 0.5, "SLR1E": 0.25 },
+--   "wasteFactor": 15, "laborHours": 6, "laborRate": 45, "markup": 20 }
+-- (rates and the waste factor in percent, amounts in dollars; surfacing rates per board foot)
+
+-- 1. Default cost model for each user
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS cost_model JSONB;
+
+-- 2. Per-project overrides: only the fields the project sets (NULL = use the user's default)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS cost_model JSONB;
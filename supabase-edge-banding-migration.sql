@@ -0,0 +1,11 @@
+-- Edge Banding Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- 1. Edge banding on a sheet cut piece, stored as JSON; NULL is no banding
+--    { "l1": true, "l2": false, "w1": true, "w2": false, "thickness": 0.02, "material": "Birch veneer" }
+--    L1/L2 run along the part's length, W1/W2 along its width; thickness is in inches.
+--    length/width hold the finished size; the optimizer takes the banding off the cut size.
+ALTER TABLE sheet_cut_pieces ADD COLUMN IF NOT EXISTS edge_banding JSONB;
+
+-- Factory edge trim per sheet product lives in projects.plan_settings (no schema change):
+--    { "sheet": { "productTrim": { "MDF": { "left": 0.25, "right": 0.25, "bottom": 0.25, "top": 0.25 } } } }
@@ -0,0 +1,94 @@
+-- Linear Stock Persistence Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- 1. Create linear_stock table
+CREATE TABLE linear_stock (
+  id BIGSERIAL PRIMARY KEY,
+  project_id BIGINT REFERENCES projects(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  profile TEXT NOT NULL,
+  length DECIMAL NOT NULL,
+  quantity INTEGER DEFAULT 1,
+  price_per_foot DECIMAL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. Create linear_cut_pieces table
+CREATE TABLE linear_cut_pieces (
+  id BIGSERIAL PRIMARY KEY,
+  project_id BIGINT REFERENCES projects(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  profile TEXT NOT NULL,
+  length DECIMAL NOT NULL,
+  quantity INTEGER DEFAULT 1,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 3. Add linear_cut_plan column to projects
+ALTER TABLE projects ADD COLUMN linear_cut_plan JSONB;
+
+-- 4. Enable RLS
+ALTER TABLE linear_stock ENABLE ROW LEVEL SECURITY;
+ALTER TABLE linear_cut_pieces ENABLE ROW LEVEL SECURITY;
+
+-- 5. RLS Policies for linear_stock (through project ownership)
+CREATE POLICY "Users can view linear_stock of their projects" ON linear_stock
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM projects WHERE projects.id = linear_stock.project_id AND projects.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can insert linear_stock to their projects" ON linear_stock
+  FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM projects WHERE projects.id = linear_stock.project_id AND projects.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can update linear_stock of their projects" ON linear_stock
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM projects WHERE projects.id = linear_stock.project_id AND projects.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete linear_stock of their projects" ON linear_stock
+  FOR DELETE USING (
+    EXISTS (
+      SELECT 1 FROM projects WHERE projects.id = linear_stock.project_id AND projects.user_id = auth.uid()
+    )
+  );
+
+-- 6. RLS Policies for linear_cut_pieces (through project ownership)
+CREATE POLICY "Users can view linear_cut_pieces of their projects" ON linear_cut_pieces
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM projects WHERE projects.id = linear_cut_pieces.project_id AND projects.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can insert linear_cut_pieces to their projects" ON linear_cut_pieces
+  FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM projects WHERE projects.id = linear_cut_pieces.project_id AND projects.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can update linear_cut_pieces of their projects" ON linear_cut_pieces
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM projects WHERE projects.id = linear_cut_pieces.project_id AND projects.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete linear_cut_pieces of their projects" ON linear_cut_pieces
+  FOR DELETE USING (
+    EXISTS (
+      SELECT 1 FROM projects WHERE projects.id = linear_cut_pieces.project_id AND projects.user_id = auth.uid()
+    )
+  );
+
+-- 7. Create indexes
+CREATE INDEX idx_linear_stock_project_id ON linear_stock(project_id);
+CREATE INDEX idx_linear_cut_pieces_project_id ON linear_cut_pieces(project_id);
@@ -0,0 +1,9 @@
+-- Milling Allowances Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- 1. Per-project optimizer settings, stored as JSON
+--    { "milling": { "lengthOversize": 1, "widthOversize": 0.25, "endTrim": 1, "planingAllowance": 0.1875 } }
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS plan_settings JSONB;
+
+-- 2. Optional finished thickness (inches) for cut pieces
+ALTER TABLE cut_pieces ADD COLUMN IF NOT EXISTS finished_thickness DECIMAL;
@@ -0,0 +1,102 @@
+-- Supplier Price Lists Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- 1. Create suppliers table (lumber yards the user buys from)
+CREATE TABLE suppliers (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  location TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. Create price_lists table (one supplier can have several, e.g. one per quarter)
+CREATE TABLE price_lists (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  supplier_id BIGINT REFERENCES suppliers(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 3. Create price_list_entries table ($/BF by species, thickness and grade)
+CREATE TABLE price_list_entries (
+  id BIGSERIAL PRIMARY KEY,
+  price_list_id BIGINT REFERENCES price_lists(id) ON DELETE CASCADE NOT NULL,
+  species TEXT NOT NULL,
+  thickness TEXT NOT NULL,
+  grade TEXT,
+  price_per_bf DECIMAL NOT NULL,
+  effective_date DATE DEFAULT CURRENT_DATE
+);
+
+-- 4. Price list each project is priced from (NULL = bundled default prices)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS price_list_id BIGINT REFERENCES price_lists(id) ON DELETE SET NULL;
+
+-- 5. Enable RLS
+ALTER TABLE suppliers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE price_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE price_list_entries ENABLE ROW LEVEL SECURITY;
+
+-- 6. RLS Policies for suppliers (owned by the user)
+CREATE POLICY "Users can view their own suppliers" ON suppliers
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own suppliers" ON suppliers
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own suppliers" ON suppliers
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own suppliers" ON suppliers
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- 7. RLS Policies for price_lists (owned by the user)
+CREATE POLICY "Users can view their own price lists" ON price_lists
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own price lists" ON price_lists
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own price lists" ON price_lists
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own price lists" ON price_lists
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- 8. RLS Policies for price_list_entries (through price list ownership)
+CREATE POLICY "Users can view entries of their price lists" ON price_list_entries
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM price_lists WHERE price_lists.id = price_list_entries.price_list_id AND price_lists.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can insert entries to their price lists" ON price_list_entries
+  FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM price_lists WHERE price_lists.id = price_list_entries.price_list_id AND price_lists.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can update entries of their price lists" ON price_list_entries
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM price_lists WHERE price_lists.id = price_list_entries.price_list_id AND price_lists.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete entries of their price lists" ON price_list_entries
+  FOR DELETE USING (
+    EXISTS (
+      SELECT 1 FROM price_lists WHERE price_lists.id = price_list_entries.price_list_id AND price_lists.user_id = auth.uid()
+    )
+  );
+
+-- 9. Create indexes
+CREATE INDEX idx_suppliers_user_id ON suppliers(user_id);
+CREATE INDEX idx_price_lists_user_id ON price_lists(user_id);
+CREATE INDEX idx_price_list_entries_price_list_id ON price_list_entries(price_list_id);
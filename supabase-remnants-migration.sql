@@ -0,0 +1,40 @@
+-- Remnant Inventory Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- 1. Create remnants table (offcuts kept when a project is marked as cut)
+CREATE TABLE remnants (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  project_id BIGINT REFERENCES projects(id) ON DELETE SET NULL,
+  species TEXT,
+  thickness TEXT NOT NULL,
+  length DECIMAL NOT NULL,
+  width DECIMAL NOT NULL,
+  source TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. When the project was marked as cut (NULL = not cut yet)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS cut_at TIMESTAMPTZ;
+
+-- 3. Minimum offcut size kept as a remnant: { "minLength": 12, "minWidth": 3 } (inches)
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS remnant_settings JSONB;
+
+-- 4. Enable RLS
+ALTER TABLE remnants ENABLE ROW LEVEL SECURITY;
+
+-- 5. RLS Policies for remnants (owned by the user)
+CREATE POLICY "Users can view their own remnants" ON remnants
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own remnants" ON remnants
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own remnants" ON remnants
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own remnants" ON remnants
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- 6. Create index
+CREATE INDEX idx_remnants_user_id ON remnants(user_id);
@@ -0,0 +1,11 @@
+-- Saw Profile Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+--
+-- A saw profile is stored as JSON: { "ripKerf": 0.125, "crosscutKerf": 0.125, "edgeTrim": 0.125 }
+-- (all values in inches)
+
+-- 1. Default saw profile for each user
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS saw_profile JSONB;
+
+-- 2. Per-project override (NULL = use the user's default)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS saw_profile JSONB;
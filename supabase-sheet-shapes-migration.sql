@@ -0,0 +1,9 @@
+-- Sheet Part Shapes Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor)
+
+-- 1. Shape of a sheet cut piece, stored as JSON; NULL is a plain rectangle
+--    { "type": "circle", "diameter": 18 }
+--    { "type": "polygon", "points": [[0, 0], [24, 0], [18, 30], [6, 30]] }
+--    { "type": "path", "path": "M0 0 H20 V20 A10 10 0 0 1 0 20 Z" }
+--    Coordinates are inches; length/width hold the shape's bounding box
+ALTER TABLE sheet_cut_pieces ADD COLUMN IF NOT EXISTS shape JSONB;
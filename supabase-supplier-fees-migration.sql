@@ -0,0 +1,10 @@
+-- Supplier Order Fees Migration
+-- Run this in Supabase SQL Editor (Dashboard > SQL Editor), after supabase-price-lists-migration.sql
+--
+-- Used when comparing suppliers and splitting an order between them (amounts in dollars)
+
+-- 1. Delivery fee charged per order
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS delivery_fee DECIMAL DEFAULT 0;
+
+-- 2. Smallest order the supplier takes; smaller orders are billed at the minimum
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS minimum_order DECIMAL DEFAULT 0;